@@ -17,6 +17,15 @@ class EnhancedCaromarApp {
         this.languages = new Set();
         this.searchHistory = JSON.parse(localStorage.getItem('search_history') || '[]');
         this.rateLimitInfo = null;
+        this.activeJobId = null;
+        this.mergeRenames = {};
+        this.mergeSpecs = {};
+        this.mergePlan = null;
+        this.mergePreview = null;
+        this.mergePlanKey = null;
+        this.mergePlanError = null;
+        this.githubApiUrl = localStorage.getItem('github_api_url');
+        this.githubServers = [];
         this.init();
     }
 
@@ -26,6 +35,7 @@ class EnhancedCaromarApp {
      */
     init() {
         this.bindEvents();
+        this.loadGithubServers();
         this.loadStoredToken();
         this.setupAdvancedFeatures();
     }
@@ -40,6 +50,10 @@ class EnhancedCaromarApp {
             this.validateToken();
         });
 
+        document.getElementById('github-server').addEventListener('change', (e) => {
+            this.selectGithubServer(e.target.value);
+        });
+
         // Repository search
         document.getElementById('search-repos').addEventListener('click', () => {
             this.searchRepositories();
@@ -113,11 +127,61 @@ class EnhancedCaromarApp {
             this.updateMergePreview();
         });
 
+        document.getElementById('merge-conflict-strategy').addEventListener('change', () => {
+            this.updateMergePreview();
+        });
+
+        document.getElementById('merge-archive-sources').addEventListener('change', (event) => {
+            document.getElementById('merge-archive-options').style.display = event.target.checked ? 'flex' : 'none';
+            this.updateMergePreview();
+        });
+
+        document.getElementById('merge-archive-notice').addEventListener('change', () => {
+            this.updateMergePreview();
+        });
+
+        // Tags and releases can only be carried over by history merges
+        document.getElementById('merge-mode').addEventListener('change', (event) => {
+            document.getElementById('merge-history-options').style.display = event.target.value === 'history' ? 'flex' : 'none';
+        });
+
+        document.getElementById('merge-releases').addEventListener('change', (event) => {
+            const assets = document.getElementById('merge-release-assets');
+            assets.disabled = !event.target.checked;
+            if (!event.target.checked) {
+                assets.checked = false;
+            }
+        });
+
+        document.getElementById('merge-issues').addEventListener('change', (event) => {
+            const closed = document.getElementById('merge-issues-closed');
+            closed.disabled = !event.target.checked;
+            if (!event.target.checked) {
+                closed.checked = false;
+            }
+        });
+
+        document.getElementById('merge-structure').addEventListener('change', (event) => {
+            if (event.target.classList.contains('merge-rename-input')) {
+                this.mergeRenames[event.target.dataset.repo] = event.target.value.trim();
+                this.updateMergePreview();
+            }
+            if (event.target.classList.contains('merge-spec-input')) {
+                const value = event.target.type === 'checkbox' ? !event.target.checked : event.target.value;
+                this.updateMergeSpec(event.target.dataset.repo, event.target.dataset.field, value);
+                this.updateMergePreview();
+            }
+        });
+
         // Execute action
         document.getElementById('execute-action').addEventListener('click', () => {
             this.executeAction();
         });
 
+        document.getElementById('cancel-job').addEventListener('click', () => {
+            this.cancelActiveJob();
+        });
+
         // Analytics
         document.getElementById('run-analytics').addEventListener('click', () => {
             this.runAnalytics();
@@ -196,6 +260,88 @@ class EnhancedCaromarApp {
         }, 30000);
     }
 
+    /**
+     * Load the GitHub servers this CAROMAR instance may talk to
+     * The server picker is only shown when the allowlist has more than one.
+     * @async
+     * @returns {Promise<void>}
+     */
+    async loadGithubServers() {
+        try {
+            const response = await fetch('/api/github-servers');
+            if (!response.ok) {
+                return;
+            }
+            const data = await response.json();
+            this.githubServers = data.servers;
+        } catch {
+            return;
+        }
+
+        // A server dropped from the allowlist falls back to the default
+        if (!this.githubServers.some(server => server.api_url === this.githubApiUrl)) {
+            this.selectGithubServer(null);
+        }
+
+        const select = document.getElementById('github-server');
+        select.innerHTML = this.githubServers
+            .map(server => `<option value="${this.escapeAttribute(server.api_url)}">${this.escapeAttribute(server.hostname)}</option>`)
+            .join('');
+        select.value = this.currentGithubServer().api_url;
+        document.getElementById('github-server-group').style.display = this.githubServers.length > 1 ? '' : 'none';
+        this.updateTokenLink();
+    }
+
+    /**
+     * Server picked in the UI, or the default one
+     * @returns {Object} - { api_url, web_url, hostname }
+     */
+    currentGithubServer() {
+        return this.githubServers.find(server => server.api_url === this.githubApiUrl)
+            || this.githubServers[0]
+            || { api_url: 'https://api.github.com', web_url: 'https://github.com', hostname: 'github.com' };
+    }
+
+    /**
+     * Switch GitHub server; a token only works on the server that issued it
+     * @param {string|null} apiUrl - API base URL, or null for the default server
+     * @returns {void}
+     */
+    selectGithubServer(apiUrl) {
+        const isDefault = !apiUrl || apiUrl === this.githubServers[0]?.api_url;
+        this.githubApiUrl = isDefault ? null : apiUrl;
+        if (this.githubApiUrl) {
+            localStorage.setItem('github_api_url', this.githubApiUrl);
+        } else {
+            localStorage.removeItem('github_api_url');
+        }
+        this.updateTokenLink();
+    }
+
+    /**
+     * Point the token link at the selected server's settings page
+     * @returns {void}
+     */
+    updateTokenLink() {
+        document.getElementById('create-token-link').href = `${this.currentGithubServer().web_url}/settings/tokens`;
+    }
+
+    /**
+     * Call the CAROMAR API, naming the selected GitHub server
+     * @param {string} url - CAROMAR API URL
+     * @param {Object} [options] - fetch options
+     * @returns {Promise<Response>} - fetch response
+     */
+    apiFetch(url, options = {}) {
+        if (!this.githubApiUrl) {
+            return fetch(url, options);
+        }
+        return fetch(url, {
+            ...options,
+            headers: { ...options.headers, 'X-GitHub-Api-Url': this.githubApiUrl }
+        });
+    }
+
     /**
      * Load stored GitHub token from localStorage
      * @returns {void}
@@ -228,7 +374,7 @@ class EnhancedCaromarApp {
 
         try {
             // First validate token permissions
-            const permissionResponse = await fetch('/api/validate-token', {
+            const permissionResponse = await this.apiFetch('/api/validate-token', {
                 headers: {
                     'Authorization': `Bearer ${token}`
                 }
@@ -244,7 +390,7 @@ class EnhancedCaromarApp {
             }
 
             // Get full user info
-            const response = await fetch('/api/user', {
+            const response = await this.apiFetch('/api/user', {
                 headers: {
                     'Authorization': `Bearer ${token}`
                 }
@@ -266,6 +412,8 @@ class EnhancedCaromarApp {
                 
                 this.showSuccess('Token validated successfully!');
                 this.updateRateLimitDisplay();
+                this.loadOrganizations();
+                this.resumeActiveJob();
             } else {
                 throw new Error(data.error || 'Invalid token');
             }
@@ -277,6 +425,39 @@ class EnhancedCaromarApp {
         }
     }
 
+    /**
+     * Fill the owner pickers with the organizations the token can create repositories in
+     * Without the read:org scope the list cannot be read and only the
+     * user's own account is offered.
+     * @async
+     * @returns {Promise<void>}
+     */
+    async loadOrganizations() {
+        let organizations = [];
+        try {
+            const response = await this.apiFetch('/api/organizations', {
+                headers: {
+                    'Authorization': `Bearer ${this.githubToken}`
+                }
+            });
+            if (response.ok) {
+                ({ organizations } = await response.json());
+            }
+        } catch {
+            organizations = [];
+        }
+
+        const options = [
+            `<option value="">Your account (${this.escapeAttribute(this.currentUser.username)})</option>`,
+            ...organizations.map(org => `<option value="${this.escapeAttribute(org.login)}">${this.escapeAttribute(org.login)}</option>`)
+        ].join('');
+        document.querySelectorAll('.organization-picker').forEach(select => {
+            const selected = select.value;
+            select.innerHTML = options;
+            select.value = organizations.some(org => org.login === selected) ? selected : '';
+        });
+    }
+
     /**
      * Display user information in the UI
      * @param {Object} data - User data from GitHub API
@@ -362,8 +543,9 @@ class EnhancedCaromarApp {
         try {
             const repoType = document.getElementById('repo-type').value;
             const sortBy = document.getElementById('repo-sort').value;
+            const backend = document.getElementById('repo-backend').value;
 
-            const response = await fetch(`/api/search-repos?username=${encodeURIComponent(username)}&type=${repoType}&sort=${sortBy}`, {
+            const response = await this.apiFetch(`/api/search-repos?username=${encodeURIComponent(username)}&type=${repoType}&sort=${sortBy}&all=true&backend=${backend}`, {
                 headers: {
                     'Authorization': `Bearer ${this.githubToken}`
                 }
@@ -381,7 +563,11 @@ class EnhancedCaromarApp {
                 document.getElementById('repos-list-section').style.display = 'block';
                 document.getElementById('analytics-section').style.display = 'block';
                 document.getElementById('comparison-section').style.display = 'block';
-                this.showSuccess(`Found ${data.repos.length} repositories for ${username}`);
+                if (data.pagination?.truncated) {
+                    this.showWarning(`Showing the first ${data.repos.length} of ${data.pagination.total ?? 'more'} repositories for ${username}`);
+                } else {
+                    this.showSuccess(`Found ${data.repos.length} repositories for ${username}`);
+                }
                 
                 // Update rate limit info
                 if (data.rate_limit) {
@@ -441,7 +627,10 @@ class EnhancedCaromarApp {
         const statsElement = document.getElementById('search-stats');
         const repoCount = document.getElementById('repo-count');
         
-        repoCount.textContent = `${data.repos.length} repositories found`;
+        const total = data.pagination?.total;
+        repoCount.textContent = total && total > data.repos.length
+            ? `${data.repos.length} of ${total} repositories loaded`
+            : `${data.repos.length} repositories found`;
         statsElement.style.display = 'flex';
     }
 
@@ -472,6 +661,16 @@ class EnhancedCaromarApp {
                 ${repo.topics.length > 3 ? `<span class="topic-tag">+${repo.topics.length - 3}</span>` : ''}
             </div>` : '';
 
+        // Only the GraphQL listing reports these
+        const lastCommitAuthor = repo.last_commit && (repo.last_commit.author_login || repo.last_commit.author);
+        const details = repo.branch_count !== undefined ? `
+            <div class="repo-stats repo-details">
+                <span><i class="fas fa-code-branch"></i> ${repo.branch_count} branches</span>
+                <span><i class="fas fa-tag"></i> ${repo.release_count} releases</span>
+                ${repo.branch_protection ? `<span title="${this.escapeAttribute(repo.branch_protection.pattern)}"><i class="fas fa-shield-alt"></i> Protected</span>` : ''}
+                ${lastCommitAuthor ? `<span><i class="fas fa-user"></i> Last commit by ${this.escapeAttribute(lastCommitAuthor)}</span>` : ''}
+            </div>` : '';
+
         const formatSize = (bytes) => {
             if (bytes < 1024) return `${bytes} KB`;
             return `${(bytes / 1024).toFixed(1)} MB`;
@@ -507,6 +706,7 @@ class EnhancedCaromarApp {
                 <span><i class="fas fa-clock"></i> Updated ${this.formatDate(repo.updated_at)}</span>
                 ${repo.license ? `<span><i class="fas fa-balance-scale"></i> ${repo.license.name}</span>` : ''}
             </div>
+            ${details}
         `;
 
         const checkbox = div.querySelector('.repo-checkbox');
@@ -748,9 +948,15 @@ class EnhancedCaromarApp {
     }
 
     handleOperationChange() {
-        const mergeMode = document.querySelector('input[name="operation"]:checked').value === 'merge';
+        const operation = document.querySelector('input[name="operation"]:checked').value;
+        const mergeMode = operation === 'merge';
         const mergeOptions = document.getElementById('merge-options');
         mergeOptions.style.display = mergeMode ? 'block' : 'none';
+        document.getElementById('fork-options').style.display = operation === 'fork' ? 'block' : 'none';
+        document.getElementById('copy-options').style.display = operation === 'copy' ? 'block' : 'none';
+        document.getElementById('split-options').style.display = operation === 'split' ? 'block' : 'none';
+        document.getElementById('sync-options').style.display = operation === 'sync' ? 'block' : 'none';
+        document.getElementById('issues-options').style.display = operation === 'issues' ? 'block' : 'none';
 
         // Update radio label styling
         document.querySelectorAll('.radio-group label').forEach(label => {
@@ -766,34 +972,334 @@ class EnhancedCaromarApp {
         }
     }
 
-    updateMergePreview() {
+    /**
+     * Show the folder layout of the merged repository with any folder conflicts
+     * @async
+     * @returns {Promise<void>}
+     */
+    async updateMergePreview() {
         const mergePreview = document.getElementById('merge-preview');
         const mergeStructure = document.getElementById('merge-structure');
         const selectedRepos = this.repositories.filter(repo => 
             this.selectedRepos.has(repo.id.toString())
         );
 
-        if (selectedRepos.length > 0) {
-            mergePreview.style.display = 'block';
-            const repoName = document.getElementById('merged-repo-name').value || 'merged-repository';
-            
-            mergeStructure.innerHTML = `
-                <div class="merge-tree">
-                    <div class="folder-icon">📁 ${repoName}/</div>
-                    ${selectedRepos.map(repo => `
-                        <div class="repo-folder">
-                            <div class="folder-icon">📁 ${repo.name}/</div>
-                            <div class="folder-content">
-                                ${repo.language ? `• ${repo.language} files` : ''}
-                                ${repo.description ? `• ${repo.description.substring(0, 50)}...` : ''}
-                            </div>
+        if (selectedRepos.length === 0) {
+            mergePreview.style.display = 'none';
+            return;
+        }
+
+        mergePreview.style.display = 'block';
+        const plan = await this.fetchMergePlan(selectedRepos);
+        const repoName = this.escapeAttribute(document.getElementById('merged-repo-name').value || 'merged-repository');
+        const paths = new Map((plan?.sources || []).map(source => [source.full_name, this.escapeAttribute(source.path)]));
+        const conflictingRepos = new Set((plan?.conflicts || []).flatMap(conflict => conflict.repositories));
+        const manual = plan?.strategy === 'manual';
+
+        mergeStructure.innerHTML = `
+            <div class="merge-tree">
+                <div class="folder-icon">📁 ${repoName}/
+                    ${this.mergePreview ? `<span class="folder-source">${this.mergePreview.totals.files.toLocaleString()} files, ${this.formatBytes(this.mergePreview.totals.bytes)}</span>` : ''}
+                </div>
+                ${selectedRepos.map(repo => `
+                    <div class="repo-folder ${conflictingRepos.has(repo.full_name) ? 'has-conflict' : ''}">
+                        <div class="folder-icon">📁 ${paths.get(repo.full_name) || this.escapeAttribute(repo.name)}/
+                            ${paths.get(repo.full_name) && paths.get(repo.full_name) !== repo.name ? `<span class="folder-source">from ${this.escapeAttribute(repo.full_name)}</span>` : ''}
                         </div>
-                    `).join('')}
+                        ${manual && conflictingRepos.has(repo.full_name) ? `
+                            <input type="text" class="merge-rename-input" data-repo="${this.escapeAttribute(repo.full_name)}"
+                                value="${this.mergeRenames[repo.full_name] ? this.escapeAttribute(this.mergeRenames[repo.full_name]) : paths.get(repo.full_name) || this.escapeAttribute(repo.name)}"
+                                aria-label="Folder for ${this.escapeAttribute(repo.full_name)}">
+                        ` : ''}
+                        <div class="folder-content">
+                            ${this.renderSourcePreview(repo)}
+                        </div>
+                        ${this.renderMergeSpec(repo)}
+                    </div>
+                `).join('')}
+            </div>
+            ${plan ? this.renderMergeConflicts(plan) : ''}
+            ${this.mergePlanError ? `<div class="merge-conflicts"><div class="merge-conflict warning">ℹ️ Merge plan unavailable: ${this.escapeAttribute(this.mergePlanError)}</div></div>` : ''}
+        `;
+    }
+
+    /**
+     * Render the dry-run numbers and warnings of one merge source
+     * @param {Object} repo - Selected repository
+     * @returns {string} - HTML
+     */
+    renderSourcePreview(repo) {
+        const source = this.mergePreview?.sources.find(entry => entry.full_name === repo.full_name);
+        if (!source) {
+            return '';
+        }
+        if (source.error) {
+            return `• Preview unavailable: ${this.escapeAttribute(source.error)}`;
+        }
+
+        const archival = this.mergePreview.archival?.sources.find(entry => entry.full_name === repo.full_name);
+        let archivalLabel = '';
+        if (archival?.status === 'planned') {
+            const action = archival.notice === 'pull_request' ? 'get a pull request with' : 'be archived after a commit with';
+            archivalLabel = `Will ${action} a "moved to" notice in ${this.escapeAttribute(archival.readme.path)}`;
+        } else if (archival) {
+            archivalLabel = `Not archived: ${this.escapeAttribute(archival.reason)}`;
+        }
+        return `
+            • ${source.files.toLocaleString()} files, ${this.formatBytes(source.bytes)} at ${this.escapeAttribute(source.ref)}
+            ${source.warnings.map(warning => `
+                <div class="merge-preview-warning" title="${this.escapeAttribute(warning.paths.join('\n'))}">⚠️ ${this.escapeAttribute(warning.message)}</div>
+            `).join('')}
+            ${archival ? `
+                <div class="merge-preview-archival" title="${archival.banner ? this.escapeAttribute(archival.banner) : ''}">
+                    🗄️ ${archivalLabel}
                 </div>
-            `;
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Format a byte count for display
+     * @param {number} bytes - Size in bytes
+     * @returns {string} - Human readable size
+     */
+    formatBytes(bytes) {
+        const units = ['B', 'KB', 'MB', 'GB'];
+        let size = bytes;
+        let unit = 0;
+        while (size >= 1024 && unit < units.length - 1) {
+            size /= 1024;
+            unit++;
+        }
+        return `${unit === 0 ? size : size.toFixed(1)} ${units[unit]}`;
+    }
+
+    /**
+     * Render the per-repository merge options (ref, target folder, include/exclude patterns)
+     * @param {Object} repo - Selected repository
+     * @returns {string} - HTML
+     */
+    renderMergeSpec(repo) {
+        const spec = this.mergeSpecs[repo.full_name] || {};
+        const input = (field, label, value, placeholder) => `
+            <label>${label}
+                <input type="text" class="merge-spec-input" data-repo="${this.escapeAttribute(repo.full_name)}" data-field="${field}"
+                    value="${this.escapeAttribute(value || '')}" placeholder="${this.escapeAttribute(placeholder)}">
+            </label>
+        `;
+
+        return `
+            <details class="merge-spec" ${Object.keys(spec).length > 0 ? 'open' : ''}>
+                <summary>Merge options</summary>
+                ${input('ref', 'Branch, tag or SHA', spec.ref, repo.default_branch || 'default branch')}
+                ${input('target_path', 'Target folder', spec.target_path, repo.name)}
+                ${input('include', 'Include', (spec.include || []).join(', '), 'e.g. src/, *.md (everything)')}
+                ${input('exclude', 'Exclude', (spec.exclude || []).join(', '), 'e.g. docs/, dist/')}
+                ${document.getElementById('merge-archive-sources').checked ? `
+                    <label class="merge-spec-checkbox">
+                        <input type="checkbox" class="merge-spec-input" data-repo="${this.escapeAttribute(repo.full_name)}" data-field="archive"
+                            ${spec.archive === false ? 'checked' : ''}>
+                        Keep this repository active (don't archive)
+                    </label>
+                ` : ''}
+            </details>
+        `;
+    }
+
+    /**
+     * Store one field of a repository's merge options
+     * @param {string} fullName - Repository full name
+     * @param {string} field - ref, target_path, include, exclude or archive
+     * @param {string|boolean} value - Input value; patterns are comma separated, archive is a boolean
+     * @returns {void}
+     */
+    updateMergeSpec(fullName, field, value) {
+        const spec = { ...this.mergeSpecs[fullName] };
+        if (field === 'archive') {
+            // Sources are archived unless they opt out
+            if (value === false) {
+                spec.archive = false;
+            } else {
+                delete spec.archive;
+            }
+            this.mergeSpecs[fullName] = spec;
+            return;
+        }
+
+        const parsed = ['include', 'exclude'].includes(field)
+            ? value.split(',').map(pattern => pattern.trim()).filter(Boolean)
+            : value.trim();
+
+        if (parsed.length > 0) {
+            spec[field] = parsed;
         } else {
-            mergePreview.style.display = 'none';
+            delete spec[field];
+        }
+        this.mergeSpecs[fullName] = spec;
+    }
+
+    /**
+     * Build the repository entry sent to the merge APIs
+     * @param {Object} repo - Selected repository
+     * @returns {Object} - Repository with its merge options
+     */
+    toMergeSource(repo) {
+        return {
+            name: repo.name,
+            full_name: repo.full_name,
+            clone_url: repo.clone_url,
+            default_branch: repo.default_branch,
+            description: repo.description,
+            ...this.mergeSpecs[repo.full_name]
+        };
+    }
+
+    /**
+     * Escape a value for use inside an HTML attribute
+     * @param {string} value - Raw value
+     * @returns {string} - Escaped value
+     */
+    escapeAttribute(value) {
+        return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+    }
+
+    /**
+     * Read the archival options of the merge form
+     * The merged repository's name and owner are included so the dry run
+     * can show the "moved to" notice each source would get.
+     * @returns {Object} - Request fields, empty when archiving is off
+     */
+    getArchiveOptions() {
+        if (!document.getElementById('merge-archive-sources').checked) {
+            return {};
+        }
+        return {
+            archive_sources: true,
+            archive_notice: document.getElementById('merge-archive-notice').value,
+            name: document.getElementById('merged-repo-name').value.trim() || undefined,
+            organization: document.getElementById('merged-repo-organization').value || undefined
+        };
+    }
+
+    /**
+     * Read the tag and release options of the merge form
+     * @param {string} mergeMode - Selected merge mode
+     * @returns {Object} - Request fields, empty unless the merge keeps history
+     */
+    getReleaseOptions(mergeMode) {
+        if (mergeMode !== 'history') {
+            return {};
+        }
+        const releases = document.getElementById('merge-releases').checked;
+        return {
+            tags: document.getElementById('merge-tags').checked || undefined,
+            releases: releases || undefined,
+            release_assets: releases && document.getElementById('merge-release-assets').checked ? true : undefined
+        };
+    }
+
+    /**
+     * Read the issue migration options of the merge form
+     * @param {string} mergeMode - Selected merge mode
+     * @returns {Object} - Request fields, empty unless issues are migrated
+     */
+    getIssueOptions(mergeMode) {
+        if (mergeMode === 'instructions' || !document.getElementById('merge-issues').checked) {
+            return {};
+        }
+        return {
+            migrate_issues: true,
+            include_closed_issues: document.getElementById('merge-issues-closed').checked || undefined
+        };
+    }
+
+    /**
+     * Fetch the merge plan for the selected repositories, with a dry-run preview when signed in
+     * Plans are cached until the selection, merge options, strategy or renames change.
+     * @async
+     * @param {Array<Object>} repos - Selected repositories
+     * @returns {Promise<Object|null>} - Merge plan, or null if it could not be loaded
+     */
+    async fetchMergePlan(repos) {
+        const strategy = document.getElementById('merge-conflict-strategy').value;
+        const renames = {};
+        for (const repo of repos) {
+            if (strategy === 'manual' && this.mergeRenames[repo.full_name]) {
+                renames[repo.full_name] = this.mergeRenames[repo.full_name];
+            }
         }
+
+        const archive = this.getArchiveOptions();
+        const key = JSON.stringify([repos.map(repo => this.toMergeSource(repo)), strategy, renames, archive]);
+        if (key === this.mergePlanKey) {
+            return this.mergePlan;
+        }
+
+        // With a token the server also walks each source's tree (dry run)
+        const endpoint = this.githubToken ? '/api/merge-plan/preview' : '/api/merge-plan';
+
+        try {
+            const response = await this.apiFetch(endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    repositories: repos.map(repo => this.toMergeSource(repo)),
+                    conflict_strategy: strategy,
+                    renames,
+                    ...archive,
+                    token: this.githubToken || undefined
+                })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to plan merge');
+            }
+            this.mergePlan = data.plan;
+            this.mergePreview = data.sources ? { sources: data.sources, totals: data.totals, archival: data.archival } : null;
+            this.mergePlanKey = key;
+            this.mergePlanError = null;
+        } catch (error) {
+            this.mergePlanError = error.message;
+            this.mergePlan = null;
+            this.mergePreview = null;
+            this.mergePlanKey = null;
+        }
+        return this.mergePlan;
+    }
+
+    /**
+     * Render the conflicts and warnings of a merge plan
+     * @param {Object} plan - Merge plan
+     * @returns {string} - HTML
+     */
+    renderMergeConflicts(plan) {
+        if (plan.conflicts.length === 0 && plan.warnings.length === 0) {
+            return '';
+        }
+
+        return `
+            <div class="merge-conflicts">
+                ${plan.conflicts.map(conflict => `
+                    <div class="merge-conflict ${conflict.resolved ? 'resolved' : 'unresolved'}">
+                        ${conflict.resolved ? '✅' : '⚠️'} ${this.escapeAttribute(conflict.message)}
+                        ${conflict.resolved ? `
+                            <div class="conflict-resolution">
+                                Resolved: ${conflict.resolution.map(entry => this.escapeAttribute(`${entry.repository} → ${entry.path}/`)).join(', ')}
+                            </div>
+                        ` : `
+                            <div class="conflict-resolution">
+                                ${plan.strategy === 'manual' ? 'Enter a different folder name above.' : 'Choose a different folder name.'}
+                            </div>
+                        `}
+                    </div>
+                `).join('')}
+                ${plan.warnings.map(warning => `
+                    <div class="merge-conflict warning">ℹ️ ${this.escapeAttribute(warning.message)}</div>
+                `).join('')}
+            </div>
+        `;
     }
 
     async checkRepositoryNameAvailability() {
@@ -809,7 +1315,8 @@ class EnhancedCaromarApp {
         checkBtn.disabled = true;
 
         try {
-            const response = await fetch(`https://api.github.com/repos/${this.currentUser.username}/${repoName}`, {
+            const owner = document.getElementById('merged-repo-organization').value || this.currentUser.username;
+            const response = await fetch(`${this.currentGithubServer().api_url}/repos/${owner}/${repoName}`, {
                 headers: {
                     'Authorization': `token ${this.githubToken}`,
                     'Accept': 'application/vnd.github.v3+json'
@@ -837,7 +1344,7 @@ class EnhancedCaromarApp {
         executeBtn.disabled = selectedCount === 0;
 
         if (selectedCount > 0) {
-            const action = operation === 'fork' ? 'Fork' : 'Merge';
+            const action = { fork: 'Fork', merge: 'Merge', copy: 'Copy', split: 'Split', sync: 'Sync', resync: 'Resync', bump: 'Bump Submodules of', issues: 'Migrate Issues into' }[operation];
             executeBtn.innerHTML = `<i class="fas fa-play"></i> ${action} ${selectedCount} Selected Repositor${selectedCount === 1 ? 'y' : 'ies'}`;
         } else {
             executeBtn.innerHTML = '<i class="fas fa-play"></i> Execute Selected Action';
@@ -856,73 +1363,460 @@ class EnhancedCaromarApp {
 
         if (operation === 'fork') {
             await this.forkRepositories(selectedRepos);
+        } else if (operation === 'copy') {
+            await this.copyRepositories(selectedRepos);
+        } else if (operation === 'split') {
+            await this.splitRepository(selectedRepos);
+        } else if (operation === 'sync') {
+            await this.syncForks(selectedRepos);
+        } else if (operation === 'resync') {
+            await this.resyncRepositories(selectedRepos);
+        } else if (operation === 'bump') {
+            await this.bumpSubmodules(selectedRepos);
+        } else if (operation === 'issues') {
+            await this.migrateIssues(selectedRepos);
         } else {
             await this.mergeRepositories(selectedRepos);
         }
     }
 
+    /**
+     * Fork repositories through a background job
+     * The job keeps running on the server if the tab is closed, and is
+     * picked up again after the next token validation.
+     * @async
+     * @param {Array<Object>} repos - Repositories to fork
+     * @returns {Promise<void>}
+     */
     async forkRepositories(repos) {
         this.showProgressSection();
-        const results = [];
-        
-        for (let i = 0; i < repos.length; i++) {
-            const repo = repos[i];
-            const progress = ((i + 1) / repos.length) * 100;
-            
-            this.updateProgress(progress, `Forking ${repo.name} (${i + 1}/${repos.length})`);
-            
-            try {
-                const [owner, repoName] = repo.full_name.split('/');
-                const response = await fetch('/api/fork-repo', {
-                    method: 'POST',
+        this.updateProgress(0, `Starting fork job for ${repos.length} repositories...`);
+
+        try {
+            const job = await this.startJob('fork', {
+                repositories: repos.map(repo => repo.full_name),
+                wait_for_ready: document.getElementById('fork-wait-ready').checked
+            });
+            await this.followJob(job);
+        } catch (error) {
+            this.updateProgress(0, 'Forking failed');
+            this.showError(`Fork failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Copy repositories into new, independent repositories through a background job
+     * @async
+     * @param {Array<Object>} repos - Repositories to copy
+     * @returns {Promise<void>}
+     */
+    async copyRepositories(repos) {
+        const organization = document.getElementById('copy-organization').value.trim();
+        const visibility = document.getElementById('copy-visibility').value;
+
+        if (visibility === 'internal' && !organization) {
+            this.showError('Internal visibility requires a target organization');
+            return;
+        }
+
+        this.showProgressSection();
+        this.updateProgress(0, `Starting copy job for ${repos.length} repositories...`);
+
+        try {
+            const job = await this.startJob('copy', {
+                repositories: repos.map(repo => repo.full_name),
+                organization: organization || undefined,
+                visibility,
+                name_suffix: document.getElementById('copy-name-suffix').value.trim()
+            });
+            await this.followJob(job);
+        } catch (error) {
+            this.updateProgress(0, 'Copy failed');
+            this.showError(`Copy failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Import new source commits into merged repositories through a background job
+     * Only repositories with a caromar.json manifest can be resynced; the
+     * others are reported as failed items.
+     * @async
+     * @param {Array<Object>} repos - Merged repositories to resync
+     * @returns {Promise<void>}
+     */
+    async resyncRepositories(repos) {
+        this.showProgressSection();
+        this.updateProgress(0, `Starting resync job for ${repos.length} repositories...`);
+
+        try {
+            const job = await this.startJob('resync', {
+                repositories: repos.map(repo => repo.full_name)
+            });
+            await this.followJob(job);
+        } catch (error) {
+            this.updateProgress(0, 'Resync failed');
+            this.showError(`Resync failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Move the submodule pins of repositories through a background job
+     * Repositories without a .gitmodules are reported as failed items.
+     * @async
+     * @param {Array<Object>} repos - Repositories with submodules
+     * @returns {Promise<void>}
+     */
+    async bumpSubmodules(repos) {
+        this.showProgressSection();
+        this.updateProgress(0, `Starting bump job for ${repos.length} repositories...`);
+
+        try {
+            const job = await this.startJob('bump', {
+                repositories: repos.map(repo => repo.full_name)
+            });
+            await this.followJob(job);
+        } catch (error) {
+            this.updateProgress(0, 'Bump failed');
+            this.showError(`Bump failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Split a folder of the selected repository into a new repository
+     * The result is reported like a merge.
+     * @async
+     * @param {Array<Object>} repos - Repository to split (exactly one)
+     * @returns {Promise<void>}
+     */
+    async splitRepository(repos) {
+        if (repos.length !== 1) {
+            this.showError('Select the one repository to split a folder out of');
+            return;
+        }
+        const path = document.getElementById('split-path').value.trim();
+        if (!path) {
+            this.showError('Enter the folder to split out');
+            return;
+        }
+
+        this.showProgressSection();
+        this.updateProgress(10, `Splitting ${path}/ out of ${repos[0].full_name}...`);
+
+        try {
+            const response = await this.apiFetch('/api/split-repo', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    source: repos[0].full_name,
+                    path,
+                    name: document.getElementById('split-repo-name').value.trim() || undefined,
+                    organization: document.getElementById('split-organization').value || undefined,
+                    private: document.getElementById('split-private').checked,
+                    token: this.githubToken
+                })
+            });
+            const result = await response.json();
+
+            if (response.ok) {
+                this.updateProgress(100, 'Folder split successfully!');
+                this.showMergeResult(result);
+            } else if (result.rollback) {
+                const cleanup = result.rollback.steps.map(step => step.description || `${step.type} ${step.full_name}: ${step.error}`);
+                throw new Error(`${result.error} (${result.details}). ${cleanup.join('; ')}`);
+            } else {
+                throw new Error(result.details ? `${result.error}: ${result.details}` : (result.error || 'Failed to split repository'));
+            }
+        } catch (error) {
+            this.updateProgress(0, 'Failed to split repository');
+            this.showError(`Split failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Copy the issues, labels and milestones of a merged repository's sources
+     * into it through a background job, with one result per source
+     * @async
+     * @param {Array<Object>} repos - The merged repository (exactly one)
+     * @returns {Promise<void>}
+     */
+    async migrateIssues(repos) {
+        if (repos.length !== 1) {
+            this.showError('Select the one merged repository to migrate issues into');
+            return;
+        }
+
+        this.showProgressSection();
+        this.updateProgress(0, `Starting issue migration into ${repos[0].full_name}...`);
+
+        try {
+            const job = await this.startJob('issues', {
+                repository: repos[0].full_name,
+                include_closed: document.getElementById('issues-include-closed').checked
+            });
+            await this.followJob(job);
+        } catch (error) {
+            this.updateProgress(0, 'Issue migration failed');
+            this.showError(`Issue migration failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Sync forks with their upstream repositories through a background job
+     * Repositories that are not forks are skipped.
+     * @async
+     * @param {Array<Object>} repos - Repositories to sync
+     * @returns {Promise<void>}
+     */
+    async syncForks(repos) {
+        const forks = repos.filter(repo => repo.fork);
+        if (forks.length === 0) {
+            this.showError('None of the selected repositories are forks');
+            return;
+        }
+        if (forks.length < repos.length) {
+            this.showWarning(`Skipping ${repos.length - forks.length} selected repositories that are not forks`);
+        }
+
+        this.showProgressSection();
+        this.updateProgress(0, `Starting sync job for ${forks.length} forks...`);
+
+        try {
+            const job = await this.startJob('sync', {
+                repositories: forks.map(repo => repo.full_name),
+                open_pull_request: document.getElementById('sync-open-pr').checked
+            });
+            await this.followJob(job);
+        } catch (error) {
+            this.updateProgress(0, 'Sync failed');
+            this.showError(`Sync failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Start a background job on the server
+     * @async
+     * @param {string} type - Job type
+     * @param {Object} params - Job parameters
+     * @returns {Promise<Object>} - Created job
+     */
+    async startJob(type, params) {
+        const response = await this.apiFetch('/api/jobs', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                type,
+                params,
+                token: this.githubToken
+            })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to start job');
+        }
+
+        localStorage.setItem('caromar_active_job', JSON.stringify({ id: data.job.id, type }));
+        return data.job;
+    }
+
+    /**
+     * Poll a job until it finishes, updating the progress bar, then show its results
+     * @async
+     * @param {Object} job - Job returned by the server
+     * @returns {Promise<void>}
+     */
+    async followJob(job) {
+        const finished = ['completed', 'failed', 'cancelled', 'interrupted'];
+        this.activeJobId = job.id;
+        document.getElementById('cancel-job').style.display = 'inline-block';
+
+        try {
+            while (!finished.includes(job.status)) {
+                await new Promise(resolve => setTimeout(resolve, 2000));
+
+                const response = await this.apiFetch(`/api/jobs/${job.id}`, {
                     headers: {
-                        'Content-Type': 'application/json',
-                    },
-                    body: JSON.stringify({
-                        owner,
-                        repo: repoName,
-                        token: this.githubToken
-                    })
+                        'Authorization': `Bearer ${this.githubToken}`
+                    }
                 });
-
-                const result = await response.json();
-                
-                if (response.ok) {
-                    results.push({
-                        repo: repo.name,
-                        success: true,
-                        url: result.fork_url,
-                        clone_url: result.clone_url,
-                        message: result.message
-                    });
-                } else {
-                    results.push({
-                        repo: repo.name,
-                        success: false,
-                        error: result.error,
-                        details: result.details
-                    });
+                const data = await response.json();
+                if (!response.ok) {
+                    throw new Error(data.error || 'Failed to fetch job status');
                 }
-            } catch (error) {
-                results.push({
-                    repo: repo.name,
-                    success: false,
-                    error: error.message
-                });
+                job = data.job;
+
+                const done = job.summary.succeeded + job.summary.failed + job.summary.cancelled;
+                const progress = job.summary.total > 0 ? (done / job.summary.total) * 100 : 0;
+                const current = job.items.find(item => item.status === 'running');
+                this.updateProgress(progress, current
+                    ? `Processing ${current.id} (${done + 1}/${job.summary.total})`
+                    : `${done}/${job.summary.total} done`);
             }
+        } finally {
+            this.activeJobId = null;
+            localStorage.removeItem('caromar_active_job');
+            document.getElementById('cancel-job').style.display = 'none';
+        }
 
-            // Delay to respect rate limits
-            await new Promise(resolve => setTimeout(resolve, 1000));
+        if (job.status === 'failed') {
+            throw new Error(job.error?.message || 'Job failed');
         }
 
-        this.updateProgress(100, 'Forking complete!');
-        this.showResults(results, 'fork');
+        this.updateProgress(100, job.status === 'completed' ? 'Job complete!' : `Job ${job.status}`);
+        this.showResults(this.jobItemsToResults(job), job.type);
+    }
+
+    /**
+     * Convert job items into the shape used by showResults
+     * @param {Object} job - Finished job
+     * @returns {Array<Object>} - Result entries
+     */
+    jobItemsToResults(job) {
+        const syncMessages = {
+            fast_forwarded: 'Fast-forwarded to upstream',
+            merged: 'Merged upstream changes',
+            up_to_date: 'Already up to date',
+            conflict: 'Diverged from upstream; cannot fast-forward'
+        };
+
+        return job.items.map(item => {
+            if (item.status === 'succeeded' && job.type === 'sync') {
+                return {
+                    repo: item.id,
+                    success: true,
+                    warning: item.result.status === 'conflict',
+                    url: item.result.html_url,
+                    message: syncMessages[item.result.status] || item.result.status,
+                    pull_request_url: item.result.pull_request?.html_url
+                };
+            }
+            if (item.status === 'succeeded' && job.type === 'resync') {
+                const problems = item.result.resync.sources
+                    .filter(source => source.status === 'conflict' || source.status === 'failed')
+                    .map(source => this.escapeAttribute(`${source.name}: ${source.status === 'conflict' ? `conflicts in ${source.conflicts.join(', ')}` : source.error}`));
+                return {
+                    repo: item.id,
+                    success: true,
+                    warning: problems.length > 0,
+                    url: item.result.repository.html_url,
+                    message: [item.result.message, ...problems].join('; ')
+                };
+            }
+            if (item.status === 'succeeded' && job.type === 'bump') {
+                const problems = item.result.bump.submodules
+                    .filter(submodule => submodule.status === 'failed')
+                    .map(submodule => this.escapeAttribute(`${submodule.path}: ${submodule.error}`));
+                return {
+                    repo: item.id,
+                    success: true,
+                    warning: problems.length > 0,
+                    url: item.result.repository.html_url,
+                    message: [item.result.message, ...problems].join('; ')
+                };
+            }
+            if (item.status === 'succeeded' && job.type === 'issues') {
+                const { labels, milestones, issues, copies } = item.result;
+                const problems = [
+                    ...item.result.failures,
+                    ...copies.filter(copy => !copy.cross_referenced)
+                ].map(problem => this.escapeAttribute(`${problem.from}: ${problem.error}`));
+                const counts = [
+                    `Migrated ${issues.migrated} issue${issues.migrated === 1 ? '' : 's'}`,
+                    issues.skipped > 0 ? `${issues.skipped} already migrated` : null,
+                    `${labels.created} label${labels.created === 1 ? '' : 's'} and ${milestones.created} milestone${milestones.created === 1 ? '' : 's'} created`
+                ].filter(Boolean);
+                return {
+                    repo: `${item.id} → ${item.result.target} (${this.escapeAttribute(item.result.prefix)}:)`,
+                    success: true,
+                    warning: problems.length > 0,
+                    url: item.result.issues_url,
+                    message: [...counts, ...problems].join('; ')
+                };
+            }
+            if (item.status === 'succeeded' && job.type === 'copy') {
+                return {
+                    repo: item.id,
+                    success: true,
+                    url: item.result.repository.html_url,
+                    clone_url: item.result.repository.clone_url,
+                    message: item.result.message
+                };
+            }
+            if (item.status === 'succeeded') {
+                const fork = item.result?.fork || item.result;
+                return {
+                    repo: item.id,
+                    success: true,
+                    url: fork?.fork_url,
+                    clone_url: fork?.clone_url,
+                    message: item.result?.status === 'already_exists' ? 'Fork already exists' : 'Completed',
+                    readiness: item.result?.readiness
+                };
+            }
+            return {
+                repo: item.id,
+                success: false,
+                error: item.status === 'cancelled' ? 'Cancelled' : item.error?.message,
+                details: item.error?.details
+            };
+        });
+    }
+
+    /**
+     * Request cancellation of the job currently being followed
+     * @async
+     * @returns {Promise<void>}
+     */
+    async cancelActiveJob() {
+        if (!this.activeJobId) return;
+
+        try {
+            const response = await this.apiFetch(`/api/jobs/${this.activeJobId}`, {
+                method: 'DELETE',
+                headers: {
+                    'Authorization': `Bearer ${this.githubToken}`
+                }
+            });
+            if (response.ok) {
+                this.showWarning('Cancelling job - running items will finish first');
+            }
+        } catch (error) {
+            this.showError(`Failed to cancel job: ${error.message}`);
+        }
+    }
+
+    /**
+     * Resume following a job started before the page was reloaded
+     * @async
+     * @returns {Promise<void>}
+     */
+    async resumeActiveJob() {
+        const stored = JSON.parse(localStorage.getItem('caromar_active_job') || 'null');
+        if (!stored || this.activeJobId) return;
+
+        document.getElementById('repos-list-section').style.display = 'block';
+        this.showProgressSection();
+        this.updateProgress(0, 'Resuming job...');
+
+        try {
+            await this.followJob({ id: stored.id, type: stored.type, status: 'running' });
+        } catch (error) {
+            localStorage.removeItem('caromar_active_job');
+            this.showError(`Job could not be resumed: ${error.message}`);
+        }
     }
 
     async mergeRepositories(repos) {
         const mergedRepoName = document.getElementById('merged-repo-name').value.trim();
         const mergedRepoDescription = document.getElementById('merged-repo-description').value.trim();
+        const organization = document.getElementById('merged-repo-organization').value;
         const isPrivate = document.getElementById('merged-repo-private').checked;
+        const mergeMode = document.getElementById('merge-mode').value;
+        const conflictStrategy = document.getElementById('merge-conflict-strategy').value;
         
         if (!mergedRepoName) {
             this.showError('Please enter a name for the merged repository');
@@ -930,10 +1824,12 @@ class EnhancedCaromarApp {
         }
 
         this.showProgressSection();
-        this.updateProgress(10, 'Creating merged repository...');
+        this.updateProgress(10, mergeMode === 'instructions'
+            ? 'Creating merged repository...'
+            : 'Creating repository and importing repositories...');
 
         try {
-            const response = await fetch('/api/create-merged-repo', {
+            const response = await this.apiFetch('/api/create-merged-repo', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -941,22 +1837,36 @@ class EnhancedCaromarApp {
                 body: JSON.stringify({
                     name: mergedRepoName,
                     description: mergedRepoDescription,
-                    repositories: repos.map(repo => ({
-                        name: repo.name,
-                        full_name: repo.full_name,
-                        clone_url: repo.clone_url,
-                        description: repo.description
-                    })),
+                    organization: organization || undefined,
+                    repositories: repos.map(repo => this.toMergeSource(repo)),
                     token: this.githubToken,
-                    private: isPrivate
+                    private: isPrivate,
+                    mode: mergeMode,
+                    conflict_strategy: conflictStrategy,
+                    renames: conflictStrategy === 'manual' ? this.mergeRenames : {},
+                    ...this.getReleaseOptions(mergeMode),
+                    ...this.getIssueOptions(mergeMode),
+                    ...this.getArchiveOptions()
                 })
             });
 
             const result = await response.json();
             
+            if (response.status === 409 && Array.isArray(result.details)) {
+                throw new Error(`${result.error}: ${result.details.map(conflict => conflict.message).join('; ')}`);
+            }
+
             if (response.ok) {
-                this.updateProgress(100, 'Repository created successfully!');
-                this.showMergeInstructions(result);
+                if (result.merge) {
+                    this.updateProgress(100, 'Repositories merged successfully!');
+                    this.showMergeResult(result);
+                } else {
+                    this.updateProgress(100, 'Repository created successfully!');
+                    this.showMergeInstructions(result);
+                }
+            } else if (result.rollback) {
+                const cleanup = result.rollback.steps.map(step => step.description || `${step.type} ${step.full_name}: ${step.error}`);
+                throw new Error(`${result.error} (${result.details}). ${cleanup.join('; ')}`);
             } else {
                 throw new Error(result.error || 'Failed to create merged repository');
             }
@@ -966,46 +1876,223 @@ class EnhancedCaromarApp {
         }
     }
 
+    /**
+     * Display the commands and downloadable scripts for an instructions merge
+     * @param {Object} result - Response from /api/create-merged-repo in instructions mode
+     * @returns {void}
+     */
     showMergeInstructions(result) {
         const resultsSection = document.getElementById('results-section');
         const resultsContent = document.getElementById('results-content');
-        
+        const instructions = result.merge_instructions;
+        const scripts = instructions.scripts || [];
+        const variants = [
+            { variant: 'snapshot', label: 'Current files' },
+            { variant: 'history', label: 'Full history' }
+        ];
+
         resultsContent.innerHTML = `
             <div class="merge-success">
                 <div class="summary-card">
                     <h3>✅ Repository Created Successfully</h3>
-                    <p><strong>Name:</strong> ${result.repository.name}</p>
-                    <p><strong>URL:</strong> <a href="${result.repository.html_url}" target="_blank">${result.repository.html_url}</a></p>
+                    <p><strong>Name:</strong> ${this.escapeAttribute(result.repository.name)}</p>
+                    <p><strong>URL:</strong> <a href="${this.escapeAttribute(result.repository.html_url)}" target="_blank">${this.escapeAttribute(result.repository.html_url)}</a></p>
                 </div>
                 
                 <div class="merge-instructions">
                     <h4>📋 Manual Merge Instructions</h4>
                     <p>To complete the merge process, run the following commands locally:</p>
                     <div class="code-block">
-                        <pre><code>${result.merge_instructions.steps.join('\n')}</code></pre>
-                        <button class="copy-btn" onclick="navigator.clipboard.writeText('${result.merge_instructions.steps.join('\\n')}')">
+                        <pre><code>${this.escapeAttribute(instructions.steps.join('\n'))}</code></pre>
+                        <button class="copy-btn" id="merge-copy-steps">
                             📋 Copy Commands
                         </button>
                     </div>
+                    ${scripts.length ? variants.map(({ variant, label }) => `
+                        <div class="result-actions">
+                            <strong>${label}:</strong>
+                            ${scripts.map((script, index) => script.variant === variant ? `
+                                <button class="btn btn-small merge-script-download" data-script="${index}">
+                                    <i class="fas fa-download"></i> ${this.escapeAttribute(script.filename)}
+                                </button>
+                            ` : '').join('')}
+                        </div>
+                    `).join('') : ''}
                 </div>
                 
                 <div class="merge-repos">
                     <h4>📦 Repositories to Merge</h4>
-                    ${result.merge_instructions.repositories.map(repo => `
+                    ${instructions.repositories.map(repo => `
                         <div class="repo-merge-item">
-                            <strong>${repo.name}</strong>
-                            <p>${repo.description || 'No description'}</p>
-                            <a href="${repo.clone_url}" target="_blank" class="clone-link">Clone URL</a>
+                            <strong>${this.escapeAttribute(repo.name)}</strong>
+                            <p>${this.escapeAttribute(repo.description || 'No description')}</p>
+                            <a href="${this.escapeAttribute(repo.clone_url)}" target="_blank" class="clone-link">Clone URL</a>
                         </div>
                     `).join('')}
                 </div>
             </div>
         `;
+
+        document.getElementById('merge-copy-steps').addEventListener('click', () => {
+            navigator.clipboard.writeText(instructions.steps.join('\n'));
+        });
+        resultsContent.querySelectorAll('.merge-script-download').forEach(button => {
+            button.addEventListener('click', () => {
+                const script = scripts[button.dataset.script];
+                const blob = new Blob([script.content], { type: 'text/plain' });
+                const url = URL.createObjectURL(blob);
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = script.filename;
+                a.click();
+                URL.revokeObjectURL(url);
+            });
+        });
         
         resultsSection.style.display = 'block';
         resultsSection.scrollIntoView({ behavior: 'smooth' });
     }
 
+    /**
+     * Display the outcome of a server-side merge or split
+     * @param {Object} result - Response from /api/create-merged-repo or /api/split-repo
+     * @returns {void}
+     */
+    showMergeResult(result) {
+        const resultsSection = document.getElementById('results-section');
+        const resultsContent = document.getElementById('results-content');
+        const merge = result.merge || result.split;
+        const isSnapshot = merge.mode === 'snapshot';
+        const isSplit = merge.mode === 'split';
+        const isSubmodules = merge.mode === 'submodules';
+        let imported = `${merge.sources.reduce((sum, source) => sum + source.commits, 0)} commits ${isSplit ? 'kept' : 'imported'}`;
+        if (isSnapshot) {
+            imported = `${merge.sources.reduce((sum, source) => sum + source.files, 0)} files imported`;
+        } else if (isSubmodules) {
+            imported = `${merge.sources.length} submodules pinned`;
+        }
+
+        resultsContent.innerHTML = `
+            <div class="merge-success">
+                <div class="summary-card">
+                    <h3>✅ ${result.message}</h3>
+                    <p><strong>Name:</strong> ${result.repository.name}</p>
+                    <p><strong>URL:</strong> <a href="${result.repository.html_url}" target="_blank">${result.repository.html_url}</a></p>
+                    <p><strong>${isSplit ? 'Head' : 'Merge'} commit:</strong> <code>${merge.commit.substring(0, 7)}</code> on ${merge.branch} • ${imported}</p>
+                    ${result.provenance ? `
+                        <p><strong>Provenance:</strong> <a href="${result.provenance.html_url}" target="_blank">${result.provenance.path}</a></p>
+                    ` : ''}
+                </div>
+
+                <div class="merge-repos">
+                    <h4>📦 ${isSplit ? 'Split Folder' : isSubmodules ? 'Submodules' : 'Imported Repositories'}</h4>
+                    ${merge.sources.map(source => `
+                        <div class="repo-merge-item">
+                            <strong>${source.name}</strong> ${isSplit ? '←' : '→'} <code>${source.path}/</code>
+                            ${isSubmodules ? `
+                                <p>Pinned to <code>${source.source_sha.substring(0, 7)}</code> of ${source.ref}${source.branch ? ', follows the branch when bumped' : ''}</p>
+                            ` : `
+                                <p>${isSnapshot ? `${source.files} files` : `${source.commits} commits`} from ${source.ref} (<code>${source.source_sha.substring(0, 7)}</code>)</p>
+                            `}
+                            ${source.tags ? `<p>🏷️ ${source.tags.created.length} tags recreated under <code>${source.path}/</code>${source.tags.skipped.length ? `, ${source.tags.skipped.length} skipped` : ''}</p>` : ''}
+                        </div>
+                    `).join('')}
+                </div>
+                ${result.releases ? this.renderReleaseResults(result.releases) : ''}
+                ${result.issues ? this.renderIssueResults(result.issues) : ''}
+                ${result.archival ? this.renderArchivalResults(result.archival) : ''}
+                ${isSplit ? '' : `
+                    <div class="result-actions">
+                        <button id="merge-migrate-issues" class="btn btn-small">
+                            <i class="fas fa-list-check"></i> Migrate Issues, Labels and Milestones
+                        </button>
+                    </div>
+                `}
+            </div>
+        `;
+
+        if (!isSplit) {
+            document.getElementById('merge-migrate-issues').addEventListener('click', () => {
+                this.migrateIssues([result.repository]);
+            });
+        }
+
+        resultsSection.style.display = 'block';
+        resultsSection.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    /**
+     * Render the releases copied into the merged repository
+     * @param {Object} releases - { sources, summary } from the merge response
+     * @returns {string} - HTML
+     */
+    renderReleaseResults(releases) {
+        const { summary } = releases;
+        const problems = releases.sources.flatMap(source => [
+            ...(source.error ? [`${source.full_name}: ${source.error}`] : []),
+            ...source.releases
+                .filter(release => release.status === 'failed' || release.assets?.failed.length)
+                .map(release => `${source.full_name} ${release.tag_name}: ${release.error || release.assets.failed.map(asset => `${asset.name} (${asset.error})`).join(', ')}`)
+        ]);
+
+        return `
+            <div class="merge-repos">
+                <h4>📦 Releases</h4>
+                <p>${summary.created} created, ${summary.skipped} skipped, ${summary.failed} failed${summary.assets ? ` • ${summary.assets} assets copied` : ''}</p>
+                ${problems.map(problem => `<p>⚠️ ${this.escapeAttribute(problem)}</p>`).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the issues migrated into the merged repository
+     * @param {Object} issues - { sources, summary } from the merge response
+     * @returns {string} - HTML
+     */
+    renderIssueResults(issues) {
+        const { summary } = issues;
+        const problems = issues.sources.flatMap(source => [
+            ...(source.error ? [`${source.source}: ${source.error}`] : []),
+            ...(source.failures || []).map(failure => `${failure.from}: ${failure.error}`)
+        ]);
+
+        return `
+            <div class="merge-repos">
+                <h4>🗂️ Issues</h4>
+                <p>${summary.migrated} migrated, ${summary.skipped} already migrated, ${summary.failed} failed</p>
+                ${problems.map(problem => `<p>⚠️ ${this.escapeAttribute(problem)}</p>`).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Render what happened to each source repository after the merge
+     * @param {Object} archival - { sources, summary } from the merge response
+     * @returns {string} - HTML
+     */
+    renderArchivalResults(archival) {
+        const labels = {
+            archived: '🗄️ Archived',
+            notice_proposed: '📝 Pull request opened',
+            skipped: '⏭️ Not archived',
+            failed: '❌ Archiving failed'
+        };
+
+        return `
+            <div class="merge-repos">
+                <h4>🗄️ Source Repositories</h4>
+                ${archival.sources.map(source => `
+                    <div class="repo-merge-item">
+                        <strong>${source.full_name}</strong> ${labels[source.status] || source.status}
+                        ${source.commit ? `<p>Notice committed: <a href="${source.commit.html_url}" target="_blank"><code>${source.commit.sha.substring(0, 7)}</code></a></p>` : ''}
+                        ${source.pull_request ? `<p><a href="${source.pull_request.html_url}" target="_blank">Pull request #${source.pull_request.number}</a></p>` : ''}
+                        ${source.reason || source.error ? `<p>${this.escapeAttribute(source.reason || source.error)}</p>` : ''}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
     showProgressSection() {
         document.getElementById('progress-section').style.display = 'block';
         document.getElementById('execute-action').disabled = true;
@@ -1041,15 +2128,23 @@ class EnhancedCaromarApp {
             
             <div class="results-list">
                 ${results.map(result => `
-                    <div class="result-item ${result.success ? 'success' : 'error'}">
+                    <div class="result-item ${result.success ? (result.warning ? 'warning' : 'success') : 'error'}">
                         <div class="result-header">
                             <strong>${result.repo}</strong>
-                            <span class="result-status">${result.success ? '✅ Success' : '❌ Failed'}</span>
+                            <span class="result-status">
+                                ${result.success ? '✅ Success' : '❌ Failed'}
+                                ${result.readiness ? this.renderReadinessBadge(result.readiness) : ''}
+                            </span>
                         </div>
                         ${result.success ? `
+                            ${result.readiness?.status === 'ready' ? `
+                                <p class="result-readiness">Default branch <code>${result.readiness.default_branch}</code> at <code>${result.readiness.head_sha.substring(0, 7)}</code></p>
+                            ` : ''}
+                            ${result.message ? `<p class="result-message">${result.message}</p>` : ''}
                             <div class="result-actions">
                                 <a href="${result.url}" target="_blank">View Repository</a>
-                                <a href="${result.clone_url}" target="_blank">Clone URL</a>
+                                ${result.clone_url ? `<a href="${result.clone_url}" target="_blank">Clone URL</a>` : ''}
+                                ${result.pull_request_url ? `<a href="${result.pull_request_url}" target="_blank">View Pull Request</a>` : ''}
                             </div>
                         ` : `
                             <div class="result-error">
@@ -1066,6 +2161,18 @@ class EnhancedCaromarApp {
         resultsSection.scrollIntoView({ behavior: 'smooth' });
     }
 
+    /**
+     * Render the readiness badge of a fork result
+     * @param {Object} readiness - Readiness reported by the server
+     * @returns {string} - Badge HTML
+     */
+    renderReadinessBadge(readiness) {
+        if (readiness.status === 'ready') {
+            return '<span class="readiness-badge ready" title="The fork\'s git data is available">ready</span>';
+        }
+        return '<span class="readiness-badge pending" title="GitHub is still creating the fork">pending</span>';
+    }
+
     autoSaveSelections() {
         if (this.selectedRepos.size > 0) {
             const selections = {
@@ -1184,7 +2291,7 @@ class EnhancedCaromarApp {
         }
 
         try {
-            const response = await fetch('/api/analyze-repos', {
+            const response = await this.apiFetch('/api/analyze-repos', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -1356,7 +2463,7 @@ class EnhancedCaromarApp {
                 requestBody.criteria = document.getElementById('best-criteria').value;
             }
 
-            const response = await fetch('/api/compare-repos', {
+            const response = await this.apiFetch('/api/compare-repos', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -5,7 +5,6 @@
  */
 
 const express = require('express');
-const axios = require('axios');
 const cors = require('cors');
 const helmet = require('helmet');
 const path = require('path');
@@ -14,9 +13,40 @@ require('dotenv').config();
 
 // Import utilities
 const logger = require('./utils/logger');
-const RepositoryAnalytics = require('./utils/analytics');
 const RepositoryComparison = require('./utils/comparison');
 const PerformanceMonitor = require('./utils/performance');
+const { createGitHubApi, GitHubApiError } = require('./utils/github-api');
+const { API_URL_HEADER, resolveApiUrl, getAllowedApiUrls, describeServer, getConnectSources } = require('./utils/github-hosts');
+const { fetchPage, fetchAllPages } = require('./utils/pagination');
+const { listRepositories } = require('./utils/graphql-repos');
+const { listWritableOrganizations } = require('./utils/organizations');
+const { JobManager, createDefaultJobStore, toPublicJob } = require('./utils/jobs');
+const { registerDefaultJobTypes } = require('./utils/job-types');
+const { simpleHash } = require('./utils/security');
+const { forkRepositories } = require('./utils/bulk-fork');
+const { waitForFork, parseReadinessOptions } = require('./utils/fork-readiness');
+const { syncForks } = require('./utils/fork-sync');
+const { findRootFileWarnings, inspectRootFiles } = require('./utils/merge-plan');
+const {
+    validateForkRequest,
+    validateBulkForkRequest,
+    validateSyncForksRequest,
+    forkRepository,
+    planMerge,
+    previewMerge,
+    validateMergeRequest,
+    createMergedRepository,
+    validateCopyRequest,
+    copyRepository,
+    validateSplitRequest,
+    splitRepository,
+    validateResyncRequest,
+    resyncMergedRepository,
+    validateBumpRequest,
+    bumpSubmodules,
+    validateAnalyzeRequest,
+    analyzeRepositories
+} = require('./utils/operations');
 const {
     isValidGitHubUsername,
     isValidRepositoryName,
@@ -33,6 +63,9 @@ const PORT = process.env.PORT || 3000;
 // Initialize performance monitor
 const performanceMonitor = new PerformanceMonitor();
 
+// Background jobs for long-running operations
+const jobManager = registerDefaultJobTypes(new JobManager({ store: createDefaultJobStore() }));
+
 // Rate limiting
 const apiLimiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
@@ -50,7 +83,7 @@ app.use(helmet({
             scriptSrc: ['\'self\'', '\'unsafe-inline\''],
             fontSrc: ['\'self\'', 'https://cdnjs.cloudflare.com'],
             imgSrc: ['\'self\'', 'data:', 'https:'],
-            connectSrc: ['\'self\'', 'https://api.github.com']
+            connectSrc: ['\'self\'', ...getConnectSources()]
         }
     }
 }));
@@ -76,10 +109,51 @@ app.use((req, res, next) => {
 
 app.use('/api/', apiLimiter);
 
+// Pick the GitHub server of each API request; only servers on the allowlist are accepted
+app.use('/api/', (req, res, next) => {
+    try {
+        req.githubApiUrl = resolveApiUrl(req.get(API_URL_HEADER));
+        next();
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
 // Set view engine - use VIEWS_PATH for Netlify serverless compatibility
 app.set('view engine', 'ejs');
 app.set('views', process.env.VIEWS_PATH || path.join(__dirname, 'views'));
 
+/**
+ * Answer GitHub failures that mean the same on every route
+ * Rate limits become 429 with the time to retry, timeouts 504 and an
+ * unreachable GitHub 502; other errors are left to the route's own mapping.
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown while serving the request
+ * @returns {boolean} - True if a response was sent
+ */
+function sendGitHubFailure(res, error) {
+    if (!(error instanceof GitHubApiError)) {
+        return false;
+    }
+    if (error.rateLimited) {
+        res.status(429).json({
+            error: 'GitHub API rate limit exceeded',
+            details: error.message,
+            retry_after: error.retry_after,
+            reset_time: error.rate_limit?.reset || null
+        });
+        return true;
+    }
+    if (error.kind === 'timeout' || error.kind === 'network') {
+        res.status(error.kind === 'timeout' ? 504 : 502).json({
+            error: 'GitHub could not be reached',
+            details: error.message
+        });
+        return true;
+    }
+    return false;
+}
+
 /**
  * Routes
  */
@@ -102,11 +176,16 @@ app.get('/', (req, res) => {
  * @param {string} [req.query.sort=updated] - Sort order
  * @param {number} [req.query.per_page=100] - Results per page
  * @param {number} [req.query.page=1] - Page number
- * @returns {Object} Repository list with pagination info
+ * @param {string} [req.query.all] - "true" to follow every page up to SEARCH_MAX_PAGES
+ * @param {string} [req.query.backend=rest] - "graphql" to list repositories with branch, language, commit, release and protection details
+ * @param {string} [req.query.cursor] - GraphQL backend: next_cursor of the previous page
+ * @returns {Object} Repository list with pagination, rate limit and cache info
  */
 app.get('/api/search-repos', async (req, res) => {
     try {
         let { username, type = 'all', sort = 'updated', per_page = 100, page = 1 } = req.query;
+        const all = req.query.all === 'true';
+        const { backend = 'rest' } = req.query;
         
         // Extract token from Authorization header
         const authHeader = req.headers.authorization;
@@ -134,38 +213,76 @@ app.get('/api/search-repos', async (req, res) => {
         const allowedSorts = ['updated', 'created', 'pushed', 'full_name'];
         sort = validateSort(sort, allowedSorts);
 
-        const headers = token ? { 
-            'Authorization': `token ${token}`,
-            'Accept': 'application/vnd.github.v3+json',
-            'User-Agent': 'CAROMAR-App'
-        } : {
-            'Accept': 'application/vnd.github.v3+json',
-            'User-Agent': 'CAROMAR-App'
-        };
+        if (!['rest', 'graphql'].includes(backend)) {
+            return res.status(400).json({ error: 'backend must be rest or graphql' });
+        }
+
+        if (backend === 'graphql') {
+            if (!token) {
+                return res.status(400).json({ error: 'A token is required for the GraphQL backend' });
+            }
+            const cursor = sanitizeString(req.query.cursor) || null;
+            if (cursor && cursor.length > 200) {
+                return res.status(400).json({ error: 'Invalid cursor' });
+            }
+
+            const result = await listRepositories(createGitHubApi(token, { baseURL: req.githubApiUrl }), {
+                login: username,
+                type,
+                sort,
+                perPage: all ? 100 : per_page,
+                cursor,
+                all
+            });
+            return res.json({
+                repos: result.repos,
+                backend: 'graphql',
+                pagination: {
+                    per_page: all ? 100 : per_page,
+                    total: result.total,
+                    has_more: result.next_cursor !== null,
+                    next_cursor: result.next_cursor,
+                    ...(all && { pages_fetched: result.pages, truncated: result.truncated })
+                },
+                rate_limit: result.rate_limit
+            });
+        }
+
+        const api = createGitHubApi(token, { cache: true, baseURL: req.githubApiUrl });
 
         // Check if it's an organization or user
-        let endpoint = `https://api.github.com/users/${username}/repos`;
+        let endpoint = `/users/${username}/repos`;
         try {
-            const userResponse = await axios.get(`https://api.github.com/users/${username}`, { headers });
+            const userResponse = await api.get(`/users/${username}`);
             if (userResponse.data.type === 'Organization') {
-                endpoint = `https://api.github.com/orgs/${username}/repos`;
+                endpoint = `/orgs/${username}/repos`;
             }
         } catch {
             // Fallback to user repos if organization check fails
         }
 
-        const response = await axios.get(endpoint, {
-            headers,
-            params: {
-                per_page: Math.min(per_page, 100),
-                page,
-                sort,
-                type,
-                direction: 'desc'
-            }
-        });
+        const params = { per_page: all ? 100 : per_page, sort, type, direction: 'desc' };
+        let listing;
+        if (all) {
+            listing = await fetchAllPages(api, endpoint, params);
+        } else {
+            const result = await fetchPage(api, endpoint, { ...params, page });
+            listing = { ...result, responses: [result.response] };
+        }
+        const response = listing.responses[listing.responses.length - 1];
+
+        // Earlier pages are full, so the size of the last one gives the exact total
+        let total = null;
+        if (all && !listing.truncated) {
+            total = listing.items.length;
+        } else if (!all && listing.last_page === page) {
+            total = (page - 1) * params.per_page + listing.items.length;
+        } else if (listing.last_page) {
+            const last = await fetchPage(api, endpoint, { ...params, page: listing.last_page });
+            total = (listing.last_page - 1) * params.per_page + last.items.length;
+        }
 
-        const repos = response.data.map(repo => ({
+        const repos = listing.items.map(repo => ({
             id: repo.id,
             name: repo.name,
             full_name: repo.full_name,
@@ -199,26 +316,32 @@ app.get('/api/search-repos', async (req, res) => {
         res.json({ 
             repos,
             pagination: {
-                page: parseInt(page),
-                per_page: parseInt(per_page),
-                total: repos.length,
-                has_more: repos.length === parseInt(per_page)
+                page: all ? 1 : page,
+                per_page: params.per_page,
+                total,
+                has_more: listing.next_page !== null,
+                next_page: listing.next_page,
+                last_page: listing.last_page,
+                ...(all && { pages_fetched: listing.pages, truncated: listing.truncated })
             },
             rate_limit: {
                 remaining: rateLimitRemaining,
                 reset: rateLimitReset ? new Date(rateLimitReset * 1000) : null
-            }
+            },
+            cache: { hit: listing.responses.every(pageResponse => pageResponse.cached) }
         });
     } catch (error) {
         logger.error('Error fetching repositories', error);
-        
+
+        if (sendGitHubFailure(res, error)) {
+            return;
+        }
         if (error.response?.status === 403) {
             res.status(403).json({ 
-                error: 'API rate limit exceeded or insufficient permissions',
-                reset_time: error.response.headers['x-ratelimit-reset'] ? 
-                    new Date(error.response.headers['x-ratelimit-reset'] * 1000) : null
+                error: 'Insufficient permissions',
+                details: error.message
             });
-        } else if (error.response?.status === 404) {
+        } else if (error.response?.status === 404 || error.status === 404) {
             res.status(404).json({ error: 'User not found' });
         } else {
             res.status(500).json({ error: 'Failed to fetch repositories', details: error.message });
@@ -233,59 +356,45 @@ app.get('/api/search-repos', async (req, res) => {
  * @param {string} req.body.repo - Repository name
  * @param {string} req.body.token - GitHub Personal Access Token
  * @param {string} [req.body.organization] - Optional organization to fork to
+ * @param {boolean} [req.body.wait_for_ready=false] - Wait until the fork's git refs exist
+ * @param {number} [req.body.ready_timeout=60] - Seconds to wait for the fork (max 300)
  * @returns {Object} Forked repository information
  */
 app.post('/api/fork-repo', async (req, res) => {
     try {
-        let { owner, repo, token, organization } = req.body;
-        
-        // Validate inputs
-        owner = sanitizeString(owner);
-        repo = sanitizeString(repo);
-        
-        if (!owner || !isValidGitHubUsername(owner)) {
-            return res.status(400).json({ error: 'Valid owner is required' });
-        }
-        
-        if (!repo || !isValidRepositoryName(repo)) {
-            return res.status(400).json({ error: 'Valid repository name is required' });
+        const { token } = req.body;
+        let request;
+        try {
+            request = validateForkRequest(req.body);
+        } catch (error) {
+            return res.status(error.status || 400).json({ error: error.message });
         }
         
         if (!token || !isValidGitHubToken(token)) {
             return res.status(400).json({ error: 'Valid token is required' });
         }
-        
-        if (organization) {
-            organization = sanitizeString(organization);
-            if (!isValidGitHubUsername(organization)) {
-                return res.status(400).json({ error: 'Valid organization name is required' });
-            }
-        }
 
-        const forkData = organization ? { organization } : {};
-
-        logger.info('Forking repository', { owner, repo, organization });
-
-        const response = await axios.post(`https://api.github.com/repos/${owner}/${repo}/forks`, forkData, {
-            headers: {
-                'Authorization': `token ${token}`,
-                'Accept': 'application/vnd.github.v3+json',
-                'User-Agent': 'CAROMAR-App'
-            }
-        });
+        const api = createGitHubApi(token, { baseURL: req.githubApiUrl });
+        const fork = await forkRepository(api, request);
 
-        logger.info('Repository forked successfully', { full_name: response.data.full_name });
+        const readinessOptions = parseReadinessOptions(req.body);
+        const readiness = readinessOptions
+            ? await waitForFork(api, fork.full_name, { timeoutMs: readinessOptions.timeout_ms })
+            : undefined;
 
         res.json({ 
             success: true, 
-            fork_url: response.data.html_url,
-            clone_url: response.data.clone_url,
-            ssh_url: response.data.ssh_url,
-            full_name: response.data.full_name,
-            message: 'Repository forked successfully'
+            ...fork,
+            readiness,
+            message: readiness?.status === 'pending'
+                ? 'Repository fork requested; GitHub is still creating it'
+                : 'Repository forked successfully'
         });
     } catch (error) {
         logger.error('Error forking repository', error);
+        if (sendGitHubFailure(res, error)) {
+            return;
+        }
         
         let errorMessage = 'Failed to fork repository';
         let statusCode = 500;
@@ -308,83 +417,249 @@ app.post('/api/fork-repo', async (req, res) => {
     }
 });
 
-// New API endpoint to create a merged repository
-app.post('/api/create-merged-repo', async (req, res) => {
+/**
+ * Fork several repositories with bounded concurrency
+ * Transient failures and secondary rate limits are retried with backoff;
+ * each repository is reported as forked, already_exists, rate_limited or failed.
+ * A primary rate limit is not waited out, so the request cannot hang until it resets.
+ * @route POST /api/fork-repos
+ * @param {Array<string|Object>} req.body.repositories - "owner/repo" strings or { owner, repo } objects
+ * @param {string} req.body.token - GitHub Personal Access Token
+ * @param {string} [req.body.organization] - Optional organization to fork to
+ * @param {number} [req.body.concurrency=3] - Forks in flight at once (max 10)
+ * @param {boolean} [req.body.wait_for_ready=false] - Wait until each fork's git refs exist
+ * @param {number} [req.body.ready_timeout=60] - Seconds to wait per fork (max 300)
+ * @returns {Object} Per-repository results and a summary
+ */
+app.post('/api/fork-repos', async (req, res) => {
     try {
-        let { name, description, repositories, token, private: isPrivate = false } = req.body;
-        
-        // Validate inputs
-        name = sanitizeString(name);
-        if (!name || !isValidRepositoryName(name)) {
-            return res.status(400).json({ error: 'Valid repository name is required' });
+        const { token, concurrency } = req.body;
+        let request;
+        try {
+            request = validateBulkForkRequest(req.body);
+        } catch (error) {
+            return res.status(error.status || 400).json({ error: error.message });
         }
-        
-        if (!repositories || !Array.isArray(repositories) || repositories.length === 0) {
-            return res.status(400).json({ error: 'At least one repository is required' });
+
+        if (!token || !isValidGitHubToken(token)) {
+            return res.status(400).json({ error: 'Valid token is required' });
         }
-        
-        if (repositories.length > 50) {
-            return res.status(400).json({ error: 'Maximum 50 repositories can be merged at once' });
+
+        const { results, summary } = await forkRepositories(createGitHubApi(token, { baseURL: req.githubApiUrl }), request.repositories, {
+            concurrency,
+            readiness: request.readiness
+        });
+
+        res.json({
+            success: summary.failed === 0 && summary.rate_limited === 0,
+            results,
+            summary
+        });
+    } catch (error) {
+        logger.error('Error forking repositories', error);
+        if (sendGitHubFailure(res, error)) {
+            return;
         }
-        
+        res.status(500).json({ error: 'Failed to fork repositories', details: error.message });
+    }
+});
+
+/**
+ * Sync forks with their upstream repositories
+ * Calls GitHub's merge-upstream API for each fork. A branch that has
+ * diverged from upstream is reported as a conflict and, when requested,
+ * gets a pull request from the upstream branch.
+ * @route POST /api/sync-forks
+ * @param {Array<string|Object>} req.body.repositories - "owner/repo" strings or { owner, repo, branch } objects
+ * @param {string} req.body.token - GitHub Personal Access Token
+ * @param {string} [req.body.branch] - Branch to sync (defaults to each fork's default branch)
+ * @param {boolean} [req.body.open_pull_request=false] - Open a pull request when a fast-forward isn't possible
+ * @param {number} [req.body.concurrency=3] - Forks synced at once (max 10)
+ * @returns {Object} Per-fork results and a summary
+ */
+app.post('/api/sync-forks', async (req, res) => {
+    try {
+        const { token, concurrency } = req.body;
+        let request;
+        try {
+            request = validateSyncForksRequest(req.body);
+        } catch (error) {
+            return res.status(error.status || 400).json({ error: error.message });
+        }
+
         if (!token || !isValidGitHubToken(token)) {
             return res.status(400).json({ error: 'Valid token is required' });
         }
-        
-        description = sanitizeString(description);
-
-        logger.info('Creating merged repository', { name, repoCount: repositories.length });
-
-        // Create the new repository
-        const createRepoResponse = await axios.post('https://api.github.com/user/repos', {
-            name,
-            description: description || `Merged repository containing: ${repositories.map(r => r.name).join(', ')}`,
-            private: isPrivate,
-            auto_init: true
-        }, {
-            headers: {
-                'Authorization': `token ${token}`,
-                'Accept': 'application/vnd.github.v3+json',
-                'User-Agent': 'CAROMAR-App'
-            }
+
+        const { results, summary } = await syncForks(createGitHubApi(token, { baseURL: req.githubApiUrl }), request.repositories, {
+            concurrency,
+            openPullRequest: request.open_pull_request
         });
 
-        const newRepo = createRepoResponse.data;
+        res.json({
+            success: summary.failed === 0 && summary.rate_limited === 0,
+            results,
+            summary
+        });
+    } catch (error) {
+        logger.error('Error syncing forks', error);
+        if (sendGitHubFailure(res, error)) {
+            return;
+        }
+        res.status(500).json({ error: 'Failed to sync forks', details: error.message });
+    }
+});
+
+/**
+ * Plan the folders of a merge and report conflicts
+ * Detects repositories that would land in the same folder (same name from
+ * different owners, names that only differ by case) or clash with files at
+ * the root of the merged repository, and resolves them with the chosen
+ * strategy. With a token, sources are also checked for root-only files
+ * (LICENSE, .gitignore, .github/) that stop applying once nested.
+ * @route POST /api/merge-plan
+ * @param {Array<Object>} req.body.repositories - Repositories to merge ({ name, full_name, default_branch, ref, target_path })
+ * @param {string} [req.body.conflict_strategy=owner-prefix] - owner-prefix, suffix or manual
+ * @param {Object} [req.body.renames] - Folder names chosen by the user, keyed by full_name
+ * @param {string} [req.body.token] - GitHub Personal Access Token
+ * @returns {Object} Planned folders, conflicts and warnings
+ */
+app.post('/api/merge-plan', async (req, res) => {
+    try {
+        const { token } = req.body;
+        if (token && !isValidGitHubToken(token)) {
+            return res.status(400).json({ error: 'Invalid token format' });
+        }
+
+        let plan;
+        try {
+            plan = planMerge(req.body);
+        } catch (error) {
+            if (!error.status) {
+                throw error;
+            }
+            return res.status(error.status).json({ error: error.message });
+        }
+        if (token) {
+            const rootFiles = await inspectRootFiles(createGitHubApi(token, { baseURL: req.githubApiUrl }), req.body.repositories);
+            plan.warnings = findRootFileWarnings(plan.sources, rootFiles);
+        }
+
+        res.json({ plan });
+    } catch (error) {
+        logger.error('Error planning merge', error);
+        if (sendGitHubFailure(res, error)) {
+            return;
+        }
+        res.status(500).json({ error: 'Failed to plan merge', details: error.message });
+    }
+});
+
+/**
+ * Dry-run a merge without creating anything on GitHub
+ * Plans the folders like /api/merge-plan, then walks each source's tree and
+ * reports file counts, total bytes and files that need attention: files
+ * over 100 MB, Git LFS pointers, submodules and symlinks.
+ * @route POST /api/merge-plan/preview
+ * @param {Array<Object>} req.body.repositories - Repositories to merge, each with an optional merge spec ({ ref, target_path, include, exclude })
+ * @param {string} [req.body.conflict_strategy=owner-prefix] - owner-prefix, suffix or manual
+ * @param {Object} [req.body.renames] - Folder names chosen by the user, keyed by full_name
+ * @param {boolean} [req.body.archive_sources] - Also list which sources would be archived
+ * @param {string} req.body.token - GitHub Personal Access Token
+ * @returns {Object} Merge plan with per-source file counts, sizes and warnings
+ */
+app.post('/api/merge-plan/preview', async (req, res) => {
+    try {
+        const { token } = req.body;
+        if (!token || !isValidGitHubToken(token)) {
+            return res.status(400).json({ error: 'Valid token is required' });
+        }
+
+        let preview;
+        try {
+            preview = await previewMerge(req.body, { api: createGitHubApi(token, { baseURL: req.githubApiUrl }) });
+        } catch (error) {
+            if (!error.status) {
+                throw error;
+            }
+            return res.status(error.status).json({ error: error.message, details: error.details });
+        }
+
+        res.json(preview);
+    } catch (error) {
+        logger.error('Error previewing merge', error);
+        if (sendGitHubFailure(res, error)) {
+            return;
+        }
+        res.status(500).json({ error: 'Failed to preview merge', details: error.message });
+    }
+});
+
+/**
+ * Create a new repository and merge the selected repositories into it
+ * In `history` mode the server imports every repository into its own folder,
+ * keeping each one's full commit history, and pushes the result. `snapshot`
+ * mode copies each repository's current tree through the Git Data API as a
+ * single commit and needs no git binary. In `instructions` mode only the
+ * empty repository is created and manual merge steps are returned.
+ * @route POST /api/create-merged-repo
+ * @param {string} req.body.name - Name of the new repository
+ * @param {string} [req.body.description] - Repository description
+ * @param {Array<Object>} req.body.repositories - Repositories to merge ({ name, full_name, clone_url, default_branch }), each with an optional merge spec ({ ref, target_path, include, exclude })
+ * @param {string} req.body.token - GitHub Personal Access Token
+ * @param {string} [req.body.organization] - Organization to create the repository in (defaults to your account)
+ * @param {boolean} [req.body.private=false] - Create a private repository
+ * @param {boolean} [req.body.rollback_on_failure=true] - Delete the created repository if merging fails
+ * @param {boolean} [req.body.archive_sources=false] - Archive the sources after merging (each can opt out with archive: false)
+ * @param {string} [req.body.archive_notice=commit] - Add the "moved to" README notice with a commit or a pull_request
+ * @param {boolean} [req.body.migrate_issues=false] - Copy the sources' issues, labels and milestones after merging
+ * @param {boolean} [req.body.include_closed_issues=false] - Also copy closed issues
+ * @param {string} [req.body.mode] - Merge mode: history, snapshot or instructions (default: history when git is installed, otherwise snapshot)
+ * @param {string} [req.body.conflict_strategy=owner-prefix] - How folder conflicts are resolved: owner-prefix, suffix or manual
+ * @param {Object} [req.body.renames] - Folder names chosen by the user, keyed by full_name
+ * @returns {Object} Created repository and merge result or instructions
+ */
+app.post('/api/create-merged-repo', async (req, res) => {
+    try {
+        const { token } = req.body;
+        let request;
+        try {
+            request = await validateMergeRequest(req.body, { apiUrl: req.githubApiUrl });
+        } catch (error) {
+            return res.status(error.status || 400).json({ error: error.message, details: error.details });
+        }
+        
+        if (!token || !isValidGitHubToken(token)) {
+            return res.status(400).json({ error: 'Valid token is required' });
+        }
 
-        logger.info('Merged repository created successfully', { full_name: newRepo.full_name });
+        const result = await createMergedRepository(request, { token, apiUrl: req.githubApiUrl });
 
-        // Return the created repository info and instructions for manual merge
-        // Note: Full git operations would require a more complex server setup with git installed
         res.json({
             success: true,
-            repository: {
-                name: newRepo.name,
-                full_name: newRepo.full_name,
-                html_url: newRepo.html_url,
-                clone_url: newRepo.clone_url,
-                ssh_url: newRepo.ssh_url
-            },
-            message: 'Repository created successfully',
-            merge_instructions: {
-                repositories: repositories,
-                note: 'These commands are for manual execution. Always review repository names and URLs before running commands.',
-                steps: [
-                    'git clone ' + newRepo.clone_url,
-                    'cd ' + sanitizeString(newRepo.name),
-                    ...repositories.map(repo => [
-                        'mkdir "' + sanitizeString(repo.name) + '"',
-                        'cd "' + sanitizeString(repo.name) + '"',
-                        'git clone ' + repo.clone_url + ' .',
-                        'rm -rf .git',
-                        'cd ..'
-                    ]).flat()
-                ]
-            }
+            ...result
         });
     } catch (error) {
         logger.error('Error creating merged repository', error);
+        if (!error.repository && sendGitHubFailure(res, error)) {
+            return;
+        }
         
-        if (error.response?.status === 422) {
+        if (error.repository) {
+            let message = 'Repository was created but merging failed';
+            if (error.rollback) {
+                message = error.rollback.rolled_back
+                    ? 'Merging failed; the created repository was rolled back'
+                    : 'Merging failed and the rollback was incomplete';
+            }
+            res.status(500).json({
+                error: message,
+                details: error.response?.data?.message || error.message,
+                repository: error.repository,
+                journal: error.journal,
+                rollback: error.rollback || null
+            });
+        } else if (error.response?.status === 422) {
             res.status(422).json({ 
                 error: 'Repository name already exists or is invalid',
                 details: error.response?.data?.message || error.message
@@ -394,6 +669,11 @@ app.post('/api/create-merged-repo', async (req, res) => {
                 error: 'Insufficient permissions to create repository',
                 details: error.response?.data?.message || error.message
             });
+        } else if (error.response?.status === 404) {
+            res.status(404).json({
+                error: 'Organization not found',
+                details: error.response?.data?.message || error.message
+            });
         } else {
             res.status(500).json({ 
                 error: 'Failed to create merged repository',
@@ -403,6 +683,257 @@ app.post('/api/create-merged-repo', async (req, res) => {
     }
 });
 
+/**
+ * Copy a repository into a new repository without a fork relationship
+ * Every branch and tag of the source is mirrored into the new repository,
+ * which can live in the user's account or an organization with any visibility.
+ * @route POST /api/copy-repo
+ * @param {string} req.body.source - Source repository ("owner/repo")
+ * @param {string} req.body.token - GitHub Personal Access Token
+ * @param {string} [req.body.name] - Name of the new repository (defaults to the source name)
+ * @param {string} [req.body.description] - Repository description (defaults to the source description)
+ * @param {string} [req.body.organization] - Organization to create the copy in
+ * @param {string} [req.body.visibility=private] - private, public or internal (organizations only)
+ * @returns {Object} Created repository and the copied branches and tags
+ */
+app.post('/api/copy-repo', async (req, res) => {
+    try {
+        const { token } = req.body;
+        let request;
+        try {
+            request = await validateCopyRequest(req.body);
+        } catch (error) {
+            return res.status(error.status || 400).json({ error: error.message, details: error.details });
+        }
+
+        if (!token || !isValidGitHubToken(token)) {
+            return res.status(400).json({ error: 'Valid token is required' });
+        }
+
+        const result = await copyRepository(request, { token, apiUrl: req.githubApiUrl });
+
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        logger.error('Error copying repository', error);
+        if (!error.repository && sendGitHubFailure(res, error)) {
+            return;
+        }
+
+        if (error.repository) {
+            res.status(500).json({
+                error: 'Repository was created but copying failed',
+                details: error.response?.data?.message || error.message,
+                repository: error.repository
+            });
+        } else if (error.response?.status === 404) {
+            res.status(404).json({
+                error: 'Source repository or organization not found',
+                details: error.response?.data?.message || error.message
+            });
+        } else if (error.response?.status === 422) {
+            res.status(422).json({
+                error: 'Repository name already exists or is invalid',
+                details: error.response?.data?.message || error.message
+            });
+        } else if (error.response?.status === 403) {
+            res.status(403).json({
+                error: 'Insufficient permissions to create repository',
+                details: error.response?.data?.message || error.message
+            });
+        } else {
+            res.status(error.status || 500).json({
+                error: error.status ? error.message : 'Failed to copy repository',
+                details: error.response?.data?.message || error.message
+            });
+        }
+    }
+});
+
+/**
+ * Split a folder of a repository into a new repository
+ * The folder's history is kept with subdirectory-filter semantics: the
+ * folder becomes the root and only commits that touched it are kept.
+ * @route POST /api/split-repo
+ * @param {string} req.body.source - Source repository ("owner/repo")
+ * @param {string} req.body.path - Folder to split out, e.g. "services/api"
+ * @param {string} req.body.token - GitHub Personal Access Token
+ * @param {string} [req.body.ref] - Branch, tag or commit SHA to split (defaults to the default branch)
+ * @param {string} [req.body.name] - Name of the new repository (defaults to the folder name)
+ * @param {string} [req.body.description] - Repository description
+ * @param {string} [req.body.organization] - Organization to create the repository in
+ * @param {boolean} [req.body.private=false] - Create a private repository
+ * @param {boolean} [req.body.rollback_on_failure=true] - Delete the created repository if splitting fails
+ * @returns {Object} Created repository and split result
+ */
+app.post('/api/split-repo', async (req, res) => {
+    try {
+        const { token } = req.body;
+        let request;
+        try {
+            request = await validateSplitRequest(req.body);
+        } catch (error) {
+            return res.status(error.status || 400).json({ error: error.message, details: error.details });
+        }
+
+        if (!token || !isValidGitHubToken(token)) {
+            return res.status(400).json({ error: 'Valid token is required' });
+        }
+
+        const result = await splitRepository(request, { token, apiUrl: req.githubApiUrl });
+
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        logger.error('Error splitting repository', error);
+        if (!error.repository && sendGitHubFailure(res, error)) {
+            return;
+        }
+
+        if (error.repository) {
+            let message = 'Repository was created but splitting failed';
+            if (error.rollback) {
+                message = error.rollback.rolled_back
+                    ? 'Splitting failed; the created repository was rolled back'
+                    : 'Splitting failed and the rollback was incomplete';
+            }
+            res.status(500).json({
+                error: message,
+                details: error.response?.data?.message || error.message,
+                repository: error.repository,
+                journal: error.journal,
+                rollback: error.rollback || null
+            });
+        } else if (error.response?.status === 404) {
+            res.status(404).json({
+                error: 'Source repository or organization not found',
+                details: error.response?.data?.message || error.message
+            });
+        } else if (error.response?.status === 422) {
+            res.status(422).json({
+                error: 'Repository name already exists or is invalid',
+                details: error.response?.data?.message || error.message
+            });
+        } else if (error.response?.status === 403) {
+            res.status(403).json({
+                error: 'Insufficient permissions to create repository',
+                details: error.response?.data?.message || error.message
+            });
+        } else {
+            res.status(error.status || 500).json({
+                error: error.status ? error.message : 'Failed to split repository',
+                details: error.response?.data?.message || error.message
+            });
+        }
+    }
+});
+
+/**
+ * Bring a merged repository up to date with its sources
+ * Uses the caromar.json manifest written by the merge to import only the
+ * commits each source gained since it was merged or last resynced. Sources
+ * whose changes conflict with edits in the merged repository are skipped
+ * and reported.
+ * @route POST /api/resync-merged-repo
+ * @param {string} req.body.repository - Merged repository ("owner/repo")
+ * @param {string} req.body.token - GitHub Personal Access Token
+ * @param {string} [req.body.branch] - Branch to resync (defaults to the default branch)
+ * @returns {Object} Per-source commit counts and conflicts, and a summary
+ */
+app.post('/api/resync-merged-repo', async (req, res) => {
+    try {
+        const { token } = req.body;
+        let request;
+        try {
+            [request] = validateResyncRequest({ repository: req.body.repository, branch: req.body.branch }).repositories;
+        } catch (error) {
+            return res.status(error.status || 400).json({ error: error.message });
+        }
+
+        if (!token || !isValidGitHubToken(token)) {
+            return res.status(400).json({ error: 'Valid token is required' });
+        }
+
+        const result = await resyncMergedRepository(request, { token, apiUrl: req.githubApiUrl });
+
+        res.json({
+            success: result.summary.failed === 0,
+            ...result
+        });
+    } catch (error) {
+        logger.error('Error resyncing merged repository', error);
+        if (sendGitHubFailure(res, error)) {
+            return;
+        }
+
+        if (error.response?.status === 404) {
+            res.status(404).json({
+                error: 'Merged repository not found',
+                details: error.response?.data?.message || error.message
+            });
+        } else {
+            res.status(error.status || 500).json({
+                error: error.status ? error.message : 'Failed to resync merged repository',
+                details: error.response?.data?.message || error.message
+            });
+        }
+    }
+});
+
+/**
+ * Move the submodule pins of a repository to the latest commits of their branches
+ * Each submodule in .gitmodules follows its `branch`, or its repository's
+ * default branch without one; submodules outside GitHub are skipped.
+ * @route POST /api/bump-submodules
+ * @param {string} req.body.repository - Repository with submodules ("owner/repo")
+ * @param {string} req.body.token - GitHub Personal Access Token
+ * @param {string} [req.body.branch] - Branch to update (defaults to the default branch)
+ * @returns {Object} Previous and new SHA of every submodule, and a summary
+ */
+app.post('/api/bump-submodules', async (req, res) => {
+    try {
+        const { token } = req.body;
+        let request;
+        try {
+            [request] = validateBumpRequest({ repository: req.body.repository, branch: req.body.branch }).repositories;
+        } catch (error) {
+            return res.status(error.status || 400).json({ error: error.message });
+        }
+
+        if (!token || !isValidGitHubToken(token)) {
+            return res.status(400).json({ error: 'Valid token is required' });
+        }
+
+        const result = await bumpSubmodules(request, { token, apiUrl: req.githubApiUrl });
+
+        res.json({
+            success: result.summary.failed === 0,
+            ...result
+        });
+    } catch (error) {
+        logger.error('Error bumping submodules', error);
+        if (sendGitHubFailure(res, error)) {
+            return;
+        }
+
+        if (error.response?.status === 404) {
+            res.status(404).json({
+                error: 'Repository not found',
+                details: error.response?.data?.message || error.message
+            });
+        } else {
+            res.status(error.status || 500).json({
+                error: error.status ? error.message : 'Failed to bump submodules',
+                details: error.response?.data?.message || error.message
+            });
+        }
+    }
+});
+
 // API endpoint to get repository content for preview
 app.get('/api/repo-content', async (req, res) => {
     try {
@@ -429,23 +960,15 @@ app.get('/api/repo-content', async (req, res) => {
             return res.status(400).json({ error: 'Valid repository path is required' });
         }
 
-        const headers = token ? {
-            'Authorization': `token ${token}`,
-            'Accept': 'application/vnd.github.v3+json',
-            'User-Agent': 'CAROMAR-App'
-        } : {
-            'Accept': 'application/vnd.github.v3+json',
-            'User-Agent': 'CAROMAR-App'
-        };
-
         // Safe: Using official GitHub API with validated parameters
-        const response = await axios.get(`https://api.github.com/repos/${owner}/${repo}/contents/${path}`, {
-            headers
-        });
+        const response = await createGitHubApi(token, { cache: true, baseURL: req.githubApiUrl }).get(`/repos/${owner}/${repo}/contents/${path}`);
 
-        res.json({ content: response.data });
+        res.json({ content: response.data, cache: { hit: response.cached } });
     } catch (error) {
         logger.error('Error fetching repository content', error);
+        if (sendGitHubFailure(res, error)) {
+            return;
+        }
         res.status(error.response?.status || 500).json({ 
             error: 'Failed to fetch repository content',
             details: error.response?.data?.message || error.message
@@ -464,16 +987,11 @@ app.get('/api/user', async (req, res) => {
             return res.status(400).json({ error: 'Valid token is required' });
         }
 
-        const headers = {
-            'Authorization': `token ${token}`,
-            'Accept': 'application/vnd.github.v3+json',
-            'User-Agent': 'CAROMAR-App'
-        };
-
-        const userResponse = await axios.get('https://api.github.com/user', { headers });
+        const api = createGitHubApi(token, { cache: true, baseURL: req.githubApiUrl });
+        const userResponse = await api.get('/user');
         
         // Get rate limit info
-        const rateLimitResponse = await axios.get('https://api.github.com/rate_limit', { headers });
+        const rateLimitResponse = await api.get('/rate_limit');
 
         res.json({
             username: userResponse.data.login,
@@ -490,11 +1008,15 @@ app.get('/api/user', async (req, res) => {
             created_at: userResponse.data.created_at,
             type: userResponse.data.type,
             plan: userResponse.data.plan,
-            rate_limit: rateLimitResponse.data.rate
+            rate_limit: rateLimitResponse.data.rate,
+            cache: { hit: userResponse.cached }
         });
     } catch (error) {
         logger.error('Error fetching user info', error);
-        
+
+        if (sendGitHubFailure(res, error)) {
+            return;
+        }
         if (error.response?.status === 401) {
             res.status(401).json({ error: 'Invalid or expired token' });
         } else if (error.response?.status === 403) {
@@ -505,6 +1027,47 @@ app.get('/api/user', async (req, res) => {
     }
 });
 
+/**
+ * List the organizations the token can create repositories in
+ * Used as the target picker for merges and copies. Needs the read:org scope.
+ * @route GET /api/organizations
+ * @param {string} req.headers.authorization - "Bearer <token>"
+ * @returns {Object} { organizations: [{ login, description, avatar_url, role, visibilities }] }
+ */
+app.get('/api/organizations', async (req, res) => {
+    try {
+        const authHeader = req.headers.authorization;
+        const token = authHeader?.startsWith('Bearer ') ? authHeader.substring(7) : null;
+
+        if (!token || !isValidGitHubToken(token)) {
+            return res.status(400).json({ error: 'Valid token is required' });
+        }
+
+        const organizations = await listWritableOrganizations(createGitHubApi(token, { baseURL: req.githubApiUrl }));
+
+        res.json({ organizations });
+    } catch (error) {
+        logger.error('Error listing organizations', error);
+        if (sendGitHubFailure(res, error)) {
+            return;
+        }
+
+        if (error.response?.status === 401) {
+            res.status(401).json({ error: 'Invalid or expired token' });
+        } else if (error.response?.status === 403) {
+            res.status(403).json({
+                error: 'Token lacks the read:org scope needed to list organizations',
+                details: error.response?.data?.message || error.message
+            });
+        } else {
+            res.status(500).json({
+                error: 'Failed to list organizations',
+                details: error.response?.data?.message || error.message
+            });
+        }
+    }
+});
+
 // API endpoint to validate token permissions
 app.get('/api/validate-token', async (req, res) => {
     try {
@@ -516,14 +1079,8 @@ app.get('/api/validate-token', async (req, res) => {
             return res.status(400).json({ error: 'Token is required' });
         }
 
-        const headers = {
-            'Authorization': `token ${token}`,
-            'Accept': 'application/vnd.github.v3+json',
-            'User-Agent': 'CAROMAR-App'
-        };
-
         // Check token validity and permissions
-        const response = await axios.get('https://api.github.com/user', { headers });
+        const response = await createGitHubApi(token, { baseURL: req.githubApiUrl }).get('/user');
         
         // Extract scopes from headers
         const scopes = response.headers['x-oauth-scopes']?.split(', ') || [];
@@ -539,6 +1096,10 @@ app.get('/api/validate-token', async (req, res) => {
             }
         });
     } catch (error) {
+        // A rate limit or an unreachable GitHub says nothing about the token
+        if (sendGitHubFailure(res, error)) {
+            return;
+        }
         res.json({
             valid: false,
             error: error.response?.data?.message || error.message
@@ -549,16 +1110,16 @@ app.get('/api/validate-token', async (req, res) => {
 // API endpoint to analyze repositories
 app.post('/api/analyze-repos', async (req, res) => {
     try {
-        const { repositories } = req.body;
-        
-        if (!repositories || !Array.isArray(repositories)) {
-            return res.status(400).json({ error: 'Valid repositories array is required' });
+        let request;
+        try {
+            request = validateAnalyzeRequest(req.body);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
         }
         
-        const analytics = new RepositoryAnalytics(repositories);
-        const report = analytics.generateReport();
+        const report = analyzeRepositories(request);
         
-        logger.info('Repository analysis completed', { count: repositories.length });
+        logger.info('Repository analysis completed', { count: request.repositories.length });
         
         res.json({
             success: true,
@@ -616,6 +1177,151 @@ app.post('/api/compare-repos', async (req, res) => {
     }
 });
 
+/**
+ * Start a long-running operation as a background job
+ * @route POST /api/jobs
+ * @param {string} req.body.type - Job type: fork, sync, copy, split, merge, resync, bump, issues or analyze
+ * @param {Object} req.body.params - Parameters for the operation
+ * @param {string} req.body.token - GitHub Personal Access Token
+ * @returns {Object} The created job (202 Accepted)
+ */
+app.post('/api/jobs', async (req, res) => {
+    try {
+        const { type, params = {}, token } = req.body;
+
+        if (!type || typeof type !== 'string') {
+            return res.status(400).json({ error: 'Job type is required', types: jobManager.getTypes() });
+        }
+
+        if (!token || !isValidGitHubToken(token)) {
+            return res.status(400).json({ error: 'Valid token is required' });
+        }
+
+        const job = await jobManager.create(type, params, { token, owner: simpleHash(token), apiUrl: req.githubApiUrl });
+
+        logger.info('Job created', { id: job.id, type });
+
+        res.status(202).json({ job: toPublicJob(job) });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message, details: error.details });
+        }
+        logger.error('Error creating job', error);
+        res.status(500).json({ error: 'Failed to create job', details: error.message });
+    }
+});
+
+/**
+ * Load a job and check that the caller's token owns it
+ * @param {Object} req - Express request with :id param and Authorization header
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} - Job, or null after an error response was sent
+ */
+async function loadOwnedJob(req, res) {
+    const authHeader = req.headers.authorization;
+    const token = authHeader?.startsWith('Bearer ') ? authHeader.substring(7) : null;
+
+    if (!token || !isValidGitHubToken(token)) {
+        res.status(400).json({ error: 'Valid token is required' });
+        return null;
+    }
+
+    const job = await jobManager.get(req.params.id);
+    // Jobs belonging to another token are reported as missing
+    if (!job || job.owner !== simpleHash(token)) {
+        res.status(404).json({ error: 'Job not found' });
+        return null;
+    }
+
+    return job;
+}
+
+/**
+ * Get the status and per-item results of a job
+ * @route GET /api/jobs/:id
+ * @param {string} req.headers.authorization - Token that created the job (Bearer token)
+ * @returns {Object} Job status
+ */
+app.get('/api/jobs/:id', async (req, res) => {
+    try {
+        const job = await loadOwnedJob(req, res);
+        if (job) {
+            res.json({ job: toPublicJob(job) });
+        }
+    } catch (error) {
+        logger.error('Error fetching job', error);
+        res.status(500).json({ error: 'Failed to fetch job', details: error.message });
+    }
+});
+
+/**
+ * Cancel a job; items that have not started yet are skipped
+ * @route DELETE /api/jobs/:id
+ * @param {string} req.headers.authorization - Token that created the job (Bearer token)
+ * @returns {Object} Job status after the cancellation request
+ */
+app.delete('/api/jobs/:id', async (req, res) => {
+    try {
+        const job = await loadOwnedJob(req, res);
+        if (!job) {
+            return;
+        }
+
+        const cancelled = await jobManager.cancel(job.id);
+        logger.info('Job cancellation requested', { id: job.id });
+        res.json({ job: toPublicJob(cancelled) });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        logger.error('Error cancelling job', error);
+        res.status(500).json({ error: 'Failed to cancel job', details: error.message });
+    }
+});
+
+/**
+ * Undo the side effects of a finished merge, split, resync or bump job
+ * Repositories the job created are deleted and branches it moved are reset,
+ * unless they moved again since. The report lists every step.
+ * @route POST /api/jobs/:id/rollback
+ * @param {string} req.headers.authorization - Token that created the job (Bearer token)
+ * @returns {Object} Job with its rollback report
+ */
+app.post('/api/jobs/:id/rollback', async (req, res) => {
+    try {
+        const job = await loadOwnedJob(req, res);
+        if (!job) {
+            return;
+        }
+
+        const token = req.headers.authorization.substring(7);
+        const rolledBack = await jobManager.rollback(job.id, { token });
+        logger.info('Job rolled back', { id: job.id, ...rolledBack.rollback.summary });
+        res.json({ job: toPublicJob(rolledBack) });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        logger.error('Error rolling back job', error);
+        res.status(500).json({ error: 'Failed to roll back job', details: error.message });
+    }
+});
+
+/**
+ * List the GitHub servers requests may use
+ * The UI offers them as a server picker and sends the chosen api_url in
+ * the X-GitHub-Api-Url header.
+ * @route GET /api/github-servers
+ * @returns {Object} Default API URL and every allowed server with its web URL
+ */
+app.get('/api/github-servers', (req, res) => {
+    const servers = getAllowedApiUrls().map(describeServer);
+    res.json({
+        default: servers[0].api_url,
+        servers: servers.map(({ api_url, web_url, hostname }) => ({ api_url, web_url, hostname }))
+    });
+});
+
 /**
  * Health check endpoint - optimized for Netlify serverless
  * @route GET /api/health
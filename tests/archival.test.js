@@ -0,0 +1,174 @@
+/**
+ * Post-merge archival tests
+ */
+
+const { buildMovedNotice, planArchival, archiveSources, NOTICE_BRANCH } = require('../utils/archival');
+const { OperationJournal, rollbackJournal } = require('../utils/journal');
+const { previewMerge, validateMergeRequest } = require('../utils/operations');
+const { FakeGitHub, httpError } = require('./helpers/fake-github');
+
+const merged = { full_name: 'me/platform', html_url: 'https://github.com/me/platform', branch: 'main' };
+
+/**
+ * Fake GitHub with source repositories in different states
+ * - octo/api: admin, README.md
+ * - octo/web: admin, no README
+ * - octo/old: already archived
+ * - octo/theirs: no admin rights
+ * @param {FakeGitHub} [api] - Fake API with routes that take precedence
+ * @returns {FakeGitHub} - Fake API
+ */
+function createSourcesApi(api = new FakeGitHub()) {
+    const repository = (name, extra = {}) => ({ full_name: `octo/${name}`, default_branch: 'main', archived: false, permissions: { admin: true }, ...extra });
+    return api
+        .on('GET', /^\/repos\/octo\/api$/, () => repository('api'))
+        .on('GET', /^\/repos\/octo\/web$/, () => repository('web', { default_branch: 'trunk' }))
+        .on('GET', /^\/repos\/octo\/old$/, () => repository('old', { archived: true }))
+        .on('GET', /^\/repos\/octo\/theirs$/, () => repository('theirs', { permissions: { admin: false, push: true } }))
+        .on('GET', /^\/repos\/octo\/api\/readme$/, () => ({ path: 'README.md' }))
+        .on('GET', /^\/repos\/octo\/(web|old|theirs)\/readme$/, () => {
+            throw httpError(404, 'Not Found');
+        })
+        .on('GET', /^\/repos\/octo\/api\/contents\/README\.md$/, () => ({
+            sha: 'readme-sha',
+            content: Buffer.from('# api\n').toString('base64'),
+            encoding: 'base64'
+        }))
+        .on('PUT', /^\/repos\/octo\/(\w+)\/contents\/README\.md$/, (match) => ({
+            commit: { sha: `notice-${match[1]}`, html_url: `https://github.com/octo/${match[1]}/commit/notice`, parents: [{ sha: `head-${match[1]}` }] }
+        }))
+        .on('PATCH', /^\/repos\/octo\/(\w+)$/, () => ({}));
+}
+
+const sources = [
+    { name: 'api', full_name: 'octo/api', path: 'services/api' },
+    { name: 'web', full_name: 'octo/web', path: 'web' },
+    { name: 'old', full_name: 'octo/old', path: 'old' },
+    { name: 'theirs', full_name: 'octo/theirs', path: 'theirs' },
+    { name: 'keep', full_name: 'octo/keep', path: 'keep', archive: false }
+];
+
+describe('buildMovedNotice', () => {
+    it('should link to the source folder in the merged repository', () => {
+        const notice = buildMovedNotice(merged, 'services/api');
+        expect(notice).toContain('[`services/api/`](https://github.com/me/platform/tree/main/services/api)');
+        expect(notice).toContain('[me/platform](https://github.com/me/platform)');
+        expect(notice.endsWith('\n\n')).toBe(true);
+    });
+});
+
+describe('planArchival', () => {
+    it('should list what would happen to each source without changing anything', async () => {
+        const api = createSourcesApi();
+
+        const plan = await planArchival(api, sources, merged);
+
+        expect(plan.map(entry => [entry.full_name, entry.status, entry.reason])).toEqual([
+            ['octo/api', 'planned', undefined],
+            ['octo/web', 'planned', undefined],
+            ['octo/old', 'skipped', 'Already archived'],
+            ['octo/theirs', 'skipped', 'Archiving needs admin rights on octo/theirs'],
+            ['octo/keep', 'skipped', 'Opted out of archiving']
+        ]);
+        expect(plan[0]).toMatchObject({ notice: 'commit', readme: { path: 'README.md', exists: true } });
+        expect(plan[1].readme).toEqual({ path: 'README.md', exists: false });
+        expect(api.calls.every(call => call.method === 'GET')).toBe(true);
+        expect(api.count('GET', /octo\/keep/)).toBe(0);
+    });
+});
+
+describe('archiveSources', () => {
+    it('should commit the notice, archive the sources and journal every step', async () => {
+        const api = createSourcesApi();
+        const journal = new OperationJournal();
+
+        const { sources: results, summary } = await archiveSources(api, sources, merged, { journal });
+
+        expect(summary).toMatchObject({ archived: 2, skipped: 3, failed: 0 });
+        expect(results[0]).toMatchObject({ status: 'archived', commit: { sha: 'notice-api' } });
+        expect(results[0].banner).toBeUndefined();
+
+        const apiWrite = api.calls.find(call => call.method === 'PUT' && call.url.includes('octo/api'));
+        expect(apiWrite.body).toMatchObject({ branch: 'main', sha: 'readme-sha' });
+        expect(Buffer.from(apiWrite.body.content, 'base64').toString()).toMatch(/has moved[\s\S]*\n\n# api\n$/);
+        const webWrite = api.calls.find(call => call.method === 'PUT' && call.url.includes('octo/web'));
+        expect(webWrite.body.branch).toBe('trunk');
+        expect(webWrite.body.sha).toBeUndefined();
+        expect(api.calls.filter(call => call.method === 'PATCH').map(call => [call.url, call.body])).toEqual([
+            ['/repos/octo/api', { archived: true }],
+            ['/repos/octo/web', { archived: true }]
+        ]);
+
+        expect(journal.entries.map(entry => [entry.type, entry.full_name])).toEqual([
+            ['ref_updated', 'octo/api'],
+            ['settings_changed', 'octo/api'],
+            ['ref_updated', 'octo/web'],
+            ['settings_changed', 'octo/web']
+        ]);
+        expect(journal.entries[0]).toMatchObject({ ref: 'heads/main', previous_sha: 'head-api', sha: 'notice-api' });
+    });
+
+    it('should leave sources that cannot be archived to the rest', async () => {
+        const api = createSourcesApi(new FakeGitHub().on('PATCH', /^\/repos\/octo\/api$/, () => {
+            throw httpError(403, 'Resource not accessible by integration');
+        }));
+
+        const { sources: results } = await archiveSources(api, sources.slice(0, 2), merged, { journal: new OperationJournal() });
+
+        expect(results.map(result => [result.status, result.error])).toEqual([
+            ['failed', 'Resource not accessible by integration'],
+            ['archived', undefined]
+        ]);
+    });
+
+    it('should propose the notice in a pull request and undo it on rollback', async () => {
+        const api = createSourcesApi()
+            .on('GET', /^\/repos\/octo\/api\/git\/ref\/heads\/main$/, () => ({ object: { sha: 'head-api' } }))
+            .on('POST', /^\/repos\/octo\/api\/git\/refs$/, () => ({}))
+            .on('POST', /^\/repos\/octo\/api\/pulls$/, () => ({ number: 7, html_url: 'https://github.com/octo/api/pull/7' }));
+        const journal = new OperationJournal();
+
+        const { sources: results } = await archiveSources(api, sources.slice(0, 1), merged, { notice: 'pull_request', journal });
+
+        expect(results[0]).toMatchObject({ status: 'notice_proposed', pull_request: { number: 7 } });
+        expect(api.calls.find(call => call.method === 'PUT').body.branch).toBe(NOTICE_BRANCH);
+        expect(api.calls.find(call => call.url.endsWith('/pulls')).body).toMatchObject({ head: NOTICE_BRANCH, base: 'main' });
+        expect(api.count('PATCH', /^\/repos\/octo\/api$/)).toBe(0);
+        expect(journal.entries).toEqual([expect.objectContaining({ ref: `heads/${NOTICE_BRANCH}`, previous_sha: null, sha: 'notice-api' })]);
+
+        api.on('GET', /^\/repos\/octo\/api\/git\/ref\/heads\/caromar\/moved-notice$/, () => ({ object: { sha: 'notice-api' } }))
+            .on('DELETE', /^\/repos\/octo\/api\/git\/refs\/heads\/caromar\/moved-notice$/, () => null);
+        const report = await rollbackJournal(api, journal.entries);
+        expect(report.steps[0]).toMatchObject({ status: 'undone', description: `Deleted heads/${NOTICE_BRANCH} of octo/api` });
+    });
+});
+
+describe('merge requests with archival', () => {
+    const repositories = [{ name: 'api', full_name: 'octo/api', default_branch: 'main', clone_url: 'https://github.com/octo/api.git' }];
+
+    it('should validate archive options', async () => {
+        const request = await validateMergeRequest({ name: 'platform', mode: 'snapshot', archive_sources: true, repositories });
+        expect(request).toMatchObject({ archive_sources: true, archive_notice: 'commit' });
+
+        await expect(validateMergeRequest({ name: 'platform', mode: 'snapshot', archive_notice: 'email', repositories }))
+            .rejects.toMatchObject({ status: 400 });
+        await expect(validateMergeRequest({ name: 'platform', mode: 'instructions', archive_sources: true, repositories }))
+            .rejects.toThrow('Sources can only be archived by history and snapshot merges');
+        await expect(validateMergeRequest({ name: 'platform', mode: 'snapshot', repositories: [{ ...repositories[0], archive: 'no' }] }))
+            .rejects.toThrow('Invalid archive option for api');
+    });
+
+    it('should list the archival plan in the merge preview', async () => {
+        const api = createSourcesApi()
+            .on('GET', /^\/user$/, () => ({ login: 'me' }))
+            .on('GET', /^\/repos\/octo\/api\/contents$/, () => [])
+            .on('GET', /^\/repos\/octo\/api\/commits\/main$/, () => ({ sha: 'c1', commit: { tree: { sha: 't1' } } }))
+            .on('GET', /^\/repos\/octo\/api\/git\/trees\/t1$/, () => ({ truncated: false, tree: [] }));
+
+        const preview = await previewMerge({ name: 'platform', archive_sources: true, repositories }, { api });
+
+        expect(preview.archival.summary).toMatchObject({ planned: 1, skipped: 0 });
+        expect(preview.archival.sources[0].banner).toContain('https://github.com/me/platform/tree/main/api');
+        expect(api.calls.every(call => call.method === 'GET')).toBe(true);
+    });
+});
@@ -0,0 +1,232 @@
+/**
+ * Bulk fork and retry helper tests
+ */
+
+const { forkRepositories, forkWithRetry } = require('../utils/bulk-fork');
+const { withRetry, getRetryDelay, isSecondaryRateLimit, isTransientError } = require('../utils/retry');
+const { validateBulkForkRequest } = require('../utils/operations');
+const { FakeGitHub, httpError } = require('./helpers/fake-github');
+
+/**
+ * Build fork response data
+ * @param {string} repo - Repository name
+ * @param {string} [createdAt] - Creation timestamp of the fork
+ * @returns {Object} - Fork data as returned by GitHub
+ */
+function forkData(repo, createdAt = new Date().toISOString()) {
+    return {
+        full_name: `me/${repo}`,
+        html_url: `https://github.com/me/${repo}`,
+        clone_url: `https://github.com/me/${repo}.git`,
+        ssh_url: `git@github.com:me/${repo}.git`,
+        created_at: createdAt
+    };
+}
+
+describe('Retry helpers', () => {
+    it('should classify secondary rate limits and transient errors', () => {
+        expect(isSecondaryRateLimit(httpError(403, 'You have exceeded a secondary rate limit'))).toBe(true);
+        expect(isSecondaryRateLimit(httpError(403, 'Resource not accessible'))).toBe(false);
+        expect(isTransientError(httpError(502, 'Bad Gateway'))).toBe(true);
+        expect(isTransientError(httpError(404, 'Not Found'))).toBe(false);
+        expect(isTransientError(Object.assign(new Error('reset'), { code: 'ECONNRESET' }))).toBe(true);
+    });
+
+    it('should honour Retry-After and back off exponentially otherwise', () => {
+        expect(getRetryDelay(httpError(403, 'secondary rate limit', { 'retry-after': '5' }), 1)).toBe(5000);
+        expect(getRetryDelay(httpError(502, 'Bad Gateway'), 1, { baseDelayMs: 100 })).toBe(100);
+        expect(getRetryDelay(httpError(502, 'Bad Gateway'), 3, { baseDelayMs: 100 })).toBe(400);
+        expect(getRetryDelay(httpError(403, 'secondary rate limit'), 1)).toBe(60000);
+    });
+
+    it('should give up after the configured retries', async () => {
+        const delays = [];
+        const fn = jest.fn().mockRejectedValue(httpError(500, 'Server Error'));
+
+        await expect(withRetry(fn, { retries: 2, baseDelayMs: 10, sleep: async (ms) => delays.push(ms) }))
+            .rejects.toMatchObject({ attempts: 3 });
+        expect(fn).toHaveBeenCalledTimes(3);
+        expect(delays).toEqual([10, 20]);
+    });
+
+    it('should not retry client errors', async () => {
+        const fn = jest.fn().mockRejectedValue(httpError(404, 'Not Found'));
+        await expect(withRetry(fn, { sleep: async () => {} })).rejects.toMatchObject({ attempts: 1 });
+        expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    it('should let the caller decide which failures to retry', async () => {
+        const error = httpError(502, 'Bad Gateway');
+        const fn = jest.fn().mockRejectedValue(error);
+        const retryIf = jest.fn().mockReturnValue(false);
+
+        await expect(withRetry(fn, { baseDelayMs: 10, sleep: async () => {}, retryIf })).rejects.toMatchObject({ attempts: 1 });
+        expect(retryIf).toHaveBeenCalledWith(error, 10, 1);
+    });
+});
+
+describe('validateBulkForkRequest', () => {
+    it('should accept strings and objects and drop duplicates', () => {
+        const { repositories } = validateBulkForkRequest({
+            repositories: ['octo/api', { owner: 'octo', repo: 'web' }, 'Octo/API'],
+            organization: 'my-org'
+        });
+        expect(repositories).toEqual([
+            { owner: 'octo', repo: 'api', organization: 'my-org' },
+            { owner: 'octo', repo: 'web', organization: 'my-org' }
+        ]);
+    });
+
+    it('should reject empty, oversized and invalid lists', () => {
+        expect(() => validateBulkForkRequest({ repositories: [] })).toThrow('At least one repository');
+        expect(() => validateBulkForkRequest({ repositories: new Array(101).fill('octo/api') })).toThrow('Maximum 100');
+        expect(() => validateBulkForkRequest({ repositories: ['not-a-repo'] })).toThrow('Valid repository name');
+    });
+});
+
+describe('forkRepositories', () => {
+    const noSleep = async () => {};
+
+    it('should limit the number of forks in flight', async () => {
+        let inFlight = 0;
+        let maxInFlight = 0;
+        const api = new FakeGitHub().on('POST', /^\/repos\/octo\/(\w+)\/forks$/, async ([, repo]) => {
+            inFlight++;
+            maxInFlight = Math.max(maxInFlight, inFlight);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            inFlight--;
+            return forkData(repo);
+        });
+        const requests = ['a', 'b', 'c', 'd', 'e'].map(repo => ({ owner: 'octo', repo }));
+
+        const { results, summary } = await forkRepositories(api, requests, { concurrency: 2, sleep: noSleep });
+
+        expect(maxInFlight).toBe(2);
+        expect(results.map(result => result.repository)).toEqual(['octo/a', 'octo/b', 'octo/c', 'octo/d', 'octo/e']);
+        expect(summary).toEqual({ total: 5, forked: 5, already_exists: 0, rate_limited: 0, failed: 0 });
+    });
+
+    it('should report existing forks', async () => {
+        const api = new FakeGitHub()
+            .on('POST', /^\/repos\/octo\/old\/forks$/, () => forkData('old', '2020-01-01T00:00:00Z'))
+            .on('POST', /^\/repos\/octo\/taken\/forks$/, () => {
+                throw httpError(422, 'Name already exists on this account');
+            });
+
+        const { results, summary } = await forkRepositories(api, [
+            { owner: 'octo', repo: 'old' },
+            { owner: 'octo', repo: 'taken' }
+        ], { sleep: noSleep });
+
+        expect(results[0]).toMatchObject({ status: 'already_exists', fork: { full_name: 'me/old' } });
+        expect(results[1]).toMatchObject({ status: 'already_exists', fork: null });
+        expect(summary.already_exists).toBe(2);
+    });
+
+    it('should back off after a secondary rate limit and retry', async () => {
+        let calls = 0;
+        const delays = [];
+        const api = new FakeGitHub().on('POST', /^\/repos\/octo\/api\/forks$/, () => {
+            calls++;
+            if (calls === 1) {
+                throw httpError(403, 'You have exceeded a secondary rate limit', { 'retry-after': '30' });
+            }
+            return forkData('api');
+        });
+
+        const { results } = await forkRepositories(api, [{ owner: 'octo', repo: 'api' }], {
+            sleep: async (ms) => delays.push(ms)
+        });
+
+        expect(results[0]).toMatchObject({ status: 'forked', attempts: 2 });
+        expect(delays[0]).toBe(30000);
+    });
+
+    it('should pause the shared gate after a secondary rate limit', async () => {
+        let calls = 0;
+        const api = new FakeGitHub().on('POST', /^\/repos\/octo\/api\/forks$/, () => {
+            calls++;
+            if (calls === 1) {
+                throw httpError(403, 'You have exceeded a secondary rate limit');
+            }
+            return forkData('api');
+        });
+        const gate = { ready: jest.fn().mockResolvedValue(), pause: jest.fn() };
+
+        await forkWithRetry(api, { owner: 'octo', repo: 'api' }, { gate, sleep: noSleep });
+
+        expect(gate.pause).toHaveBeenCalledWith(60000);
+        expect(gate.ready).toHaveBeenCalledTimes(2);
+    });
+
+    it('should report primary rate limits instead of waiting for the reset', async () => {
+        const reset = Math.floor(Date.now() / 1000) + 900;
+        const delays = [];
+        const api = new FakeGitHub().on('POST', /^\/repos\/octo\/(\w+)\/forks$/, () => {
+            throw httpError(403, 'API rate limit exceeded', { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(reset) });
+        });
+
+        const { results, summary } = await forkRepositories(api, [
+            { owner: 'octo', repo: 'api' },
+            { owner: 'octo', repo: 'web' }
+        ], { concurrency: 1, sleep: async (ms) => delays.push(ms) });
+
+        expect(results[0]).toMatchObject({ status: 'rate_limited', attempts: 1, reset_at: new Date(reset * 1000).toISOString(), error: { status: 403 } });
+        expect(results[1]).toMatchObject({ status: 'rate_limited', attempts: 0 });
+        expect(summary).toMatchObject({ rate_limited: 2, failed: 0 });
+        expect(api.calls).toHaveLength(1);
+        expect(delays).toEqual([]);
+    });
+
+    it('should retry server errors and report failures after the last retry', async () => {
+        let flakyCalls = 0;
+        const api = new FakeGitHub()
+            .on('POST', /^\/repos\/octo\/flaky\/forks$/, () => {
+                flakyCalls++;
+                if (flakyCalls < 3) {
+                    throw httpError(502, 'Bad Gateway');
+                }
+                return forkData('flaky');
+            })
+            .on('POST', /^\/repos\/octo\/down\/forks$/, () => {
+                throw httpError(503, 'Service Unavailable');
+            })
+            .on('POST', /^\/repos\/octo\/missing\/forks$/, () => {
+                throw httpError(404, 'Not Found');
+            });
+
+        const { results, summary } = await forkRepositories(api, [
+            { owner: 'octo', repo: 'flaky' },
+            { owner: 'octo', repo: 'down' },
+            { owner: 'octo', repo: 'missing' }
+        ], { retries: 2, sleep: noSleep });
+
+        expect(results[0]).toMatchObject({ status: 'forked', attempts: 3 });
+        expect(results[1]).toMatchObject({ status: 'failed', attempts: 3, error: { status: 503 } });
+        expect(results[2]).toMatchObject({ status: 'failed', attempts: 1, error: { status: 404, message: 'Not Found' } });
+        expect(summary).toEqual({ total: 3, forked: 1, already_exists: 0, rate_limited: 0, failed: 2 });
+    });
+});
+
+describe('POST /api/fork-repos', () => {
+    const request = require('supertest');
+    let app;
+
+    beforeAll(() => {
+        process.env.JOBS_STORE = 'memory';
+        app = require('../server');
+    });
+
+    afterAll(() => {
+        delete process.env.JOBS_STORE;
+    });
+
+    it('should validate the repository list and token', async () => {
+        const missing = await request(app).post('/api/fork-repos').send({ token: 'ghp_' + 'a'.repeat(40) });
+        expect(missing.statusCode).toBe(400);
+
+        const noToken = await request(app).post('/api/fork-repos').send({ repositories: ['octo/api'] });
+        expect(noToken.statusCode).toBe(400);
+        expect(noToken.body.error).toBe('Valid token is required');
+    });
+});
@@ -0,0 +1,110 @@
+/**
+ * Fork readiness polling tests
+ */
+
+const { waitForFork, parseReadinessOptions } = require('../utils/fork-readiness');
+const { forkRepositories } = require('../utils/bulk-fork');
+const { FakeGitHub, httpError } = require('./helpers/fake-github');
+
+/**
+ * Build a fake clock whose sleep advances time
+ * @returns {Object} - { now, sleep, delays }
+ */
+function createClock() {
+    let time = 0;
+    const delays = [];
+    return {
+        now: () => time,
+        sleep: async (ms) => {
+            delays.push(ms);
+            time += ms;
+        },
+        delays
+    };
+}
+
+/**
+ * Build a fake GitHub whose fork becomes ready after a number of checks
+ * @param {number} pendingChecks - Checks answered as pending
+ * @returns {FakeGitHub} - Fake API
+ */
+function createForkApi(pendingChecks) {
+    let checks = 0;
+    return new FakeGitHub()
+        .on('POST', /^\/repos\/octo\/api\/forks$/, () => ({
+            full_name: 'me/api',
+            html_url: 'https://github.com/me/api',
+            clone_url: 'https://github.com/me/api.git',
+            created_at: new Date().toISOString()
+        }))
+        .on('GET', /^\/repos\/me\/api$/, () => ({ default_branch: 'trunk' }))
+        .on('GET', /^\/repos\/me\/api\/git\/ref\/heads\/trunk$/, () => {
+            checks++;
+            if (checks <= pendingChecks) {
+                throw httpError(409, 'Git Repository is empty.');
+            }
+            return { object: { sha: 'abc1234def' } };
+        });
+}
+
+describe('waitForFork', () => {
+    it('should poll until the default branch resolves', async () => {
+        const clock = createClock();
+        const readiness = await waitForFork(createForkApi(2), 'me/api', clock);
+
+        expect(readiness).toEqual({
+            status: 'ready',
+            default_branch: 'trunk',
+            head_sha: 'abc1234def',
+            checks: 3,
+            waited_ms: 3000
+        });
+        expect(clock.delays).toEqual([1000, 2000]);
+    });
+
+    it('should report pending forks after the timeout', async () => {
+        const clock = createClock();
+        const readiness = await waitForFork(createForkApi(Infinity), 'me/api', { ...clock, timeoutMs: 10000 });
+
+        expect(readiness.status).toBe('pending');
+        expect(readiness.head_sha).toBeNull();
+        expect(clock.now()).toBeLessThanOrEqual(10000);
+    });
+
+    it('should treat a missing fork as pending and rethrow other errors', async () => {
+        const missing = new FakeGitHub();
+        const clock = createClock();
+        const readiness = await waitForFork(missing, 'me/api', { ...clock, timeoutMs: 1000 });
+        expect(readiness).toMatchObject({ status: 'pending', checks: 2 });
+
+        const forbidden = new FakeGitHub().on('GET', /^\/repos\/me\/api$/, () => {
+            throw httpError(403, 'Forbidden');
+        });
+        await expect(waitForFork(forbidden, 'me/api', clock)).rejects.toThrow('403');
+    });
+});
+
+describe('parseReadinessOptions', () => {
+    it('should only wait when asked and cap the timeout', () => {
+        expect(parseReadinessOptions({})).toBeNull();
+        expect(parseReadinessOptions({ wait_for_ready: true })).toEqual({ timeout_ms: 60000 });
+        expect(parseReadinessOptions({ wait_for_ready: 'true', ready_timeout: '15' })).toEqual({ timeout_ms: 15000 });
+        expect(parseReadinessOptions({ wait_for_ready: true, ready_timeout: 3600 })).toEqual({ timeout_ms: 300000 });
+    });
+});
+
+describe('forkRepositories with readiness', () => {
+    it('should report the fork head and count ready forks', async () => {
+        const clock = createClock();
+        const { results, summary } = await forkRepositories(createForkApi(1), [{ owner: 'octo', repo: 'api' }], {
+            readiness: { timeout_ms: 60000 },
+            sleep: clock.sleep
+        });
+
+        expect(results[0]).toMatchObject({
+            status: 'forked',
+            readiness: { status: 'ready', default_branch: 'trunk', head_sha: 'abc1234def' }
+        });
+        expect(summary).toMatchObject({ forked: 1, ready: 1, pending: 0 });
+    });
+});
@@ -0,0 +1,153 @@
+/**
+ * Fork sync tests
+ */
+
+const { syncFork, syncForks } = require('../utils/fork-sync');
+const { validateSyncForksRequest } = require('../utils/operations');
+const { FakeGitHub, httpError } = require('./helpers/fake-github');
+
+/**
+ * Build a fake GitHub with forks of octo/* owned by "me"
+ * @param {Object} mergeResults - Repository name => merge-upstream handler
+ * @returns {FakeGitHub} - Fake API
+ */
+function createForkApi(mergeResults) {
+    return new FakeGitHub()
+        .on('GET', /^\/repos\/me\/(\w+)$/, ([, repo]) => ({
+            full_name: `me/${repo}`,
+            html_url: `https://github.com/me/${repo}`,
+            default_branch: 'main',
+            fork: repo !== 'original',
+            parent: repo !== 'original' ? {
+                full_name: `octo/${repo}`,
+                default_branch: 'trunk',
+                owner: { login: 'octo' }
+            } : undefined
+        }))
+        .on('POST', /^\/repos\/me\/(\w+)\/merge-upstream$/, ([, repo], body) => mergeResults[repo](body));
+}
+
+describe('syncFork', () => {
+    const noSleep = async () => {};
+
+    it('should map merge-upstream results to sync statuses', async () => {
+        const api = createForkApi({
+            ahead: () => ({ merge_type: 'fast-forward', message: 'Successfully fetched and fast-forwarded from upstream octo:trunk.' }),
+            current: () => ({ merge_type: 'none', message: 'This branch is not behind the upstream octo:trunk.' })
+        });
+
+        const ahead = await syncFork(api, { owner: 'me', repo: 'ahead' });
+        expect(ahead).toMatchObject({ status: 'fast_forwarded', branch: 'main', upstream: 'octo/ahead:trunk' });
+        expect(api.calls.find(call => call.method === 'POST').body).toEqual({ branch: 'main' });
+
+        const current = await syncFork(api, { owner: 'me', repo: 'current' });
+        expect(current.status).toBe('up_to_date');
+    });
+
+    it('should report conflicts without opening a pull request by default', async () => {
+        const api = createForkApi({
+            diverged: () => {
+                throw httpError(409, 'There are merge conflicts');
+            }
+        });
+
+        const result = await syncFork(api, { owner: 'me', repo: 'diverged' }, { sleep: noSleep });
+        expect(result).toMatchObject({ status: 'conflict', message: 'There are merge conflicts', pull_request: null });
+        expect(api.count('POST', /\/pulls$/)).toBe(0);
+    });
+
+    it('should open a pull request from upstream when asked', async () => {
+        const api = createForkApi({
+            diverged: () => {
+                throw httpError(409, 'There are merge conflicts');
+            }
+        }).on('POST', /^\/repos\/me\/diverged\/pulls$/, () => ({ number: 7, html_url: 'https://github.com/me/diverged/pull/7' }));
+
+        const result = await syncFork(api, { owner: 'me', repo: 'diverged' }, { openPullRequest: true, sleep: noSleep });
+
+        expect(result.pull_request).toEqual({ number: 7, html_url: 'https://github.com/me/diverged/pull/7', created: true });
+        const pull = api.calls.find(call => call.url.endsWith('/pulls'));
+        expect(pull.body).toMatchObject({ head: 'octo:trunk', base: 'main' });
+    });
+
+    it('should reuse an open sync pull request', async () => {
+        const api = createForkApi({
+            diverged: () => {
+                throw httpError(409, 'There are merge conflicts');
+            }
+        })
+            .on('POST', /^\/repos\/me\/diverged\/pulls$/, () => {
+                const error = httpError(422, 'Validation Failed');
+                error.response.data.errors = [{ message: 'A pull request already exists for me:main.' }];
+                throw error;
+            })
+            .on('GET', /^\/repos\/me\/diverged\/pulls$/, () => [{ number: 3, html_url: 'https://github.com/me/diverged/pull/3' }]);
+
+        const result = await syncFork(api, { owner: 'me', repo: 'diverged' }, { openPullRequest: true, sleep: noSleep });
+        expect(result.pull_request).toEqual({ number: 3, html_url: 'https://github.com/me/diverged/pull/3', created: false });
+    });
+
+    it('should sync a named branch against the upstream branch of the same name', async () => {
+        const api = createForkApi({ ahead: () => ({ merge_type: 'merge', message: 'Merged' }) });
+
+        const result = await syncFork(api, { owner: 'me', repo: 'ahead', branch: 'release' });
+        expect(result).toMatchObject({ status: 'merged', branch: 'release', upstream: 'octo/ahead:release' });
+    });
+});
+
+describe('syncForks', () => {
+    it('should report failures per fork and summarize', async () => {
+        const api = createForkApi({
+            ahead: () => ({ merge_type: 'fast-forward' }),
+            diverged: () => {
+                throw httpError(409, 'There are merge conflicts');
+            }
+        });
+
+        const { results, summary } = await syncForks(api, [
+            { owner: 'me', repo: 'ahead' },
+            { owner: 'me', repo: 'diverged' },
+            { owner: 'me', repo: 'original' }
+        ], { sleep: async () => {} });
+
+        expect(results.map(result => result.status)).toEqual(['fast_forwarded', 'conflict', 'failed']);
+        expect(results[2].error).toEqual({ status: 422, message: 'me/original is not a fork' });
+        expect(summary).toMatchObject({ total: 3, fast_forwarded: 1, conflict: 1, failed: 1, pull_requests: 0 });
+    });
+
+    it('should not repeat a sync GitHub may have applied', async () => {
+        const api = createForkApi({
+            flaky: () => {
+                throw httpError(502, 'Bad Gateway');
+            }
+        });
+
+        const { results } = await syncForks(api, [{ owner: 'me', repo: 'flaky' }]);
+
+        expect(results[0]).toMatchObject({ status: 'failed', error: { status: 502, message: 'Bad Gateway' } });
+        expect(api.count('POST', /\/merge-upstream$/)).toBe(1);
+    });
+});
+
+describe('validateSyncForksRequest', () => {
+    it('should normalize repositories and branches', () => {
+        const request = validateSyncForksRequest({
+            repositories: ['me/api', { owner: 'me', repo: 'web', branch: 'develop' }],
+            branch: 'main',
+            open_pull_request: true
+        });
+
+        expect(request).toEqual({
+            repositories: [
+                { owner: 'me', repo: 'api', branch: 'main' },
+                { owner: 'me', repo: 'web', branch: 'develop' }
+            ],
+            open_pull_request: true
+        });
+    });
+
+    it('should reject invalid branch names', () => {
+        expect(() => validateSyncForksRequest({ repositories: ['me/api'], branch: 'bad..branch' }))
+            .toThrow('Invalid branch name');
+    });
+});
@@ -0,0 +1,217 @@
+/**
+ * GitHub API client tests
+ * Requests are answered by a local axios adapter instead of the network.
+ */
+
+const axios = require('axios');
+const { GitHubClient, GitHubApiError, createGitHubApi } = require('../utils/github-api');
+const { ResponseCache } = require('../utils/response-cache');
+
+/**
+ * Build an axios adapter that answers from a list of replies
+ * @param {Array<Object>} replies - { status, data, headers } or { code } for network failures, used in order
+ * @returns {Function} - Adapter; `adapter.requests` records the configs it received
+ */
+function replyWith(replies) {
+    const adapter = async (config) => {
+        adapter.requests.push(config);
+        const reply = replies[Math.min(adapter.requests.length, replies.length) - 1];
+        if (reply.code) {
+            throw new axios.AxiosError(`failed with ${reply.code}`, reply.code, config);
+        }
+        const response = { status: reply.status, statusText: '', data: reply.data || {}, headers: reply.headers || {}, config };
+        if (reply.status >= 400) {
+            throw new axios.AxiosError(`Request failed with status code ${reply.status}`, 'ERR_BAD_RESPONSE', config, null, response);
+        }
+        return response;
+    };
+    adapter.requests = [];
+    return adapter;
+}
+
+/**
+ * Create a client that records its waits instead of sleeping
+ * @param {Function} adapter - Axios adapter
+ * @param {Object} [options] - More client options
+ * @returns {GitHubClient} - Client; `client.delays` lists the waits
+ */
+function createClient(adapter, options = {}) {
+    const delays = [];
+    const client = new GitHubClient({ token: 'ghp_test', retries: 3, baseDelayMs: 10, sleep: async (ms) => delays.push(ms), adapter, ...options });
+    client.delays = delays;
+    return client;
+}
+
+describe('GitHubClient', () => {
+    it('should send the token and the API headers to the API base URL', async () => {
+        const adapter = replyWith([{ status: 200, data: { login: 'me' } }]);
+
+        const { data } = await createGitHubApi('ghp_test', { adapter }).get('/user');
+
+        expect(data).toEqual({ login: 'me' });
+        const [request] = adapter.requests;
+        expect(request.baseURL).toBe('https://api.github.com');
+        expect(request.url).toBe('/user');
+        expect(request.timeout).toBe(30000);
+        expect(request.headers.Authorization).toBe('token ghp_test');
+        expect(request.headers['User-Agent']).toBe('CAROMAR-App');
+        expect(request.headers.Accept).toBe('application/vnd.github.v3+json');
+    });
+
+    it('should leave out the Authorization header without a token', async () => {
+        const adapter = replyWith([{ status: 200 }]);
+
+        await createGitHubApi(undefined, { adapter }).get('/users/octo');
+
+        expect(adapter.requests[0].headers.Authorization).toBeUndefined();
+    });
+
+    it('should retry server errors of reads with exponential backoff', async () => {
+        const adapter = replyWith([{ status: 502 }, { status: 503 }, { status: 200, data: { ok: true } }]);
+        const client = createClient(adapter);
+
+        const { data } = await client.get('/repos/octo/api');
+
+        expect(data).toEqual({ ok: true });
+        expect(adapter.requests).toHaveLength(3);
+        expect(client.delays).toEqual([10, 20]);
+    });
+
+    it('should not repeat a POST that failed with a server error', async () => {
+        const adapter = replyWith([{ status: 500, data: { message: 'Server Error' } }]);
+        const client = createClient(adapter);
+
+        const error = await client.post('/user/repos', { name: 'platform' }).catch(e => e);
+
+        expect(error).toBeInstanceOf(GitHubApiError);
+        expect(error).toMatchObject({ kind: 'http', method: 'POST', url: '/user/repos', message: 'Server Error', attempts: 1 });
+        expect(error.response.status).toBe(500);
+        expect(error.status).toBeUndefined();
+        expect(adapter.requests).toHaveLength(1);
+    });
+
+    it('should wait out secondary rate limits, even for a POST', async () => {
+        const adapter = replyWith([
+            { status: 403, data: { message: 'You have exceeded a secondary rate limit' }, headers: { 'retry-after': '5' } },
+            { status: 201, data: { full_name: 'me/api' } }
+        ]);
+        const client = createClient(adapter);
+
+        const { data } = await client.post('/repos/octo/api/forks', {});
+
+        expect(data.full_name).toBe('me/api');
+        expect(client.delays).toEqual([5000]);
+    });
+
+    it('should fail fast when the rate limit resets later than it is willing to wait', async () => {
+        const reset = Math.floor(Date.now() / 1000) + 3600;
+        const adapter = replyWith([{
+            status: 403,
+            data: { message: 'API rate limit exceeded' },
+            headers: { 'x-ratelimit-limit': '5000', 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(reset) }
+        }]);
+        const client = createClient(adapter);
+
+        const error = await client.get('/user').catch(e => e);
+
+        expect(error.kind).toBe('rate_limit');
+        expect(error.rateLimited).toBe(true);
+        expect(error.rate_limit).toEqual({ limit: 5000, remaining: 0, reset: new Date(reset * 1000).toISOString() });
+        expect(client.delays).toEqual([]);
+    });
+
+    it('should report timeouts and unreachable hosts', async () => {
+        const timeout = await createClient(replyWith([{ code: 'ECONNABORTED' }]), { retries: 1, timeout: 500 }).get('/user').catch(e => e);
+        expect(timeout).toMatchObject({ kind: 'timeout', attempts: 2, message: 'GitHub did not answer GET /user within 500 ms' });
+        expect(timeout.response).toBeUndefined();
+
+        const network = await createClient(replyWith([{ code: 'ENOTFOUND' }])).get('/user').catch(e => e);
+        expect(network).toMatchObject({ kind: 'network', attempts: 1 });
+        expect(network.message).toContain('Could not reach GitHub for GET /user');
+    });
+
+    it('should let a request override the retries and timeout', async () => {
+        const adapter = replyWith([{ status: 502 }]);
+        const client = createClient(adapter);
+
+        await expect(client.get('/user', { retries: 0, timeout: 1000 })).rejects.toMatchObject({ attempts: 1 });
+        expect(adapter.requests[0].timeout).toBe(1000);
+        expect(adapter.requests[0].retries).toBeUndefined();
+    });
+
+    it('should retry a POST that only reads when asked to', async () => {
+        const adapter = replyWith([{ status: 502 }, { status: 200, data: { data: {} } }]);
+        const client = createClient(adapter);
+
+        await client.post('/graphql', { query: '{ viewer { login } }' }, { idempotent: true });
+
+        expect(adapter.requests).toHaveLength(2);
+        expect(adapter.requests[1].idempotent).toBeUndefined();
+    });
+});
+
+describe('conditional requests', () => {
+    const repos = [{ full_name: 'octo/api' }];
+
+    it('should revalidate with If-None-Match and answer 304s from the cache', async () => {
+        const cache = new ResponseCache();
+        const adapter = replyWith([
+            { status: 200, data: repos, headers: { etag: 'W/"abc"', 'x-ratelimit-remaining': '4999' } },
+            { status: 304, headers: { etag: 'W/"abc"', 'x-ratelimit-remaining': '4998' } }
+        ]);
+        const api = createGitHubApi('ghp_test', { adapter, cache });
+
+        const first = await api.get('/users/octo/repos', { params: { page: 1 } });
+        const second = await api.get('/users/octo/repos', { params: { page: 1 } });
+
+        expect(first.cached).toBe(false);
+        expect(adapter.requests[0].headers['If-None-Match']).toBeUndefined();
+        expect(adapter.requests[1].headers['If-None-Match']).toBe('W/"abc"');
+        expect(second).toMatchObject({ cached: true, status: 200, data: repos });
+        expect(second.headers['x-ratelimit-remaining']).toBe('4998');
+    });
+
+    it('should keep responses apart per token and per query', async () => {
+        const cache = new ResponseCache();
+        const adapter = replyWith([{ status: 200, data: repos, headers: { etag: '"abc"' } }]);
+
+        await createGitHubApi('ghp_one', { adapter, cache }).get('/user/repos', { params: { page: 1 } });
+        await createGitHubApi('ghp_two', { adapter, cache }).get('/user/repos', { params: { page: 1 } });
+        await createGitHubApi('ghp_one', { adapter, cache }).get('/user/repos', { params: { page: 2 } });
+
+        expect(adapter.requests.map(request => request.headers['If-None-Match'])).toEqual([undefined, undefined, undefined]);
+        expect(cache.entries.size).toBe(3);
+        expect([...cache.entries.keys()].join()).not.toContain('ghp_');
+    });
+
+    it('should replace changed responses and drop the least recently used', async () => {
+        const cache = new ResponseCache({ maxEntries: 2 });
+        const adapter = replyWith([
+            { status: 200, data: { v: 1 }, headers: { etag: '"1"' } },
+            { status: 200, data: { v: 2 }, headers: { etag: '"2"' } }
+        ]);
+        const api = createGitHubApi('ghp_test', { adapter, cache });
+
+        await api.get('/a');
+        const { data, cached } = await api.get('/a');
+        await api.get('/b');
+        await api.get('/a');
+        await api.get('/c');
+
+        expect(data).toEqual({ v: 2 });
+        expect(cached).toBe(false);
+        expect([...cache.entries.keys()].map(key => JSON.parse(key)[1])).toEqual(['https://api.github.com/a', 'https://api.github.com/c']);
+    });
+
+    it('should not cache writes, binary downloads or responses without an ETag', async () => {
+        const cache = new ResponseCache();
+        const adapter = replyWith([{ status: 200, data: {}, headers: { etag: '"1"' } }]);
+        const api = createGitHubApi('ghp_test', { adapter, cache });
+
+        await api.post('/user/repos', { name: 'x' });
+        await api.get('/repos/octo/api/releases/assets/1', { responseType: 'arraybuffer' });
+        cache.set('plain', { status: 200, data: {}, headers: {} });
+
+        expect(cache.entries.size).toBe(0);
+    });
+});
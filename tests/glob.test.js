@@ -0,0 +1,84 @@
+/**
+ * Glob matching tests
+ */
+
+const { compileGlob, createPathFilter, isValidGlobList } = require('../utils/glob');
+
+describe('compileGlob', () => {
+    it('should match patterns without a slash at any depth', () => {
+        const regex = compileGlob('*.log');
+        expect(regex.test('debug.log')).toBe(true);
+        expect(regex.test('logs/app/debug.log')).toBe(true);
+        expect(regex.test('debug.log.txt')).toBe(false);
+    });
+
+    it('should anchor patterns with a slash to the repository root', () => {
+        const regex = compileGlob('src/*.js');
+        expect(regex.test('src/index.js')).toBe(true);
+        expect(regex.test('lib/src/index.js')).toBe(false);
+        expect(regex.test('src/nested/index.js')).toBe(false);
+    });
+
+    it('should match everything below a matching directory', () => {
+        expect(compileGlob('docs').test('docs/guide/intro.md')).toBe(true);
+        expect(compileGlob('docs/').test('docs/guide/intro.md')).toBe(true);
+        expect(compileGlob('docs/').test('docs')).toBe(false);
+        expect(compileGlob('/build').test('packages/build/out.js')).toBe(false);
+    });
+
+    it('should support ** and ? wildcards', () => {
+        expect(compileGlob('src/**/test').test('src/test/a.js')).toBe(true);
+        expect(compileGlob('src/**/test').test('src/a/b/test/a.js')).toBe(true);
+        expect(compileGlob('**/*.min.js').test('public/js/app.min.js')).toBe(true);
+        expect(compileGlob('v?.txt').test('v1.txt')).toBe(true);
+        expect(compileGlob('v?.txt').test('v10.txt')).toBe(false);
+    });
+
+    it('should treat regular expression characters literally', () => {
+        expect(compileGlob('a+b.(c)').test('a+b.(c)')).toBe(true);
+        expect(compileGlob('a+b.(c)').test('aab.(c)')).toBe(false);
+    });
+
+    it('should only treat ** as a whole segment specially', () => {
+        expect(compileGlob('src/**').test('src/a/b.js')).toBe(true);
+        expect(compileGlob('a**b').test('axxb')).toBe(true);
+        expect(compileGlob('a**b').test('a/x/b')).toBe(false);
+        expect(compileGlob('src/**/**/test').test('src/test')).toBe(true);
+    });
+
+    it('should match in linear time whatever the pattern', () => {
+        const started = Date.now();
+
+        expect(compileGlob('**a**a**a**a**a**a**a**a**a**a**b').test('a'.repeat(40))).toBe(false);
+        expect(compileGlob('*a*a*a*a*a*a*a*a*a*a*b').test('a'.repeat(200))).toBe(false);
+        expect(compileGlob('**/**/**/**/**/**/**/**/**/x').test(`${'a/'.repeat(100)}b`)).toBe(false);
+        expect(Date.now() - started).toBeLessThan(1000);
+    });
+});
+
+describe('createPathFilter', () => {
+    it('should return null when nothing is filtered', () => {
+        expect(createPathFilter({})).toBeNull();
+        expect(createPathFilter({ include: [], exclude: [] })).toBeNull();
+    });
+
+    it('should keep included paths that are not excluded', () => {
+        const filter = createPathFilter({ include: ['src/', '*.md'], exclude: ['*.test.js', 'docs/'] });
+        expect(filter('src/index.js')).toBe(true);
+        expect(filter('src/index.test.js')).toBe(false);
+        expect(filter('README.md')).toBe(true);
+        expect(filter('docs/intro.md')).toBe(false);
+        expect(filter('package.json')).toBe(false);
+    });
+});
+
+describe('isValidGlobList', () => {
+    it('should accept short lists of non-empty patterns', () => {
+        expect(isValidGlobList(['docs/', '*.log'])).toBe(true);
+        expect(isValidGlobList([])).toBe(true);
+        expect(isValidGlobList('docs/')).toBe(false);
+        expect(isValidGlobList(['/'])).toBe(false);
+        expect(isValidGlobList([42])).toBe(false);
+        expect(isValidGlobList(new Array(51).fill('*.log'))).toBe(false);
+    });
+});
@@ -0,0 +1,170 @@
+/**
+ * GraphQL repository listing tests
+ */
+
+const { listRepositories, toRestRepository, runQuery } = require('../utils/graphql-repos');
+const RepositoryAnalytics = require('../utils/analytics');
+const { FakeGitHub } = require('./helpers/fake-github');
+
+/**
+ * Build a repository node as returned by the GraphQL API
+ * @param {number} id - Database id
+ * @param {Object} [overrides] - Fields to replace
+ * @returns {Object} - Repository node
+ */
+function repositoryNode(id, overrides = {}) {
+    return {
+        databaseId: id,
+        name: `repo-${id}`,
+        nameWithOwner: `octo/repo-${id}`,
+        description: 'A repository',
+        url: `https://github.com/octo/repo-${id}`,
+        sshUrl: `git@github.com:octo/repo-${id}.git`,
+        isPrivate: false,
+        isFork: false,
+        isArchived: false,
+        isDisabled: false,
+        createdAt: '2024-01-01T00:00:00Z',
+        updatedAt: '2024-03-01T00:00:00Z',
+        pushedAt: '2024-03-01T00:00:00Z',
+        diskUsage: 2048,
+        stargazerCount: 10,
+        forkCount: 2,
+        watchers: { totalCount: 3 },
+        issues: { totalCount: 4 },
+        pullRequests: { totalCount: 1 },
+        primaryLanguage: { name: 'JavaScript' },
+        licenseInfo: { key: 'mit', name: 'MIT License', spdxId: 'MIT' },
+        repositoryTopics: { nodes: [{ topic: { name: 'cli' } }] },
+        viewerPermission: 'WRITE',
+        refs: { totalCount: 7 },
+        releases: { totalCount: 5 },
+        languages: { edges: [{ size: 9000, node: { name: 'JavaScript' } }, { size: 120, node: { name: 'Shell' } }] },
+        defaultBranchRef: {
+            name: 'main',
+            branchProtectionRule: {
+                pattern: 'main',
+                requiresApprovingReviews: true,
+                requiredApprovingReviewCount: 2,
+                requiresStatusChecks: true,
+                isAdminEnforced: false
+            },
+            target: { oid: 'c0ffee', committedDate: '2024-03-01T00:00:00Z', author: { name: 'Mona', user: { login: 'mona' } } }
+        },
+        ...overrides
+    };
+}
+
+/**
+ * Fake an owner whose repositories are served in cursor pages
+ * @param {number} count - Number of repositories
+ * @returns {FakeGitHub} - Fake answering POST /graphql
+ */
+function owner(count) {
+    const nodes = Array.from({ length: count }, (_, index) => repositoryNode(index + 1));
+    return new FakeGitHub().on('POST', /^\/graphql$/, (match, { variables }) => {
+        const start = variables.after ? parseInt(variables.after, 10) : 0;
+        const end = Math.min(start + variables.first, count);
+        return {
+            data: {
+                rateLimit: { limit: 5000, remaining: 4990, resetAt: '2024-03-01T01:00:00Z' },
+                repositoryOwner: {
+                    login: variables.login,
+                    repositories: {
+                        totalCount: count,
+                        pageInfo: { hasNextPage: end < count, endCursor: String(end) },
+                        nodes: nodes.slice(start, end)
+                    }
+                }
+            }
+        };
+    });
+}
+
+describe('toRestRepository', () => {
+    it('should keep the REST listing fields and add the details', () => {
+        const repo = toRestRepository(repositoryNode(1));
+
+        expect(repo).toMatchObject({
+            id: 1,
+            full_name: 'octo/repo-1',
+            clone_url: 'https://github.com/octo/repo-1.git',
+            language: 'JavaScript',
+            size: 2048,
+            stargazers_count: 10,
+            watchers_count: 3,
+            forks_count: 2,
+            open_issues_count: 5,
+            license: { key: 'mit', name: 'MIT License', spdx_id: 'MIT' },
+            topics: ['cli'],
+            default_branch: 'main',
+            permissions: { admin: false, maintain: false, push: true, triage: true, pull: true },
+            branch_count: 7,
+            languages: { JavaScript: 9000, Shell: 120 },
+            last_commit: { sha: 'c0ffee', author: 'Mona', author_login: 'mona' },
+            release_count: 5,
+            branch_protection: { pattern: 'main', required_approving_review_count: 2, requires_status_checks: true, enforce_admins: false }
+        });
+    });
+
+    it('should handle empty repositories and unprotected branches', () => {
+        expect(toRestRepository(repositoryNode(1, { defaultBranchRef: null, primaryLanguage: null, licenseInfo: null })))
+            .toMatchObject({ default_branch: null, last_commit: null, branch_protection: null, language: null, license: null });
+    });
+
+    it('should feed RepositoryAnalytics like the REST listing', () => {
+        const analytics = new RepositoryAnalytics([toRestRepository(repositoryNode(1)), toRestRepository(repositoryNode(2))]);
+
+        expect(analytics.getTotalStats()).toMatchObject({ totalRepos: 2, totalStars: 20, totalForks: 4 });
+        expect(analytics.getLanguageDistribution()).toEqual({ JavaScript: 2 });
+    });
+});
+
+describe('listRepositories', () => {
+    it('should return one page with the total and the next cursor', async () => {
+        const fake = owner(120);
+
+        const result = await listRepositories(fake, { login: 'octo', type: 'private', sort: 'pushed', perPage: 50 });
+
+        expect(result.repos).toHaveLength(50);
+        expect(result).toMatchObject({ total: 120, next_cursor: '50', pages: 1, truncated: false });
+        expect(result.rate_limit).toEqual({ limit: 5000, remaining: 4990, reset: '2024-03-01T01:00:00Z' });
+        expect(fake.calls[0].body.variables).toMatchObject({
+            login: 'octo',
+            first: 50,
+            after: null,
+            orderBy: { field: 'PUSHED_AT', direction: 'DESC' },
+            privacy: 'PRIVATE'
+        });
+    });
+
+    it('should follow cursors up to the page cap', async () => {
+        const fake = owner(250);
+
+        const all = await listRepositories(fake, { login: 'octo', all: true, perPage: 100 });
+        expect(all.repos).toHaveLength(250);
+        expect(all).toMatchObject({ pages: 3, next_cursor: null, truncated: false });
+
+        const capped = await listRepositories(owner(250), { login: 'octo', all: true, perPage: 100, maxPages: 2 });
+        expect(capped).toMatchObject({ pages: 2, next_cursor: '200', truncated: true });
+    });
+
+    it('should report unknown owners as 404', async () => {
+        const fake = new FakeGitHub().on('POST', /^\/graphql$/, () => ({ data: { repositoryOwner: null } }));
+
+        await expect(listRepositories(fake, { login: 'nobody' })).rejects.toMatchObject({ status: 404 });
+    });
+});
+
+describe('runQuery', () => {
+    it('should throw when there is no data and keep partial data', async () => {
+        const failing = new FakeGitHub().on('POST', /^\/graphql$/, () => ({ errors: [{ type: 'RATE_LIMITED', message: 'API rate limit exceeded' }] }));
+        await expect(runQuery(failing, '{ viewer { login } }', {})).rejects.toMatchObject({ kind: 'rate_limit', rateLimited: true });
+
+        const partial = new FakeGitHub().on('POST', /^\/graphql$/, () => ({
+            data: { viewer: { login: 'me' } },
+            errors: [{ type: 'FORBIDDEN', message: 'Resource not accessible by integration' }]
+        }));
+        expect(await runQuery(partial, '{ viewer { login } }', {})).toEqual({ viewer: { login: 'me' } });
+    });
+});
@@ -0,0 +1,84 @@
+/**
+ * In-memory stand-in for the GitHub REST API client used in tests
+ * Exposes the same get/post/put/patch/delete surface as the axios instance
+ * returned by utils/github-api, with routes registered per test.
+ */
+
+/**
+ * Build an error shaped like an axios HTTP error
+ * @param {number} status - HTTP status code
+ * @param {string} message - GitHub error message
+ * @param {Object} [headers] - Response headers
+ * @returns {Error} - Error with a `response` property
+ */
+function httpError(status, message, headers = {}) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = { status, data: { message }, headers };
+    return error;
+}
+
+class FakeGitHub {
+    constructor() {
+        this.routes = [];
+        this.calls = [];
+    }
+
+    /**
+     * Register a route handler
+     * @param {string} method - HTTP method
+     * @param {RegExp} pattern - Pattern matched against the request path
+     * @param {Function} handler - (match, body, config) => data | { status, data, headers }
+     * @returns {FakeGitHub} - This instance, for chaining
+     */
+    on(method, pattern, handler) {
+        this.routes.push({ method, pattern, handler });
+        return this;
+    }
+
+    async request(method, url, body, config = {}) {
+        const path = url.split('?')[0];
+        this.calls.push({ method, url: path, body, params: config.params });
+        const route = this.routes.find(r => r.method === method && r.pattern.test(path));
+        if (!route) {
+            throw httpError(404, `Not Found: ${method} ${path}`);
+        }
+        const result = await route.handler(path.match(route.pattern), body, config);
+        if (result && result.__response) {
+            return { status: result.status || 200, data: result.data, headers: result.headers || {} };
+        }
+        return { status: 200, data: result, headers: {} };
+    }
+
+    get(url, config) { return this.request('GET', url, undefined, config); }
+    delete(url, config) { return this.request('DELETE', url, undefined, config); }
+    post(url, body, config) { return this.request('POST', url, body, config); }
+    put(url, body, config) { return this.request('PUT', url, body, config); }
+    patch(url, body, config) { return this.request('PATCH', url, body, config); }
+
+    /**
+     * Count recorded calls matching a method and path pattern
+     * @param {string} method - HTTP method
+     * @param {RegExp} pattern - Path pattern
+     * @returns {number} - Number of matching calls
+     */
+    count(method, pattern) {
+        return this.calls.filter(call => call.method === method && pattern.test(call.url)).length;
+    }
+}
+
+/**
+ * Wrap data in a full response (for status codes or headers)
+ * @param {number} status - HTTP status code
+ * @param {*} data - Response body
+ * @param {Object} [headers] - Response headers
+ * @returns {Object} - Marker object understood by FakeGitHub
+ */
+function response(status, data, headers) {
+    return { __response: true, status, data, headers };
+}
+
+module.exports = {
+    FakeGitHub,
+    httpError,
+    response
+};
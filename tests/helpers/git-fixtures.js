@@ -0,0 +1,130 @@
+/**
+ * Helpers for building local git repositories in tests
+ * Repositories are served through file:// URLs so no network is needed.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runGit } = require('../../utils/git');
+
+const IDENTITY_ENV = {
+    GIT_AUTHOR_NAME: 'Test Author',
+    GIT_AUTHOR_EMAIL: 'author@example.com',
+    GIT_COMMITTER_NAME: 'Test Committer',
+    GIT_COMMITTER_EMAIL: 'committer@example.com',
+    GIT_CONFIG_NOSYSTEM: '1',
+    GIT_CONFIG_GLOBAL: '/dev/null'
+};
+
+/**
+ * Create a scratch directory that is removed by cleanupFixtures
+ * @returns {string} - Directory path
+ */
+function makeTempDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'caromar-test-'));
+    makeTempDir.created.push(dir);
+    return dir;
+}
+makeTempDir.created = [];
+
+/**
+ * Create a bare repository from a list of commits
+ * @param {Array<Object>} commits - Commits: { files: {path: content|null}, message, date }
+ * @param {Object} [options] - Options
+ * @param {string} [options.branch='main'] - Branch name
+ * @param {Array<string>} [options.tags] - Lightweight tags to create at HEAD
+ * @returns {Promise<Object>} - { dir, url, work }
+ */
+async function createBareRepository(commits, options = {}) {
+    const { branch = 'main', tags = [] } = options;
+    const work = makeTempDir();
+    const bare = makeTempDir();
+
+    await runGit(['init', '--quiet', '-b', branch, work], { env: IDENTITY_ENV });
+    for (const [index, commit] of commits.entries()) {
+        await commitFiles(work, commit, index);
+    }
+    for (const tag of tags) {
+        await runGit(['tag', tag], { cwd: work, env: IDENTITY_ENV });
+    }
+    await runGit(['clone', '--quiet', '--bare', work, bare], { env: IDENTITY_ENV });
+
+    return { dir: bare, url: `file://${bare}`, work };
+}
+
+/**
+ * Write files and commit them in a working repository
+ * @param {string} work - Working tree path
+ * @param {Object} commit - { files, message, date }
+ * @param {number} [index=0] - Used to derive a stable commit date
+ * @returns {Promise<string>} - New commit SHA
+ */
+async function commitFiles(work, commit, index = 0) {
+    for (const [file, content] of Object.entries(commit.files || {})) {
+        const target = path.join(work, file);
+        if (content === null) {
+            fs.rmSync(target, { force: true });
+        } else {
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.writeFileSync(target, content);
+        }
+    }
+    const date = commit.date || `2024-01-0${(index % 9) + 1}T12:00:00Z`;
+    const env = { ...IDENTITY_ENV, GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date };
+    await runGit(['add', '-A'], { cwd: work, env });
+    await runGit(['commit', '--quiet', '--allow-empty', '-m', commit.message || `commit ${index}`], { cwd: work, env });
+    return (await runGit(['rev-parse', 'HEAD'], { cwd: work })).trim();
+}
+
+/**
+ * Push new commits from a fixture's working tree to its bare repository
+ * @param {Object} fixture - Result of createBareRepository
+ * @param {Array<Object>} commits - Commits to add
+ * @param {string} [branch='main'] - Branch to push
+ * @returns {Promise<void>}
+ */
+async function addCommits(fixture, commits, branch = 'main') {
+    for (const [index, commit] of commits.entries()) {
+        await commitFiles(fixture.work, commit, index);
+    }
+    await runGit(['push', '--quiet', fixture.dir, `${branch}:${branch}`], { cwd: fixture.work, env: IDENTITY_ENV });
+}
+
+/**
+ * Create an empty bare repository (like a freshly created GitHub repo)
+ * @returns {Promise<Object>} - { dir, url }
+ */
+async function createEmptyBareRepository() {
+    const bare = makeTempDir();
+    await runGit(['init', '--quiet', '--bare', bare]);
+    return { dir: bare, url: `file://${bare}` };
+}
+
+/**
+ * Run git inside a fixture repository
+ * @param {string} dir - Repository path
+ * @param {Array<string>} args - Git arguments
+ * @returns {Promise<string>} - Trimmed output
+ */
+async function git(dir, args) {
+    return (await runGit(args, { cwd: dir, env: IDENTITY_ENV })).trim();
+}
+
+/**
+ * Remove every directory created by the helpers
+ * @returns {void}
+ */
+function cleanupFixtures() {
+    for (const dir of makeTempDir.created.splice(0)) {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+module.exports = {
+    createBareRepository,
+    createEmptyBareRepository,
+    addCommits,
+    git,
+    cleanupFixtures
+};
@@ -0,0 +1,276 @@
+/**
+ * Issue, label and milestone migration tests
+ */
+
+const {
+    namespaceName,
+    rewriteReferences,
+    resolveMigrationSources,
+    migrateSourceIssues
+} = require('../utils/issue-migration');
+const { validateIssueMigrationRequest, planIssueMigration, validateMergeRequest, createMergedRepository } = require('../utils/operations');
+const { registerDefaultJobTypes } = require('../utils/job-types');
+const { JobManager } = require('../utils/jobs');
+const { FakeGitHub, httpError } = require('./helpers/fake-github');
+const { createBareRepository, createEmptyBareRepository, cleanupFixtures } = require('./helpers/git-fixtures');
+
+const target = { full_name: 'me/platform', html_url: 'https://github.com/me/platform' };
+const source = { owner: 'octo', repo: 'api', full_name: 'octo/api', prefix: 'api' };
+
+/**
+ * Build a source issue
+ * @param {number} number - Issue number
+ * @param {Object} [extra] - Overrides
+ * @returns {Object} - Issue as returned by GitHub
+ */
+function issue(number, extra = {}) {
+    return {
+        number,
+        title: `Issue ${number}`,
+        body: `Body of ${number}`,
+        state: 'open',
+        labels: [],
+        milestone: null,
+        user: { login: 'octocat', html_url: 'https://github.com/octocat' },
+        created_at: '2024-03-01T10:00:00Z',
+        ...extra
+    };
+}
+
+/**
+ * Fake GitHub with a source tracker and a merged repository
+ * @param {Object} [state] - { targetIssues, sourceIssues }
+ * @param {FakeGitHub} [api] - Fake API with routes that take precedence
+ * @returns {FakeGitHub} - Fake API
+ */
+function createTrackerApi({ targetIssues = [], sourceIssues } = {}, api = new FakeGitHub()) {
+    let nextNumber = 100;
+    return api
+        .on('GET', /^\/repos\/me\/platform\/labels$/, () => [{ name: 'api:bug' }])
+        .on('GET', /^\/repos\/octo\/api\/labels$/, () => [
+            { name: 'bug', color: 'd73a4a', description: 'Something is broken' },
+            { name: 'enhancement', color: 'a2eeef', description: '' }
+        ])
+        .on('GET', /^\/repos\/me\/platform\/milestones$/, () => [])
+        .on('GET', /^\/repos\/octo\/api\/milestones$/, () => [{ number: 3, title: 'v1.0', state: 'open', due_on: null }])
+        .on('POST', /^\/repos\/me\/platform\/labels$/, (match, body) => body)
+        .on('POST', /^\/repos\/me\/platform\/milestones$/, () => ({ number: 1 }))
+        .on('GET', /^\/repos\/me\/platform\/issues$/, () => targetIssues)
+        .on('GET', /^\/repos\/octo\/api\/issues$/, () => sourceIssues || [
+            issue(1, { labels: [{ name: 'bug' }], milestone: { number: 3 }, body: 'Broken since #0 and (#7)' }),
+            issue(2, { pull_request: { url: 'https://api.github.com/repos/octo/api/pulls/2' } }),
+            issue(4, { state: 'closed', state_reason: 'not_planned' })
+        ])
+        .on('POST', /^\/repos\/me\/platform\/issues$/, () => {
+            nextNumber++;
+            return { number: nextNumber, html_url: `https://github.com/me/platform/issues/${nextNumber}` };
+        })
+        .on('PATCH', /^\/repos\/me\/platform\/issues\/\d+$/, () => ({}))
+        .on('POST', /^\/repos\/octo\/api\/issues\/\d+\/comments$/, () => ({}));
+}
+
+describe('namespaceName and rewriteReferences', () => {
+    it('should prefix names and keep them within GitHub\'s label length', () => {
+        expect(namespaceName('api', 'bug')).toBe('api:bug');
+        expect(namespaceName('api', 'x'.repeat(60))).toHaveLength(50);
+    });
+
+    it('should point bare issue references at the source repository', () => {
+        expect(rewriteReferences('Fixes #12, see (#3) and octo/web#4 or # 5', 'octo/api'))
+            .toBe('Fixes octo/api#12, see (octo/api#3) and octo/web#4 or # 5');
+    });
+});
+
+describe('resolveMigrationSources', () => {
+    it('should read the sources from the manifest and use their folder as namespace', async () => {
+        const manifest = {
+            version: 1,
+            sources: [
+                { owner: 'octo', repo: 'api', ref: 'main', source_sha: 'a'.repeat(40), target_path: 'services/api' },
+                { owner: 'octo', repo: 'web', ref: 'main', source_sha: 'b'.repeat(40), target_path: 'octo-web' },
+                { owner: null, repo: 'local', ref: 'HEAD', source_sha: 'c'.repeat(40), target_path: 'local' }
+            ]
+        };
+        const api = new FakeGitHub().on('GET', /^\/repos\/me\/platform\/contents\/caromar\.json$/, () => ({
+            content: Buffer.from(JSON.stringify(manifest)).toString('base64'),
+            encoding: 'base64'
+        }));
+
+        const sources = await resolveMigrationSources(api, { owner: 'me', repo: 'platform' });
+
+        expect(sources.map(entry => [entry.full_name, entry.prefix])).toEqual([['octo/api', 'api'], ['octo/web', 'octo-web']]);
+    });
+
+    it('should namespace explicit sources with their repository name', async () => {
+        const sources = await resolveMigrationSources(new FakeGitHub(), { owner: 'me', repo: 'platform' }, [{ owner: 'octo', repo: 'web' }]);
+
+        expect(sources).toEqual([{ owner: 'octo', repo: 'web', full_name: 'octo/web', prefix: 'web' }]);
+    });
+});
+
+describe('migrateSourceIssues', () => {
+    it('should copy labels, milestones and issues and cross-reference the originals', async () => {
+        const api = createTrackerApi();
+        const sleep = jest.fn(async () => {});
+
+        const result = await migrateSourceIssues(api, source, target, { includeClosed: true, sleep });
+
+        expect(result).toMatchObject({
+            source: 'octo/api',
+            target: 'me/platform',
+            issues_url: 'https://github.com/me/platform/issues',
+            labels: { created: 1, existing: 1 },
+            milestones: { created: 1, existing: 0 },
+            issues: { migrated: 2, skipped: 0, failed: 0 }
+        });
+        expect(result.copies).toEqual([
+            { from: 'octo/api#1', number: 101, html_url: 'https://github.com/me/platform/issues/101', cross_referenced: true },
+            { from: 'octo/api#4', number: 102, html_url: 'https://github.com/me/platform/issues/102', cross_referenced: true }
+        ]);
+
+        expect(api.calls.find(call => call.method === 'POST' && call.url.endsWith('/labels')).body)
+            .toEqual({ name: 'api:enhancement', color: 'a2eeef', description: undefined });
+        expect(api.calls.find(call => call.url.endsWith('/milestones') && call.method === 'POST').body).toMatchObject({ title: 'api:v1.0' });
+
+        const [first] = api.calls.filter(call => call.method === 'POST' && call.url === '/repos/me/platform/issues');
+        expect(first.body).toMatchObject({ title: 'Issue 1', labels: ['api:bug'], milestone: 1 });
+        expect(first.body.body).toBe('<!-- caromar:migrated-from octo/api#1 -->\n' +
+            '> Migrated from octo/api#1, opened by [octocat](https://github.com/octocat) on 2024-03-01.\n\n' +
+            'Broken since octo/api#0 and (octo/api#7)');
+
+        expect(api.calls.find(call => call.method === 'PATCH').body).toEqual({ state: 'closed', state_reason: 'not_planned' });
+        expect(api.calls.filter(call => call.url.endsWith('/comments')).map(call => [call.url, call.body.body])).toEqual([
+            ['/repos/octo/api/issues/1/comments', 'This issue was migrated to me/platform#101 (https://github.com/me/platform/issues/101).'],
+            ['/repos/octo/api/issues/4/comments', 'This issue was migrated to me/platform#102 (https://github.com/me/platform/issues/102).']
+        ]);
+        expect(sleep).toHaveBeenCalledTimes(1);
+        expect(api.calls.find(call => call.url === '/repos/octo/api/issues').params).toMatchObject({ state: 'all', direction: 'asc' });
+    });
+
+    it('should skip issues that were migrated before and report failures', async () => {
+        const overrides = new FakeGitHub()
+            .on('POST', /^\/repos\/me\/platform\/issues$/, (match, body) => {
+                if (body.title === 'Issue 5') {
+                    throw httpError(422, 'Validation Failed');
+                }
+                return { number: 200, html_url: 'https://github.com/me/platform/issues/200' };
+            })
+            .on('POST', /^\/repos\/octo\/api\/issues\/6\/comments$/, () => {
+                throw httpError(403, 'Resource not accessible by integration');
+            });
+        const api = createTrackerApi({
+            targetIssues: [{ number: 100, body: '<!-- caromar:migrated-from octo/api#1 -->\n> Migrated', html_url: '' }],
+            sourceIssues: [issue(1), issue(5), issue(6)]
+        }, overrides);
+
+        const result = await migrateSourceIssues(api, source, target, { sleep: async () => {} });
+
+        expect(result.issues).toEqual({ migrated: 1, skipped: 1, failed: 1 });
+        expect(result.failures).toEqual([{ from: 'octo/api#5', error: 'Validation Failed' }]);
+        expect(result.copies).toEqual([{
+            from: 'octo/api#6',
+            number: 200,
+            html_url: 'https://github.com/me/platform/issues/200',
+            cross_referenced: false,
+            error: 'Could not comment on the original: Resource not accessible by integration'
+        }]);
+        expect(api.calls.find(call => call.url === '/repos/octo/api/issues').params.state).toBe('open');
+    });
+
+    it('should not repeat an issue creation GitHub may have applied', async () => {
+        let attempts = 0;
+        const overrides = new FakeGitHub().on('POST', /^\/repos\/me\/platform\/issues$/, () => {
+            attempts++;
+            if (attempts === 1) {
+                throw httpError(502, 'Bad Gateway');
+            }
+            return { number: 200, html_url: 'https://github.com/me/platform/issues/200' };
+        });
+        const api = createTrackerApi({ sourceIssues: [issue(1)] }, overrides);
+
+        const result = await migrateSourceIssues(api, source, target, { sleep: async () => {} });
+
+        expect(attempts).toBe(1);
+        expect(result.failures).toEqual([{ from: 'octo/api#1', error: 'Bad Gateway' }]);
+    });
+});
+
+describe('issue migration requests', () => {
+    it('should validate the merged repository and the sources', () => {
+        expect(validateIssueMigrationRequest({ repository: 'me/platform', include_closed: true }))
+            .toEqual({ owner: 'me', repo: 'platform', repositories: [], include_closed: true });
+        expect(validateIssueMigrationRequest({ repository: 'me/platform', repositories: ['octo/api'] }).repositories)
+            .toEqual([{ owner: 'octo', repo: 'api' }]);
+
+        expect(() => validateIssueMigrationRequest({ repository: 'platform' })).toThrow('The merged repository must be given as "owner/repo"');
+        expect(() => validateIssueMigrationRequest({ repository: 'me/platform', repositories: ['me/platform'] }))
+            .toThrow('Issues cannot be migrated from the merged repository into itself');
+    });
+
+    it('should refuse repositories with issues turned off', async () => {
+        const api = new FakeGitHub().on('GET', /^\/repos\/me\/platform$/, () => ({ full_name: 'me/platform', has_issues: false }));
+
+        await expect(planIssueMigration({ owner: 'me', repo: 'platform', repositories: [] }, { api }))
+            .rejects.toMatchObject({ status: 422, message: 'Issues are turned off in me/platform' });
+    });
+});
+
+describe('issue migration after a merge', () => {
+    afterEach(() => {
+        cleanupFixtures();
+        delete process.env.CAROMAR_ALLOW_FILE_REMOTES;
+    });
+
+    /**
+     * Fake GitHub that creates me/platform backed by a local bare repository
+     * @param {Object} merged - Bare repository fixture of the merged repository
+     * @returns {FakeGitHub} - Fake API
+     */
+    function createMergeApi(merged) {
+        return createTrackerApi({ sourceIssues: [issue(1, { labels: [{ name: 'bug' }] })] }, new FakeGitHub()
+            .on('POST', /^\/user\/repos$/, (match, body) => ({
+                name: body.name,
+                full_name: `me/${body.name}`,
+                html_url: `https://github.com/me/${body.name}`,
+                clone_url: merged.url,
+                default_branch: 'main'
+            }))
+            .on('GET', /^\/repos\/octo\/api$/, () => ({ license: null })));
+    }
+
+    it('should validate the option', async () => {
+        const repositories = [{ name: 'api', full_name: 'octo/api' }];
+
+        expect(await validateMergeRequest({ name: 'platform', mode: 'snapshot', repositories, migrate_issues: true, include_closed_issues: true }))
+            .toMatchObject({ migrate_issues: true, include_closed_issues: true });
+        expect(await validateMergeRequest({ name: 'platform', mode: 'snapshot', repositories, include_closed_issues: true }))
+            .toMatchObject({ migrate_issues: false, include_closed_issues: false });
+        await expect(validateMergeRequest({ name: 'platform', mode: 'instructions', repositories, migrate_issues: true }))
+            .rejects.toThrow('Issues can only be migrated by merges that run on the server');
+
+        const mergeJob = registerDefaultJobTypes(new JobManager()).handlers.get('merge');
+        expect(await mergeJob.validate({ name: 'platform', mode: 'snapshot', repositories, migrate_issues: true }, {}))
+            .toMatchObject({ migrate_issues: true });
+    });
+
+    it('should migrate the sources\' issues into their folder\'s namespace once the merge succeeded', async () => {
+        process.env.CAROMAR_ALLOW_FILE_REMOTES = 'true';
+        const source = await createBareRepository([{ files: { 'index.js': 'module.exports = 1;\n' }, message: 'Initial' }]);
+        const merged = await createEmptyBareRepository();
+        const api = createMergeApi(merged);
+
+        const request = await validateMergeRequest({
+            name: 'platform',
+            mode: 'history',
+            migrate_issues: true,
+            repositories: [{ name: 'api', full_name: 'octo/api', clone_url: source.url, default_branch: 'main', target_path: 'services/api' }]
+        });
+        const result = await createMergedRepository(request, { api });
+
+        expect(result.issues.summary).toEqual({ migrated: 1, skipped: 0, failed: 0 });
+        expect(result.issues.sources[0]).toMatchObject({ source: 'octo/api', prefix: 'api', issues_url: 'https://github.com/me/platform/issues' });
+        const created = api.calls.find(call => call.method === 'POST' && call.url === '/repos/me/platform/issues');
+        expect(created.body.labels).toEqual(['api:bug']);
+        expect(result.merge.pushed).toBe(true);
+    });
+});
@@ -0,0 +1,246 @@
+/**
+ * Job subsystem tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    JobManager,
+    JobError,
+    MemoryJobStore,
+    FileJobStore,
+    toPublicJob
+} = require('../utils/jobs');
+
+/**
+ * Register a job type that processes a list of ids
+ * @param {JobManager} manager - Job manager
+ * @param {Function} [work] - async (id) => result
+ * @returns {JobManager} - The manager
+ */
+function registerListJob(manager, work = async id => ({ id })) {
+    return manager.register('list', {
+        validate: (params) => {
+            if (!Array.isArray(params.ids)) {
+                throw new JobError('ids must be an array');
+            }
+            return params;
+        },
+        run: async (params, context) => {
+            await context.setItems(params.ids);
+            for (const id of params.ids) {
+                await context.runItem(id, () => work(id, context));
+            }
+            return { processed: params.ids.length };
+        }
+    });
+}
+
+describe('Job Manager', () => {
+    it('should run a job in the background and record per-item results', async () => {
+        const manager = registerListJob(new JobManager());
+
+        const created = await manager.create('list', { ids: ['a', 'b'] });
+        expect(created.status).toBe('queued');
+
+        const job = await manager.wait(created.id);
+        expect(job.status).toBe('completed');
+        expect(job.result).toEqual({ processed: 2 });
+        expect(job.items.map(item => [item.id, item.status])).toEqual([['a', 'succeeded'], ['b', 'succeeded']]);
+        expect(job.summary).toMatchObject({ total: 2, succeeded: 2, failed: 0 });
+    });
+
+    it('should record item failures without failing the job', async () => {
+        const manager = registerListJob(new JobManager(), async (id) => {
+            if (id === 'bad') {
+                const error = new Error('Request failed');
+                error.response = { status: 404, data: { message: 'Not Found' } };
+                throw error;
+            }
+            return { id };
+        });
+
+        const created = await manager.create('list', { ids: ['good', 'bad'] });
+        const job = await manager.wait(created.id);
+
+        expect(job.status).toBe('completed');
+        expect(job.items[1]).toMatchObject({ status: 'failed', error: { status: 404, details: 'Not Found' } });
+        expect(job.summary).toMatchObject({ succeeded: 1, failed: 1 });
+    });
+
+    it('should skip remaining items after cancellation', async () => {
+        let release;
+        const gate = new Promise(resolve => { release = resolve; });
+        const manager = registerListJob(new JobManager(), async (id) => {
+            if (id === 'first') {
+                await gate;
+            }
+            return { id };
+        });
+
+        const created = await manager.create('list', { ids: ['first', 'second', 'third'] });
+        await new Promise(resolve => setTimeout(resolve, 10));
+
+        const cancelling = await manager.cancel(created.id);
+        expect(cancelling.cancel_requested).toBe(true);
+        release();
+
+        const job = await manager.wait(created.id);
+        expect(job.status).toBe('cancelled');
+        expect(job.items.map(item => item.status)).toEqual(['succeeded', 'cancelled', 'cancelled']);
+        await expect(manager.cancel(created.id)).rejects.toThrow('already cancelled');
+    });
+
+    it('should reject unknown job types and invalid params', async () => {
+        const manager = registerListJob(new JobManager());
+
+        await expect(manager.create('unknown', {})).rejects.toThrow('Unknown job type');
+        await expect(manager.create('list', { ids: 'nope' })).rejects.toBeInstanceOf(JobError);
+    });
+
+    it('should give handlers the token without storing it', async () => {
+        const store = new MemoryJobStore();
+        let seenToken;
+        const manager = registerListJob(new JobManager({ store }), async (id, context) => {
+            seenToken = context.token;
+            return { id };
+        });
+
+        const created = await manager.create('list', { ids: ['a'] }, { token: 'secret-token', owner: 'hash' });
+        await manager.wait(created.id);
+
+        expect(seenToken).toBe('secret-token');
+        expect(JSON.stringify(await store.list())).not.toContain('secret-token');
+        expect(toPublicJob(await manager.get(created.id))).not.toHaveProperty('owner');
+    });
+
+    it('should mark jobs abandoned by a previous process as interrupted', async () => {
+        const store = new MemoryJobStore();
+        await store.save({
+            id: 'old',
+            type: 'list',
+            status: 'running',
+            worker: 'another-process',
+            items: [],
+            updated_at: new Date(Date.now() - 60 * 60 * 1000).toISOString()
+        });
+
+        const job = await new JobManager({ store }).get('old');
+        expect(job.status).toBe('interrupted');
+    });
+});
+
+describe('File Job Store', () => {
+    let directory;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'caromar-jobs-test-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should keep job state readable by a new manager', async () => {
+        const first = registerListJob(new JobManager({ store: new FileJobStore(directory) }));
+        const created = await first.create('list', { ids: ['a'] });
+        await first.wait(created.id);
+
+        const second = new JobManager({ store: new FileJobStore(directory) });
+        const job = await second.get(created.id);
+        expect(job.status).toBe('completed');
+        expect(job.items[0].status).toBe('succeeded');
+    });
+
+    it('should honour a cancellation made through another manager', async () => {
+        let release;
+        const gate = new Promise(resolve => { release = resolve; });
+        const first = registerListJob(new JobManager({ store: new FileJobStore(directory) }), async (id) => {
+            if (id === 'first') {
+                await gate;
+            }
+            return { id };
+        });
+        const created = await first.create('list', { ids: ['first', 'second', 'third'] });
+        await new Promise(resolve => setTimeout(resolve, 10));
+
+        const second = new JobManager({ store: new FileJobStore(directory) });
+        expect((await second.cancel(created.id)).cancel_requested).toBe(true);
+        expect((await second.get(created.id)).cancel_requested).toBe(true);
+        release();
+
+        const job = await first.wait(created.id);
+        expect(job.status).toBe('cancelled');
+        expect(job.cancel_requested).toBe(true);
+        expect(job.items.map(item => item.status)).toEqual(['succeeded', 'cancelled', 'cancelled']);
+    });
+
+    it('should return null for unknown jobs', async () => {
+        expect(await new FileJobStore(directory).get('missing')).toBeNull();
+        expect(await new FileJobStore(path.join(directory, 'none')).list()).toEqual([]);
+    });
+
+    it('should refuse job ids that are not UUIDs', async () => {
+        const store = new FileJobStore(path.join(directory, 'jobs'));
+        fs.writeFileSync(path.join(directory, 'outside.json'), JSON.stringify({ id: 'outside' }));
+
+        expect(await store.get('../outside')).toBeNull();
+        expect(await store.isCancelRequested('../outside')).toBe(false);
+        await expect(store.delete('../outside')).rejects.toMatchObject({ name: 'JobError', status: 404 });
+        await expect(store.requestCancel('../outside')).rejects.toMatchObject({ name: 'JobError', status: 404 });
+        expect(fs.existsSync(path.join(directory, 'outside.json'))).toBe(true);
+        expect(fs.existsSync(path.join(directory, 'outside.cancel'))).toBe(false);
+        expect(await new JobManager({ store }).get('../outside')).toBeNull();
+    });
+});
+
+describe('Jobs API', () => {
+    const request = require('supertest');
+    const token = 'ghp_' + 'a'.repeat(40);
+    let app;
+
+    beforeAll(() => {
+        process.env.JOBS_STORE = 'memory';
+        app = require('../server');
+    });
+
+    afterAll(() => {
+        delete process.env.JOBS_STORE;
+    });
+
+    it('should create, poll and protect an analyze job', async () => {
+        const created = await request(app)
+            .post('/api/jobs')
+            .send({ type: 'analyze', token, params: { repositories: [] } });
+
+        expect(created.statusCode).toBe(202);
+        const id = created.body.job.id;
+
+        let job;
+        for (let attempt = 0; attempt < 20; attempt++) {
+            const res = await request(app).get(`/api/jobs/${id}`).set('Authorization', `Bearer ${token}`);
+            job = res.body.job;
+            if (job.status === 'completed') break;
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        expect(job.status).toBe('completed');
+        expect(job.items[0].result).toHaveProperty('overview');
+
+        const otherToken = 'ghp_' + 'b'.repeat(40);
+        const forbidden = await request(app).get(`/api/jobs/${id}`).set('Authorization', `Bearer ${otherToken}`);
+        expect(forbidden.statusCode).toBe(404);
+
+        const cancel = await request(app).delete(`/api/jobs/${id}`).set('Authorization', `Bearer ${token}`);
+        expect(cancel.statusCode).toBe(409);
+    });
+
+    it('should reject unknown job types', async () => {
+        const res = await request(app)
+            .post('/api/jobs')
+            .send({ type: 'teleport', token, params: {} });
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body.error).toContain('Unknown job type');
+    });
+});
@@ -0,0 +1,171 @@
+/**
+ * Operation journal and rollback tests
+ */
+
+const { OperationJournal, rollbackJournal } = require('../utils/journal');
+const { JobManager, JobError } = require('../utils/jobs');
+const { createMergedRepository, validateMergeRequest } = require('../utils/operations');
+const { FakeGitHub, httpError } = require('./helpers/fake-github');
+
+describe('OperationJournal', () => {
+    it('should record steps in order and reject unknown ones', () => {
+        const journal = new OperationJournal();
+        journal.record('repository_created', { full_name: 'me/platform' });
+        journal.record('ref_updated', { full_name: 'me/platform', ref: 'heads/main', previous_sha: null, sha: 'c1' });
+
+        expect(journal.entries.map(entry => entry.type)).toEqual(['repository_created', 'ref_updated']);
+        expect(JSON.parse(JSON.stringify(journal))).toEqual(journal.entries);
+        expect(() => journal.record('tag_created', {})).toThrow('Unknown journal step');
+    });
+});
+
+describe('rollbackJournal', () => {
+    it('should delete created repositories instead of undoing their steps one by one', async () => {
+        const api = new FakeGitHub().on('DELETE', /^\/repos\/me\/platform$/, () => null);
+
+        const report = await rollbackJournal(api, [
+            { type: 'repository_created', full_name: 'me/platform' },
+            { type: 'ref_updated', full_name: 'me/platform', ref: 'heads/main', previous_sha: 'c0', sha: 'c1' }
+        ]);
+
+        expect(report.rolled_back).toBe(true);
+        expect(report.steps.map(step => [step.type, step.status, step.description])).toEqual([
+            ['ref_updated', 'skipped', 'Removed with repository me/platform'],
+            ['repository_created', 'undone', 'Deleted repository me/platform']
+        ]);
+        expect(report.summary).toEqual({ undone: 1, skipped: 1, failed: 0 });
+        expect(api.count('PATCH', /.*/)).toBe(0);
+    });
+
+    it('should reset moved branches and restore settings of existing repositories', async () => {
+        const api = new FakeGitHub()
+            .on('GET', /^\/repos\/me\/app\/git\/ref\/heads\/main$/, () => ({ object: { sha: 'c1' } }))
+            .on('GET', /^\/repos\/me\/app\/git\/ref\/heads\/dev$/, () => ({ object: { sha: 'c9' } }))
+            .on('PATCH', /^\/repos\/me\/app\/git\/refs\/heads\/main$/, () => ({}))
+            .on('PATCH', /^\/repos\/me\/app$/, () => ({}));
+
+        const report = await rollbackJournal(api, [
+            { type: 'settings_changed', full_name: 'me/app', previous: { archived: false } },
+            { type: 'ref_updated', full_name: 'me/app', ref: 'heads/main', previous_sha: 'c0aaaaaaa', sha: 'c1' },
+            { type: 'ref_updated', full_name: 'me/app', ref: 'heads/dev', previous_sha: 'c2', sha: 'c3' }
+        ]);
+
+        expect(report.steps.map(step => [step.status, step.description])).toEqual([
+            ['skipped', 'heads/dev of me/app moved to c9 since; left unchanged'],
+            ['undone', 'Reset heads/main of me/app to c0aaaaa'],
+            ['undone', 'Restored archived of me/app']
+        ]);
+        expect(api.calls.find(call => call.method === 'PATCH' && call.url.endsWith('/main')).body).toEqual({ sha: 'c0aaaaaaa', force: true });
+        expect(api.calls.find(call => call.url === '/repos/me/app').body).toEqual({ archived: false });
+    });
+
+    it('should report steps that cannot be undone and carry on', async () => {
+        const api = new FakeGitHub()
+            .on('DELETE', /^\/repos\/me\/locked$/, () => {
+                throw httpError(403, 'Must have admin rights to Repository.');
+            })
+            .on('DELETE', /^\/repos\/me\/gone$/, () => {
+                throw httpError(404, 'Not Found');
+            });
+
+        const report = await rollbackJournal(api, [
+            { type: 'repository_created', full_name: 'me/gone' },
+            { type: 'repository_created', full_name: 'me/locked' }
+        ]);
+
+        expect(report.rolled_back).toBe(false);
+        expect(report.steps[0]).toMatchObject({ status: 'failed', error: 'Not allowed to delete me/locked; the token needs the delete_repo scope' });
+        expect(report.steps[1]).toMatchObject({ status: 'undone', description: 'Repository me/gone was already deleted' });
+    });
+});
+
+describe('createMergedRepository rollback', () => {
+    const repositories = [{ name: 'api', full_name: 'octo/api', default_branch: 'main' }];
+
+    /**
+     * Fake GitHub where the repository is created but the snapshot merge fails
+     * @returns {FakeGitHub} - Fake API
+     */
+    function createFailingApi() {
+        return new FakeGitHub()
+            .on('POST', /^\/user\/repos$/, (match, body) => ({
+                name: body.name,
+                full_name: `me/${body.name}`,
+                html_url: `https://github.com/me/${body.name}`,
+                owner: { login: 'me' },
+                default_branch: 'main'
+            }))
+            .on('GET', /^\/repos\/me\/platform\/git\/ref\/heads\/main$/, () => {
+                throw httpError(409, 'Git Repository is empty.');
+            })
+            .on('DELETE', /^\/repos\/me\/platform$/, () => null);
+    }
+
+    it('should delete the created repository when merging fails', async () => {
+        const api = createFailingApi();
+        const request = await validateMergeRequest({ name: 'platform', mode: 'snapshot', repositories });
+
+        const error = await createMergedRepository(request, { api }).catch(e => e);
+
+        expect(error.repository.full_name).toBe('me/platform');
+        expect(error.journal).toEqual([expect.objectContaining({ type: 'repository_created', full_name: 'me/platform' })]);
+        expect(error.rollback).toMatchObject({ rolled_back: true, summary: { undone: 1, skipped: 0, failed: 0 } });
+        expect(api.count('DELETE', /^\/repos\/me\/platform$/)).toBe(1);
+    });
+
+    it('should keep the repository when automatic rollback is turned off', async () => {
+        const api = createFailingApi();
+        const request = await validateMergeRequest({ name: 'platform', mode: 'snapshot', repositories, rollback_on_failure: false });
+
+        const error = await createMergedRepository(request, { api }).catch(e => e);
+
+        expect(error.journal).toHaveLength(1);
+        expect(error.rollback).toBeUndefined();
+        expect(api.count('DELETE', /.*/)).toBe(0);
+    });
+});
+
+describe('JobManager rollback', () => {
+    /**
+     * Register a job type whose items record a journal
+     * @param {JobManager} manager - Job manager
+     * @param {Function} rollback - Rollback handler
+     * @returns {JobManager} - The manager
+     */
+    function registerJournalJob(manager, rollback) {
+        return manager
+            .register('build', {
+                run: async (params, context) => {
+                    await context.setItems(['a']);
+                    await context.runItem('a', async () => ({ journal: [{ type: 'repository_created', full_name: 'me/a' }] }));
+                },
+                rollback
+            })
+            .register('plain', {
+                run: async () => null
+            });
+    }
+
+    it('should store the rollback report on the job once', async () => {
+        const rollback = jest.fn(async (job, { token }) => ({ rolled_back: true, token, items: job.items.map(item => item.id) }));
+        const manager = registerJournalJob(new JobManager(), rollback);
+        const created = await manager.create('build');
+        await manager.wait(created.id);
+
+        const job = await manager.rollback(created.id, { token: 'ghp_test' });
+
+        expect(job.rollback).toMatchObject({ rolled_back: true, token: 'ghp_test', items: ['a'], rolled_back_at: expect.any(String) });
+        expect((await manager.get(created.id)).rollback.rolled_back).toBe(true);
+        await expect(manager.rollback(created.id, { token: 'ghp_test' })).rejects.toMatchObject({ status: 409 });
+        expect(rollback).toHaveBeenCalledTimes(1);
+    });
+
+    it('should refuse job types without rollback and unknown jobs', async () => {
+        const manager = registerJournalJob(new JobManager(), async () => ({}));
+        const created = await manager.create('plain');
+        await manager.wait(created.id);
+
+        await expect(manager.rollback(created.id, { token: 'ghp_test' })).rejects.toBeInstanceOf(JobError);
+        expect(await manager.rollback('missing', { token: 'ghp_test' })).toBeNull();
+    });
+});
@@ -0,0 +1,200 @@
+/**
+ * History-preserving merge engine tests
+ * Uses local file:// bare repositories instead of GitHub
+ */
+
+const { mergeRepositories } = require('../utils/merge-engine');
+const { authEnv } = require('../utils/git');
+const {
+    createBareRepository,
+    createEmptyBareRepository,
+    git,
+    cleanupFixtures
+} = require('./helpers/git-fixtures');
+
+describe('Merge Engine', () => {
+    let api;
+    let web;
+    let target;
+
+    beforeEach(async () => {
+        api = await createBareRepository([
+            { files: { 'index.js': 'module.exports = 1;\n' }, message: 'api: initial' },
+            { files: { 'lib/routes.js': 'routes\n' }, message: 'api: add routes' }
+        ]);
+        web = await createBareRepository([
+            { files: { 'index.html': '<html></html>\n' }, message: 'web: initial' },
+            { files: { 'app.css': 'body {}\n' }, message: 'web: styles' },
+            { files: { 'index.html': '<html>v2</html>\n' }, message: 'web: update page' }
+        ]);
+        target = await createBareRepository([
+            { files: { 'README.md': '# merged\n' }, message: 'Initial commit' }
+        ]);
+    });
+
+    afterEach(() => {
+        cleanupFixtures();
+    });
+
+    it('should import every source into its own subdirectory with full history', async () => {
+        const result = await mergeRepositories({
+            sources: [
+                { name: 'api', url: api.url, path: 'api' },
+                { name: 'web', url: web.url, ref: 'main', path: 'web' }
+            ],
+            target: { url: target.url, branch: 'main' }
+        });
+
+        expect(result.sources.map(source => source.commits)).toEqual([2, 3]);
+
+        const files = await git(target.dir, ['ls-tree', '-r', '--name-only', 'main']);
+        expect(files.split('\n').sort()).toEqual([
+            'README.md',
+            'api/index.js',
+            'api/lib/routes.js',
+            'web/app.css',
+            'web/index.html'
+        ]);
+
+        // Every original commit is reachable with its path rewritten
+        const webLog = await git(target.dir, ['log', '--format=%s', 'main', '--', 'web/index.html']);
+        expect(webLog.split('\n')).toEqual(['web: update page', 'web: initial']);
+
+        const head = await git(target.dir, ['rev-parse', 'main']);
+        expect(head).toBe(result.commit);
+        const parents = await git(target.dir, ['log', '-1', '--format=%P', 'main']);
+        expect(parents.split(' ')).toHaveLength(3);
+    });
+
+    it('should preserve original authors and dates', async () => {
+        await mergeRepositories({
+            sources: [{ name: 'api', url: api.url, path: 'services/api' }],
+            target: { url: target.url, branch: 'main' }
+        });
+
+        const original = await git(api.dir, ['log', '--format=%an|%ae|%aI|%s', 'main']);
+        const rewritten = await git(target.dir, ['log', '--format=%an|%ae|%aI|%s', 'main^2']);
+        expect(rewritten).toBe(original);
+
+        const nested = await git(target.dir, ['ls-tree', '-r', '--name-only', 'main', 'services']);
+        expect(nested.split('\n').sort()).toEqual(['services/api/index.js', 'services/api/lib/routes.js']);
+    });
+
+    it('should produce identical rewritten commits on repeated runs', async () => {
+        const first = await mergeRepositories({
+            sources: [{ name: 'api', url: api.url, path: 'api' }],
+            target: { url: target.url, branch: 'main' },
+            push: false
+        });
+        const second = await mergeRepositories({
+            sources: [{ name: 'api', url: api.url, path: 'api' }],
+            target: { url: target.url, branch: 'main' },
+            push: false
+        });
+
+        expect(second.sources[0].head).toBe(first.sources[0].head);
+    });
+
+    it('should merge into an empty target repository', async () => {
+        const empty = await createEmptyBareRepository();
+
+        const result = await mergeRepositories({
+            sources: [{ name: 'web', url: web.url, path: 'web' }],
+            target: { url: empty.url, branch: 'main' }
+        });
+
+        expect(result.previous_commit).toBeNull();
+        const files = await git(empty.dir, ['ls-tree', '-r', '--name-only', 'main']);
+        expect(files.split('\n').sort()).toEqual(['web/app.css', 'web/index.html']);
+    });
+
+    it('should keep only included files that are not excluded', async () => {
+        const result = await mergeRepositories({
+            sources: [
+                { name: 'api', url: api.url, path: 'services/api', exclude: ['lib/'] },
+                { name: 'web', url: web.url, path: 'web', include: ['*.html'] }
+            ],
+            target: { url: target.url, branch: 'main' }
+        });
+
+        const files = await git(target.dir, ['ls-tree', '-r', '--name-only', 'main']);
+        expect(files.split('\n').sort()).toEqual(['README.md', 'services/api/index.js', 'web/index.html']);
+
+        // Filtered files are absent from the rewritten history too
+        const history = await git(target.dir, ['log', '--format=%s', '--name-only', 'main^2']);
+        expect(history).not.toContain('routes.js');
+        expect(result.sources.map(source => source.commits)).toEqual([2, 3]);
+    });
+
+    it('should import nothing when every file is excluded', async () => {
+        await mergeRepositories({
+            sources: [{ name: 'web', url: web.url, path: 'web', exclude: ['*'] }],
+            target: { url: target.url, branch: 'main' }
+        });
+
+        const files = await git(target.dir, ['ls-tree', '-r', '--name-only', 'main']);
+        expect(files).toBe('README.md');
+    });
+
+    it('should recreate tags under each source\'s folder', async () => {
+        const first = await git(api.work, ['rev-parse', 'HEAD~1']);
+        await git(api.work, ['tag', 'v1.0.0', first]);
+        await git(api.work, ['tag', '-a', 'v1.1.0', '-m', 'Release 1.1.0']);
+        await git(api.work, ['checkout', '--quiet', '-b', 'side']);
+        await git(api.work, ['commit', '--quiet', '--allow-empty', '-m', 'side work']);
+        await git(api.work, ['tag', 'side-only']);
+        await git(api.work, ['push', '--quiet', '--tags', api.dir]);
+
+        const result = await mergeRepositories({
+            sources: [
+                { name: 'api', url: api.url, path: 'services/api' },
+                { name: 'web', url: web.url, path: 'web' }
+            ],
+            target: { url: target.url, branch: 'main' },
+            tags: true
+        });
+
+        const apiTags = result.sources[0].tags;
+        expect(apiTags.created.map(tag => tag.tag).sort()).toEqual(['services/api/v1.0.0', 'services/api/v1.1.0']);
+        expect(apiTags.skipped).toEqual([{ name: 'side-only', reason: 'Not part of the merged history' }]);
+        expect(result.sources[1].tags).toEqual({ created: [], skipped: [] });
+
+        expect(await git(target.dir, ['tag', '--list'])).toBe('services/api/v1.0.0\nservices/api/v1.1.0');
+        expect(await git(target.dir, ['rev-parse', 'services/api/v1.0.0^{commit}'])).toBe(await git(target.dir, ['rev-parse', 'main^2~1']));
+        expect(await git(target.dir, ['cat-file', '-t', 'services/api/v1.1.0'])).toBe('tag');
+        expect(await git(target.dir, ['tag', '-l', '--format=%(contents:subject) %(taggername)', 'services/api/v1.1.0'])).toBe('Release 1.1.0 Test Committer');
+        expect(await git(target.dir, ['ls-tree', '--name-only', 'services/api/v1.1.0', 'services/api/'])).toBe('services/api/index.js\nservices/api/lib');
+    });
+
+    it('should reject duplicate target paths', async () => {
+        await expect(mergeRepositories({
+            sources: [
+                { name: 'api', url: api.url, path: 'app' },
+                { name: 'web', url: web.url, path: 'app' }
+            ],
+            target: { url: target.url, branch: 'main' }
+        })).rejects.toThrow('used by more than one source');
+    });
+
+    it('should reject path traversal in target paths', async () => {
+        await expect(mergeRepositories({
+            sources: [{ name: 'api', url: api.url, path: '../outside' }],
+            target: { url: target.url, branch: 'main' }
+        })).rejects.toThrow('invalid target path');
+    });
+});
+
+describe('authEnv', () => {
+    it('should only send the token to the origin of the given server', () => {
+        const env = authEnv('ghp_secret', 'https://github.example.com/me/platform.git');
+
+        expect(env).toMatchObject({ GIT_CONFIG_COUNT: '1', GIT_CONFIG_KEY_0: 'http.https://github.example.com/.extraHeader' });
+        expect(Buffer.from(env.GIT_CONFIG_VALUE_0.replace('Authorization: Basic ', ''), 'base64').toString()).toBe('x-access-token:ghp_secret');
+    });
+
+    it('should not authenticate without a token or an HTTPS server', () => {
+        expect(authEnv(undefined, 'https://github.com/me/platform.git')).toEqual({});
+        expect(authEnv('ghp_secret', 'file:///tmp/platform.git')).toEqual({});
+        expect(authEnv('ghp_secret')).toEqual({});
+    });
+});
@@ -0,0 +1,218 @@
+/**
+ * Merge plan conflict detection tests
+ */
+
+const { buildMergePlan, findRootFileWarnings, inspectRootFiles } = require('../utils/merge-plan');
+const { planMerge, validateMergeRequest } = require('../utils/operations');
+const { FakeGitHub, httpError } = require('./helpers/fake-github');
+
+/**
+ * Build a merge source
+ * @param {string} fullName - "owner/repo"
+ * @returns {Object} - Source as sent by the UI
+ */
+function source(fullName) {
+    return { name: fullName.split('/')[1], full_name: fullName };
+}
+
+describe('buildMergePlan', () => {
+    it('should keep repository names when nothing collides', () => {
+        const plan = buildMergePlan([source('octo/api'), source('octo/web')]);
+
+        expect(plan.sources.map(entry => entry.path)).toEqual(['api', 'web']);
+        expect(plan.conflicts).toEqual([]);
+        expect(plan.resolved).toBe(true);
+    });
+
+    it('should prefix colliding folders with their owner', () => {
+        const plan = buildMergePlan([source('octo/api'), source('acme/api'), source('octo/web')]);
+
+        expect(plan.sources.map(entry => entry.path)).toEqual(['octo-api', 'acme-api', 'web']);
+        expect(plan.conflicts).toHaveLength(1);
+        expect(plan.conflicts[0]).toMatchObject({
+            type: 'duplicate_path',
+            repositories: ['octo/api', 'acme/api'],
+            resolved: true,
+            resolution: [
+                { repository: 'octo/api', path: 'octo-api' },
+                { repository: 'acme/api', path: 'acme-api' }
+            ]
+        });
+    });
+
+    it('should add suffixes after the first repository', () => {
+        const plan = buildMergePlan([source('octo/api'), source('acme/api'), source('bob/api')], { strategy: 'suffix' });
+        expect(plan.sources.map(entry => entry.path)).toEqual(['api', 'api-2', 'api-3']);
+        expect(plan.resolved).toBe(true);
+    });
+
+    it('should detect names that only differ by case', () => {
+        const plan = buildMergePlan([source('octo/Utils'), source('octo/utils')]);
+
+        expect(plan.conflicts[0].type).toBe('case_collision');
+        // Same owner: the prefixed names still differ only by case, so a suffix is added
+        expect(plan.sources.map(entry => entry.path)).toEqual(['octo-Utils', 'octo-utils-2']);
+        expect(plan.resolved).toBe(true);
+    });
+
+    it('should detect folders that clash with root files', () => {
+        const plan = buildMergePlan([source('octo/.github'), source('octo/license')], { strategy: 'suffix' });
+
+        expect(plan.conflicts.map(conflict => conflict.type)).toEqual(['root_clash', 'root_clash']);
+        expect(plan.sources.map(entry => entry.path)).toEqual(['.github-2', 'license-2']);
+    });
+
+    it('should leave conflicts unresolved in manual mode until renamed', () => {
+        const repos = [source('octo/api'), source('acme/api')];
+
+        const unresolved = buildMergePlan(repos, { strategy: 'manual' });
+        expect(unresolved.resolved).toBe(false);
+        expect(unresolved.sources.map(entry => entry.path)).toEqual(['api', 'api']);
+
+        const renamed = buildMergePlan(repos, { strategy: 'manual', renames: { 'acme/api': 'acme-service' } });
+        expect(renamed.resolved).toBe(true);
+        expect(renamed.sources[1]).toMatchObject({ path: 'acme-service', renamed: true });
+    });
+
+    it('should report renames that collide or are invalid', () => {
+        const repos = [source('octo/api'), source('octo/web')];
+
+        const colliding = buildMergePlan(repos, { strategy: 'manual', renames: { 'octo/web': 'API' } });
+        expect(colliding.resolved).toBe(false);
+        expect(colliding.conflicts[0].type).toBe('case_collision');
+
+        const invalid = buildMergePlan(repos, { renames: { 'octo/web': '../escape' } });
+        expect(invalid.resolved).toBe(false);
+        expect(invalid.conflicts[0].type).toBe('invalid_path');
+    });
+
+    it('should plan sources into nested target paths', () => {
+        const plan = buildMergePlan([
+            { ...source('octo/api'), target_path: 'services/api' },
+            { ...source('acme/api'), target_path: 'services/api' },
+            { ...source('octo/web'), target_path: '.github/web' }
+        ]);
+
+        expect(plan.sources.map(entry => entry.path)).toEqual(['services/octo-api', 'services/acme-api', '.github/web']);
+        expect(plan.sources[2].renamed).toBe(false);
+        expect(plan.resolved).toBe(true);
+    });
+
+    it('should leave folders nested inside other sources unresolved', () => {
+        const plan = buildMergePlan([
+            { ...source('octo/services'), target_path: 'services' },
+            { ...source('octo/api'), target_path: 'services/api' },
+            { ...source('octo/docs'), target_path: 'LICENSE/docs' }
+        ]);
+
+        expect(plan.conflicts.map(conflict => conflict.type).sort()).toEqual(['nested_path', 'root_clash']);
+        expect(plan.conflicts.find(conflict => conflict.type === 'nested_path')).toMatchObject({
+            path: 'services/api',
+            repositories: ['octo/services', 'octo/api'],
+            resolved: false
+        });
+        expect(plan.resolved).toBe(false);
+    });
+
+    it('should reject target paths with empty or dot segments', () => {
+        const plan = buildMergePlan([{ ...source('octo/api'), target_path: 'services/./api' }]);
+        expect(plan.conflicts[0].type).toBe('invalid_path');
+    });
+
+    it('should warn about root-only files that end up nested', () => {
+        const plan = buildMergePlan([source('octo/api'), source('octo/web')], {
+            rootFiles: { 'octo/api': ['LICENSE', '.github'], 'octo/web': ['LICENSE'] }
+        });
+
+        expect(plan.warnings.map(warning => warning.path)).toEqual(['LICENSE', '.github']);
+        expect(plan.warnings[0].message).toContain('2 repositories');
+        expect(plan.resolved).toBe(true);
+    });
+
+    it('should add root-file warnings to a plan that is already built', () => {
+        const rootFiles = { 'octo/api': ['LICENSE', '.github'], 'octo/web': ['LICENSE'] };
+        const planned = buildMergePlan([source('octo/api'), source('octo/web')], { rootFiles });
+        const plan = planMerge({ repositories: [source('octo/api'), source('octo/web')] });
+
+        expect(plan.warnings).toEqual([]);
+        expect(findRootFileWarnings(plan.sources, rootFiles)).toEqual(planned.warnings);
+    });
+});
+
+describe('inspectRootFiles', () => {
+    it('should list root-only entries and skip unreadable repositories', async () => {
+        const api = new FakeGitHub()
+            .on('GET', /^\/repos\/octo\/api\/contents$/, () => [
+                { name: 'LICENSE' }, { name: 'src' }, { name: '.gitignore' }
+            ])
+            .on('GET', /^\/repos\/octo\/empty\/contents$/, () => {
+                throw httpError(404, 'This repository is empty.');
+            });
+
+        const rootFiles = await inspectRootFiles(api, [source('octo/api'), source('octo/empty')]);
+        expect(rootFiles).toEqual({ 'octo/api': ['LICENSE', '.gitignore'] });
+    });
+});
+
+describe('merge requests with a plan', () => {
+    it('should assign planned folders to merge sources', async () => {
+        const request = await validateMergeRequest({
+            name: 'merged',
+            mode: 'instructions',
+            repositories: [source('octo/api'), source('acme/api')]
+        });
+        expect(request.repositories.map(repo => repo.path)).toEqual(['octo-api', 'acme-api']);
+    });
+
+    it('should keep per-source refs, target paths and patterns', async () => {
+        const request = await validateMergeRequest({
+            name: 'merged',
+            mode: 'snapshot',
+            repositories: [{
+                ...source('octo/api'),
+                ref: 'v2.0.0',
+                target_path: 'services/api/',
+                include: ['src/'],
+                exclude: ['*.test.js']
+            }]
+        });
+        expect(request.repositories[0]).toMatchObject({
+            ref: 'v2.0.0',
+            target_path: 'services/api',
+            path: 'services/api',
+            include: ['src/'],
+            exclude: ['*.test.js']
+        });
+    });
+
+    it('should reject invalid per-source specs', async () => {
+        const merge = (spec, mode = 'snapshot') => validateMergeRequest({
+            name: 'merged',
+            mode,
+            repositories: [{ ...source('octo/api'), ...spec }]
+        });
+
+        await expect(merge({ ref: 'bad..ref' })).rejects.toThrow('Invalid ref for api');
+        await expect(merge({ full_name: 'octo/api/../../user' }, 'history')).rejects.toMatchObject({ status: 400, message: 'Invalid full_name for api' });
+        await expect(merge({ full_name: 'octo/..' }, 'history')).rejects.toThrow('Invalid full_name for api');
+        expect(() => planMerge({ repositories: [{ name: 'api', full_name: '../octo' }] })).toThrow('Invalid full_name for api');
+        await expect(merge({ exclude: 'docs/' })).rejects.toThrow('Invalid exclude patterns');
+        await expect(merge({ target_path: '../api' })).rejects.toMatchObject({ status: 409 });
+        await expect(merge({ include: ['src/'] }, 'instructions')).rejects.toThrow('not supported in instructions mode');
+    });
+
+    it('should reject merges with unresolved conflicts', async () => {
+        await expect(validateMergeRequest({
+            name: 'merged',
+            mode: 'instructions',
+            conflict_strategy: 'manual',
+            repositories: [source('octo/api'), source('acme/api')]
+        })).rejects.toMatchObject({ status: 409, details: [expect.objectContaining({ type: 'duplicate_path' })] });
+    });
+
+    it('should return unresolved plans for preview', () => {
+        const plan = planMerge({ conflict_strategy: 'manual', repositories: [source('octo/api'), source('acme/api')] });
+        expect(plan.resolved).toBe(false);
+        expect(() => planMerge({ repositories: [source('octo/api')], conflict_strategy: 'random' })).toThrow('Conflict strategy');
+    });
+});
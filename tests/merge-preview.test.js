@@ -0,0 +1,93 @@
+/**
+ * Merge dry-run preview tests
+ */
+
+const { previewMergeSources, LARGE_FILE_BYTES } = require('../utils/merge-preview');
+const { previewMerge } = require('../utils/operations');
+const { FakeGitHub, httpError } = require('./helpers/fake-github');
+
+const ATTRIBUTES = '# Large assets\n*.psd filter=lfs diff=lfs merge=lfs -text\n*.txt text\n';
+
+/**
+ * Build a fake GitHub with one source repository, octo/app
+ * @returns {FakeGitHub} - Fake API
+ */
+function createPreviewApi() {
+    return new FakeGitHub()
+        .on('GET', /^\/repos\/octo\/app\/commits\/(.+)$/, () => ({ sha: 'c-app', commit: { tree: { sha: 't-app' } } }))
+        .on('GET', /^\/repos\/octo\/app\/git\/trees\/t-app$/, () => ({
+            truncated: false,
+            tree: [
+                { path: '.gitattributes', mode: '100644', type: 'blob', sha: 'b-attr', size: 70 },
+                { path: 'index.js', mode: '100644', type: 'blob', sha: 'b1', size: 100 },
+                { path: 'design', mode: '040000', type: 'tree', sha: 't-design' },
+                { path: 'design/logo.psd', mode: '100644', type: 'blob', sha: 'b2', size: 130 },
+                { path: 'data/dump.sql', mode: '100644', type: 'blob', sha: 'b3', size: LARGE_FILE_BYTES + 1 },
+                { path: 'docs/guide.md', mode: '100644', type: 'blob', sha: 'b4', size: 400 },
+                { path: 'vendor/lib', mode: '160000', type: 'commit', sha: 'c-lib' },
+                { path: 'current', mode: '120000', type: 'blob', sha: 'b5', size: 8 }
+            ]
+        }))
+        .on('GET', /^\/repos\/octo\/app\/git\/blobs\/b-attr$/, () => ({
+            content: Buffer.from(ATTRIBUTES).toString('base64'),
+            encoding: 'base64'
+        }))
+        .on('GET', /^\/repos\/octo\/missing\/commits\/(.+)$/, () => {
+            throw httpError(404, 'Not Found');
+        });
+}
+
+describe('previewMergeSources', () => {
+    it('should count files and bytes and flag files that need attention', async () => {
+        const api = createPreviewApi();
+
+        const { sources, totals } = await previewMergeSources(api, [
+            { name: 'app', full_name: 'octo/app', path: 'app', default_branch: 'main' }
+        ]);
+
+        expect(sources[0]).toMatchObject({ path: 'app', ref: 'main', source_sha: 'c-app', files: 6 });
+        expect(sources[0].bytes).toBe(70 + 100 + 130 + LARGE_FILE_BYTES + 1 + 400 + 8);
+        expect(sources[0].warnings.map(warning => [warning.type, warning.paths])).toEqual([
+            ['large_file', ['data/dump.sql']],
+            ['lfs_pointer', ['design/logo.psd']],
+            ['submodule', ['vendor/lib']],
+            ['symlink', ['current']]
+        ]);
+        expect(totals).toEqual({ files: 6, bytes: sources[0].bytes, warnings: 4 });
+    });
+
+    it('should apply the merge spec and report unreadable sources', async () => {
+        const api = createPreviewApi();
+
+        const { sources, totals } = await previewMergeSources(api, [
+            { name: 'app', full_name: 'octo/app', path: 'app', ref: 'v1.0.0', exclude: ['data/', 'vendor/', 'current'] },
+            { name: 'missing', full_name: 'octo/missing', path: 'missing', default_branch: 'main' }
+        ]);
+
+        expect(sources[0]).toMatchObject({ ref: 'v1.0.0', files: 4, bytes: 700 });
+        expect(sources[0].warnings.map(warning => warning.type)).toEqual(['lfs_pointer']);
+        expect(api.calls.some(call => call.url === '/repos/octo/app/commits/v1.0.0')).toBe(true);
+        expect(sources[1]).toEqual({ name: 'missing', full_name: 'octo/missing', path: 'missing', error: 'Not Found' });
+        expect(totals.files).toBe(4);
+    });
+});
+
+describe('previewMerge', () => {
+    it('should return the plan with the preview of each planned folder', async () => {
+        const api = createPreviewApi().on('GET', /^\/repos\/octo\/app\/contents$/, () => [{ name: 'index.js' }]);
+
+        const preview = await previewMerge({
+            repositories: [{ name: 'app', full_name: 'octo/app', default_branch: 'main', target_path: 'apps/main' }]
+        }, { api });
+
+        expect(preview.plan.sources[0].path).toBe('apps/main');
+        expect(preview.sources[0]).toMatchObject({ full_name: 'octo/app', path: 'apps/main', files: 6 });
+    });
+
+    it('should reject invalid merge specs before calling GitHub', async () => {
+        const api = new FakeGitHub();
+        await expect(previewMerge({ repositories: [{ name: 'app', ref: 'bad..ref' }] }, { api }))
+            .rejects.toMatchObject({ status: 400 });
+        expect(api.calls).toHaveLength(0);
+    });
+});
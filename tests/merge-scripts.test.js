@@ -0,0 +1,209 @@
+/**
+ * Merge script generator tests
+ * The bash scripts are run against local file:// repositories.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const {
+    quoteShell,
+    quotePowerShell,
+    quoteMake,
+    quoteWorkflow,
+    renderMergeScript,
+    generateMergeScripts,
+    buildMergeSteps
+} = require('../utils/merge-scripts');
+const { createMergedRepository, validateMergeRequest } = require('../utils/operations');
+const { createBareRepository, git, cleanupFixtures } = require('./helpers/git-fixtures');
+const { FakeGitHub } = require('./helpers/fake-github');
+
+const run = promisify(execFile);
+
+// A valid git branch name that runs a command if it is not quoted
+const HOSTILE_REF = '$(touch${IFS}pwned)\'";`touch${IFS}pwned`';
+
+const plan = {
+    repository: { name: 'platform', full_name: 'me/platform', clone_url: 'https://github.com/me/platform.git' },
+    sources: [
+        { name: 'octo/api', url: 'https://github.com/octo/api.git', ref: 'main', path: 'services/api' },
+        { name: 'octo/web', url: 'https://github.com/octo/web.git', ref: HOSTILE_REF, path: 'web' }
+    ]
+};
+
+describe('quoting', () => {
+    it('should leave plain words alone and quote everything else', () => {
+        expect(quoteShell('--prefix=services/api/')).toBe('--prefix=services/api/');
+        expect(quoteShell('it\'s $HOME')).toBe('\'it\'\\\'\'s $HOME\'');
+        expect(quotePowerShell('it\'s ‘quoted’ $HOME')).toBe('\'it\'\'s ‘‘quoted’’ $HOME\'');
+        expect(quotePowerShell('-s')).toBe('\'-s\'');
+        expect(quoteMake('$(rm -rf /)')).toBe('\'$$(rm -rf /)\'');
+        expect(quoteWorkflow('${{ secrets.TOKEN }}')).toBe('\'${{ \'${{\' }} secrets.TOKEN }}\'');
+    });
+
+    it('should refuse values with line breaks', () => {
+        expect(() => quoteShell('main\ngit push --force')).toThrow('Control characters cannot be used in merge scripts');
+        expect(() => renderMergeScript({ ...plan, sources: [{ ...plan.sources[0], ref: 'a\rb' }] }, { format: 'makefile' }))
+            .toThrow('Control characters');
+    });
+});
+
+describe('renderMergeScript', () => {
+    it('should render every format and variant', () => {
+        const scripts = generateMergeScripts(plan);
+
+        expect(scripts.map(script => `${script.variant}/${script.format}:${script.filename}`)).toEqual([
+            'snapshot/bash:caromar-merge.sh',
+            'snapshot/powershell:caromar-merge.ps1',
+            'snapshot/makefile:caromar-merge.mk',
+            'snapshot/github_actions:caromar-merge.yml',
+            'history/bash:caromar-merge-history.sh',
+            'history/powershell:caromar-merge-history.ps1',
+            'history/makefile:caromar-merge-history.mk',
+            'history/github_actions:caromar-merge-history.yml'
+        ]);
+        for (const script of scripts) {
+            expect(script.content).not.toContain('rm -rf');
+        }
+    });
+
+    it('should write PowerShell that stops on git failures', () => {
+        const script = renderMergeScript(plan, { format: 'powershell', variant: 'history' });
+
+        expect(script).toContain('if ($LASTEXITCODE -ne 0) { throw');
+        expect(script).toContain('Invoke-Git merge \'-s\' ours \'--no-commit\' \'--allow-unrelated-histories\' FETCH_HEAD\r\n');
+        expect(script).toContain('Invoke-Git fetch \'--no-tags\' \'https://github.com/octo/web.git\' \'$(touch${IFS}pwned)\'\'";`touch${IFS}pwned`\'');
+        expect(script).toContain('Set-Location platform\r\n');
+    });
+
+    it('should write Makefile recipes that escape make variables', () => {
+        const script = renderMergeScript(plan, { format: 'makefile' });
+
+        expect(script).toContain('merge:\n\tgit clone \'https://github.com/me/platform.git\' platform\n');
+        expect(script).toContain('\tgit -C platform fetch --no-tags --depth 1 \'https://github.com/octo/web.git\' \'$$(touch$${IFS}pwned)\'\\\'\'";`touch$${IFS}pwned`\'\n');
+        expect(script.split('\n').filter(line => line && !line.startsWith('#') && !line.startsWith('\t'))).toEqual(['.PHONY: merge', 'merge:']);
+    });
+
+    it('should write a workflow whose values cannot inject expressions', () => {
+        const script = renderMergeScript({
+            ...plan,
+            sources: [{ ...plan.sources[0], ref: '${{secrets.X}}' }]
+        }, { format: 'github_actions', variant: 'history' });
+
+        expect(script).toContain('on:\n  workflow_dispatch:\n');
+        expect(script).toContain('token: ${{ secrets.CAROMAR_TOKEN || github.token }}');
+        expect(script).toContain('- name: "octo/api ($ {{secrets.X}}) -> services/api/"');
+        expect(script).toContain('git fetch --no-tags \'https://github.com/octo/api.git\' \'${{ \'${{\' }}secrets.X}}\'');
+        // Once the escaped ones are taken out, the only expression left is the token
+        expect(script.replace(/\$\{\{ '\$\{\{' \}\}/g, '').match(/\$\{\{/g)).toHaveLength(1);
+    });
+});
+
+describe('running the bash scripts', () => {
+    let target;
+    let api;
+    let web;
+    let workDir;
+
+    beforeEach(async () => {
+        target = await createBareRepository([{ files: { 'README.md': '# platform\n' }, message: 'Initial commit' }]);
+        api = await createBareRepository([
+            { files: { 'index.js': 'module.exports = 1;\n' }, message: 'Add index' },
+            { files: { 'lib/db.js': 'db();\n' }, message: 'Add db' }
+        ]);
+        web = await createBareRepository([{ files: { 'app.js': 'app();\n' }, message: 'Add app' }], { branch: HOSTILE_REF });
+        workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'caromar-script-'));
+    });
+
+    afterEach(() => {
+        cleanupFixtures();
+        fs.rmSync(workDir, { recursive: true, force: true });
+    });
+
+    /**
+     * Write a bash script for the fixtures and run it
+     * @param {string} variant - "snapshot" or "history"
+     * @returns {Promise<void>}
+     */
+    async function runScript(variant) {
+        const script = renderMergeScript({
+            repository: { name: 'platform', full_name: 'me/platform', clone_url: target.url },
+            sources: [
+                { name: 'octo/api', url: api.url, ref: 'main', path: 'services/api' },
+                { name: 'octo/web', url: web.url, ref: HOSTILE_REF, path: 'web' }
+            ]
+        }, { format: 'bash', variant });
+        fs.writeFileSync(path.join(workDir, 'merge.sh'), script);
+        await run('bash', ['merge.sh'], {
+            cwd: workDir,
+            env: {
+                ...process.env,
+                GIT_AUTHOR_NAME: 'Test Author',
+                GIT_AUTHOR_EMAIL: 'author@example.com',
+                GIT_COMMITTER_NAME: 'Test Committer',
+                GIT_COMMITTER_EMAIL: 'committer@example.com',
+                GIT_CONFIG_NOSYSTEM: '1',
+                GIT_CONFIG_GLOBAL: '/dev/null'
+            },
+            timeout: 60000
+        });
+    }
+
+    it('should merge the current files as a single commit', async () => {
+        await runScript('snapshot');
+
+        expect(await git(target.dir, ['ls-tree', '-r', '--name-only', 'main']))
+            .toBe('README.md\nservices/api/index.js\nservices/api/lib/db.js\nweb/app.js');
+        expect(await git(target.dir, ['log', '--format=%s', 'main'])).toBe('Merge 2 repositories with CAROMAR\nInitial commit');
+        expect(fs.existsSync(path.join(workDir, 'pwned'))).toBe(false);
+        expect(fs.existsSync(path.join(workDir, 'platform', 'pwned'))).toBe(false);
+    });
+
+    it('should keep the history of every source', async () => {
+        await runScript('history');
+
+        expect(await git(target.dir, ['ls-tree', '-r', '--name-only', 'main']))
+            .toBe('README.md\nservices/api/index.js\nservices/api/lib/db.js\nweb/app.js');
+        expect(await git(target.dir, ['rev-list', '--count', 'main'])).toBe('6');
+        expect(await git(target.dir, ['log', '-1', '--format=%s', 'main'])).toBe(`Merge octo/web (${HOSTILE_REF}) into web/`);
+        expect(fs.existsSync(path.join(workDir, 'platform', 'pwned'))).toBe(false);
+    });
+});
+
+describe('instructions merges', () => {
+    const repositories = [{ name: 'api', full_name: 'octo/api', clone_url: 'https://github.com/octo/api.git', default_branch: 'main' }];
+
+    it('should return quoted steps and downloadable scripts', async () => {
+        const fake = new FakeGitHub().on('POST', /^\/user\/repos$/, (match, body) => ({
+            name: body.name,
+            full_name: `me/${body.name}`,
+            html_url: `https://github.com/me/${body.name}`,
+            clone_url: `https://github.com/me/${body.name}.git`,
+            default_branch: 'main'
+        }));
+        const request = await validateMergeRequest({ name: 'platform', mode: 'instructions', repositories });
+
+        const { merge_instructions: instructions } = await createMergedRepository(request, { api: fake });
+
+        expect(instructions.steps).toEqual(buildMergeSteps({
+            repository: { name: 'platform', clone_url: 'https://github.com/me/platform.git' },
+            sources: [{ name: 'octo/api', url: 'https://github.com/octo/api.git', ref: 'main', path: 'api' }]
+        }));
+        expect(instructions.steps[0]).toBe('git clone \'https://github.com/me/platform.git\' platform');
+        expect(instructions.scripts).toHaveLength(8);
+    });
+
+    it('should check clone URLs and default them from full_name', async () => {
+        const request = await validateMergeRequest({ name: 'platform', mode: 'instructions', repositories: [{ name: 'api', full_name: 'octo/api' }] });
+        expect(request.repositories[0].clone_url).toBe('https://github.com/octo/api.git');
+
+        await expect(validateMergeRequest({
+            name: 'platform',
+            mode: 'instructions',
+            repositories: [{ ...repositories[0], clone_url: 'https://github.com/octo/api.git;touch pwned' }]
+        })).rejects.toThrow('Invalid clone URL for api');
+    });
+});
@@ -0,0 +1,107 @@
+/**
+ * Organization picker and organization merge target tests
+ */
+
+const { listWritableOrganizations } = require('../utils/organizations');
+const { createMergedRepository, validateMergeRequest } = require('../utils/operations');
+const { FakeGitHub } = require('./helpers/fake-github');
+
+/**
+ * Build an organization membership
+ * @param {string} login - Organization login
+ * @param {string} role - "admin" or "member"
+ * @returns {Object} - Membership as returned by GitHub
+ */
+function membership(login, role) {
+    return { role, state: 'active', organization: { login, description: `${login} org`, avatar_url: `https://avatars/${login}` } };
+}
+
+describe('listWritableOrganizations', () => {
+    it('should list organizations the user owns or may create repositories in', async () => {
+        const api = new FakeGitHub()
+            .on('GET', /^\/user\/memberships\/orgs$/, () => [
+                membership('zeta', 'admin'),
+                membership('open', 'member'),
+                membership('locked', 'member'),
+                membership('private-only', 'member')
+            ])
+            .on('GET', /^\/orgs\/open$/, () => ({ members_can_create_repositories: true }))
+            .on('GET', /^\/orgs\/locked$/, () => ({ members_can_create_repositories: false }))
+            .on('GET', /^\/orgs\/private-only$/, () => ({
+                members_can_create_repositories: true,
+                members_can_create_public_repositories: false,
+                members_can_create_private_repositories: true
+            }));
+
+        const organizations = await listWritableOrganizations(api);
+
+        expect(organizations.map(org => [org.login, org.role, org.visibilities])).toEqual([
+            ['open', 'member', ['public', 'private']],
+            ['private-only', 'member', ['private']],
+            ['zeta', 'admin', ['public', 'private', 'internal']]
+        ]);
+        expect(organizations[0]).toMatchObject({ description: 'open org', avatar_url: 'https://avatars/open' });
+        expect(api.count('GET', /^\/orgs\/zeta$/)).toBe(0);
+        expect(api.calls[0].params).toMatchObject({ state: 'active', page: 1 });
+    });
+
+    it('should follow membership pages', async () => {
+        const firstPage = Array.from({ length: 100 }, (_, i) => membership(`org-${i}`, 'admin'));
+        const api = new FakeGitHub()
+            .on('GET', /^\/user\/memberships\/orgs$/, (match, body, config) => (
+                config.params.page === 1 ? firstPage : [membership('last', 'admin')]
+            ));
+
+        const organizations = await listWritableOrganizations(api);
+
+        expect(organizations).toHaveLength(101);
+        expect(api.count('GET', /^\/user\/memberships\/orgs$/)).toBe(2);
+    });
+});
+
+describe('createMergedRepository organization', () => {
+    const repositories = [{ name: 'api', full_name: 'octo/api', clone_url: 'https://github.com/octo/api.git', default_branch: 'main' }];
+
+    /**
+     * Fake GitHub that creates repositories for users and organizations
+     * @returns {FakeGitHub} - Fake API
+     */
+    function createRepoApi() {
+        const created = (owner) => (match, body) => ({
+            name: body.name,
+            full_name: `${owner || match[1]}/${body.name}`,
+            html_url: `https://github.com/${owner || match[1]}/${body.name}`,
+            clone_url: `https://github.com/${owner || match[1]}/${body.name}.git`,
+            default_branch: 'main'
+        });
+        return new FakeGitHub()
+            .on('POST', /^\/orgs\/([^/]+)\/repos$/, created())
+            .on('POST', /^\/user\/repos$/, created('me'));
+    }
+
+    it('should create the repository in the requested organization', async () => {
+        const api = createRepoApi();
+        const request = await validateMergeRequest({ name: 'platform', mode: 'instructions', organization: 'my-org', repositories });
+
+        const result = await createMergedRepository(request, { api });
+
+        expect(result.repository.full_name).toBe('my-org/platform');
+        expect(api.count('POST', /^\/orgs\/my-org\/repos$/)).toBe(1);
+        expect(api.count('POST', /^\/user\/repos$/)).toBe(0);
+    });
+
+    it('should default to the token owner\'s account', async () => {
+        const api = createRepoApi();
+        const request = await validateMergeRequest({ name: 'platform', mode: 'instructions', repositories });
+
+        const result = await createMergedRepository(request, { api });
+
+        expect(request.organization).toBeUndefined();
+        expect(result.repository.full_name).toBe('me/platform');
+    });
+
+    it('should reject invalid organization names', async () => {
+        await expect(validateMergeRequest({ name: 'platform', mode: 'instructions', organization: '-bad org', repositories }))
+            .rejects.toMatchObject({ status: 400, message: 'Valid organization name is required' });
+    });
+});
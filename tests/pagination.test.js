@@ -0,0 +1,90 @@
+/**
+ * Link header pagination tests
+ */
+
+const { parseLinkHeader, fetchPage, fetchAllPages } = require('../utils/pagination');
+const { FakeGitHub, response } = require('./helpers/fake-github');
+
+/**
+ * Build a Link header the way GitHub does
+ * @param {Object} rels - rel => page number
+ * @returns {string} - Header value
+ */
+function link(rels) {
+    return Object.entries(rels)
+        .map(([rel, page]) => `<https://api.github.com/organizations/1/repos?per_page=2&page=${page}>; rel="${rel}"`)
+        .join(', ');
+}
+
+/**
+ * Fake an organization with a number of repositories, served in pages
+ * @param {number} count - Number of repositories
+ * @returns {FakeGitHub} - Fake answering GET /orgs/octo/repos
+ */
+function organization(count) {
+    const repos = Array.from({ length: count }, (_, index) => ({ full_name: `octo/repo-${index + 1}` }));
+    return new FakeGitHub().on('GET', /^\/orgs\/octo\/repos$/, (match, body, { params }) => {
+        const last = Math.max(1, Math.ceil(count / params.per_page));
+        const rels = {};
+        if (params.page < last) {
+            Object.assign(rels, { next: params.page + 1, last });
+        }
+        if (params.page > 1) {
+            Object.assign(rels, { prev: params.page - 1, first: 1 });
+        }
+        const start = (params.page - 1) * params.per_page;
+        return response(200, repos.slice(start, start + params.per_page), Object.keys(rels).length ? { link: link(rels) } : {});
+    });
+}
+
+describe('parseLinkHeader', () => {
+    it('should read the page numbers of every rel', () => {
+        expect(parseLinkHeader(link({ prev: 1, next: 3, last: 9, first: 1 }))).toEqual({ next: 3, prev: 1, first: 1, last: 9 });
+    });
+
+    it('should ignore missing, malformed and unknown links', () => {
+        expect(parseLinkHeader(undefined)).toEqual({ next: null, prev: null, first: null, last: null });
+        expect(parseLinkHeader('<not a url>; rel="next", <https://api.github.com/x?page=4>; rel="other"').next).toBeNull();
+    });
+});
+
+describe('fetchPage', () => {
+    it('should take next and last pages from the Link header', async () => {
+        const page = await fetchPage(organization(5), '/orgs/octo/repos', { per_page: 2, page: 1 });
+
+        expect(page.items).toHaveLength(2);
+        expect(page).toMatchObject({ next_page: 2, last_page: 3 });
+    });
+
+    it('should treat a page without a next link as the last one', async () => {
+        expect(await fetchPage(organization(5), '/orgs/octo/repos', { per_page: 2, page: 3 }))
+            .toMatchObject({ next_page: null, last_page: 3 });
+        expect(await fetchPage(organization(5), '/orgs/octo/repos', { per_page: 2, page: 7 }))
+            .toMatchObject({ next_page: null, last_page: null });
+    });
+});
+
+describe('fetchAllPages', () => {
+    it('should follow next links until the list ends', async () => {
+        const fake = organization(805);
+
+        const result = await fetchAllPages(fake, '/orgs/octo/repos', { per_page: 100, type: 'all' });
+
+        expect(result.items).toHaveLength(805);
+        expect(result).toMatchObject({ pages: 9, next_page: null, last_page: 9, truncated: false });
+        expect(fake.calls.map(call => call.params.page)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+        expect(fake.calls[0].params.type).toBe('all');
+    });
+
+    it('should stop at the page cap and report where it stopped', async () => {
+        process.env.SEARCH_MAX_PAGES = '3';
+        try {
+            const result = await fetchAllPages(organization(805), '/orgs/octo/repos', { per_page: 100 });
+
+            expect(result.items).toHaveLength(300);
+            expect(result).toMatchObject({ pages: 3, next_page: 4, last_page: 9, truncated: true });
+        } finally {
+            delete process.env.SEARCH_MAX_PAGES;
+        }
+    });
+});
@@ -0,0 +1,202 @@
+/**
+ * Provenance manifest and README tests
+ */
+
+const { buildManifest, buildReadme, buildProvenanceFiles, lookupLicenses, parseManifest } = require('../utils/provenance');
+const { createMergedRepository, validateMergeRequest } = require('../utils/operations');
+const { FakeGitHub, httpError } = require('./helpers/fake-github');
+const { createBareRepository, createEmptyBareRepository, git, cleanupFixtures } = require('./helpers/git-fixtures');
+
+const repositories = [
+    { name: 'api', full_name: 'octo/api', path: 'services/api', exclude: ['docs/'] },
+    { name: 'web', full_name: 'octo/web', path: 'web' }
+];
+
+const imported = [
+    { ref: 'main', source_sha: 'a'.repeat(40) },
+    { ref: 'release|2', source_sha: 'b'.repeat(40) }
+];
+
+describe('buildManifest', () => {
+    it('should record owner, repo, ref, SHA, license and folder of each source', () => {
+        const manifest = buildManifest({
+            mode: 'history',
+            repositories,
+            imported,
+            licenses: { 'octo/api': 'MIT' },
+            date: new Date('2024-05-01T12:00:00Z')
+        });
+
+        expect(manifest).toEqual({
+            version: 1,
+            generator: 'CAROMAR',
+            mode: 'history',
+            merged_at: '2024-05-01T12:00:00.000Z',
+            sources: [
+                {
+                    owner: 'octo',
+                    repo: 'api',
+                    ref: 'main',
+                    source_sha: 'a'.repeat(40),
+                    license: 'MIT',
+                    target_path: 'services/api',
+                    exclude: ['docs/']
+                },
+                {
+                    owner: 'octo',
+                    repo: 'web',
+                    ref: 'release|2',
+                    source_sha: 'b'.repeat(40),
+                    license: null,
+                    target_path: 'web'
+                }
+            ]
+        });
+    });
+});
+
+describe('parseManifest', () => {
+    const source = { owner: 'octo', repo: 'api', ref: 'main', source_sha: 'a'.repeat(40), license: null, target_path: 'services/api' };
+
+    /**
+     * Serialize a manifest with one source
+     * @param {Object} fields - Fields to override in the source
+     * @returns {string} - Contents of caromar.json
+     */
+    function manifestWith(fields) {
+        return JSON.stringify({ version: 1, mode: 'history', sources: [{ ...source, ...fields }] });
+    }
+
+    it('should accept the sources a merge writes', () => {
+        expect(parseManifest(manifestWith({})).sources).toHaveLength(1);
+        expect(parseManifest(manifestWith({ owner: null })).sources[0].owner).toBeNull();
+    });
+
+    it('should reject sources that would become git options or leave their folder', () => {
+        for (const fields of [
+            { ref: '--upload-pack=touch /tmp/pwned' },
+            { source_sha: '--all' },
+            { source_sha: 'A'.repeat(40) },
+            { owner: '../admin' },
+            { owner: undefined },
+            { repo: 'api/../../x' },
+            { target_path: '../outside' },
+            { target_path: '' }
+        ]) {
+            expect(() => parseManifest(manifestWith(fields))).toThrow(expect.objectContaining({ status: 422 }));
+        }
+    });
+});
+
+describe('buildReadme', () => {
+    it('should list every imported project in a table', () => {
+        const manifest = buildManifest({ mode: 'snapshot', repositories, imported, licenses: { 'octo/api': 'MIT' } });
+        const readme = buildReadme(manifest, { name: 'platform', description: 'All services' });
+
+        expect(readme.split('\n').slice(0, 3)).toEqual(['# platform', '', 'All services']);
+        expect(readme).toContain('[caromar.json](caromar.json)');
+        expect(readme).toContain('| [octo/api](https://github.com/octo/api) | [`services/api/`](services/api) | main | `aaaaaaa` | MIT |');
+        expect(readme).toContain('| release\\|2 | `bbbbbbb` | Unknown |');
+    });
+
+    it('should come with the manifest as merge files', () => {
+        const manifest = buildManifest({ mode: 'history', repositories, imported });
+        const files = buildProvenanceFiles(manifest, { name: 'platform' });
+
+        expect(files.map(file => file.path)).toEqual(['caromar.json', 'README.md']);
+        expect(JSON.parse(files[0].content)).toEqual(manifest);
+    });
+});
+
+describe('lookupLicenses', () => {
+    it('should use known licenses and fetch the others', async () => {
+        const api = new FakeGitHub()
+            .on('GET', /^\/repos\/octo\/web$/, () => ({ license: { spdx_id: 'Apache-2.0' } }))
+            .on('GET', /^\/repos\/octo\/gone$/, () => {
+                throw httpError(404, 'Not Found');
+            });
+
+        const licenses = await lookupLicenses(api, [
+            { full_name: 'octo/api', license: { spdx_id: 'MIT' } },
+            { full_name: 'octo/web' },
+            { full_name: 'octo/gone' }
+        ]);
+
+        expect(licenses).toEqual({ 'octo/api': 'MIT', 'octo/web': 'Apache-2.0', 'octo/gone': null });
+        expect(api.count('GET', /octo\/api/)).toBe(0);
+    });
+});
+
+describe('createMergedRepository provenance', () => {
+    afterEach(() => {
+        cleanupFixtures();
+        delete process.env.CAROMAR_ALLOW_FILE_REMOTES;
+    });
+
+    it('should write caromar.json and README.md into the merged repository', async () => {
+        process.env.CAROMAR_ALLOW_FILE_REMOTES = 'true';
+        const source = await createBareRepository([{ files: { 'index.js': 'module.exports = 1;\n' }, message: 'Initial' }]);
+        const target = await createBareRepository([{ files: { 'README.md': '# merged\n' }, message: 'Initial commit' }]);
+        const api = new FakeGitHub()
+            .on('POST', /^\/user\/repos$/, (match, body) => ({
+                name: body.name,
+                full_name: `me/${body.name}`,
+                html_url: `https://github.com/me/${body.name}`,
+                clone_url: target.url,
+                default_branch: 'main'
+            }))
+            .on('GET', /^\/repos\/octo\/api$/, () => ({ license: { spdx_id: 'MIT' } }));
+
+        const request = await validateMergeRequest({
+            name: 'platform',
+            mode: 'history',
+            repositories: [{ name: 'api', full_name: 'octo/api', clone_url: source.url, default_branch: 'main' }]
+        });
+        const result = await createMergedRepository(request, { api });
+
+        expect(result.provenance).toMatchObject({
+            path: 'caromar.json',
+            html_url: 'https://github.com/me/platform/blob/main/caromar.json'
+        });
+
+        const manifest = JSON.parse(await git(target.dir, ['show', 'main:caromar.json']));
+        expect(manifest).toEqual(result.provenance.manifest);
+        expect(manifest.sources).toEqual([{
+            owner: 'octo',
+            repo: 'api',
+            ref: 'main',
+            source_sha: await git(source.dir, ['rev-parse', 'main']),
+            license: 'MIT',
+            target_path: 'api'
+        }]);
+
+        const readme = await git(target.dir, ['show', 'main:README.md']);
+        expect(readme).toContain('| [octo/api](https://github.com/octo/api) | [`api/`](api) | main |');
+    });
+
+    it('should create history merges without an initial commit and push the first one', async () => {
+        process.env.CAROMAR_ALLOW_FILE_REMOTES = 'true';
+        const source = await createBareRepository([{ files: { 'index.js': 'module.exports = 1;\n' }, message: 'Initial' }]);
+        const target = await createEmptyBareRepository();
+        const api = new FakeGitHub()
+            .on('POST', /^\/user\/repos$/, (match, body) => ({
+                name: body.name,
+                full_name: `me/${body.name}`,
+                html_url: `https://github.com/me/${body.name}`,
+                clone_url: target.url,
+                default_branch: 'main'
+            }))
+            .on('GET', /^\/repos\/octo\/api$/, () => ({ license: null }));
+
+        const request = await validateMergeRequest({
+            name: 'platform',
+            mode: 'history',
+            repositories: [{ name: 'api', full_name: 'octo/api', clone_url: source.url, default_branch: 'main' }]
+        });
+        const result = await createMergedRepository(request, { api });
+
+        expect(api.calls.find(call => call.url === '/user/repos').body.auto_init).toBe(false);
+        expect(result.merge.previous_commit).toBeNull();
+        expect(await git(target.dir, ['rev-parse', 'main'])).toBe(result.merge.commit);
+    });
+});
@@ -0,0 +1,216 @@
+/**
+ * Tag and release carry-over tests
+ */
+
+const { copyReleases, buildReleaseNotes, DEFAULT_MAX_ASSET_BYTES } = require('../utils/releases');
+const { createMergedRepository, validateMergeRequest } = require('../utils/operations');
+const { FakeGitHub, httpError } = require('./helpers/fake-github');
+const { createBareRepository, git, cleanupFixtures } = require('./helpers/git-fixtures');
+
+/**
+ * Build a source release
+ * @param {string} tag - Tag name
+ * @param {Object} [extra] - Overrides
+ * @returns {Object} - Release as returned by GitHub
+ */
+function release(tag, extra = {}) {
+    return {
+        tag_name: tag,
+        name: `Release ${tag}`,
+        body: 'Fixes #3',
+        draft: false,
+        prerelease: false,
+        html_url: `https://github.com/octo/api/releases/tag/${tag}`,
+        assets: [],
+        ...extra
+    };
+}
+
+const tags = {
+    created: [
+        { name: 'v1.0.0', tag: 'services/api/v1.0.0', sha: 'a1' },
+        { name: 'v1.1.0', tag: 'services/api/v1.1.0', sha: 'a2' }
+    ],
+    skipped: []
+};
+
+describe('buildReleaseNotes', () => {
+    it('should keep the notes and link back to the original release', () => {
+        expect(buildReleaseNotes('octo/api', release('v1.0.0'))).toBe(
+            'Fixes octo/api#3\n\n---\n_Originally released as [v1.0.0](https://github.com/octo/api/releases/tag/v1.0.0) in octo/api._'
+        );
+        expect(buildReleaseNotes('octo/api', release('v1.0.0', { body: null }))).toMatch(/^_Originally released/);
+    });
+});
+
+describe('copyReleases', () => {
+    /**
+     * Fake GitHub with the releases of octo/api and a merged repository
+     * @param {FakeGitHub} [api] - Fake whose routes take precedence
+     * @returns {FakeGitHub} - Fake API
+     */
+    function createReleasesApi(api = new FakeGitHub()) {
+        const assets = [
+            { id: 1, name: 'api-linux.tar.gz', size: 10, content_type: 'application/gzip', label: 'Linux build' },
+            { id: 2, name: 'api-linux.tar.gz.sig', size: 10, content_type: 'application/pgp-signature' },
+            { id: 3, name: 'api-huge.iso', size: DEFAULT_MAX_ASSET_BYTES + 1 }
+        ];
+        let nextId = 0;
+        return api
+            // Newest first, as GitHub lists them
+            .on('GET', /^\/repos\/octo\/api\/releases$/, () => [
+                release('v2.0.0-rc1', { draft: true }),
+                release('v1.1.0', { prerelease: true, assets }),
+                release('v0.9.0'),
+                release('v1.0.0')
+            ])
+            .on('POST', /^\/repos\/me\/platform\/releases$/, () => {
+                nextId++;
+                return {
+                    html_url: `https://github.com/me/platform/releases/${nextId}`,
+                    upload_url: `https://uploads.github.com/repos/me/platform/releases/${nextId}/assets{?name,label}`
+                };
+            })
+            .on('GET', /^\/repos\/octo\/api\/releases\/assets\/1$/, () => Buffer.from('tarball'))
+            .on('POST', /^https:\/\/uploads\.github\.com\/repos\/me\/platform\/releases\/\d+\/assets$/, () => ({}))
+            .on('GET', /^\/repos\/octo\/web\/releases$/, () => {
+                throw httpError(403, 'Resource not accessible by integration');
+            });
+    }
+
+    it('should recreate published releases on the recreated tags', async () => {
+        const api = createReleasesApi();
+
+        const result = await copyReleases(api, [{ full_name: 'octo/api', path: 'services/api', tags }], 'me/platform');
+
+        expect(result.sources[0].releases.map(entry => [entry.tag_name, entry.status, entry.target_tag, entry.reason])).toEqual([
+            ['v1.0.0', 'created', 'services/api/v1.0.0', undefined],
+            ['v0.9.0', 'skipped', null, 'Tag v0.9.0 was not recreated'],
+            ['v1.1.0', 'created', 'services/api/v1.1.0', undefined],
+            ['v2.0.0-rc1', 'skipped', null, 'Draft release']
+        ]);
+        expect(result.summary).toEqual({ created: 2, skipped: 2, failed: 0, assets: 0 });
+
+        const created = api.calls.filter(call => call.method === 'POST' && call.url.endsWith('/releases'));
+        expect(created[1].body).toMatchObject({ tag_name: 'services/api/v1.1.0', name: 'Release v1.1.0', prerelease: true });
+        expect(created[1].body.body).toContain('Fixes octo/api#3');
+        expect(result.sources[0].releases[2].assets).toBeNull();
+        expect(api.count('GET', /\/assets\//)).toBe(0);
+    });
+
+    it('should copy the assets that pass the filter and size limit', async () => {
+        const api = createReleasesApi();
+
+        const result = await copyReleases(api, [{ full_name: 'octo/api', path: 'services/api', tags }], 'me/platform', {
+            assets: { include: [], exclude: ['*.sig'], max_bytes: DEFAULT_MAX_ASSET_BYTES }
+        });
+
+        expect(result.sources[0].releases[2].assets).toEqual({
+            copied: 1,
+            skipped: [
+                { name: 'api-linux.tar.gz.sig', reason: 'Filtered out' },
+                { name: 'api-huge.iso', reason: `Larger than ${DEFAULT_MAX_ASSET_BYTES} bytes` }
+            ],
+            failed: []
+        });
+        expect(result.summary.assets).toBe(1);
+
+        const download = api.calls.find(call => call.url === '/repos/octo/api/releases/assets/1');
+        expect(download).toBeDefined();
+        const upload = api.calls.find(call => call.url.startsWith('https://uploads.github.com'));
+        expect(upload.url).toBe('https://uploads.github.com/repos/me/platform/releases/2/assets');
+        expect(upload.params).toEqual({ name: 'api-linux.tar.gz', label: 'Linux build' });
+        expect(upload.body.toString()).toBe('tarball');
+    });
+
+    it('should not repeat a release or an upload GitHub may have applied', async () => {
+        const overrides = new FakeGitHub()
+            .on('POST', /^\/repos\/me\/platform\/releases$/, (match, body) => {
+                if (body.tag_name === 'services/api/v1.0.0') {
+                    throw httpError(502, 'Bad Gateway');
+                }
+                return { html_url: 'https://github.com/me/platform/releases/2', upload_url: 'https://uploads.github.com/repos/me/platform/releases/2/assets{?name,label}' };
+            })
+            .on('POST', /^https:\/\/uploads\.github\.com\//, () => {
+                throw httpError(502, 'Bad Gateway');
+            });
+        const api = createReleasesApi(overrides);
+
+        const result = await copyReleases(api, [{ full_name: 'octo/api', path: 'services/api', tags }], 'me/platform', {
+            assets: { include: [], exclude: ['*.sig'], max_bytes: DEFAULT_MAX_ASSET_BYTES }
+        });
+
+        expect(result.sources[0].releases[0]).toMatchObject({ tag_name: 'v1.0.0', status: 'failed', error: 'Bad Gateway' });
+        expect(result.sources[0].releases[2].assets.failed).toEqual([{ name: 'api-linux.tar.gz', error: 'Bad Gateway' }]);
+        expect(api.count('POST', /\/releases$/)).toBe(2);
+        expect(api.count('POST', /^https:\/\/uploads/)).toBe(1);
+    });
+
+    it('should report sources whose releases cannot be read and carry on', async () => {
+        const api = createReleasesApi();
+
+        const result = await copyReleases(api, [
+            { full_name: 'octo/web', path: 'web', tags: { created: [], skipped: [] } },
+            { full_name: 'octo/api', path: 'services/api', tags }
+        ], 'me/platform');
+
+        expect(result.sources[0]).toEqual({ full_name: 'octo/web', path: 'web', releases: [], error: 'Resource not accessible by integration' });
+        expect(result.summary).toMatchObject({ created: 2, failed: 1 });
+    });
+});
+
+describe('merges with tags and releases', () => {
+    const repositories = [{ name: 'api', full_name: 'octo/api', clone_url: 'https://github.com/octo/api.git', default_branch: 'main' }];
+
+    afterEach(() => {
+        cleanupFixtures();
+        delete process.env.CAROMAR_ALLOW_FILE_REMOTES;
+    });
+
+    it('should validate the tag, release and asset options', async () => {
+        const request = await validateMergeRequest({ name: 'platform', mode: 'history', releases: true, release_assets: { exclude: ['*.sig'] }, repositories });
+        expect(request).toMatchObject({
+            tags: true,
+            releases: true,
+            release_assets: { include: [], exclude: ['*.sig'], max_bytes: DEFAULT_MAX_ASSET_BYTES }
+        });
+        expect((await validateMergeRequest({ name: 'platform', mode: 'history', repositories })).release_assets).toBeNull();
+
+        await expect(validateMergeRequest({ name: 'platform', mode: 'snapshot', tags: true, repositories }))
+            .rejects.toThrow('Tags and releases can only be carried over by history merges');
+        await expect(validateMergeRequest({ name: 'platform', mode: 'history', tags: true, release_assets: true, repositories }))
+            .rejects.toThrow('Release assets can only be copied together with releases');
+        await expect(validateMergeRequest({ name: 'platform', mode: 'history', releases: true, release_assets: { max_bytes: -1 }, repositories }))
+            .rejects.toMatchObject({ status: 400 });
+    });
+
+    it('should push recreated tags and copy releases onto them', async () => {
+        process.env.CAROMAR_ALLOW_FILE_REMOTES = 'true';
+        const source = await createBareRepository([{ files: { 'index.js': 'module.exports = 1;\n' }, message: 'Initial' }], { tags: ['v1.0.0'] });
+        const target = await createBareRepository([{ files: { 'README.md': '# merged\n' }, message: 'Initial commit' }]);
+        const api = new FakeGitHub()
+            .on('POST', /^\/user\/repos$/, (match, body) => ({
+                name: body.name,
+                full_name: `me/${body.name}`,
+                html_url: `https://github.com/me/${body.name}`,
+                clone_url: target.url,
+                default_branch: 'main'
+            }))
+            .on('GET', /^\/repos\/octo\/api$/, () => ({ license: null }))
+            .on('GET', /^\/repos\/octo\/api\/releases$/, () => [release('v1.0.0')])
+            .on('POST', /^\/repos\/me\/platform\/releases$/, () => ({ html_url: 'https://github.com/me/platform/releases/1', upload_url: '' }));
+
+        const request = await validateMergeRequest({
+            name: 'platform',
+            mode: 'history',
+            releases: true,
+            repositories: [{ ...repositories[0], clone_url: source.url }]
+        });
+        const result = await createMergedRepository(request, { api });
+
+        expect(await git(target.dir, ['tag', '--list'])).toBe('api/v1.0.0');
+        expect(result.merge.sources[0].tags.created).toEqual([expect.objectContaining({ name: 'v1.0.0', tag: 'api/v1.0.0' })]);
+        expect(result.releases.summary).toMatchObject({ created: 1, failed: 0 });
+        expect(api.calls.find(call => call.url === '/repos/me/platform/releases').body.tag_name).toBe('api/v1.0.0');
+    });
+});
@@ -0,0 +1,136 @@
+/**
+ * Repository copy tests
+ * Uses local file:// bare repositories instead of GitHub
+ */
+
+const { copyRepositoryRefs } = require('../utils/repo-copy');
+const { copyRepository, validateCopyRequest, validateBulkCopyRequest } = require('../utils/operations');
+const {
+    createBareRepository,
+    createEmptyBareRepository,
+    git,
+    cleanupFixtures
+} = require('./helpers/git-fixtures');
+const { FakeGitHub } = require('./helpers/fake-github');
+
+describe('Repository Copy', () => {
+    let source;
+    let target;
+
+    beforeEach(async () => {
+        source = await createBareRepository([
+            { files: { 'README.md': '# source\n' }, message: 'Initial commit' },
+            { files: { 'index.js': 'module.exports = 1;\n' }, message: 'Add index' }
+        ], { branch: 'trunk', tags: ['v1.0.0'] });
+        await git(source.work, ['checkout', '--quiet', '-b', 'release']);
+        await git(source.dir, ['fetch', '--quiet', source.work, 'release:release']);
+        target = await createEmptyBareRepository();
+    });
+
+    afterEach(() => {
+        cleanupFixtures();
+    });
+
+    it('should mirror every branch and tag without extra refs', async () => {
+        await git(source.dir, ['update-ref', 'refs/pull/1/head', 'trunk']);
+
+        const result = await copyRepositoryRefs({ sourceUrl: source.url, targetUrl: target.url });
+
+        expect(result.default_branch).toBe('trunk');
+        expect(result.branches.sort()).toEqual(['release', 'trunk']);
+        expect(result.tags).toEqual(['v1.0.0']);
+
+        const refs = (await git(target.dir, ['for-each-ref', '--format=%(refname)'])).split('\n');
+        expect(refs.sort()).toEqual(['refs/heads/release', 'refs/heads/trunk', 'refs/tags/v1.0.0']);
+        expect(await git(target.dir, ['rev-parse', 'trunk'])).toBe(await git(source.dir, ['rev-parse', 'trunk']));
+    });
+
+    it('should create the repository and set its default branch', async () => {
+        process.env.CAROMAR_ALLOW_FILE_REMOTES = 'true';
+        const api = new FakeGitHub()
+            .on('GET', /^\/repos\/octo\/api$/, () => ({
+                full_name: 'octo/api',
+                description: 'The API',
+                clone_url: source.url
+            }))
+            .on('POST', /^\/orgs\/acme\/repos$/, (match, body) => ({
+                name: body.name,
+                full_name: `acme/${body.name}`,
+                html_url: `https://github.com/acme/${body.name}`,
+                clone_url: target.url,
+                default_branch: 'main'
+            }))
+            .on('PATCH', /^\/repos\/acme\/api-copy$/, () => ({}));
+
+        try {
+            const request = await validateCopyRequest({
+                source: 'octo/api',
+                name: 'api-copy',
+                organization: 'acme',
+                visibility: 'internal'
+            });
+            const result = await copyRepository(request, { api });
+
+            expect(result.repository).toMatchObject({ full_name: 'acme/api-copy', visibility: 'internal' });
+            expect(result.copy).toMatchObject({ source: 'octo/api', default_branch: 'trunk', tags: ['v1.0.0'] });
+            expect(result.message).toBe('Copied 2 branches and 1 tag from octo/api');
+
+            const create = api.calls.find(call => call.method === 'POST');
+            expect(create.body).toMatchObject({ name: 'api-copy', private: true, visibility: 'internal', auto_init: false });
+            expect(api.calls.find(call => call.method === 'PATCH').body).toEqual({ default_branch: 'trunk' });
+        } finally {
+            delete process.env.CAROMAR_ALLOW_FILE_REMOTES;
+        }
+    });
+
+    it('should report the created repository when copying fails', async () => {
+        process.env.CAROMAR_ALLOW_FILE_REMOTES = 'true';
+        const api = new FakeGitHub()
+            .on('GET', /^\/repos\/octo\/api$/, () => ({
+                full_name: 'octo/api',
+                clone_url: 'file:///nonexistent/source.git'
+            }))
+            .on('POST', /^\/user\/repos$/, () => ({
+                full_name: 'me/api',
+                html_url: 'https://github.com/me/api',
+                clone_url: target.url
+            }));
+
+        try {
+            const request = await validateCopyRequest({ source: 'octo/api' });
+            await expect(copyRepository(request, { api })).rejects.toMatchObject({
+                repository: { full_name: 'me/api' }
+            });
+        } finally {
+            delete process.env.CAROMAR_ALLOW_FILE_REMOTES;
+        }
+    });
+});
+
+describe('validateCopyRequest', () => {
+    it('should default the name and visibility', async () => {
+        await expect(validateCopyRequest({ source: 'octo/api' })).resolves.toMatchObject({
+            owner: 'octo',
+            repo: 'api',
+            name: 'api',
+            visibility: 'private'
+        });
+    });
+
+    it('should reject invalid sources and visibilities', async () => {
+        await expect(validateCopyRequest({ source: 'nope' })).rejects.toThrow('Valid repository name');
+        await expect(validateCopyRequest({ source: 'octo/api', visibility: 'secret' })).rejects.toThrow('Visibility');
+        await expect(validateCopyRequest({ source: 'octo/api', visibility: 'internal' })).rejects.toThrow('organization');
+    });
+
+    it('should apply the name suffix and reject clashing names in bulk', async () => {
+        const { repositories } = await validateBulkCopyRequest({
+            repositories: ['octo/api', 'octo/web'],
+            name_suffix: '-copy'
+        });
+        expect(repositories.map(repo => repo.name)).toEqual(['api-copy', 'web-copy']);
+
+        await expect(validateBulkCopyRequest({ repositories: ['octo/api', 'other/api'] }))
+            .rejects.toThrow('More than one copy would be named api');
+    });
+});
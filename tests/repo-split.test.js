@@ -0,0 +1,152 @@
+/**
+ * Repository split tests
+ * Uses local file:// bare repositories instead of GitHub
+ */
+
+const { splitRepositoryHistory } = require('../utils/repo-split');
+const { splitRepository, validateSplitRequest } = require('../utils/operations');
+const {
+    createBareRepository,
+    createEmptyBareRepository,
+    git,
+    cleanupFixtures
+} = require('./helpers/git-fixtures');
+const { FakeGitHub, httpError } = require('./helpers/fake-github');
+
+describe('Repository Split', () => {
+    let source;
+    let target;
+
+    beforeEach(async () => {
+        source = await createBareRepository([
+            { files: { 'README.md': '# mono\n', 'services/api/index.js': 'module.exports = 1;\n' }, message: 'Initial commit' },
+            { files: { 'web/app.js': 'app();\n' }, message: 'Add web' },
+            { files: { 'services/api/lib/db.js': 'db();\n', 'web/app.js': 'app(2);\n' }, message: 'Add db' },
+            { files: { 'README.md': '# monorepo\n' }, message: 'Rename' },
+            { files: { 'services/api/index.js': null, 'services/api/main.js': 'main();\n' }, message: 'Rename entry point' }
+        ]);
+        target = await createEmptyBareRepository();
+    });
+
+    afterEach(() => {
+        cleanupFixtures();
+        delete process.env.CAROMAR_ALLOW_FILE_REMOTES;
+    });
+
+    it('should keep only the commits that touched the folder, with the folder as root', async () => {
+        const result = await splitRepositoryHistory({
+            source: { name: 'octo/mono', url: source.url, path: 'services/api' },
+            target: { url: target.url, branch: 'main' }
+        });
+
+        expect(result).toMatchObject({ branch: 'main', previous_commit: null, pushed: true });
+        expect(result.sources[0]).toMatchObject({ name: 'octo/mono', path: 'services/api', ref: 'HEAD', commits: 3 });
+        expect(result.sources[0].source_sha).toBe(await git(source.dir, ['rev-parse', 'main']));
+
+        expect(await git(target.dir, ['log', '--format=%s', 'main'])).toBe('Rename entry point\nAdd db\nInitial commit');
+        expect(await git(target.dir, ['ls-tree', '-r', '--name-only', 'main'])).toBe('lib/db.js\nmain.js');
+        expect(await git(target.dir, ['ls-tree', '-r', '--name-only', 'main~2'])).toBe('index.js');
+        expect(await git(target.dir, ['log', '-1', '--format=%an %ad', '--date=iso-strict', 'main~1']))
+            .toBe(await git(source.dir, ['log', '-1', '--format=%an %ad', '--date=iso-strict', 'main~2']));
+    });
+
+    it('should be deterministic', async () => {
+        const options = { source: { url: source.url, path: 'services/api' }, target: { url: target.url, branch: 'main' }, push: false };
+
+        const first = await splitRepositoryHistory(options);
+        const second = await splitRepositoryHistory(options);
+
+        expect(second.commit).toBe(first.commit);
+        expect(first.pushed).toBe(false);
+        expect(await git(target.dir, ['for-each-ref'])).toBe('');
+    });
+
+    it('should refuse paths that are not folders at the ref', async () => {
+        await expect(splitRepositoryHistory({
+            source: { name: 'octo/mono', url: source.url, path: 'README.md' },
+            target: { url: target.url, branch: 'main' }
+        })).rejects.toThrow('README.md is not a folder of octo/mono at HEAD');
+    });
+
+    it('should validate split requests', async () => {
+        expect(await validateSplitRequest({ source: 'octo/mono', path: '/services/api/' })).toEqual({
+            owner: 'octo',
+            repo: 'mono',
+            path: 'services/api',
+            ref: undefined,
+            name: 'api',
+            description: '',
+            organization: undefined,
+            private: false,
+            rollback_on_failure: true
+        });
+
+        await expect(validateSplitRequest({ source: 'octo', path: 'api' })).rejects.toThrow('Valid repository name is required');
+        for (const path of ['', '/', '../secrets', 'a//b', './api', 'api dir']) {
+            await expect(validateSplitRequest({ source: 'octo/mono', path })).rejects.toThrow('A valid folder of the repository is required');
+        }
+        await expect(validateSplitRequest({ source: 'octo/mono', path: 'api', ref: 'bad ref' })).rejects.toThrow('Invalid ref');
+        await expect(validateSplitRequest({ source: 'octo/mono', path: 'api', name: 'bad name' }))
+            .rejects.toThrow('Valid repository name is required');
+    });
+
+    /**
+     * Fake GitHub with the octo/mono source and a creatable repository
+     * @param {FakeGitHub} [api] - Fake API with routes that take precedence
+     * @returns {FakeGitHub} - Fake API
+     */
+    function createSplitApi(api = new FakeGitHub()) {
+        return api
+            .on('GET', /^\/repos\/octo\/mono$/, () => ({ full_name: 'octo/mono', clone_url: source.url, default_branch: 'main' }))
+            .on('GET', /^\/repos\/octo\/mono\/contents\/services\/api$/, () => [{ name: 'main.js', type: 'file' }])
+            .on('POST', /^\/user\/repos$/, (match, body) => ({
+                name: body.name,
+                full_name: `me/${body.name}`,
+                html_url: `https://github.com/me/${body.name}`,
+                clone_url: target.url,
+                default_branch: 'main'
+            }))
+            .on('DELETE', /^\/repos\/me\/api$/, () => null);
+    }
+
+    it('should create the repository and report the split like a merge', async () => {
+        process.env.CAROMAR_ALLOW_FILE_REMOTES = 'true';
+        const api = createSplitApi();
+
+        const request = await validateSplitRequest({ source: 'octo/mono', path: 'services/api', private: true });
+        const result = await splitRepository(request, { api });
+
+        expect(result.repository).toMatchObject({ full_name: 'me/api', html_url: 'https://github.com/me/api' });
+        expect(result.message).toBe('Split services/api/ of octo/mono into a new repository with 3 commits of history');
+        expect(result.split).toMatchObject({ mode: 'split', branch: 'main', sources: [{ name: 'octo/mono', ref: 'main', commits: 3 }] });
+        expect(result.journal.map(entry => entry.type)).toEqual(['repository_created', 'ref_updated']);
+
+        expect(api.calls.find(call => call.url.endsWith('/contents/services/api')).params).toEqual({ ref: 'main' });
+        expect(api.calls.find(call => call.method === 'POST').body)
+            .toEqual({ name: 'api', description: 'services/api split from octo/mono', private: true, auto_init: false });
+        expect(await git(target.dir, ['rev-parse', 'main'])).toBe(result.split.commit);
+    });
+
+    it('should refuse missing folders before creating anything', async () => {
+        process.env.CAROMAR_ALLOW_FILE_REMOTES = 'true';
+        const api = createSplitApi(new FakeGitHub().on('GET', /^\/repos\/octo\/mono\/contents\/docs$/, () => {
+            throw httpError(404, 'Not Found');
+        }));
+
+        await expect(splitRepository(await validateSplitRequest({ source: 'octo/mono', path: 'docs' }), { api }))
+            .rejects.toMatchObject({ status: 422, message: 'docs does not exist in octo/mono at main' });
+        expect(api.count('POST', /./)).toBe(0);
+    });
+
+    it('should roll back the created repository when splitting fails', async () => {
+        process.env.CAROMAR_ALLOW_FILE_REMOTES = 'true';
+        const api = createSplitApi();
+
+        const request = await validateSplitRequest({ source: 'octo/mono', path: 'services/api', ref: 'missing-branch' });
+        const error = await splitRepository(request, { api }).catch(failure => failure);
+
+        expect(error.repository).toEqual({ full_name: 'me/api', html_url: 'https://github.com/me/api' });
+        expect(error.rollback.summary).toMatchObject({ undone: 1, failed: 0 });
+        expect(api.count('DELETE', /^\/repos\/me\/api$/)).toBe(1);
+    });
+});
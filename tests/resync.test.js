@@ -0,0 +1,243 @@
+/**
+ * Incremental resync tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resyncHistory, resyncSnapshot, summarize, MIN_GIT_VERSION } = require('../utils/resync');
+const { parseGitVersion, isGitVersionAtLeast } = require('../utils/git');
+const { createMergedRepository, validateMergeRequest, validateResyncRequest } = require('../utils/operations');
+const { FakeGitHub } = require('./helpers/fake-github');
+const { createBareRepository, addCommits, git, cleanupFixtures } = require('./helpers/git-fixtures');
+
+/**
+ * Merge one fixture repository into another in history mode
+ * @returns {Promise<Object>} - { source, target }
+ */
+async function createMergedFixture() {
+    const source = await createBareRepository([{ files: { 'index.js': 'module.exports = 1;\n' }, message: 'Initial' }]);
+    const target = await createBareRepository([{ files: { 'README.md': '# merged\n' }, message: 'Initial commit' }]);
+    const api = new FakeGitHub()
+        .on('POST', /^\/user\/repos$/, (match, body) => ({
+            name: body.name,
+            full_name: `me/${body.name}`,
+            html_url: `https://github.com/me/${body.name}`,
+            clone_url: target.url,
+            default_branch: 'main'
+        }))
+        .on('GET', /^\/repos\/octo\/api$/, () => ({ license: null }));
+
+    const request = await validateMergeRequest({
+        name: 'platform',
+        mode: 'history',
+        repositories: [{ name: 'api', full_name: 'octo/api', clone_url: source.url, default_branch: 'main' }]
+    });
+    await createMergedRepository(request, { api });
+    return { source, target };
+}
+
+describe('resyncHistory', () => {
+    afterEach(() => {
+        cleanupFixtures();
+        delete process.env.CAROMAR_ALLOW_FILE_REMOTES;
+    });
+
+    it('should import only the new commits of each source', async () => {
+        process.env.CAROMAR_ALLOW_FILE_REMOTES = 'true';
+        const { source, target } = await createMergedFixture();
+        await addCommits(source, [
+            { files: { 'lib.js': 'module.exports = 2;\n' }, message: 'Add lib' },
+            { files: { 'index.js': 'module.exports = 3;\n' }, message: 'Update index' }
+        ]);
+        const options = { target: { url: target.url, branch: 'main' }, resolveUrl: () => source.url };
+
+        const result = await resyncHistory(options);
+
+        expect(result.pushed).toBe(true);
+        expect(result.sources).toEqual([expect.objectContaining({
+            name: 'octo/api',
+            path: 'api',
+            status: 'updated',
+            commits: 2,
+            source_sha: await git(source.dir, ['rev-parse', 'main']),
+            conflicts: []
+        })]);
+        expect(await git(target.dir, ['show', 'main:api/lib.js'])).toBe('module.exports = 2;');
+        expect(await git(target.dir, ['show', 'main:api/index.js'])).toBe('module.exports = 3;');
+        // Imported commits keep their messages under the source's folder
+        expect(await git(target.dir, ['log', '--format=%s', 'main', '--', 'api/lib.js'])).toBe('Add lib');
+
+        const manifest = JSON.parse(await git(target.dir, ['show', 'main:caromar.json']));
+        expect(manifest.sources[0].source_sha).toBe(result.sources[0].source_sha);
+        expect(manifest.synced_at).toEqual(expect.any(String));
+
+        const again = await resyncHistory(options);
+        expect(again.pushed).toBe(false);
+        expect(again.sources[0]).toMatchObject({ status: 'up_to_date', commits: 0 });
+        expect(summarize(again.sources)).toMatchObject({ total: 1, up_to_date: 1, commits: 0 });
+    });
+
+    it('should report a conflict when the merged folder was edited', async () => {
+        process.env.CAROMAR_ALLOW_FILE_REMOTES = 'true';
+        const { source, target } = await createMergedFixture();
+        await git(target.work, ['fetch', '--quiet', target.dir, 'main']);
+        await git(target.work, ['reset', '--quiet', '--hard', 'FETCH_HEAD']);
+        await addCommits(target, [{ files: { 'api/index.js': 'module.exports = "local";\n' }, message: 'Local edit' }]);
+        await addCommits(source, [{ files: { 'index.js': 'module.exports = "upstream";\n' }, message: 'Upstream edit' }]);
+        const before = await git(target.dir, ['rev-parse', 'main']);
+
+        const result = await resyncHistory({ target: { url: target.url, branch: 'main' }, resolveUrl: () => source.url });
+
+        expect(result.sources[0]).toMatchObject({ status: 'conflict', commits: 0, pending_commits: 1, conflicts: ['api/index.js'] });
+        expect(result.pushed).toBe(false);
+        expect(await git(target.dir, ['rev-parse', 'main'])).toBe(before);
+    });
+
+    it('should refuse a manifest whose ref would be read as a git option', async () => {
+        process.env.CAROMAR_ALLOW_FILE_REMOTES = 'true';
+        const { source, target } = await createMergedFixture();
+        const marker = path.join(os.tmpdir(), `caromar-upload-pack-${process.pid}`);
+        await git(target.work, ['fetch', '--quiet', target.dir, 'main']);
+        await git(target.work, ['reset', '--quiet', '--hard', 'FETCH_HEAD']);
+        const manifest = JSON.parse(await git(target.dir, ['show', 'main:caromar.json']));
+        manifest.sources[0].ref = `--upload-pack=touch ${marker}`;
+        await addCommits(target, [{ files: { 'caromar.json': JSON.stringify(manifest) }, message: 'Edit manifest' }]);
+
+        await expect(resyncHistory({ target: { url: target.url, branch: 'main' }, resolveUrl: () => source.url }))
+            .rejects.toMatchObject({ status: 422 });
+        expect(fs.existsSync(marker)).toBe(false);
+    });
+});
+
+describe('git version check', () => {
+    it('should only accept git versions with merge-tree --write-tree', () => {
+        expect(parseGitVersion('git version 2.37.1 (Apple Git-137.1)')).toEqual([2, 37, 1]);
+        expect(parseGitVersion('git version 2.45.windows.1')).toEqual([2, 45, 0]);
+        expect(parseGitVersion('')).toBeNull();
+
+        expect(isGitVersionAtLeast([2, 37, 1], MIN_GIT_VERSION)).toBe(false);
+        expect(isGitVersionAtLeast([2, 38, 0], MIN_GIT_VERSION)).toBe(true);
+        expect(isGitVersionAtLeast([3, 0, 0], MIN_GIT_VERSION)).toBe(true);
+        expect(isGitVersionAtLeast(null, MIN_GIT_VERSION)).toBe(false);
+    });
+});
+
+describe('resyncSnapshot', () => {
+    const API_OLD = 'a'.repeat(40);
+    const WEB_OLD = 'b'.repeat(40);
+    const manifest = {
+        version: 1,
+        generator: 'CAROMAR',
+        mode: 'snapshot',
+        merged_at: '2024-05-01T12:00:00.000Z',
+        sources: [
+            { owner: 'octo', repo: 'api', ref: 'main', source_sha: API_OLD, license: null, target_path: 'api' },
+            { owner: 'octo', repo: 'web', ref: 'main', source_sha: WEB_OLD, license: null, target_path: 'web' }
+        ]
+    };
+
+    /**
+     * Fake GitHub with a merged repository (me/platform) and two sources
+     * octo/api changed a file and deleted another; octo/web changed a file
+     * that was also edited in the merged repository.
+     * @returns {FakeGitHub} - Fake API
+     */
+    function createSnapshotApi() {
+        const commits = { [API_OLD]: 't-api-old', 'api-new': 't-api-new', [WEB_OLD]: 't-web-old', 'web-new': 't-web-new' };
+        const trees = {
+            't-api-old': [
+                { path: 'index.js', mode: '100644', type: 'blob', sha: 'b-index-1' },
+                { path: 'old.js', mode: '100644', type: 'blob', sha: 'b-old' }
+            ],
+            't-api-new': [{ path: 'index.js', mode: '100644', type: 'blob', sha: 'b-index-2' }],
+            't-web-old': [{ path: 'app.js', mode: '100644', type: 'blob', sha: 'b-app-1' }],
+            't-web-new': [{ path: 'app.js', mode: '100644', type: 'blob', sha: 'b-app-2' }],
+            't-target': [
+                { path: 'api/index.js', mode: '100644', type: 'blob', sha: 'b-index-1' },
+                { path: 'api/old.js', mode: '100644', type: 'blob', sha: 'b-old' },
+                { path: 'web/app.js', mode: '100644', type: 'blob', sha: 'b-app-local' }
+            ]
+        };
+
+        return new FakeGitHub()
+            .on('GET', /^\/repos\/me\/platform\/git\/ref\/heads\/main$/, () => ({ object: { sha: 'c-target' } }))
+            .on('GET', /^\/repos\/me\/platform\/git\/commits\/c-target$/, () => ({ tree: { sha: 't-target' } }))
+            .on('GET', /^\/repos\/me\/platform\/contents\/caromar\.json$/, () => ({
+                content: Buffer.from(JSON.stringify(manifest)).toString('base64'),
+                encoding: 'base64'
+            }))
+            .on('GET', /^\/repos\/(octo|me)\/(\w+)\/git\/trees\/(.+)$/, (match) => ({ truncated: false, tree: trees[match[3]] }))
+            .on('GET', /^\/repos\/octo\/(\w+)\/commits\/(.+)$/, (match) => {
+                const sha = match[2] === 'main' ? `${match[1]}-new` : match[2];
+                return { sha, commit: { tree: { sha: commits[sha] } } };
+            })
+            .on('GET', /^\/repos\/octo\/(\w+)\/compare\/(.+)$/, () => ({ status: 'ahead', ahead_by: 3 }))
+            .on('GET', /^\/repos\/octo\/api\/git\/blobs\/(.+)$/, () => ({ content: 'Mg==', encoding: 'base64' }))
+            .on('POST', /^\/repos\/me\/platform\/git\/blobs$/, () => ({ sha: 'b-index-2' }))
+            .on('POST', /^\/repos\/me\/platform\/git\/trees$/, () => ({ sha: 't-result' }))
+            .on('POST', /^\/repos\/me\/platform\/git\/commits$/, () => ({ sha: 'c-result' }))
+            .on('PATCH', /^\/repos\/me\/platform\/git\/refs\/heads\/main$/, () => ({}));
+    }
+
+    it('should write the changed files and skip sources with conflicts', async () => {
+        const api = createSnapshotApi();
+
+        const result = await resyncSnapshot({ api, target: { owner: 'me', repo: 'platform', branch: 'main' } });
+
+        expect(result).toMatchObject({ commit: 'c-result', previous_commit: 'c-target', pushed: true });
+        expect(result.sources).toEqual([
+            expect.objectContaining({ name: 'octo/api', status: 'updated', commits: 3, previous_sha: API_OLD, source_sha: 'api-new' }),
+            expect.objectContaining({ name: 'octo/web', status: 'conflict', commits: 0, pending_commits: 3, conflicts: ['web/app.js'] })
+        ]);
+
+        const treeCall = api.calls.find(call => call.method === 'POST' && call.url.endsWith('/git/trees'));
+        expect(treeCall.body.base_tree).toBe('t-target');
+        expect(treeCall.body.tree.slice(0, 2)).toEqual([
+            { path: 'api/index.js', mode: '100644', type: 'blob', sha: 'b-index-2' },
+            { path: 'api/old.js', mode: '100644', type: 'blob', sha: null }
+        ]);
+        const written = JSON.parse(treeCall.body.tree[2].content);
+        expect(written.sources.map(source => source.source_sha)).toEqual(['api-new', WEB_OLD]);
+
+        expect(api.calls.find(call => call.method === 'POST' && call.url.endsWith('/git/commits')).body.parents).toEqual(['c-target']);
+        expect(api.calls.find(call => call.method === 'PATCH').body).toEqual({ sha: 'c-result' });
+    });
+});
+
+describe('resyncSnapshot without an owner', () => {
+    it('should fail sources recorded without an owner instead of calling GitHub', async () => {
+        const manifest = {
+            version: 1,
+            mode: 'snapshot',
+            sources: [{ owner: null, repo: 'api', ref: 'main', source_sha: 'a'.repeat(40), license: null, target_path: 'api' }]
+        };
+        const api = new FakeGitHub()
+            .on('GET', /^\/repos\/me\/platform\/git\/ref\/heads\/main$/, () => ({ object: { sha: 'c-target' } }))
+            .on('GET', /^\/repos\/me\/platform\/git\/commits\/c-target$/, () => ({ tree: { sha: 't-target' } }))
+            .on('GET', /^\/repos\/me\/platform\/contents\/caromar\.json$/, () => ({
+                content: Buffer.from(JSON.stringify(manifest)).toString('base64'),
+                encoding: 'base64'
+            }))
+            .on('GET', /^\/repos\/me\/platform\/git\/trees\/t-target$/, () => ({ truncated: false, tree: [] }));
+
+        const result = await resyncSnapshot({ api, target: { owner: 'me', repo: 'platform', branch: 'main' } });
+
+        expect(result.sources[0]).toMatchObject({ status: 'failed', error: expect.stringContaining('without an owner') });
+        expect(api.calls.some(call => call.url.startsWith('/repos/null/'))).toBe(false);
+    });
+});
+
+describe('validateResyncRequest', () => {
+    it('should accept one or many owner/repo names', () => {
+        expect(validateResyncRequest({ repository: 'me/platform', branch: 'main' }).repositories)
+            .toEqual([{ owner: 'me', repo: 'platform', branch: 'main' }]);
+        expect(validateResyncRequest({ repositories: ['me/a', 'me/b'] }).repositories).toHaveLength(2);
+    });
+
+    it('should reject invalid names and branches', () => {
+        expect(() => validateResyncRequest({ repository: 'platform' })).toThrow();
+        expect(() => validateResyncRequest({ repository: 'me/platform', branch: 'bad..branch' })).toThrow('Invalid branch name');
+        expect(() => validateResyncRequest({})).toThrow();
+    });
+});
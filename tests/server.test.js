@@ -226,6 +226,7 @@ describe('Repository Name Validation', () => {
         expect(isValidRepositoryName('a'.repeat(101))).toBe(false);
         expect(isValidRepositoryName('repo/name')).toBe(false);
         expect(isValidRepositoryName('repo name')).toBe(false);
+        expect(isValidRepositoryName('..')).toBe(false);
     });
 });
 
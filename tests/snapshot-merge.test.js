@@ -0,0 +1,173 @@
+/**
+ * Git Data API snapshot merge tests
+ */
+
+const { snapshotMerge } = require('../utils/snapshot-merge');
+const { FakeGitHub } = require('./helpers/fake-github');
+
+/**
+ * Build a fake GitHub with two source repositories and a target
+ * @returns {Object} - { api, state }
+ */
+function createFixture() {
+    const state = { blobs: {}, trees: [], commits: [], refUpdates: [] };
+    const sources = {
+        'octo/api': {
+            default_branch: 'main',
+            commit: { sha: 'c-api', tree: 't-api' },
+            tree: [
+                { path: 'index.js', mode: '100644', type: 'blob', sha: 'b1', size: 10 },
+                { path: 'lib', mode: '040000', type: 'tree', sha: 't-lib' },
+                { path: 'lib/util.js', mode: '100644', type: 'blob', sha: 'b2', size: 20 },
+                { path: 'vendor', mode: '160000', type: 'commit', sha: 'c-vendor' }
+            ]
+        },
+        'octo/web': {
+            default_branch: 'trunk',
+            commit: { sha: 'c-web', tree: 't-web' },
+            tree: [
+                { path: 'index.html', mode: '100644', type: 'blob', sha: 'b3', size: 5 },
+                { path: 'LICENSE', mode: '100644', type: 'blob', sha: 'b1', size: 10 }
+            ]
+        }
+    };
+
+    const api = new FakeGitHub()
+        .on('GET', /^\/repos\/(octo\/\w+)$/, ([, name]) => ({ default_branch: sources[name].default_branch }))
+        .on('GET', /^\/repos\/(octo\/\w+)\/commits\/(.+)$/, ([, name]) => ({
+            sha: sources[name].commit.sha,
+            commit: { tree: { sha: sources[name].commit.tree } }
+        }))
+        .on('GET', /^\/repos\/(octo\/\w+)\/git\/trees\/(.+)$/, ([, name]) => ({ tree: sources[name].tree, truncated: false }))
+        .on('GET', /^\/repos\/(octo\/\w+)\/git\/blobs\/(\w+)$/, ([, , sha]) => ({ content: Buffer.from(sha).toString('base64'), encoding: 'base64' }))
+        .on('GET', /^\/repos\/me\/merged\/git\/ref\/heads\/main$/, () => ({ object: { sha: 'c-init' } }))
+        .on('GET', /^\/repos\/me\/merged\/git\/commits\/c-init$/, () => ({ tree: { sha: 't-init' } }))
+        .on('POST', /^\/repos\/me\/merged\/git\/blobs$/, (match, body) => {
+            const sha = Buffer.from(body.content, 'base64').toString();
+            state.blobs[sha] = body;
+            return { sha };
+        })
+        .on('POST', /^\/repos\/me\/merged\/git\/trees$/, (match, body) => {
+            state.trees.push(body);
+            return { sha: `t-merged-${state.trees.length}` };
+        })
+        .on('POST', /^\/repos\/me\/merged\/git\/commits$/, (match, body) => {
+            state.commits.push(body);
+            return { sha: 'c-merged' };
+        })
+        .on('PATCH', /^\/repos\/me\/merged\/git\/refs\/heads\/main$/, (match, body) => {
+            state.refUpdates.push(body);
+            return { object: { sha: body.sha } };
+        });
+
+    return { api, state };
+}
+
+describe('Snapshot Merge', () => {
+    const target = { owner: 'me', repo: 'merged', branch: 'main' };
+
+    it('should place each source under its own folder in one commit', async () => {
+        const { api, state } = createFixture();
+
+        const result = await snapshotMerge({
+            api,
+            sources: [
+                { owner: 'octo', repo: 'api', path: 'api' },
+                { owner: 'octo', repo: 'web', path: 'web' }
+            ],
+            target
+        });
+
+        expect(state.trees).toHaveLength(1);
+        expect(state.trees[0].base_tree).toBe('t-init');
+        expect(state.trees[0].tree.map(entry => entry.path)).toEqual([
+            'api/index.js',
+            'api/lib/util.js',
+            'api/vendor',
+            'web/index.html',
+            'web/LICENSE'
+        ]);
+        expect(state.commits[0].parents).toEqual(['c-init']);
+        expect(state.refUpdates).toEqual([{ sha: 'c-merged' }]);
+
+        expect(result.commit).toBe('c-merged');
+        expect(result.sources[0]).toMatchObject({ name: 'octo/api', ref: 'main', source_sha: 'c-api', files: 2, bytes: 30 });
+        expect(result.sources[1]).toMatchObject({ name: 'octo/web', ref: 'trunk', files: 2 });
+    });
+
+    it('should copy each distinct blob only once', async () => {
+        const { api, state } = createFixture();
+
+        await snapshotMerge({
+            api,
+            sources: [
+                { owner: 'octo', repo: 'api', path: 'api' },
+                { owner: 'octo', repo: 'web', path: 'web' }
+            ],
+            target
+        });
+
+        expect(Object.keys(state.blobs).sort()).toEqual(['b1', 'b2', 'b3']);
+        expect(api.count('POST', /\/git\/blobs$/)).toBe(3);
+    });
+
+    it('should use the requested ref instead of the default branch', async () => {
+        const { api } = createFixture();
+
+        const result = await snapshotMerge({
+            api,
+            sources: [{ owner: 'octo', repo: 'web', ref: 'v1.0.0', path: 'web' }],
+            target
+        });
+
+        expect(result.sources[0].ref).toBe('v1.0.0');
+        expect(api.count('GET', /^\/repos\/octo\/web$/)).toBe(0);
+    });
+
+    it('should only copy files selected by include and exclude patterns', async () => {
+        const { api, state } = createFixture();
+
+        const result = await snapshotMerge({
+            api,
+            sources: [{ owner: 'octo', repo: 'api', path: 'services/api', include: ['*.js'], exclude: ['lib/'] }],
+            target
+        });
+
+        expect(state.trees[0].tree.map(entry => entry.path)).toEqual(['services/api/index.js']);
+        expect(Object.keys(state.blobs)).toEqual(['b1']);
+        expect(result.sources[0]).toMatchObject({ path: 'services/api', files: 1, bytes: 10 });
+    });
+
+    it('should add extra files built from the imported sources', async () => {
+        const { api, state } = createFixture();
+
+        await snapshotMerge({
+            api,
+            sources: [{ owner: 'octo', repo: 'web', path: 'web' }],
+            target,
+            files: (imported) => [{ path: 'caromar.json', content: JSON.stringify(imported.map(source => source.source_sha)) }]
+        });
+
+        expect(state.trees[0].tree).toContainEqual({
+            path: 'caromar.json',
+            mode: '100644',
+            type: 'blob',
+            content: '["c-web"]'
+        });
+    });
+
+    it('should refuse truncated trees', async () => {
+        const { api } = createFixture();
+        api.routes.unshift({
+            method: 'GET',
+            pattern: /\/git\/trees\//,
+            handler: () => ({ tree: [], truncated: true })
+        });
+
+        await expect(snapshotMerge({
+            api,
+            sources: [{ owner: 'octo', repo: 'api', path: 'api' }],
+            target
+        })).rejects.toThrow('too large');
+    });
+});
@@ -0,0 +1,266 @@
+/**
+ * Submodule merge and bump tests
+ * GitHub is replaced by FakeGitHub; .gitmodules files are checked with git itself.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const {
+    renderGitmodules,
+    parseGitmodules,
+    parseSubmoduleRepository,
+    submoduleMerge,
+    bumpSubmodules
+} = require('../utils/submodules');
+const { createMergedRepository, validateMergeRequest, validateBumpRequest, resyncMergedRepository } = require('../utils/operations');
+const { FakeGitHub, httpError } = require('./helpers/fake-github');
+
+const run = promisify(execFile);
+
+/**
+ * Encode a file like the contents API does
+ * @param {string} content - File contents
+ * @returns {Object} - { type, content, encoding }
+ */
+function contentsFile(content) {
+    return { type: 'file', content: Buffer.from(content).toString('base64'), encoding: 'base64' };
+}
+
+describe('.gitmodules', () => {
+    const submodules = [
+        { path: 'services/api', url: 'https://github.com/octo/api.git', branch: 'main' },
+        { path: 'web', url: 'https://github.com/octo/web.git', branch: 'release;2 #x' },
+        { path: 'docs', url: 'https://github.com/octo/docs.git', branch: null }
+    ];
+
+    it('should write a file git reads back', async () => {
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'caromar-gitmodules-')), '.gitmodules');
+        fs.writeFileSync(file, renderGitmodules(submodules));
+        try {
+            const { stdout } = await run('git', ['config', '--file', file, '--list']);
+            expect(stdout.trim().split('\n')).toEqual([
+                'submodule.services/api.path=services/api',
+                'submodule.services/api.url=https://github.com/octo/api.git',
+                'submodule.services/api.branch=main',
+                'submodule.web.path=web',
+                'submodule.web.url=https://github.com/octo/web.git',
+                'submodule.web.branch=release;2 #x',
+                'submodule.docs.path=docs',
+                'submodule.docs.url=https://github.com/octo/docs.git'
+            ]);
+        } finally {
+            fs.rmSync(path.dirname(file), { recursive: true, force: true });
+        }
+    });
+
+    it('should parse what it writes and files written by hand', () => {
+        expect(parseGitmodules(renderGitmodules(submodules)))
+            .toEqual(submodules.map(submodule => ({ name: submodule.path, ...submodule })));
+
+        expect(parseGitmodules([
+            '# Vendored code',
+            '[submodule "lib"]',
+            '    path = vendor/lib   ; pinned by hand',
+            '    URL = git@github.com:octo/lib.git',
+            '[core]',
+            '    path = ignored',
+            '[submodule "broken"]',
+            '    path = nowhere'
+        ].join('\r\n'))).toEqual([{ name: 'lib', path: 'vendor/lib', url: 'git@github.com:octo/lib.git', branch: null }]);
+    });
+
+    it('should find the GitHub repository of a submodule URL', () => {
+        const umbrella = { owner: 'me', repo: 'platform' };
+        expect(parseSubmoduleRepository('https://github.com/octo/api.git', umbrella)).toEqual({ owner: 'octo', repo: 'api' });
+        expect(parseSubmoduleRepository('https://github.com/octo/my.lib', umbrella)).toEqual({ owner: 'octo', repo: 'my.lib' });
+        expect(parseSubmoduleRepository('git@github.com:octo/api.git', umbrella)).toEqual({ owner: 'octo', repo: 'api' });
+        expect(parseSubmoduleRepository('../web.git', umbrella)).toEqual({ owner: 'me', repo: 'web' });
+        expect(parseSubmoduleRepository('https://gitlab.com/octo/api.git', umbrella)).toBeNull();
+    });
+});
+
+/**
+ * Fake GitHub with an umbrella repository (me/platform) on main and the octo/api and octo/web sources
+ * @param {FakeGitHub} [api] - Fake API with routes that take precedence
+ * @returns {FakeGitHub} - Fake API
+ */
+function createUmbrellaApi(api = new FakeGitHub()) {
+    return api
+        .on('GET', /^\/repos\/me\/platform\/git\/ref\/heads\/main$/, () => ({ object: { sha: 'c-target' } }))
+        .on('GET', /^\/repos\/me\/platform\/git\/commits\/c-target$/, () => ({ tree: { sha: 't-target' } }))
+        .on('GET', /^\/repos\/octo\/(\w+)$/, (match) => ({ full_name: `octo/${match[1]}`, default_branch: 'main' }))
+        .on('GET', /^\/repos\/octo\/(\w+)\/commits\/(.+)$/, (match) => ({
+            sha: `${match[1]}-${match[2]}`,
+            commit: { tree: { sha: `t-${match[1]}` } }
+        }))
+        .on('GET', /^\/repos\/octo\/(\w+)\/git\/ref\/heads\/main$/, () => ({ object: { sha: 'x' } }))
+        .on('POST', /^\/repos\/me\/platform\/git\/trees$/, () => ({ sha: 't-result' }))
+        .on('POST', /^\/repos\/me\/platform\/git\/commits$/, () => ({ sha: 'c-result' }))
+        .on('PATCH', /^\/repos\/me\/platform\/git\/refs\/heads\/main$/, () => ({}));
+}
+
+describe('submoduleMerge', () => {
+    it('should add a gitlink per source and a .gitmodules in one commit', async () => {
+        const api = createUmbrellaApi();
+
+        const result = await submoduleMerge({
+            api,
+            sources: [
+                { owner: 'octo', repo: 'api', ref: 'main', path: 'services/api' },
+                { owner: 'octo', repo: 'web', ref: 'v2.0.0', path: 'web' }
+            ],
+            target: { owner: 'me', repo: 'platform', branch: 'main' },
+            files: (imported) => [{ path: 'caromar.json', content: JSON.stringify(imported.map(source => source.source_sha)) }]
+        });
+
+        expect(result).toMatchObject({ branch: 'main', commit: 'c-result', previous_commit: 'c-target', pushed: true });
+        expect(result.sources).toEqual([
+            { name: 'octo/api', path: 'services/api', ref: 'main', branch: 'main', url: 'https://github.com/octo/api.git', source_sha: 'api-main' },
+            { name: 'octo/web', path: 'web', ref: 'v2.0.0', branch: null, url: 'https://github.com/octo/web.git', source_sha: 'web-v2.0.0' }
+        ]);
+
+        const tree = api.calls.find(call => call.method === 'POST' && call.url.endsWith('/git/trees')).body;
+        expect(tree.base_tree).toBe('t-target');
+        expect(tree.tree).toEqual([
+            { path: 'services/api', mode: '160000', type: 'commit', sha: 'api-main' },
+            { path: 'web', mode: '160000', type: 'commit', sha: 'web-v2.0.0' },
+            { path: '.gitmodules', mode: '100644', type: 'blob', content: renderGitmodules(result.sources) },
+            { path: 'caromar.json', mode: '100644', type: 'blob', content: '["api-main","web-v2.0.0"]' }
+        ]);
+        // A tag is pinned, not followed
+        expect(tree.tree[2].content).not.toContain('branch = v2.0.0');
+        expect(api.calls.find(call => call.method === 'POST' && call.url.endsWith('/git/commits')).body.message)
+            .toBe('Add 2 submodules with CAROMAR\n\n- octo/api@api-mai -> services/api\n- octo/web@web-v2. -> web\n');
+    });
+});
+
+describe('bumpSubmodules', () => {
+    const gitmodules = renderGitmodules([
+        { path: 'services/api', url: 'https://github.com/octo/api.git', branch: 'main' },
+        { path: 'web', url: '../web.git', branch: null },
+        { path: 'vendor/lib', url: 'https://gitlab.com/octo/lib.git', branch: null },
+        { path: 'docs', url: 'https://github.com/octo/docs.git', branch: 'main' }
+    ]);
+    const manifest = {
+        version: 1,
+        generator: 'CAROMAR',
+        mode: 'submodules',
+        merged_at: '2024-05-01T12:00:00.000Z',
+        sources: [{ owner: 'octo', repo: 'api', ref: 'main', source_sha: 'a'.repeat(40), license: null, target_path: 'services/api' }]
+    };
+
+    /**
+     * Fake GitHub with an umbrella whose api submodule is behind and whose web submodule is current
+     * @param {FakeGitHub} [api] - Fake API with routes that take precedence
+     * @returns {FakeGitHub} - Fake API
+     */
+    function createBumpApi(api = new FakeGitHub()) {
+        return createUmbrellaApi(api
+            .on('GET', /^\/repos\/me\/platform\/contents\/\.gitmodules$/, () => contentsFile(gitmodules))
+            .on('GET', /^\/repos\/me\/platform\/contents\/caromar\.json$/, () => contentsFile(JSON.stringify(manifest)))
+            .on('GET', /^\/repos\/me\/platform\/contents\/services\/api$/, () => ({ type: 'submodule', sha: 'api-old' }))
+            .on('GET', /^\/repos\/me\/platform\/contents\/web$/, () => ({ type: 'submodule', sha: 'web-main' }))
+            .on('GET', /^\/repos\/me\/platform\/contents\/docs$/, () => ({ type: 'dir' }))
+            .on('GET', /^\/repos\/me\/platform$/, () => ({ full_name: 'me/platform', html_url: 'https://github.com/me/platform', default_branch: 'main' }))
+            .on('GET', /^\/repos\/me\/web\/commits\/main$/, () => ({ sha: 'web-main', commit: { tree: { sha: 't-web' } } }))
+            .on('GET', /^\/repos\/me\/web$/, () => ({ full_name: 'me/web', default_branch: 'main' })));
+    }
+
+    it('should move stale pins and keep the manifest in step', async () => {
+        const api = createBumpApi();
+
+        const result = await bumpSubmodules({ api, target: { owner: 'me', repo: 'platform', branch: 'main' } });
+
+        expect(result).toMatchObject({ commit: 'c-result', previous_commit: 'c-target', pushed: true });
+        expect(result.submodules).toEqual([
+            expect.objectContaining({ path: 'services/api', repository: 'octo/api', status: 'bumped', previous_sha: 'api-old', sha: 'api-main' }),
+            expect.objectContaining({ path: 'web', repository: 'me/web', ref: 'main', status: 'up_to_date' }),
+            expect.objectContaining({ path: 'vendor/lib', status: 'skipped', reason: 'Not a GitHub repository' }),
+            expect.objectContaining({ path: 'docs', status: 'failed', error: 'docs is not a submodule on main' })
+        ]);
+
+        const tree = api.calls.find(call => call.method === 'POST' && call.url.endsWith('/git/trees')).body;
+        expect(tree.tree[0]).toEqual({ path: 'services/api', mode: '160000', type: 'commit', sha: 'api-main' });
+        expect(JSON.parse(tree.tree[1].content).sources[0].source_sha).toBe('api-main');
+        expect(api.calls.find(call => call.method === 'PATCH').body).toEqual({ sha: 'c-result' });
+    });
+
+    it('should not commit when every pin is current', async () => {
+        const api = createBumpApi(new FakeGitHub()
+            .on('GET', /^\/repos\/me\/platform\/contents\/services\/api$/, () => ({ type: 'submodule', sha: 'api-main' })));
+
+        const result = await bumpSubmodules({ api, target: { owner: 'me', repo: 'platform', branch: 'main' } });
+
+        expect(result).toMatchObject({ commit: 'c-target', pushed: false });
+        expect(api.count('POST', /./)).toBe(0);
+    });
+
+    it('should refuse repositories without .gitmodules', async () => {
+        const api = createBumpApi(new FakeGitHub()
+            .on('GET', /^\/repos\/me\/platform\/contents\/\.gitmodules$/, () => {
+                throw httpError(404, 'Not Found');
+            }));
+
+        await expect(bumpSubmodules({ api, target: { owner: 'me', repo: 'platform', branch: 'main' } }))
+            .rejects.toMatchObject({ status: 422, message: 'me/platform has no .gitmodules on main' });
+    });
+
+    it('should refuse to resync an umbrella repository', async () => {
+        const api = createBumpApi();
+
+        await expect(resyncMergedRepository({ owner: 'me', repo: 'platform' }, { api }))
+            .rejects.toMatchObject({ status: 422, message: 'me/platform references its sources as submodules; bump its submodules instead' });
+    });
+
+    it('should validate bump requests', () => {
+        expect(validateBumpRequest({ repository: 'me/platform' }).repositories).toEqual([{ owner: 'me', repo: 'platform', branch: undefined }]);
+        expect(() => validateBumpRequest({ repository: 'platform' })).toThrow('Repositories must be given as "owner/repo"');
+    });
+});
+
+describe('submodules merges', () => {
+    const repositories = [
+        { name: 'api', full_name: 'octo/api', clone_url: 'https://github.com/octo/api.git', default_branch: 'main' },
+        { name: 'web', full_name: 'octo/web', default_branch: 'main' }
+    ];
+
+    it('should create the umbrella repository with provenance', async () => {
+        const api = createUmbrellaApi(new FakeGitHub()
+            .on('POST', /^\/user\/repos$/, (match, body) => ({
+                name: body.name,
+                full_name: `me/${body.name}`,
+                html_url: `https://github.com/me/${body.name}`,
+                clone_url: `https://github.com/me/${body.name}.git`,
+                default_branch: 'main',
+                owner: { login: 'me' }
+            })));
+
+        const request = await validateMergeRequest({ name: 'platform', mode: 'submodules', repositories });
+        const result = await createMergedRepository(request, { api });
+
+        expect(result.message).toBe('Added 2 repositories as submodules');
+        expect(result.merge).toMatchObject({ mode: 'submodules', commit: 'c-result' });
+        expect(result.provenance.manifest).toMatchObject({
+            mode: 'submodules',
+            sources: [{ repo: 'api', source_sha: 'api-main', target_path: 'api' }, { repo: 'web', source_sha: 'web-main', target_path: 'web' }]
+        });
+        expect(result.journal.map(entry => entry.type)).toEqual(['repository_created', 'ref_updated']);
+
+        const tree = api.calls.find(call => call.method === 'POST' && call.url.endsWith('/git/trees')).body.tree;
+        expect(tree.map(entry => entry.path)).toEqual(['api', 'web', '.gitmodules', 'caromar.json', 'README.md']);
+        expect(parseGitmodules(tree[2].content).map(submodule => submodule.url))
+            .toEqual(['https://github.com/octo/api.git', 'https://github.com/octo/web.git']);
+    });
+
+    it('should refuse options that only make sense for copied files', async () => {
+        await expect(validateMergeRequest({ name: 'platform', mode: 'submodules', repositories: [{ ...repositories[0], include: ['src/**'] }] }))
+            .rejects.toThrow('include and exclude patterns are not supported in submodules mode (api)');
+        await expect(validateMergeRequest({ name: 'platform', mode: 'submodules', repositories, archive_sources: true }))
+            .rejects.toThrow('Sources can only be archived by history and snapshot merges');
+        await expect(validateMergeRequest({ name: 'platform', mode: 'submodules', repositories: [{ name: 'api', full_name: 'api' }] }))
+            .rejects.toThrow('Invalid full_name for api');
+    });
+});
@@ -0,0 +1,244 @@
+/**
+ * Retire source repositories after they were merged
+ * Each source gets a "moved to" banner at the top of its README, committed
+ * directly or proposed in a pull request, and is then archived. Every
+ * change is recorded in the merge's journal so a rollback unarchives the
+ * source and removes the banner commit or branch.
+ * @module utils/archival
+ */
+
+const { mapWithConcurrency } = require('./concurrency');
+
+const ARCHIVE_NOTICE_MODES = ['commit', 'pull_request'];
+
+// Branch the banner is proposed on in pull_request mode
+const NOTICE_BRANCH = 'caromar/moved-notice';
+
+// Marks READMEs that already carry the banner
+const NOTICE_MARKER = '<!-- caromar:moved -->';
+
+// Sources inspected in parallel
+const ARCHIVAL_CONCURRENCY = 3;
+
+/**
+ * Build the "moved to" banner of a source
+ * @param {Object} merged - Merged repository: { full_name, html_url, branch }
+ * @param {string} path - Folder of the source in the merged repository
+ * @returns {string} - Markdown to put at the top of the README
+ */
+function buildMovedNotice(merged, path) {
+    return `${NOTICE_MARKER}\n` +
+        '> [!IMPORTANT]\n' +
+        `> **This repository has moved.** It is now maintained in [\`${path}/\`](${merged.html_url}/tree/${merged.branch}/${path}) ` +
+        `of [${merged.full_name}](${merged.html_url}). This repository is archived and read-only.\n\n`;
+}
+
+/**
+ * Decide what archiving would do for each source, without changing anything
+ * @param {Object} api - GitHub API client
+ * @param {Array<Object>} sources - Merged sources: { name, full_name, path, archive }
+ * @param {Object} merged - Merged repository: { full_name, html_url, branch }
+ * @param {Object} [options] - { notice: "commit" | "pull_request" }
+ * @returns {Promise<Array<Object>>} - { full_name, path, status: "planned" | "skipped", reason, default_branch, readme, notice }
+ */
+async function planArchival(api, sources, merged, options = {}) {
+    const { notice = 'commit' } = options;
+
+    return mapWithConcurrency(sources, ARCHIVAL_CONCURRENCY, async (source) => {
+        const entry = { full_name: source.full_name || source.name, path: source.path };
+        if (source.archive === false) {
+            return { ...entry, status: 'skipped', reason: 'Opted out of archiving' };
+        }
+        if (!source.full_name) {
+            return { ...entry, status: 'skipped', reason: 'Only GitHub repositories with a full_name can be archived' };
+        }
+
+        try {
+            const { data: repository } = await api.get(`/repos/${source.full_name}`);
+            if (repository.archived) {
+                return { ...entry, status: 'skipped', reason: 'Already archived' };
+            }
+            if (!repository.permissions?.admin) {
+                return { ...entry, status: 'skipped', reason: `Archiving needs admin rights on ${source.full_name}` };
+            }
+
+            let readme = { path: 'README.md', exists: false };
+            try {
+                const { data: file } = await api.get(`/repos/${source.full_name}/readme`);
+                readme = { path: file.path, exists: true };
+            } catch (error) {
+                if (error.response?.status !== 404) {
+                    throw error;
+                }
+            }
+
+            return {
+                ...entry,
+                status: 'planned',
+                default_branch: repository.default_branch,
+                readme,
+                notice,
+                banner: buildMovedNotice(merged, source.path)
+            };
+        } catch (error) {
+            return { ...entry, status: 'skipped', reason: error.response?.data?.message || error.message };
+        }
+    });
+}
+
+/**
+ * Read a README as text with its blob SHA
+ * @param {Object} api - GitHub API client
+ * @param {string} fullName - Repository
+ * @param {Object} readme - { path, exists }
+ * @param {string} branch - Branch to read from
+ * @returns {Promise<Object>} - { content, sha } (empty content and null SHA if it does not exist)
+ */
+async function readReadme(api, fullName, readme, branch) {
+    if (!readme.exists) {
+        return { content: '', sha: null };
+    }
+    const { data: file } = await api.get(`/repos/${fullName}/contents/${readme.path}`, { params: { ref: branch } });
+    return {
+        content: Buffer.from(file.content || '', 'base64').toString('utf8'),
+        sha: file.sha
+    };
+}
+
+/**
+ * Write the banner on top of a source's README
+ * @param {Object} api - GitHub API client
+ * @param {Object} entry - Planned entry (see planArchival)
+ * @param {Object} merged - Merged repository
+ * @param {string} branch - Branch to commit to
+ * @returns {Promise<Object|null>} - { commit_sha, previous_sha, html_url }, or null if the banner is already there
+ */
+async function commitNotice(api, entry, merged, branch) {
+    const readme = await readReadme(api, entry.full_name, entry.readme, branch);
+    if (readme.content.includes(NOTICE_MARKER)) {
+        return null;
+    }
+
+    const { data } = await api.put(`/repos/${entry.full_name}/contents/${entry.readme.path}`, {
+        message: `Point to the new location in ${merged.full_name}`,
+        content: Buffer.from(entry.banner + readme.content).toString('base64'),
+        branch,
+        ...(readme.sha ? { sha: readme.sha } : {})
+    });
+    return {
+        commit_sha: data.commit.sha,
+        previous_sha: data.commit.parents?.[0]?.sha || null,
+        html_url: data.commit.html_url
+    };
+}
+
+/**
+ * Retire one planned source
+ * @param {Object} api - GitHub API client
+ * @param {Object} entry - Planned entry (see planArchival)
+ * @param {Object} merged - Merged repository
+ * @param {OperationJournal} journal - Journal of the merge
+ * @returns {Promise<Object>} - Result entry
+ */
+async function archiveSource(api, entry, merged, journal) {
+    const { banner: _banner, ...result } = entry;
+
+    if (entry.notice === 'pull_request') {
+        const { data: base } = await api.get(`/repos/${entry.full_name}/git/ref/heads/${entry.default_branch}`);
+        await api.post(`/repos/${entry.full_name}/git/refs`, { ref: `refs/heads/${NOTICE_BRANCH}`, sha: base.object.sha });
+
+        let head = base.object.sha;
+        try {
+            const commit = await commitNotice(api, entry, merged, NOTICE_BRANCH);
+            head = commit ? commit.commit_sha : head;
+        } finally {
+            // Deleting the branch on rollback also closes the pull request
+            journal.record('ref_updated', { full_name: entry.full_name, ref: `heads/${NOTICE_BRANCH}`, previous_sha: null, sha: head });
+        }
+        const { data: pullRequest } = await api.post(`/repos/${entry.full_name}/pulls`, {
+            title: `This repository has moved to ${merged.full_name}`,
+            head: NOTICE_BRANCH,
+            base: entry.default_branch,
+            body: `The code of this repository was merged into \`${entry.path}/\` of ${merged.html_url} by CAROMAR.\n\n` +
+                'Merge this pull request to add a notice to the README, then archive the repository.'
+        });
+        return {
+            ...result,
+            status: 'notice_proposed',
+            reason: 'Archive the repository after merging the pull request; archived repositories cannot merge pull requests',
+            pull_request: { number: pullRequest.number, html_url: pullRequest.html_url }
+        };
+    }
+
+    const commit = await commitNotice(api, entry, merged, entry.default_branch);
+    if (commit) {
+        journal.record('ref_updated', {
+            full_name: entry.full_name,
+            ref: `heads/${entry.default_branch}`,
+            previous_sha: commit.previous_sha,
+            sha: commit.commit_sha
+        });
+    }
+    await api.patch(`/repos/${entry.full_name}`, { archived: true });
+    journal.record('settings_changed', { full_name: entry.full_name, previous: { archived: false } });
+
+    return {
+        ...result,
+        status: 'archived',
+        commit: commit ? { sha: commit.commit_sha, html_url: commit.html_url } : null
+    };
+}
+
+/**
+ * Add a "moved to" banner to every source and archive it
+ * A source that cannot be retired is reported as failed; the others carry on.
+ * @param {Object} api - GitHub API client
+ * @param {Array<Object>} sources - Merged sources: { name, full_name, path, archive }
+ * @param {Object} merged - Merged repository: { full_name, html_url, branch }
+ * @param {Object} options - Archival options
+ * @param {string} [options.notice="commit"] - Commit the banner or propose it in a pull request
+ * @param {OperationJournal} options.journal - Journal the changes are recorded in
+ * @returns {Promise<Object>} - { sources, summary: { archived, notice_proposed, skipped, failed } }
+ */
+async function archiveSources(api, sources, merged, options) {
+    const plan = await planArchival(api, sources, merged, options);
+    const results = [];
+
+    // Sequential, so the journal lists each source's steps together
+    for (const entry of plan) {
+        if (entry.status !== 'planned') {
+            results.push(entry);
+            continue;
+        }
+        try {
+            results.push(await archiveSource(api, entry, merged, options.journal));
+        } catch (error) {
+            const { banner: _banner, ...result } = entry;
+            results.push({ ...result, status: 'failed', error: error.response?.data?.message || error.message });
+        }
+    }
+
+    return { sources: results, summary: summarizeArchival(results) };
+}
+
+/**
+ * Count archival results per status
+ * @param {Array<Object>} results - Archival entries
+ * @returns {Object} - Count per status
+ */
+function summarizeArchival(results) {
+    const summary = {};
+    for (const status of ['planned', 'archived', 'notice_proposed', 'skipped', 'failed']) {
+        summary[status] = results.filter(result => result.status === status).length;
+    }
+    return summary;
+}
+
+module.exports = {
+    ARCHIVE_NOTICE_MODES,
+    NOTICE_BRANCH,
+    buildMovedNotice,
+    planArchival,
+    archiveSources,
+    summarizeArchival
+};
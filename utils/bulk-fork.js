@@ -0,0 +1,202 @@
+/**
+ * Bulk forking with bounded concurrency, retries and rate limit backoff
+ * @module utils/bulk-fork
+ */
+
+const logger = require('./logger');
+const { mapWithConcurrency } = require('./concurrency');
+const { withRetry, isRateLimitError, isSecondaryRateLimit, isTransientError, sleep } = require('./retry');
+const { waitForFork } = require('./fork-readiness');
+
+const DEFAULT_CONCURRENCY = 3;
+const MAX_CONCURRENCY = 10;
+
+// A fork created this long before the request is an existing fork returned by GitHub
+const EXISTING_FORK_THRESHOLD_MS = 60 * 1000;
+
+const FORK_STATUSES = ['forked', 'already_exists', 'rate_limited', 'failed'];
+
+/**
+ * Check whether an error is a primary rate limit
+ * Those last until the hourly quota resets, so forks give up instead of waiting.
+ * @param {Error} error - Axios or GitHubApiError
+ * @returns {boolean} - True for primary rate limits
+ */
+function isPrimaryRateLimit(error) {
+    return isRateLimitError(error) && !isSecondaryRateLimit(error);
+}
+
+/**
+ * Read when a rate limit resets
+ * @param {Error} error - Rate limit error
+ * @returns {string|null} - ISO date, or null when GitHub did not say
+ */
+function getRateLimitReset(error) {
+    const reset = parseInt(error.response?.headers?.['x-ratelimit-reset'], 10);
+    return Number.isNaN(reset) ? null : new Date(reset * 1000).toISOString();
+}
+
+/**
+ * Shared pause used to stop every worker after a secondary rate limit
+ */
+class BackoffGate {
+    constructor(wait = sleep) {
+        this.until = 0;
+        this.wait = wait;
+    }
+
+    /**
+     * Pause all workers for at least `ms` milliseconds
+     * @param {number} ms - Pause duration
+     */
+    pause(ms) {
+        this.until = Math.max(this.until, Date.now() + ms);
+    }
+
+    /**
+     * Wait until the gate is open
+     * @returns {Promise<void>}
+     */
+    async ready() {
+        const remaining = this.until - Date.now();
+        if (remaining > 0) {
+            await this.wait(remaining);
+        }
+    }
+}
+
+/**
+ * Fork one repository, retrying transient failures and secondary rate limits
+ * A primary rate limit is thrown right away rather than slept out.
+ * @param {Object} api - GitHub API client
+ * @param {Object} request - Validated fork request: { owner, repo, organization }
+ * @param {Object} [options] - Retry options (see utils/retry withRetry)
+ * @param {BackoffGate} [options.gate] - Gate shared with other workers
+ * @param {Object} [options.readiness] - Wait for the fork's refs: { timeout_ms } (see utils/fork-readiness)
+ * @returns {Promise<Object>} - { status: 'forked'|'already_exists', fork, attempts, readiness }
+ */
+async function forkWithRetry(api, request, options = {}) {
+    const { owner, repo, organization } = request;
+    const gate = options.gate || new BackoffGate(options.sleep);
+    const startedAt = Date.now();
+    let attempts = 0;
+    let outcome;
+
+    try {
+        const response = await withRetry(async (attempt) => {
+            attempts = attempt;
+            await gate.ready();
+            // The shared gate has to see secondary rate limits, so the client must not retry them itself
+            return api.post(`/repos/${owner}/${repo}/forks`, organization ? { organization } : {}, { retries: 0 });
+        }, {
+            ...options,
+            retryIf: error => isSecondaryRateLimit(error) || isTransientError(error),
+            onRetry: (error, delay) => {
+                if (isSecondaryRateLimit(error)) {
+                    logger.warn('Secondary rate limit hit while forking, backing off', { owner, repo, delay });
+                    gate.pause(delay);
+                }
+            }
+        });
+
+        // GitHub answers with the existing fork when the repository was already forked
+        const createdAt = Date.parse(response.data.created_at);
+        const existing = !Number.isNaN(createdAt) && createdAt < startedAt - EXISTING_FORK_THRESHOLD_MS;
+
+        outcome = {
+            status: existing ? 'already_exists' : 'forked',
+            fork: {
+                fork_url: response.data.html_url,
+                clone_url: response.data.clone_url,
+                ssh_url: response.data.ssh_url,
+                full_name: response.data.full_name
+            },
+            attempts
+        };
+    } catch (error) {
+        const message = (error.response?.data?.message || '').toLowerCase();
+        if (error.response?.status === 422 && message.includes('already exists')) {
+            return { status: 'already_exists', fork: null, attempts };
+        }
+        throw error;
+    }
+
+    if (options.readiness) {
+        outcome.readiness = await waitForFork(api, outcome.fork.full_name, {
+            timeoutMs: options.readiness.timeout_ms,
+            sleep: options.sleep
+        });
+    }
+
+    return outcome;
+}
+
+/**
+ * Fork many repositories with bounded concurrency
+ * Failures are reported per repository instead of aborting the batch. Once
+ * a primary rate limit is hit, the remaining repositories are reported as
+ * `rate_limited` with the time the limit resets, without calling GitHub.
+ * @param {Object} api - GitHub API client
+ * @param {Array<Object>} requests - Validated fork requests: { owner, repo, organization }
+ * @param {Object} [options] - Options
+ * @param {number} [options.concurrency=3] - Forks in flight at once (max 10)
+ * @param {number} [options.retries=3] - Retries per repository
+ * @param {Object} [options.readiness] - Wait for each fork's refs: { timeout_ms }
+ * @param {Function} [options.sleep] - Delay function (for tests)
+ * @returns {Promise<Object>} - { results, summary }
+ */
+async function forkRepositories(api, requests, options = {}) {
+    const concurrency = Math.min(MAX_CONCURRENCY, Math.max(1, parseInt(options.concurrency, 10) || DEFAULT_CONCURRENCY));
+    const gate = new BackoffGate(options.sleep);
+    let rateLimit = null;
+
+    const results = await mapWithConcurrency(requests, concurrency, async (request) => {
+        const repository = `${request.owner}/${request.repo}`;
+        if (rateLimit) {
+            return { repository, status: 'rate_limited', fork: null, attempts: 0, reset_at: rateLimit.reset_at, error: rateLimit.error };
+        }
+        try {
+            const outcome = await forkWithRetry(api, request, { ...options, gate });
+            return { repository, ...outcome };
+        } catch (error) {
+            if (isPrimaryRateLimit(error)) {
+                logger.warn('Rate limit hit while forking, skipping the remaining repositories', { repository });
+                rateLimit = {
+                    reset_at: getRateLimitReset(error),
+                    error: { status: error.response.status, message: error.response.data?.message || error.message }
+                };
+                return { repository, status: 'rate_limited', fork: null, attempts: error.attempts || 1, ...rateLimit };
+            }
+            logger.error('Error forking repository', { repository, message: error.message });
+            return {
+                repository,
+                status: 'failed',
+                fork: null,
+                attempts: error.attempts || 1,
+                error: {
+                    status: error.response?.status || null,
+                    message: error.response?.data?.message || error.message
+                }
+            };
+        }
+    });
+
+    const summary = { total: results.length };
+    for (const status of FORK_STATUSES) {
+        summary[status] = results.filter(result => result.status === status).length;
+    }
+    if (options.readiness) {
+        summary.ready = results.filter(result => result.readiness?.status === 'ready').length;
+        summary.pending = results.filter(result => result.readiness?.status === 'pending').length;
+    }
+
+    return { results, summary };
+}
+
+module.exports = {
+    FORK_STATUSES,
+    DEFAULT_CONCURRENCY,
+    BackoffGate,
+    forkWithRetry,
+    forkRepositories
+};
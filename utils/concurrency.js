@@ -0,0 +1,36 @@
+/**
+ * Concurrency helpers for CAROMAR
+ * @module utils/concurrency
+ */
+
+/**
+ * Map over items with at most `limit` calls in flight
+ * Results keep the order of the input items.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} - Results in input order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    const workers = [];
+    for (let i = 0; i < Math.max(1, Math.min(limit, items.length)); i++) {
+        workers.push(worker());
+    }
+    await Promise.all(workers);
+
+    return results;
+}
+
+module.exports = {
+    mapWithConcurrency
+};
@@ -0,0 +1,92 @@
+/**
+ * Fork readiness polling
+ * GitHub creates forks asynchronously: the fork API answers before the
+ * fork's git data exists. These helpers poll the fork until its default
+ * branch resolves, so callers can hand out a fork that can be cloned.
+ * @module utils/fork-readiness
+ */
+
+const { sleep } = require('./retry');
+
+const DEFAULT_READY_TIMEOUT_MS = 60 * 1000;
+const MAX_READY_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Delay between checks grows from the first to the maximum interval
+const FIRST_POLL_INTERVAL_MS = 1000;
+const MAX_POLL_INTERVAL_MS = 5000;
+
+// Statuses GitHub returns while a fork is still being created
+const PENDING_STATUSES = [404, 409];
+
+/**
+ * Check once whether a fork's default branch exists
+ * @param {Object} api - GitHub API client
+ * @param {string} fullName - Fork full name ("owner/repo")
+ * @returns {Promise<Object|null>} - { default_branch, head_sha }, or null while the fork is pending
+ */
+async function checkForkReady(api, fullName) {
+    try {
+        const { data: repository } = await api.get(`/repos/${fullName}`);
+        const branch = repository.default_branch;
+        const { data: ref } = await api.get(`/repos/${fullName}/git/ref/heads/${encodeURIComponent(branch)}`);
+        return { default_branch: branch, head_sha: ref.object.sha };
+    } catch (error) {
+        if (PENDING_STATUSES.includes(error.response?.status)) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Poll a fork until its git refs are available or the timeout passes
+ * @param {Object} api - GitHub API client
+ * @param {string} fullName - Fork full name ("owner/repo")
+ * @param {Object} [options] - Polling options
+ * @param {number} [options.timeoutMs=60000] - Give up after this long
+ * @param {Function} [options.sleep] - Delay function (for tests)
+ * @param {Function} [options.now] - Clock (for tests)
+ * @returns {Promise<Object>} - { status: 'ready'|'pending', default_branch, head_sha, checks, waited_ms }
+ */
+async function waitForFork(api, fullName, options = {}) {
+    const { timeoutMs = DEFAULT_READY_TIMEOUT_MS, sleep: wait = sleep, now = Date.now } = options;
+    const startedAt = now();
+    let interval = FIRST_POLL_INTERVAL_MS;
+    let checks = 0;
+
+    for (;;) {
+        checks++;
+        const ready = await checkForkReady(api, fullName);
+        const waited = now() - startedAt;
+        if (ready) {
+            return { status: 'ready', ...ready, checks, waited_ms: waited };
+        }
+        if (waited + interval > timeoutMs) {
+            return { status: 'pending', default_branch: null, head_sha: null, checks, waited_ms: waited };
+        }
+        await wait(interval);
+        interval = Math.min(interval * 2, MAX_POLL_INTERVAL_MS);
+    }
+}
+
+/**
+ * Normalize the readiness options of a fork request
+ * @param {Object} input - { wait_for_ready, ready_timeout (seconds) }
+ * @returns {Object|null} - { timeout_ms }, or null when waiting was not requested
+ */
+function parseReadinessOptions(input = {}) {
+    if (input.wait_for_ready !== true && input.wait_for_ready !== 'true') {
+        return null;
+    }
+    const seconds = parseInt(input.ready_timeout, 10);
+    const timeoutMs = Number.isNaN(seconds) || seconds <= 0 ? DEFAULT_READY_TIMEOUT_MS : seconds * 1000;
+    return { timeout_ms: Math.min(timeoutMs, MAX_READY_TIMEOUT_MS) };
+}
+
+module.exports = {
+    DEFAULT_READY_TIMEOUT_MS,
+    MAX_READY_TIMEOUT_MS,
+    checkForkReady,
+    waitForFork,
+    parseReadinessOptions
+};
@@ -0,0 +1,155 @@
+/**
+ * Keep forks current with their upstream repositories
+ * Uses GitHub's merge-upstream API, which fast-forwards a fork's branch
+ * when possible. When the branch has diverged, a pull request from the
+ * upstream branch into the fork can be opened instead.
+ * @module utils/fork-sync
+ */
+
+const logger = require('./logger');
+const { mapWithConcurrency } = require('./concurrency');
+
+const SYNC_STATUSES = ['fast_forwarded', 'merged', 'up_to_date', 'conflict', 'failed'];
+
+const DEFAULT_CONCURRENCY = 3;
+const MAX_CONCURRENCY = 10;
+
+// merge-upstream's merge_type mapped to a sync status
+const MERGE_TYPE_STATUSES = {
+    'fast-forward': 'fast_forwarded',
+    merge: 'merged',
+    none: 'up_to_date'
+};
+
+/**
+ * Open a pull request that brings the upstream branch into the fork,
+ * or return the one that is already open
+ * @param {Object} api - GitHub API client
+ * @param {Object} fork - Fork repository data
+ * @param {string} branch - Fork branch to update
+ * @param {string} upstreamBranch - Upstream branch to merge
+ * @returns {Promise<Object>} - { number, html_url, created }
+ */
+async function openSyncPullRequest(api, fork, branch, upstreamBranch) {
+    const head = `${fork.parent.owner.login}:${upstreamBranch}`;
+
+    try {
+        const { data } = await api.post(`/repos/${fork.full_name}/pulls`, {
+            title: `Sync ${branch} with ${fork.parent.full_name}`,
+            head,
+            base: branch,
+            body: `Brings \`${branch}\` up to date with \`${fork.parent.full_name}:${upstreamBranch}\`.\n\n` +
+                'The branch has diverged from upstream, so it could not be fast-forwarded. Resolve the conflicts in this pull request to finish the sync.',
+            maintainer_can_modify: false
+        });
+        return { number: data.number, html_url: data.html_url, created: true };
+    } catch (error) {
+        const message = JSON.stringify(error.response?.data || '').toLowerCase();
+        if (error.response?.status !== 422 || !message.includes('already exists')) {
+            throw error;
+        }
+        const { data: pulls } = await api.get(`/repos/${fork.full_name}/pulls`, {
+            params: { head, base: branch, state: 'open' }
+        });
+        if (pulls.length === 0) {
+            throw error;
+        }
+        return { number: pulls[0].number, html_url: pulls[0].html_url, created: false };
+    }
+}
+
+/**
+ * Sync one fork with its upstream repository
+ * @param {Object} api - GitHub API client
+ * @param {Object} request - { owner, repo, branch }
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.openPullRequest=false] - Open a PR when the branch cannot be fast-forwarded
+ * @returns {Promise<Object>} - { status, branch, upstream, message, pull_request }
+ * @throws {Error} - If the repository is not a fork or the sync fails
+ */
+async function syncFork(api, request, options = {}) {
+    const { owner, repo } = request;
+    const { data: fork } = await api.get(`/repos/${owner}/${repo}`);
+
+    if (!fork.fork || !fork.parent) {
+        const error = new Error(`${owner}/${repo} is not a fork`);
+        error.status = 422;
+        throw error;
+    }
+
+    const branch = request.branch || fork.default_branch;
+    // The default branch tracks upstream's default branch; others track the branch of the same name
+    const upstreamBranch = branch === fork.default_branch ? fork.parent.default_branch : branch;
+    const result = {
+        status: null,
+        branch,
+        upstream: `${fork.parent.full_name}:${upstreamBranch}`,
+        html_url: fork.html_url,
+        message: null,
+        pull_request: null
+    };
+
+    try {
+        const { data } = await api.post(`/repos/${owner}/${repo}/merge-upstream`, { branch });
+        result.status = MERGE_TYPE_STATUSES[data.merge_type] || 'fast_forwarded';
+        result.message = data.message;
+    } catch (error) {
+        if (error.response?.status !== 409) {
+            throw error;
+        }
+        result.status = 'conflict';
+        result.message = error.response.data?.message || 'Branch has diverged from upstream';
+    }
+
+    if (result.status === 'conflict' && options.openPullRequest) {
+        result.pull_request = await openSyncPullRequest(api, fork, branch, upstreamBranch);
+    }
+
+    logger.info('Fork synced', { repository: `${owner}/${repo}`, status: result.status });
+    return result;
+}
+
+/**
+ * Sync many forks with bounded concurrency
+ * Failures are reported per fork instead of aborting the batch.
+ * @param {Object} api - GitHub API client
+ * @param {Array<Object>} requests - Validated sync requests: { owner, repo, branch }
+ * @param {Object} [options] - Options (see syncFork)
+ * @param {number} [options.concurrency=3] - Forks synced at once (max 10)
+ * @returns {Promise<Object>} - { results, summary }
+ */
+async function syncForks(api, requests, options = {}) {
+    const concurrency = Math.min(MAX_CONCURRENCY, Math.max(1, parseInt(options.concurrency, 10) || DEFAULT_CONCURRENCY));
+
+    const results = await mapWithConcurrency(requests, concurrency, async (request) => {
+        const repository = `${request.owner}/${request.repo}`;
+        try {
+            return { repository, ...(await syncFork(api, request, options)) };
+        } catch (error) {
+            logger.error('Error syncing fork', { repository, message: error.message });
+            return {
+                repository,
+                status: 'failed',
+                error: {
+                    status: error.status || error.response?.status || null,
+                    message: error.response?.data?.message || error.message
+                }
+            };
+        }
+    });
+
+    const summary = { total: results.length };
+    for (const status of SYNC_STATUSES) {
+        summary[status] = results.filter(result => result.status === status).length;
+    }
+    summary.pull_requests = results.filter(result => result.pull_request).length;
+
+    return { results, summary };
+}
+
+module.exports = {
+    SYNC_STATUSES,
+    DEFAULT_CONCURRENCY,
+    syncFork,
+    syncForks
+};
@@ -0,0 +1,421 @@
+/**
+ * Git plumbing helpers for CAROMAR
+ * Thin wrappers around the git binary used by the server-side merge engine
+ * @module utils/git
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Error raised when a git command exits unsuccessfully
+ */
+class GitCommandError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} info - Failure details
+     * @param {Array<string>} info.args - Git arguments (without credentials)
+     * @param {number|null} info.exitCode - Process exit code
+     * @param {string} info.stderr - Captured standard error
+     */
+    constructor(message, { args, exitCode, stderr }) {
+        super(message);
+        this.name = 'GitCommandError';
+        this.args = args;
+        this.exitCode = exitCode;
+        this.stderr = stderr;
+    }
+}
+
+/**
+ * Run a git command and collect its output
+ * @param {Array<string>} args - Arguments passed to git
+ * @param {Object} [options] - Execution options
+ * @param {string} [options.cwd] - Working directory (usually a bare repository)
+ * @param {string|Buffer} [options.input] - Data written to stdin
+ * @param {Object} [options.env] - Extra environment variables
+ * @param {number} [options.timeout] - Kill the process after this many ms
+ * @param {boolean} [options.buffer=false] - Resolve with a Buffer instead of a string
+ * @param {Array<number>} [options.okExitCodes=[0]] - Exit codes treated as success
+ * @returns {Promise<string|Buffer>} - Standard output of the command
+ */
+function runGit(args, options = {}) {
+    const {
+        cwd,
+        input,
+        env = {},
+        timeout = DEFAULT_TIMEOUT_MS,
+        buffer = false,
+        okExitCodes = [0]
+    } = options;
+
+    return new Promise((resolve, reject) => {
+        const child = spawn('git', args, {
+            cwd,
+            env: {
+                ...process.env,
+                // Never block waiting for credentials on a server
+                GIT_TERMINAL_PROMPT: '0',
+                ...env
+            },
+            stdio: ['pipe', 'pipe', 'pipe']
+        });
+
+        const stdout = [];
+        const stderr = [];
+        let timedOut = false;
+
+        const timer = setTimeout(() => {
+            timedOut = true;
+            child.kill('SIGKILL');
+        }, timeout);
+
+        child.stdout.on('data', chunk => stdout.push(chunk));
+        child.stderr.on('data', chunk => stderr.push(chunk));
+
+        child.on('error', (error) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+
+        child.on('close', (exitCode) => {
+            clearTimeout(timer);
+            const errorOutput = Buffer.concat(stderr).toString('utf8').trim();
+
+            if (timedOut) {
+                return reject(new GitCommandError(`git ${args[0]} timed out after ${timeout}ms`, {
+                    args, exitCode, stderr: errorOutput
+                }));
+            }
+
+            if (!okExitCodes.includes(exitCode)) {
+                return reject(new GitCommandError(`git ${args[0]} failed: ${errorOutput || `exit code ${exitCode}`}`, {
+                    args, exitCode, stderr: errorOutput
+                }));
+            }
+
+            const output = Buffer.concat(stdout);
+            resolve(buffer ? output : output.toString('utf8'));
+        });
+
+        // A command that exits before reading stdin must not crash the server
+        child.stdin.on('error', () => {});
+        if (input !== undefined) {
+            child.stdin.end(input);
+        } else {
+            child.stdin.end();
+        }
+    });
+}
+
+let gitVersion;
+
+/**
+ * Read the version out of `git --version` output
+ * @param {string} output - Output such as "git version 2.39.5"
+ * @returns {Array<number>|null} - [major, minor, patch], or null if there is no version
+ */
+function parseGitVersion(output) {
+    const match = /(\d+)\.(\d+)(?:\.(\d+))?/.exec(output || '');
+    return match ? [match[1], match[2], match[3] || '0'].map(Number) : null;
+}
+
+/**
+ * Compare a git version with a minimum version
+ * @param {Array<number>|null} version - [major, minor, patch]
+ * @param {Array<number>} minimum - [major, minor, patch]
+ * @returns {boolean} - True if the version is known and at least the minimum
+ */
+function isGitVersionAtLeast(version, minimum) {
+    if (!version) {
+        return false;
+    }
+    for (let i = 0; i < minimum.length; i++) {
+        if (version[i] !== minimum[i]) {
+            return version[i] > minimum[i];
+        }
+    }
+    return true;
+}
+
+/**
+ * Read the version of the installed git binary
+ * @returns {Promise<Array<number>|null>} - [major, minor, patch], or null if git cannot be executed
+ */
+async function getGitVersion() {
+    if (gitVersion === undefined) {
+        try {
+            gitVersion = parseGitVersion(await runGit(['--version'], { timeout: 10000 }));
+        } catch {
+            gitVersion = null;
+        }
+    }
+    return gitVersion;
+}
+
+/**
+ * Check whether a usable git binary is installed
+ * Serverless deployments (Netlify Functions) do not ship git.
+ * @returns {Promise<boolean>} - True if git can be executed
+ */
+async function isGitAvailable() {
+    return await getGitVersion() !== null;
+}
+
+/**
+ * Build environment variables that authenticate HTTPS git traffic with a token
+ * The token is passed through GIT_CONFIG_* variables so it never appears in
+ * process arguments or in a remote URL. The header is scoped to the origin
+ * of the server the token belongs to (`http.<url>.extraHeader`), so other
+ * hosts git contacts never receive it.
+ * @param {string} [token] - GitHub Personal Access Token
+ * @param {string} [serverUrl] - URL on the token's server, such as the target repository URL
+ * @returns {Object} - Environment variables for runGit; empty without a token or for non-HTTPS URLs
+ */
+function authEnv(token, serverUrl) {
+    let origin = null;
+    try {
+        const parsed = new URL(serverUrl);
+        origin = parsed.protocol === 'https:' ? parsed.origin : null;
+    } catch {
+        origin = null;
+    }
+    if (!token || !origin) {
+        return {};
+    }
+    const credentials = Buffer.from(`x-access-token:${token}`).toString('base64');
+    return {
+        GIT_CONFIG_COUNT: '1',
+        GIT_CONFIG_KEY_0: `http.${origin}/.extraHeader`,
+        GIT_CONFIG_VALUE_0: `Authorization: Basic ${credentials}`
+    };
+}
+
+/**
+ * Create an empty bare repository in a fresh temporary directory
+ * @returns {Promise<string>} - Path of the repository
+ */
+async function createTempRepository() {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'caromar-'));
+    await runGit(['init', '--bare', '--quiet', dir]);
+    return dir;
+}
+
+/**
+ * Remove a temporary repository created by createTempRepository
+ * @param {string} dir - Repository path
+ * @returns {Promise<void>}
+ */
+async function removeTempRepository(dir) {
+    if (dir) {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Read raw commit objects in a single `git cat-file --batch` call
+ * @param {string} repo - Repository path
+ * @param {Array<string>} shas - Commit SHAs to read
+ * @returns {Promise<Map<string, Object>>} - Parsed commits keyed by SHA
+ */
+async function readCommits(repo, shas) {
+    const commits = new Map();
+    if (shas.length === 0) {
+        return commits;
+    }
+
+    const output = await runGit(['cat-file', '--batch'], {
+        cwd: repo,
+        input: shas.join('\n') + '\n',
+        buffer: true
+    });
+
+    let offset = 0;
+    while (offset < output.length) {
+        const headerEnd = output.indexOf(0x0a, offset);
+        const [sha, type, size] = output.slice(offset, headerEnd).toString('utf8').split(' ');
+        const start = headerEnd + 1;
+        const end = start + parseInt(size, 10);
+        if (type === 'commit') {
+            commits.set(sha, parseCommit(output.slice(start, end)));
+        }
+        // Each object is followed by a newline
+        offset = end + 1;
+    }
+
+    return commits;
+}
+
+/**
+ * Parse a raw commit object
+ * Author and committer lines are kept verbatim so rewritten commits keep
+ * their original identity and timestamps.
+ * @param {Buffer} raw - Raw commit content
+ * @returns {Object} - Commit headers and message
+ */
+function parseCommit(raw) {
+    const separator = raw.indexOf('\n\n');
+    const headerBlock = (separator === -1 ? raw : raw.slice(0, separator)).toString('utf8');
+    const message = separator === -1 ? Buffer.alloc(0) : raw.slice(separator + 2);
+
+    const commit = { tree: null, parents: [], author: null, committer: null, encoding: null, message };
+    for (const line of headerBlock.split('\n')) {
+        // Continuation lines belong to multi-line headers such as gpgsig
+        if (line.startsWith(' ')) continue;
+        const space = line.indexOf(' ');
+        const key = line.slice(0, space);
+        const value = line.slice(space + 1);
+        if (key === 'tree') commit.tree = value;
+        else if (key === 'parent') commit.parents.push(value);
+        else if (key === 'author') commit.author = value;
+        else if (key === 'committer') commit.committer = value;
+        else if (key === 'encoding') commit.encoding = value;
+    }
+    return commit;
+}
+
+/**
+ * Split `git ls-tree` output into entries
+ * @param {string} output - Output of `git ls-tree` (optionally with -l, -r or -z)
+ * @returns {Array<Object>} - Entries with mode, type, sha, size and path
+ */
+function parseLsTree(output) {
+    // With -z, records are NUL-terminated and paths are not quoted
+    const records = output.includes('\0') ? output.split('\0') : output.split('\n');
+    return records.filter(Boolean).map(line => {
+        const tab = line.indexOf('\t');
+        const [mode, type, sha, size] = line.slice(0, tab).trim().split(/\s+/);
+        return {
+            mode,
+            type,
+            sha,
+            size: size === undefined || size === '-' ? null : parseInt(size, 10),
+            path: line.slice(tab + 1)
+        };
+    });
+}
+
+/**
+ * Rewrite a commit history with `git fast-import`
+ * Every commit reachable from `head` is recreated with the same author,
+ * committer and message, but with its tree replaced by the file operations
+ * returned from `transform`. The rewrite is deterministic: the same input
+ * history and transform always produce the same commit SHAs.
+ * @param {string} repo - Repository path
+ * @param {string} head - Commit to rewrite (with its ancestors)
+ * @param {string} ref - Ref that receives the rewritten head
+ * @param {Function} transform - async (commit) => Array<string> of fast-import file commands
+ * @param {Object} [options] - Rewrite options
+ * @param {Array<string>} [options.paths] - Only keep commits that touch these paths, with their
+ *     parents rewritten to the nearest kept ancestors (as `git rev-list --simplify-merges -- paths`)
+ * @returns {Promise<Object>} - { head, commits, mapping } where mapping maps old to new SHAs;
+ *     head is null when no commit was kept
+ */
+async function rewriteHistory(repo, head, ref, transform, options = {}) {
+    const { paths } = options;
+    const revList = await runGit([
+        'rev-list', '--reverse', '--topo-order', '--parents',
+        ...(paths ? ['--simplify-merges', head, '--', ...paths] : [head])
+    ], { cwd: repo });
+    // Parents come from rev-list because path limiting rewrites them
+    const parents = new Map(revList.split('\n').filter(Boolean).map(line => {
+        const [sha, ...rest] = line.split(' ');
+        return [sha, rest];
+    }));
+    const order = [...parents.keys()];
+    if (order.length === 0) {
+        return { head: null, commits: 0, mapping: new Map() };
+    }
+    const commits = await readCommits(repo, order);
+
+    const marks = new Map();
+    const chunks = ['feature done\n'];
+
+    for (let i = 0; i < order.length; i++) {
+        const sha = order[i];
+        const commit = commits.get(sha);
+        const mark = i + 1;
+        marks.set(sha, mark);
+
+        // A root commit must not inherit the current tip of the ref
+        if (parents.get(sha).length === 0) {
+            chunks.push(`reset ${ref}\n`);
+        }
+
+        chunks.push(`commit ${ref}\nmark :${mark}\n`);
+        chunks.push(`author ${commit.author}\ncommitter ${commit.committer}\n`);
+        if (commit.encoding) {
+            chunks.push(`encoding ${commit.encoding}\n`);
+        }
+        chunks.push(`data ${commit.message.length}\n`, commit.message, '\n');
+
+        parents.get(sha).forEach((parent, index) => {
+            chunks.push(`${index === 0 ? 'from' : 'merge'} :${marks.get(parent)}\n`);
+        });
+
+        chunks.push('deleteall\n');
+        for (const operation of await transform({ sha, ...commit })) {
+            chunks.push(operation + '\n');
+        }
+        chunks.push('\n');
+    }
+    chunks.push('done\n');
+
+    const marksFile = path.join(repo, 'caromar-marks');
+    await runGit(['fast-import', '--quiet', `--export-marks=${marksFile}`], {
+        cwd: repo,
+        input: Buffer.concat(chunks.map(chunk => (Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, 'utf8'))))
+    });
+
+    const markToSha = new Map();
+    const marksOutput = await fs.promises.readFile(marksFile, 'utf8');
+    for (const line of marksOutput.split('\n').filter(Boolean)) {
+        const [markRef, newSha] = line.split(' ');
+        markToSha.set(parseInt(markRef.slice(1), 10), newSha);
+    }
+    await fs.promises.rm(marksFile, { force: true });
+
+    const mapping = new Map();
+    for (const [sha, mark] of marks.entries()) {
+        mapping.set(sha, markToSha.get(mark));
+    }
+
+    return {
+        head: mapping.get(order[order.length - 1]),
+        commits: order.length,
+        mapping
+    };
+}
+
+/**
+ * Quote a path for use in a fast-import file command
+ * @param {string} filePath - Path inside the repository
+ * @returns {string} - Path, C-style quoted when needed
+ */
+function quoteFastImportPath(filePath) {
+    if (!/["\\\n]/.test(filePath) && !filePath.startsWith('"')) {
+        return filePath;
+    }
+    return '"' + filePath.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n') + '"';
+}
+
+module.exports = {
+    GitCommandError,
+    runGit,
+    parseGitVersion,
+    isGitVersionAtLeast,
+    getGitVersion,
+    isGitAvailable,
+    authEnv,
+    createTempRepository,
+    removeTempRepository,
+    readCommits,
+    parseCommit,
+    parseLsTree,
+    rewriteHistory,
+    quoteFastImportPath
+};
@@ -0,0 +1,246 @@
+/**
+ * GitHub REST API client
+ * Every call to GitHub goes through GitHubClient, so all routes and jobs
+ * send the same headers, time out the same way, retry rate limits and
+ * transient failures with backoff, and fail with a GitHubApiError.
+ * @module utils/github-api
+ */
+
+const axios = require('axios');
+const logger = require('./logger');
+const { withRetry, isRateLimitError, isSecondaryRateLimit, isTransientError } = require('./retry');
+const { ResponseCache, sharedCache } = require('./response-cache');
+const { getDefaultApiUrl, describeServer } = require('./github-hosts');
+
+const DEFAULT_TIMEOUT_MS = 30 * 1000;
+
+const DEFAULT_RETRIES = 3;
+
+// Rate limits that reset later than this fail right away instead of holding the request
+const DEFAULT_MAX_RETRY_WAIT_MS = 60 * 1000;
+
+// Server errors and dropped connections are only retried when repeating the request is harmless
+const IDEMPOTENT_METHODS = ['get', 'head', 'put', 'delete'];
+
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+
+/**
+ * Read a whole number from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when unset or invalid
+ * @returns {number} - Value
+ */
+function envInteger(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Error raised for every failed GitHub API call
+ * Keeps the axios `response` (status, data, headers) when GitHub answered,
+ * so `error.response?.status` checks work unchanged, and adds a `kind`
+ * that tells rate limits, timeouts and network failures apart.
+ */
+class GitHubApiError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} details - { kind, method, url, response, code, attempts, cause }
+     */
+    constructor(message, details) {
+        super(message);
+        this.name = 'GitHubApiError';
+        // rate_limit, secondary_rate_limit, http, graphql, timeout or network
+        this.kind = details.kind;
+        this.method = details.method;
+        this.url = details.url;
+        this.response = details.response;
+        this.code = details.code;
+        this.attempts = details.attempts;
+        this.cause = details.cause;
+
+        const headers = details.response?.headers || {};
+        const reset = parseInt(headers['x-ratelimit-reset'], 10);
+        const retryAfter = parseInt(headers['retry-after'], 10);
+        this.rate_limit = headers['x-ratelimit-remaining'] === undefined ? null : {
+            limit: parseInt(headers['x-ratelimit-limit'], 10) || null,
+            remaining: parseInt(headers['x-ratelimit-remaining'], 10),
+            reset: Number.isNaN(reset) ? null : new Date(reset * 1000).toISOString()
+        };
+        this.retry_after = Number.isNaN(retryAfter) ? null : retryAfter;
+    }
+
+    /**
+     * Whether the request was refused by a primary or secondary rate limit
+     * @returns {boolean} - True for rate limits
+     */
+    get rateLimited() {
+        return this.kind === 'rate_limit' || this.kind === 'secondary_rate_limit';
+    }
+}
+
+/**
+ * Turn an axios failure into a GitHubApiError
+ * @param {Error} error - Error thrown by axios
+ * @param {string} method - HTTP method
+ * @param {string} url - Requested URL
+ * @param {number} timeout - Timeout of the request in milliseconds
+ * @returns {Error} - GitHubApiError, or the error itself if it did not come from the request
+ */
+function normalizeError(error, method, url, timeout) {
+    if (error instanceof GitHubApiError || !axios.isAxiosError(error)) {
+        return error;
+    }
+
+    const details = { method: method.toUpperCase(), url, code: error.code, attempts: error.attempts, cause: error };
+    const { response } = error;
+    if (response) {
+        let kind = 'http';
+        if (isSecondaryRateLimit(error)) {
+            kind = 'secondary_rate_limit';
+        } else if (isRateLimitError(error)) {
+            kind = 'rate_limit';
+        }
+        return new GitHubApiError(response.data?.message || `Request failed with status code ${response.status}`, {
+            ...details,
+            kind,
+            response
+        });
+    }
+    if (TIMEOUT_CODES.includes(error.code)) {
+        return new GitHubApiError(`GitHub did not answer ${details.method} ${url} within ${timeout} ms`, { ...details, kind: 'timeout' });
+    }
+    return new GitHubApiError(`Could not reach GitHub for ${details.method} ${url}: ${error.message}`, { ...details, kind: 'network' });
+}
+
+/**
+ * Client for the GitHub REST API
+ * Exposes the get/post/put/patch/delete surface of an axios instance.
+ * Rate limits are retried for every method when they reset within
+ * `maxRetryWaitMs`; server errors, timeouts and dropped connections only
+ * for GET, HEAD, PUT and DELETE, since a POST or PATCH may have been applied.
+ * With a response cache, GET requests are revalidated with `If-None-Match`
+ * and responses carry `cached: true` when GitHub answered 304.
+ */
+class GitHubClient {
+    /**
+     * @param {Object} [options] - Client options
+     * @param {string} [options.token] - GitHub Personal Access Token
+     * @param {string} [options.baseURL] - API base URL (default: GITHUB_API_URL, or GitHub.com)
+     * @param {number} [options.timeout] - Request timeout in milliseconds (GITHUB_API_TIMEOUT_MS)
+     * @param {number} [options.retries] - Retries after the first attempt (GITHUB_API_RETRIES)
+     * @param {number} [options.maxRetryWaitMs] - Longest wait before a retry (GITHUB_API_MAX_RETRY_WAIT_MS)
+     * @param {number} [options.baseDelayMs=1000] - Delay before the first retry of a server error
+     * @param {ResponseCache|boolean} [options.cache] - Cache for conditional GET requests; `true` uses the shared one
+     * @param {Function} [options.sleep] - Delay function (for tests)
+     * @param {Function} [options.adapter] - Axios adapter (for tests)
+     */
+    constructor(options = {}) {
+        const headers = {
+            'Accept': 'application/vnd.github.v3+json',
+            'User-Agent': 'CAROMAR-App'
+        };
+        if (options.token) {
+            headers['Authorization'] = `token ${options.token}`;
+        }
+
+        this.timeout = options.timeout ?? envInteger('GITHUB_API_TIMEOUT_MS', DEFAULT_TIMEOUT_MS);
+        this.retries = options.retries ?? envInteger('GITHUB_API_RETRIES', DEFAULT_RETRIES);
+        this.maxRetryWaitMs = options.maxRetryWaitMs ?? envInteger('GITHUB_API_MAX_RETRY_WAIT_MS', DEFAULT_MAX_RETRY_WAIT_MS);
+        this.baseDelayMs = options.baseDelayMs ?? 1000;
+        this.sleep = options.sleep;
+        this.token = options.token;
+        this.cache = options.cache === true ? sharedCache : options.cache || null;
+
+        const server = describeServer(options.baseURL || getDefaultApiUrl());
+        this.webUrl = server.web_url;
+        this.graphqlUrl = server.graphql_url;
+        this.http = axios.create({
+            baseURL: server.api_url,
+            timeout: this.timeout,
+            headers,
+            adapter: options.adapter
+        });
+    }
+
+    /**
+     * Send a request, retrying where it is safe
+     * @param {string} method - HTTP method
+     * @param {string} url - Path relative to the API, or an absolute URL (uploads)
+     * @param {Object} [config] - Axios request config; `retries` overrides the client's and
+     *     `idempotent` marks a POST that only reads (GraphQL queries) as safe to repeat
+     * @returns {Promise<Object>} - Axios response
+     * @throws {GitHubApiError} - When GitHub refused the request or could not be reached
+     */
+    async request(method, url, config = {}) {
+        const { retries = this.retries, idempotent = IDEMPOTENT_METHODS.includes(method), ...requestConfig } = config;
+
+        // Binary downloads are not worth keeping in memory
+        const cacheable = this.cache && method === 'get' && !requestConfig.responseType;
+        const cacheKey = cacheable && ResponseCache.key({
+            token: this.token,
+            url: `${this.http.defaults.baseURL}${url}`,
+            params: requestConfig.params,
+            accept: requestConfig.headers?.Accept
+        });
+        const cached = cacheable ? this.cache.get(cacheKey) : null;
+        if (cached) {
+            requestConfig.headers = { ...requestConfig.headers, 'If-None-Match': cached.etag };
+            requestConfig.validateStatus = status => (status >= 200 && status < 300) || status === 304;
+        }
+
+        let response;
+        try {
+            response = await withRetry(() => this.http.request({ ...requestConfig, method, url }), {
+                retries,
+                baseDelayMs: this.baseDelayMs,
+                sleep: this.sleep,
+                retryIf: (error, delay) => (isRateLimitError(error)
+                    ? delay <= this.maxRetryWaitMs
+                    : idempotent && isTransientError(error)),
+                onRetry: (error, delay, attempt) => {
+                    logger.warn('Retrying GitHub API request', {
+                        method: method.toUpperCase(),
+                        url,
+                        status: error.response?.status || error.code,
+                        attempt,
+                        delay
+                    });
+                }
+            });
+        } catch (error) {
+            throw normalizeError(error, method, url, requestConfig.timeout ?? this.timeout);
+        }
+
+        if (cached && response.status === 304) {
+            // The 304 carries the current rate limit headers; the body is the cached one
+            return { ...response, status: cached.status, data: cached.data, headers: { ...cached.headers, ...response.headers }, cached: true };
+        }
+        if (cacheable) {
+            this.cache.set(cacheKey, response);
+        }
+        response.cached = false;
+        return response;
+    }
+
+    get(url, config) { return this.request('get', url, config); }
+    delete(url, config) { return this.request('delete', url, config); }
+    post(url, data, config) { return this.request('post', url, { ...config, data }); }
+    put(url, data, config) { return this.request('put', url, { ...config, data }); }
+    patch(url, data, config) { return this.request('patch', url, { ...config, data }); }
+}
+
+/**
+ * Create a GitHub API client
+ * @param {string} [token] - GitHub Personal Access Token
+ * @param {Object} [options] - Client options (see GitHubClient)
+ * @returns {GitHubClient} - Client with base URL, headers, timeout and retries set
+ */
+function createGitHubApi(token, options = {}) {
+    return new GitHubClient({ ...options, token });
+}
+
+module.exports = {
+    GitHubApiError,
+    GitHubClient,
+    createGitHubApi
+};
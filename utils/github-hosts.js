@@ -0,0 +1,170 @@
+/**
+ * GitHub servers CAROMAR may talk to
+ * GitHub.com is used unless GITHUB_API_URL points at a GitHub Enterprise
+ * Server (`https://github.example.com/api/v3`). Requests may pick another
+ * server with the X-GitHub-Api-Url header, but only one listed in
+ * GITHUB_API_URL_ALLOWLIST, so callers cannot point the server (and their
+ * tokens) at arbitrary hosts.
+ * @module utils/github-hosts
+ */
+
+const GITHUB_COM_API_URL = 'https://api.github.com';
+
+const API_URL_HEADER = 'x-github-api-url';
+
+/**
+ * Normalize an API base URL
+ * @param {string} value - URL such as https://github.example.com/api/v3/
+ * @returns {string|null} - URL without trailing slash, or null if it is not a plain HTTPS URL
+ */
+function normalizeApiUrl(value) {
+    if (!value || typeof value !== 'string') {
+        return null;
+    }
+    let parsed;
+    try {
+        parsed = new URL(value.trim());
+    } catch {
+        return null;
+    }
+    if (parsed.protocol !== 'https:' || parsed.username || parsed.password || parsed.search || parsed.hash) {
+        return null;
+    }
+    return `${parsed.origin}${parsed.pathname.replace(/\/+$/, '')}`;
+}
+
+/**
+ * API base URL used when a request does not pick one
+ * @returns {string} - GITHUB_API_URL, or the GitHub.com API
+ * @throws {Error} - If GITHUB_API_URL is set but is not an HTTPS URL
+ */
+function getDefaultApiUrl() {
+    if (!process.env.GITHUB_API_URL) {
+        return GITHUB_COM_API_URL;
+    }
+    const url = normalizeApiUrl(process.env.GITHUB_API_URL);
+    if (!url) {
+        throw new Error(`GITHUB_API_URL must be an HTTPS URL, got ${process.env.GITHUB_API_URL}`);
+    }
+    return url;
+}
+
+/**
+ * API base URLs requests may pick, the default one first
+ * @returns {Array<string>} - Allowed API base URLs
+ */
+function getAllowedApiUrls() {
+    const urls = [getDefaultApiUrl()];
+    for (const entry of (process.env.GITHUB_API_URL_ALLOWLIST || '').split(',')) {
+        const url = normalizeApiUrl(entry);
+        if (url && !urls.includes(url)) {
+            urls.push(url);
+        }
+    }
+    return urls;
+}
+
+/**
+ * Pick the API base URL of a request
+ * @param {string} [requested] - Value of the X-GitHub-Api-Url header
+ * @returns {string} - Allowed API base URL
+ * @throws {Error} - 400 error if the URL is not on the allowlist
+ */
+function resolveApiUrl(requested) {
+    if (!requested) {
+        return getDefaultApiUrl();
+    }
+    const url = normalizeApiUrl(requested);
+    if (!url || !getAllowedApiUrls().includes(url)) {
+        const error = new Error(`GitHub API URL ${requested} is not allowed on this server`);
+        error.status = 400;
+        throw error;
+    }
+    return url;
+}
+
+/**
+ * Work out the web and GraphQL URLs of a GitHub server from its API URL
+ * GitHub.com and GHE.com serve the API from an `api.` host; GitHub
+ * Enterprise Server serves it under `/api/v3` on the web host.
+ * @param {string} apiUrl - API base URL
+ * @returns {Object} - { api_url, web_url, graphql_url, hostname }
+ */
+function describeServer(apiUrl) {
+    const parsed = new URL(apiUrl);
+    if (/\/api\/v3$/.test(parsed.pathname)) {
+        return {
+            api_url: apiUrl,
+            web_url: parsed.origin,
+            graphql_url: `${parsed.origin}/api/graphql`,
+            hostname: parsed.hostname
+        };
+    }
+    const hostname = parsed.hostname.replace(/^api\./, '');
+    return {
+        api_url: apiUrl,
+        web_url: `https://${hostname}${parsed.port ? `:${parsed.port}` : ''}`,
+        graphql_url: `${apiUrl}/graphql`,
+        hostname
+    };
+}
+
+/**
+ * Web URL of a server
+ * @param {string} [apiUrl] - API base URL; the default server's when omitted
+ * @returns {string} - Web URL such as https://github.com
+ */
+function getWebUrl(apiUrl) {
+    return describeServer(apiUrl || getDefaultApiUrl()).web_url;
+}
+
+/**
+ * Web URL of the default server
+ * @returns {string} - Web URL such as https://github.com
+ */
+function getDefaultWebUrl() {
+    return getWebUrl();
+}
+
+/**
+ * Web URL of the server an API client talks to
+ * @param {Object} api - GitHub API client; clients without `webUrl` (test fakes) get the default server's
+ * @returns {string} - Web URL such as https://github.com
+ */
+function webUrlOf(api) {
+    return api.webUrl || getDefaultWebUrl();
+}
+
+/**
+ * Host that clone URLs of a request may point at: the web host of the server
+ * the request targets. Other allowed servers are left out, since the
+ * request's token is sent along with the clone.
+ * @param {string} [apiUrl] - API base URL of the request; the default server's when omitted
+ * @returns {string} - Host name
+ */
+function getCloneHost(apiUrl) {
+    return describeServer(apiUrl || getDefaultApiUrl()).hostname;
+}
+
+/**
+ * Origins the browser may connect to (for the connect-src CSP directive)
+ * @returns {Array<string>} - Origins of every allowed API URL
+ */
+function getConnectSources() {
+    return [...new Set(getAllowedApiUrls().map(url => new URL(url).origin))];
+}
+
+module.exports = {
+    GITHUB_COM_API_URL,
+    API_URL_HEADER,
+    normalizeApiUrl,
+    getDefaultApiUrl,
+    getAllowedApiUrls,
+    resolveApiUrl,
+    describeServer,
+    getWebUrl,
+    getDefaultWebUrl,
+    webUrlOf,
+    getCloneHost,
+    getConnectSources
+};
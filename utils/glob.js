@@ -0,0 +1,149 @@
+/**
+ * Glob matching for repository paths
+ * Used to include or exclude files when merging a repository. Patterns
+ * follow .gitignore conventions:
+ * - `*` matches within a path segment, `?` matches one character
+ * - `**` matches across segments (`docs/**`)
+ * - a pattern without a slash matches at any depth (`*.log`)
+ * - a pattern with a slash is relative to the repository root (`src/gen`)
+ * - a trailing slash only matches directories (`dist/`)
+ * A pattern that matches a directory also matches everything below it.
+ * @module utils/glob
+ */
+
+// Maximum number of include or exclude patterns per source
+const MAX_GLOB_PATTERNS = 50;
+
+// Maximum length of a single pattern
+const MAX_GLOB_LENGTH = 200;
+
+/**
+ * Match one path segment against one pattern segment
+ * Greedy matching that only ever backtracks to the last `*`, so the time is
+ * bounded by the product of the two lengths whatever the pattern.
+ * @param {string} glob - Pattern segment; `*` and `?` never match `/`
+ * @param {string} name - Path segment
+ * @returns {boolean} - True if the segment matches
+ */
+function matchSegment(glob, name) {
+    let g = 0;
+    let n = 0;
+    let star = -1;
+    let resume = 0;
+
+    while (n < name.length) {
+        if (g < glob.length && (glob[g] === '?' || glob[g] === name[n])) {
+            g++;
+            n++;
+        } else if (g < glob.length && glob[g] === '*') {
+            star = g++;
+            resume = n;
+        } else if (star !== -1) {
+            g = star + 1;
+            n = ++resume;
+        } else {
+            return false;
+        }
+    }
+    while (g < glob.length && glob[g] === '*') {
+        g++;
+    }
+    return g === glob.length;
+}
+
+/**
+ * Compile a glob pattern into a path matcher
+ * Paths are matched segment by segment rather than through a regular
+ * expression: patterns come from requests and from source repositories'
+ * .gitattributes, and a backtracking expression built from them can take
+ * exponential time. `**` is only special as a whole segment; elsewhere it
+ * is a plain `*`, as in .gitignore.
+ * @param {string} pattern - Glob pattern
+ * @returns {Object} - Matcher whose `test(path)` checks a repository-relative path
+ */
+function compileGlob(pattern) {
+    let glob = pattern.trim();
+    const directoryOnly = glob.endsWith('/');
+    glob = glob.replace(/\/+$/, '');
+    const anchored = glob.includes('/');
+
+    const segments = glob.split('/').filter(Boolean).map(segment => (segment === '**' ? segment : segment.replace(/\*+/g, '*')));
+    if (!anchored) {
+        segments.unshift('**');
+    }
+
+    return {
+        test(path) {
+            const names = path.split('/');
+            // Path positions the segments matched so far may end at
+            let positions = new Set([0]);
+            for (const segment of segments) {
+                const next = new Set();
+                if (segment === '**') {
+                    for (let position = Math.min(...positions); position <= names.length; position++) {
+                        next.add(position);
+                    }
+                } else {
+                    for (const position of positions) {
+                        if (position < names.length && matchSegment(segment, names[position])) {
+                            next.add(position + 1);
+                        }
+                    }
+                }
+                if (next.size === 0) {
+                    return false;
+                }
+                positions = next;
+            }
+            // Whatever is left lies below a matching directory
+            return !directoryOnly || [...positions].some(position => position < names.length);
+        }
+    };
+}
+
+/**
+ * Check whether a value is a usable list of glob patterns
+ * @param {*} patterns - Value to check
+ * @returns {boolean} - True if it is an array of non-empty, reasonably short strings
+ */
+function isValidGlobList(patterns) {
+    if (!Array.isArray(patterns) || patterns.length > MAX_GLOB_PATTERNS) {
+        return false;
+    }
+    return patterns.every(pattern => (
+        typeof pattern === 'string' &&
+        pattern.trim().replace(/^\/+|\/+$/g, '') !== '' &&
+        pattern.length <= MAX_GLOB_LENGTH
+    ));
+}
+
+/**
+ * Create a predicate that decides whether a path is kept
+ * A path is kept when it matches at least one include pattern (or no
+ * include patterns are given) and matches none of the exclude patterns.
+ * @param {Object} [options] - Filter options
+ * @param {Array<string>} [options.include] - Patterns of paths to keep
+ * @param {Array<string>} [options.exclude] - Patterns of paths to drop
+ * @returns {Function|null} - (path) => boolean, or null when nothing is filtered
+ */
+function createPathFilter({ include = [], exclude = [] } = {}) {
+    if (include.length === 0 && exclude.length === 0) {
+        return null;
+    }
+
+    const included = include.map(compileGlob);
+    const excluded = exclude.map(compileGlob);
+
+    return (path) => (
+        (included.length === 0 || included.some(matcher => matcher.test(path))) &&
+        !excluded.some(matcher => matcher.test(path))
+    );
+}
+
+module.exports = {
+    MAX_GLOB_PATTERNS,
+    MAX_GLOB_LENGTH,
+    compileGlob,
+    isValidGlobList,
+    createPathFilter
+};
@@ -0,0 +1,286 @@
+/**
+ * Repository listing through the GitHub GraphQL API
+ * One query per page returns each repository together with the details the
+ * REST listing lacks (branch count, language bytes, last commit, release
+ * count, default branch protection), which would otherwise take several
+ * calls per repository. Repositories are returned in the REST listing's
+ * shape, with the extra fields added, so the UI and analytics need no changes.
+ * @module utils/graphql-repos
+ */
+
+const logger = require('./logger');
+const { GitHubApiError } = require('./github-api');
+const { getMaxPages } = require('./pagination');
+
+// Repositories per query; nested connections make larger pages expensive
+const DEFAULT_PAGE_SIZE = 50;
+
+const MAX_PAGE_SIZE = 100;
+
+const LANGUAGES_PER_REPOSITORY = 20;
+
+const TOPICS_PER_REPOSITORY = 20;
+
+const ORDER_FIELDS = {
+    updated: 'UPDATED_AT',
+    created: 'CREATED_AT',
+    pushed: 'PUSHED_AT',
+    full_name: 'NAME'
+};
+
+const REPOSITORIES_QUERY = `
+query ($login: String!, $first: Int!, $after: String, $orderBy: RepositoryOrder, $privacy: RepositoryPrivacy,
+       $isFork: Boolean, $ownerAffiliations: [RepositoryAffiliation]) {
+  rateLimit { limit remaining resetAt }
+  repositoryOwner(login: $login) {
+    login
+    repositories(first: $first, after: $after, orderBy: $orderBy, privacy: $privacy, isFork: $isFork,
+                 ownerAffiliations: $ownerAffiliations) {
+      totalCount
+      pageInfo { hasNextPage endCursor }
+      nodes {
+        databaseId
+        name
+        nameWithOwner
+        description
+        url
+        sshUrl
+        isPrivate
+        isFork
+        isArchived
+        isDisabled
+        createdAt
+        updatedAt
+        pushedAt
+        diskUsage
+        stargazerCount
+        forkCount
+        watchers { totalCount }
+        issues(states: OPEN) { totalCount }
+        pullRequests(states: OPEN) { totalCount }
+        primaryLanguage { name }
+        licenseInfo { key name spdxId }
+        repositoryTopics(first: ${TOPICS_PER_REPOSITORY}) { nodes { topic { name } } }
+        viewerPermission
+        refs(refPrefix: "refs/heads/") { totalCount }
+        releases { totalCount }
+        languages(first: ${LANGUAGES_PER_REPOSITORY}, orderBy: { field: SIZE, direction: DESC }) {
+          edges { size node { name } }
+        }
+        defaultBranchRef {
+          name
+          branchProtectionRule {
+            pattern
+            requiresApprovingReviews
+            requiredApprovingReviewCount
+            requiresStatusChecks
+            isAdminEnforced
+          }
+          target {
+            ... on Commit {
+              oid
+              committedDate
+              author { name user { login } }
+            }
+          }
+        }
+      }
+    }
+  }
+}`;
+
+/**
+ * Run a GraphQL query
+ * Queries only read, so they are retried like GET requests. Errors next to
+ * data (a field the token may not read) are logged and the data is kept.
+ * @param {Object} api - GitHub API client
+ * @param {string} query - GraphQL query
+ * @param {Object} variables - Query variables
+ * @returns {Promise<Object>} - Query data
+ * @throws {GitHubApiError} - When GitHub returned errors and no data
+ */
+async function runQuery(api, query, variables) {
+    // GitHub Enterprise Server serves GraphQL outside the REST base URL
+    const { data: body } = await api.post(api.graphqlUrl || '/graphql', { query, variables }, { idempotent: true });
+    const errors = body.errors || [];
+
+    if (errors.length > 0 && !body.data) {
+        const rateLimited = errors.some(error => error.type === 'RATE_LIMITED');
+        throw new GitHubApiError(errors.map(error => error.message).join('; '), {
+            kind: rateLimited ? 'rate_limit' : 'graphql',
+            method: 'POST',
+            url: api.graphqlUrl || '/graphql'
+        });
+    }
+    if (errors.length > 0) {
+        logger.warn('GraphQL query returned partial data', { errors: errors.map(error => error.message) });
+    }
+    return body.data;
+}
+
+/**
+ * Map a repository type of the REST listing onto GraphQL filters
+ * @param {string} type - all, owner, member, public, private, forks or sources
+ * @returns {Object} - Query variables
+ */
+function typeFilters(type) {
+    switch (type) {
+    case 'public':
+        return { privacy: 'PUBLIC', ownerAffiliations: ['OWNER'] };
+    case 'private':
+        return { privacy: 'PRIVATE', ownerAffiliations: ['OWNER'] };
+    case 'member':
+        return { ownerAffiliations: ['COLLABORATOR', 'ORGANIZATION_MEMBER'] };
+    case 'forks':
+        return { isFork: true, ownerAffiliations: ['OWNER'] };
+    case 'sources':
+        return { isFork: false, ownerAffiliations: ['OWNER'] };
+    default:
+        return { ownerAffiliations: ['OWNER'] };
+    }
+}
+
+/**
+ * Turn the viewer's permission into the REST `permissions` object
+ * @param {string} permission - ADMIN, MAINTAIN, WRITE, TRIAGE or READ
+ * @returns {Object|null} - { admin, maintain, push, triage, pull }
+ */
+function toPermissions(permission) {
+    const levels = ['READ', 'TRIAGE', 'WRITE', 'MAINTAIN', 'ADMIN'];
+    const level = levels.indexOf(permission);
+    if (level === -1) {
+        return null;
+    }
+    return {
+        admin: level >= 4,
+        maintain: level >= 3,
+        push: level >= 2,
+        triage: level >= 1,
+        pull: true
+    };
+}
+
+/**
+ * Convert a GraphQL repository into the REST listing's shape
+ * Adds `branch_count`, `languages` (bytes per language), `last_commit`,
+ * `release_count` and `branch_protection`.
+ * @param {Object} node - Repository node
+ * @returns {Object} - Repository
+ */
+function toRestRepository(node) {
+    const branch = node.defaultBranchRef;
+    const commit = branch?.target?.oid ? branch.target : null;
+    const rule = branch?.branchProtectionRule;
+
+    return {
+        id: node.databaseId,
+        name: node.name,
+        full_name: node.nameWithOwner,
+        description: node.description,
+        clone_url: `${node.url}.git`,
+        ssh_url: node.sshUrl,
+        html_url: node.url,
+        private: node.isPrivate,
+        fork: node.isFork,
+        archived: node.isArchived,
+        disabled: node.isDisabled,
+        updated_at: node.updatedAt,
+        created_at: node.createdAt,
+        pushed_at: node.pushedAt,
+        language: node.primaryLanguage?.name || null,
+        size: node.diskUsage || 0,
+        stargazers_count: node.stargazerCount,
+        watchers_count: node.watchers.totalCount,
+        forks_count: node.forkCount,
+        // The REST count includes pull requests
+        open_issues_count: node.issues.totalCount + node.pullRequests.totalCount,
+        license: node.licenseInfo
+            ? { key: node.licenseInfo.key, name: node.licenseInfo.name, spdx_id: node.licenseInfo.spdxId }
+            : null,
+        topics: node.repositoryTopics.nodes.map(({ topic }) => topic.name),
+        default_branch: branch?.name || null,
+        permissions: toPermissions(node.viewerPermission),
+        branch_count: node.refs?.totalCount ?? 0,
+        languages: Object.fromEntries((node.languages?.edges || []).map(edge => [edge.node.name, edge.size])),
+        last_commit: commit && {
+            sha: commit.oid,
+            date: commit.committedDate,
+            author: commit.author?.name || null,
+            author_login: commit.author?.user?.login || null
+        },
+        release_count: node.releases.totalCount,
+        // null when the default branch has no rule or the token may not read it
+        branch_protection: rule ? {
+            pattern: rule.pattern,
+            required_approving_review_count: rule.requiresApprovingReviews ? rule.requiredApprovingReviewCount : 0,
+            requires_status_checks: rule.requiresStatusChecks,
+            enforce_admins: rule.isAdminEnforced
+        } : null
+    };
+}
+
+/**
+ * List an owner's repositories with GraphQL
+ * @param {Object} api - GitHub API client (GraphQL needs a token)
+ * @param {Object} options - Listing options
+ * @param {string} options.login - User or organization
+ * @param {string} [options.type='all'] - Repository type, as for the REST listing
+ * @param {string} [options.sort='updated'] - updated, created, pushed or full_name
+ * @param {number} [options.perPage=50] - Repositories per query (max 100)
+ * @param {string} [options.cursor] - End cursor of the previous page
+ * @param {boolean} [options.all=false] - Follow every page up to `maxPages`
+ * @param {number} [options.maxPages] - Page cap for `all` (SEARCH_MAX_PAGES)
+ * @returns {Promise<Object>} - { repos, total, next_cursor, pages, truncated, rate_limit }
+ * @throws {Error} - 404 error when the owner does not exist
+ */
+async function listRepositories(api, options) {
+    const { login, type = 'all', sort = 'updated', cursor = null, all = false } = options;
+    const perPage = Math.min(Math.max(1, options.perPage || DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+    const maxPages = all ? options.maxPages || getMaxPages() : 1;
+    const variables = {
+        login,
+        first: perPage,
+        orderBy: { field: ORDER_FIELDS[sort] || ORDER_FIELDS.updated, direction: 'DESC' },
+        ...typeFilters(type)
+    };
+
+    const repos = [];
+    let after = cursor;
+    let total = 0;
+    let pages = 0;
+    let hasNextPage = true;
+    let rateLimit = null;
+
+    while (hasNextPage && pages < maxPages) {
+        const data = await runQuery(api, REPOSITORIES_QUERY, { ...variables, after });
+        if (!data.repositoryOwner) {
+            const error = new Error(`Could not find a user or organization named ${login}`);
+            error.status = 404;
+            throw error;
+        }
+        rateLimit = data.rateLimit;
+        const { repositories } = data.repositoryOwner;
+        repos.push(...repositories.nodes.filter(Boolean).map(toRestRepository));
+        total = repositories.totalCount;
+        hasNextPage = repositories.pageInfo.hasNextPage;
+        after = repositories.pageInfo.endCursor;
+        pages++;
+    }
+
+    return {
+        repos,
+        total,
+        next_cursor: hasNextPage ? after : null,
+        pages,
+        truncated: all && hasNextPage,
+        rate_limit: rateLimit && { limit: rateLimit.limit, remaining: rateLimit.remaining, reset: rateLimit.resetAt }
+    };
+}
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    REPOSITORIES_QUERY,
+    runQuery,
+    toRestRepository,
+    listRepositories
+};
@@ -0,0 +1,326 @@
+/**
+ * Migrate issue trackers into a merged repository
+ * Copies the labels, milestones and issues of each source into the merged
+ * repository. Labels and milestones are namespaced with the source's folder
+ * (`api:bug`), every copied issue links back to its original and the
+ * original gets a comment pointing to the copy, so it can be closed.
+ * Issues that were copied before are recognised by a marker in their body,
+ * which makes a migration safe to run again after a partial failure.
+ * @module utils/issue-migration
+ */
+
+const { readManifest } = require('./provenance');
+const { sleep } = require('./retry');
+
+const PER_PAGE = 100;
+
+// Stop paginating a listing after this many pages
+const MAX_PAGES = 50;
+
+// GitHub rejects label names longer than this
+const MAX_LABEL_LENGTH = 50;
+
+// GitHub asks for a pause between requests that create content
+const CREATE_DELAY_MS = 1000;
+
+const MARKER_PATTERN = /<!-- caromar:migrated-from ([\w.-]+\/[\w.-]+#\d+) -->/;
+
+/**
+ * List every page of a GitHub collection
+ * @param {Object} api - GitHub API client
+ * @param {string} url - Collection URL
+ * @param {Object} [params] - Query parameters
+ * @returns {Promise<Array<Object>>} - All entries
+ */
+async function listAll(api, url, params = {}) {
+    const entries = [];
+    for (let page = 1; page <= MAX_PAGES; page++) {
+        const { data } = await api.get(url, { params: { ...params, per_page: PER_PAGE, page } });
+        entries.push(...data);
+        if (data.length < PER_PAGE) {
+            break;
+        }
+    }
+    return entries;
+}
+
+/**
+ * Prefix a label or milestone name with its source's namespace
+ * @param {string} prefix - Namespace, e.g. "api"
+ * @param {string} name - Original name
+ * @returns {string} - e.g. "api:bug", cut to GitHub's label length limit
+ */
+function namespaceName(prefix, name) {
+    return `${prefix}:${name}`.substring(0, MAX_LABEL_LENGTH);
+}
+
+/**
+ * Point bare issue references (#12) of a text at the source repository
+ * @param {string} text - Markdown text
+ * @param {string} fullName - Source repository
+ * @returns {string} - Text with owner/repo#12 references
+ */
+function rewriteReferences(text, fullName) {
+    return text.replace(/(^|[\s([])#(\d+)\b/g, `$1${fullName}#$2`);
+}
+
+/**
+ * Work out which repositories to migrate from
+ * Without an explicit list, the sources are read from the merged
+ * repository's caromar.json and namespaced with their folder name.
+ * @param {Object} api - GitHub API client
+ * @param {Object} target - Merged repository: { owner, repo }
+ * @param {Array<Object>} [repositories] - Explicit sources: { owner, repo }
+ * @returns {Promise<Array<Object>>} - Sources: { owner, repo, full_name, prefix }
+ */
+async function resolveMigrationSources(api, target, repositories) {
+    if (repositories && repositories.length > 0) {
+        return repositories.map(({ owner, repo }) => ({ owner, repo, full_name: `${owner}/${repo}`, prefix: repo }));
+    }
+
+    const manifest = await readManifest(api, target);
+    return manifest.sources
+        .filter(source => source.owner)
+        .map(source => ({
+            owner: source.owner,
+            repo: source.repo,
+            full_name: `${source.owner}/${source.repo}`,
+            prefix: (source.target_path || source.repo).split('/').pop()
+        }));
+}
+
+/**
+ * Copy a source's labels into the target under the source's namespace
+ * @param {Object} api - GitHub API client
+ * @param {Object} source - Source (see resolveMigrationSources)
+ * @param {string} target - Target repository full name
+ * @returns {Promise<Object>} - { names: Map of original name to target name, created, existing }
+ */
+async function migrateLabels(api, source, target) {
+    const existing = new Set((await listAll(api, `/repos/${target}/labels`)).map(label => label.name.toLowerCase()));
+    const names = new Map();
+    const counts = { created: 0, existing: 0 };
+
+    for (const label of await listAll(api, `/repos/${source.full_name}/labels`)) {
+        const name = namespaceName(source.prefix, label.name);
+        names.set(label.name, name);
+        if (existing.has(name.toLowerCase())) {
+            counts.existing++;
+            continue;
+        }
+        await api.post(`/repos/${target}/labels`, {
+            name,
+            color: label.color,
+            description: label.description || undefined
+        });
+        existing.add(name.toLowerCase());
+        counts.created++;
+    }
+
+    return { names, ...counts };
+}
+
+/**
+ * Copy a source's milestones into the target under the source's namespace
+ * @param {Object} api - GitHub API client
+ * @param {Object} source - Source (see resolveMigrationSources)
+ * @param {string} target - Target repository full name
+ * @returns {Promise<Object>} - { numbers: Map of source number to target number, created, existing }
+ */
+async function migrateMilestones(api, source, target) {
+    const existing = new Map((await listAll(api, `/repos/${target}/milestones`, { state: 'all' }))
+        .map(milestone => [milestone.title, milestone.number]));
+    const numbers = new Map();
+    const counts = { created: 0, existing: 0 };
+
+    for (const milestone of await listAll(api, `/repos/${source.full_name}/milestones`, { state: 'all' })) {
+        const title = namespaceName(source.prefix, milestone.title);
+        if (existing.has(title)) {
+            numbers.set(milestone.number, existing.get(title));
+            counts.existing++;
+            continue;
+        }
+        const { data } = await api.post(`/repos/${target}/milestones`, {
+            title,
+            state: milestone.state,
+            description: milestone.description || undefined,
+            due_on: milestone.due_on || undefined
+        });
+        numbers.set(milestone.number, data.number);
+        existing.set(title, data.number);
+        counts.created++;
+    }
+
+    return { numbers, ...counts };
+}
+
+/**
+ * Find the issues of the target that were migrated before
+ * @param {Object} api - GitHub API client
+ * @param {string} target - Target repository full name
+ * @returns {Promise<Map<string, Object>>} - "owner/repo#12" => { number, html_url }
+ */
+async function listMigratedIssues(api, target) {
+    const migrated = new Map();
+    for (const issue of await listAll(api, `/repos/${target}/issues`, { state: 'all' })) {
+        const match = MARKER_PATTERN.exec(issue.body || '');
+        if (match) {
+            migrated.set(match[1], { number: issue.number, html_url: issue.html_url });
+        }
+    }
+    return migrated;
+}
+
+/**
+ * Build the body of a migrated issue
+ * @param {Object} source - Source (see resolveMigrationSources)
+ * @param {Object} issue - Original issue
+ * @returns {string} - Markdown body with a marker and a link to the original
+ */
+function buildIssueBody(source, issue) {
+    const reference = `${source.full_name}#${issue.number}`;
+    const author = issue.user ? ` by [${issue.user.login}](${issue.user.html_url})` : '';
+    return `<!-- caromar:migrated-from ${reference} -->\n` +
+        `> Migrated from ${reference}, opened${author} on ${issue.created_at.substring(0, 10)}.\n\n` +
+        rewriteReferences(issue.body || '', source.full_name);
+}
+
+/**
+ * Copy one issue and cross-reference it with the original
+ * A copy whose original cannot be commented on is still returned, so a
+ * later run does not copy it again.
+ * @param {Object} api - GitHub API client
+ * @param {Object} source - Source (see resolveMigrationSources)
+ * @param {string} target - Target repository full name
+ * @param {Object} issue - Original issue
+ * @param {Object} context - { labels, milestones }
+ * @returns {Promise<Object>} - { number, html_url, cross_referenced, error } of the copy
+ */
+async function migrateIssue(api, source, target, issue, context) {
+    const { labels, milestones } = context;
+
+    // Not retried here: the client does not repeat a POST that GitHub may have applied
+    const { data: copy } = await api.post(`/repos/${target}/issues`, {
+        title: issue.title,
+        body: buildIssueBody(source, issue),
+        labels: issue.labels.map(label => labels.names.get(label.name)).filter(Boolean),
+        milestone: issue.milestone ? milestones.numbers.get(issue.milestone.number) : undefined
+    });
+
+    if (issue.state === 'closed') {
+        await api.patch(`/repos/${target}/issues/${copy.number}`, {
+            state: 'closed',
+            state_reason: issue.state_reason || 'completed'
+        });
+    }
+
+    const result = { number: copy.number, html_url: copy.html_url, cross_referenced: true };
+    try {
+        await api.post(`/repos/${source.full_name}/issues/${issue.number}/comments`, {
+            body: `This issue was migrated to ${target}#${copy.number} (${copy.html_url}).`
+        });
+    } catch (error) {
+        result.cross_referenced = false;
+        result.error = `Could not comment on the original: ${error.response?.data?.message || error.message}`;
+    }
+    return result;
+}
+
+/**
+ * Migrate the labels, milestones and issues of one source
+ * An issue that cannot be copied is reported in `failures` and the others
+ * carry on; copies whose original could not be commented on are marked
+ * with `cross_referenced: false`.
+ * @param {Object} api - GitHub API client
+ * @param {Object} source - Source (see resolveMigrationSources)
+ * @param {Object} target - Merged repository: { full_name, html_url }
+ * @param {Object} [options] - Migration options
+ * @param {boolean} [options.includeClosed=false] - Also migrate closed issues
+ * @param {number} [options.delayMs=1000] - Pause between copied issues
+ * @param {Function} [options.sleep] - Delay function (for tests)
+ * @returns {Promise<Object>} - { source, target, issues_url, prefix, labels, milestones, issues: { migrated, skipped, failed }, copies, failures }
+ */
+async function migrateSourceIssues(api, source, target, options = {}) {
+    const { includeClosed = false, delayMs = CREATE_DELAY_MS, sleep: wait = sleep } = options;
+
+    const labels = await migrateLabels(api, source, target.full_name);
+    const milestones = await migrateMilestones(api, source, target.full_name);
+    const migrated = await listMigratedIssues(api, target.full_name);
+
+    const issues = (await listAll(api, `/repos/${source.full_name}/issues`, {
+        state: includeClosed ? 'all' : 'open',
+        sort: 'created',
+        direction: 'asc'
+    })).filter(issue => !issue.pull_request);
+
+    const copies = [];
+    const failures = [];
+    let skipped = 0;
+    for (const issue of issues) {
+        const reference = `${source.full_name}#${issue.number}`;
+        if (migrated.has(reference)) {
+            skipped++;
+            continue;
+        }
+        if (copies.length + failures.length > 0) {
+            await wait(delayMs);
+        }
+        try {
+            copies.push({ from: reference, ...await migrateIssue(api, source, target.full_name, issue, { labels, milestones }) });
+        } catch (error) {
+            failures.push({ from: reference, error: error.response?.data?.message || error.message });
+        }
+    }
+
+    return {
+        source: source.full_name,
+        target: target.full_name,
+        issues_url: `${target.html_url}/issues`,
+        prefix: source.prefix,
+        labels: { created: labels.created, existing: labels.existing },
+        milestones: { created: milestones.created, existing: milestones.existing },
+        issues: { migrated: copies.length, skipped, failed: failures.length },
+        copies,
+        failures
+    };
+}
+
+/**
+ * Migrate the issues of every source of a merge, one source at a time
+ * A source whose tracker cannot be read is reported and the others carry on.
+ * @param {Object} api - GitHub API client
+ * @param {Array<Object>} sources - Sources (see resolveMigrationSources)
+ * @param {Object} target - Merged repository: { full_name, html_url }
+ * @param {Object} [options] - Migration options (see migrateSourceIssues)
+ * @returns {Promise<Object>} - { sources: [migrateSourceIssues result or { source, error }], summary: { migrated, skipped, failed } }
+ */
+async function migrateIssues(api, sources, target, options = {}) {
+    const results = [];
+    for (const source of sources) {
+        try {
+            results.push(await migrateSourceIssues(api, source, target, options));
+        } catch (error) {
+            results.push({ source: source.full_name, error: error.response?.data?.message || error.message });
+        }
+    }
+
+    const migrated = results.filter(result => !result.error);
+    return {
+        sources: results,
+        summary: {
+            migrated: migrated.reduce((sum, result) => sum + result.issues.migrated, 0),
+            skipped: migrated.reduce((sum, result) => sum + result.issues.skipped, 0),
+            failed: migrated.reduce((sum, result) => sum + result.issues.failed, 0) + results.length - migrated.length
+        }
+    };
+}
+
+module.exports = {
+    CREATE_DELAY_MS,
+    namespaceName,
+    rewriteReferences,
+    resolveMigrationSources,
+    buildIssueBody,
+    migrateSourceIssues,
+    migrateIssues
+};
@@ -0,0 +1,224 @@
+/**
+ * Job types available through /api/jobs
+ * @module utils/job-types
+ */
+
+const { JobError } = require('./jobs');
+const { createGitHubApi } = require('./github-api');
+const { mapWithConcurrency } = require('./concurrency');
+const { BackoffGate, forkWithRetry, DEFAULT_CONCURRENCY } = require('./bulk-fork');
+const { syncFork } = require('./fork-sync');
+const { migrateSourceIssues } = require('./issue-migration');
+const { rollbackJournal } = require('./journal');
+const {
+    OperationError,
+    validateBulkForkRequest,
+    validateSyncForksRequest,
+    validateMergeRequest,
+    createMergedRepository,
+    validateBulkCopyRequest,
+    copyRepository,
+    validateSplitRequest,
+    splitRepository,
+    validateResyncRequest,
+    resyncMergedRepository,
+    validateBumpRequest,
+    bumpSubmodules,
+    validateIssueMigrationRequest,
+    planIssueMigration,
+    validateAnalyzeRequest,
+    analyzeRepositories
+} = require('./operations');
+
+/**
+ * Convert an operation validation error into a job error
+ * @param {Function} validate - Validation function
+ * @returns {Function} - Validation function throwing JobError
+ */
+function asJobValidation(validate) {
+    return async (params, options) => {
+        try {
+            return await validate(params, options);
+        } catch (error) {
+            if (error instanceof OperationError) {
+                throw new JobError(error.message, error.status);
+            }
+            throw error;
+        }
+    };
+}
+
+const forkJob = {
+    validate: asJobValidation(validateBulkForkRequest),
+
+    run: async (params, context) => {
+        const api = createGitHubApi(context.token, { baseURL: context.apiUrl });
+        const gate = new BackoffGate();
+        const ids = params.repositories.map(repo => `${repo.owner}/${repo.repo}`);
+        await context.setItems(ids);
+
+        await mapWithConcurrency(params.repositories, DEFAULT_CONCURRENCY, (request, index) => (
+            context.runItem(ids[index], () => forkWithRetry(api, request, { gate, readiness: params.readiness }))
+        ));
+    }
+};
+
+const syncJob = {
+    validate: asJobValidation(validateSyncForksRequest),
+
+    run: async (params, context) => {
+        const api = createGitHubApi(context.token, { baseURL: context.apiUrl });
+        const ids = params.repositories.map(repo => `${repo.owner}/${repo.repo}${repo.branch ? `@${repo.branch}` : ''}`);
+        await context.setItems(ids);
+
+        await mapWithConcurrency(params.repositories, DEFAULT_CONCURRENCY, (request, index) => (
+            context.runItem(ids[index], () => syncFork(api, request, { openPullRequest: params.open_pull_request }))
+        ));
+    }
+};
+
+/**
+ * Roll back the journals of a job's items
+ * Items whose failure was already rolled back automatically are skipped.
+ * @param {Object} job - Finished job
+ * @param {Object} options - { token, apiUrl }
+ * @returns {Promise<Object>} - { rolled_back, items: [{ id, rolled_back, steps, summary }], summary }
+ * @throws {JobError} - If no item has anything to undo
+ */
+async function rollbackJobItems(job, { token, apiUrl }) {
+    const api = createGitHubApi(token, { baseURL: apiUrl });
+    const items = [];
+    for (const item of job.items) {
+        const journal = item.result?.journal || item.error?.journal;
+        if (!journal || journal.length === 0 || item.error?.rollback) {
+            continue;
+        }
+        items.push({ id: item.id, ...await rollbackJournal(api, journal) });
+    }
+
+    if (items.length === 0) {
+        throw new JobError('Job has nothing left to roll back', 409);
+    }
+
+    const summary = { undone: 0, skipped: 0, failed: 0 };
+    for (const item of items) {
+        for (const key of Object.keys(summary)) {
+            summary[key] += item.summary[key];
+        }
+    }
+    return { rolled_back: summary.failed === 0, items, summary };
+}
+
+const mergeJob = {
+    validate: asJobValidation(validateMergeRequest),
+
+    run: async (params, context) => {
+        await context.setItems([params.name]);
+        return context.runItem(params.name, () => createMergedRepository(params, { token: context.token, apiUrl: context.apiUrl }));
+    },
+
+    rollback: rollbackJobItems
+};
+
+const copyJob = {
+    validate: asJobValidation(validateBulkCopyRequest),
+
+    run: async (params, context) => {
+        const ids = params.repositories.map(repo => `${repo.owner}/${repo.repo}`);
+        await context.setItems(ids);
+
+        // Copies transfer whole repositories through git, so they run one at a time
+        for (let i = 0; i < params.repositories.length; i++) {
+            await context.runItem(ids[i], () => copyRepository(params.repositories[i], { token: context.token, apiUrl: context.apiUrl }));
+        }
+    }
+};
+
+const splitJob = {
+    validate: asJobValidation(validateSplitRequest),
+
+    run: async (params, context) => {
+        const id = `${params.owner}/${params.repo}:${params.path}`;
+        await context.setItems([id]);
+        return context.runItem(id, () => splitRepository(params, { token: context.token, apiUrl: context.apiUrl }));
+    },
+
+    rollback: rollbackJobItems
+};
+
+const resyncJob = {
+    validate: asJobValidation(validateResyncRequest),
+
+    run: async (params, context) => {
+        const ids = params.repositories.map(repo => `${repo.owner}/${repo.repo}`);
+        await context.setItems(ids);
+
+        // Each resync fetches and rewrites whole source histories, so they run one at a time
+        for (let i = 0; i < params.repositories.length; i++) {
+            await context.runItem(ids[i], () => resyncMergedRepository(params.repositories[i], { token: context.token, apiUrl: context.apiUrl }));
+        }
+    },
+
+    rollback: rollbackJobItems
+};
+
+const bumpJob = {
+    validate: asJobValidation(validateBumpRequest),
+
+    run: async (params, context) => {
+        const ids = params.repositories.map(repo => `${repo.owner}/${repo.repo}`);
+        await context.setItems(ids);
+
+        for (let i = 0; i < params.repositories.length; i++) {
+            await context.runItem(ids[i], () => bumpSubmodules(params.repositories[i], { token: context.token, apiUrl: context.apiUrl }));
+        }
+    },
+
+    rollback: rollbackJobItems
+};
+
+const issuesJob = {
+    validate: asJobValidation(validateIssueMigrationRequest),
+
+    run: async (params, context) => {
+        const api = createGitHubApi(context.token, { baseURL: context.apiUrl });
+        const { target, sources } = await planIssueMigration(params, { api });
+        await context.setItems(sources.map(source => source.full_name));
+
+        // Creating issues counts against GitHub's content creation limits, so sources run one at a time
+        for (const source of sources) {
+            await context.runItem(source.full_name, () => migrateSourceIssues(api, source, target, { includeClosed: params.include_closed }));
+        }
+    }
+};
+
+const analyzeJob = {
+    validate: asJobValidation(validateAnalyzeRequest),
+
+    run: async (params, context) => {
+        await context.setItems(['analysis']);
+        return context.runItem('analysis', () => analyzeRepositories(params));
+    }
+};
+
+/**
+ * Register the default job types on a manager
+ * @param {import('./jobs').JobManager} manager - Job manager
+ * @returns {import('./jobs').JobManager} - The same manager
+ */
+function registerDefaultJobTypes(manager) {
+    return manager
+        .register('fork', forkJob)
+        .register('sync', syncJob)
+        .register('merge', mergeJob)
+        .register('copy', copyJob)
+        .register('split', splitJob)
+        .register('resync', resyncJob)
+        .register('bump', bumpJob)
+        .register('issues', issuesJob)
+        .register('analyze', analyzeJob);
+}
+
+module.exports = {
+    registerDefaultJobTypes
+};
@@ -0,0 +1,532 @@
+/**
+ * Asynchronous job subsystem for long-running operations
+ * Jobs run in the background after the HTTP request that created them has
+ * returned. Their state (status and per-item results) lives in a job store so
+ * it can be polled from later requests. Cancellation requests are kept in
+ * the store next to the job, apart from its state, so a job running in one
+ * process sees a cancellation made through another.
+ * Jobs need a long-lived process: a serverless function (Netlify) may be
+ * frozen as soon as the creating request returns, and its file store is
+ * local to the function instance.
+ * @module utils/jobs
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('./logger');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled', 'interrupted'];
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled', 'interrupted'];
+
+// A running job that has not been updated for this long by another process is treated as interrupted
+const STALE_JOB_MS = 10 * 60 * 1000;
+
+// Finished jobs are removed after this long
+const JOB_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Job ids are generated with crypto.randomUUID()
+const JOB_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Error raised for invalid job requests
+ */
+class JobError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {number} [status=400] - HTTP status code to respond with
+     */
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'JobError';
+        this.status = status;
+    }
+}
+
+/**
+ * Check that a job id has the form of the ids jobs are created with
+ * @param {string} id - Job id
+ * @returns {boolean} - True if the id is a UUID
+ */
+function isValidJobId(id) {
+    return typeof id === 'string' && JOB_ID_PATTERN.test(id);
+}
+
+/**
+ * Keeps jobs in process memory
+ */
+class MemoryJobStore {
+    constructor() {
+        this.jobs = new Map();
+        this.cancellations = new Set();
+    }
+
+    async save(job) {
+        this.jobs.set(job.id, JSON.parse(JSON.stringify(job)));
+    }
+
+    async get(id) {
+        const job = this.jobs.get(id);
+        return job ? JSON.parse(JSON.stringify(job)) : null;
+    }
+
+    async list() {
+        return Array.from(this.jobs.values()).map(job => JSON.parse(JSON.stringify(job)));
+    }
+
+    async delete(id) {
+        this.jobs.delete(id);
+        this.cancellations.delete(id);
+    }
+
+    async requestCancel(id) {
+        this.cancellations.add(id);
+    }
+
+    async isCancelRequested(id) {
+        return this.cancellations.has(id);
+    }
+}
+
+/**
+ * Keeps each job as a JSON file so state survives process restarts
+ */
+class FileJobStore {
+    /**
+     * @param {string} directory - Directory that holds the job files
+     */
+    constructor(directory) {
+        this.directory = directory;
+    }
+
+    // Ids come from request paths, so anything but a UUID could point outside the directory
+    filePath(id) {
+        if (!isValidJobId(id)) {
+            throw new JobError('Invalid job id', 404);
+        }
+        return path.join(this.directory, `${id}.json`);
+    }
+
+    cancelPath(id) {
+        if (!isValidJobId(id)) {
+            throw new JobError('Invalid job id', 404);
+        }
+        return path.join(this.directory, `${id}.cancel`);
+    }
+
+    async save(job) {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        // Write then rename so readers never see a partial file
+        const tempFile = `${this.filePath(job.id)}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tempFile, JSON.stringify(job));
+        await fs.promises.rename(tempFile, this.filePath(job.id));
+    }
+
+    async get(id) {
+        if (!isValidJobId(id)) {
+            return null;
+        }
+        try {
+            return JSON.parse(await fs.promises.readFile(this.filePath(id), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async list() {
+        let files;
+        try {
+            files = await fs.promises.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+        const jobs = await Promise.all(files
+            .filter(file => file.endsWith('.json'))
+            .map(file => this.get(file.slice(0, -5))));
+        return jobs.filter(Boolean);
+    }
+
+    async delete(id) {
+        await fs.promises.rm(this.filePath(id), { force: true });
+        await fs.promises.rm(this.cancelPath(id), { force: true });
+    }
+
+    async requestCancel(id) {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        await fs.promises.writeFile(this.cancelPath(id), '');
+    }
+
+    async isCancelRequested(id) {
+        try {
+            await fs.promises.access(this.cancelPath(id));
+            return true;
+        } catch {
+            return false;
+        }
+    }
+}
+
+/**
+ * Count items per status
+ * @param {Array<Object>} items - Job items
+ * @returns {Object} - Summary counts
+ */
+function summarizeItems(items) {
+    const summary = { total: items.length, pending: 0, running: 0, succeeded: 0, failed: 0, cancelled: 0 };
+    for (const item of items) {
+        summary[item.status] = (summary[item.status] || 0) + 1;
+    }
+    return summary;
+}
+
+/**
+ * Creates, runs and tracks jobs
+ */
+class JobManager {
+    /**
+     * @param {Object} [options] - Manager options
+     * @param {Object} [options.store] - Job store (defaults to a MemoryJobStore)
+     */
+    constructor(options = {}) {
+        this.store = options.store || new MemoryJobStore();
+        this.handlers = new Map();
+        this.workerId = crypto.randomUUID();
+        // Tokens are only ever kept in memory, never written to the store
+        this.tokens = new Map();
+        this.cancelled = new Set();
+        this.running = new Map();
+        this.rollingBack = new Set();
+    }
+
+    /**
+     * Register a job type
+     * @param {string} type - Job type name
+     * @param {Object} handler - Handler definition
+     * @param {Function} [handler.validate] - (params, { apiUrl }) => normalized params (may be async); throws JobError when invalid
+     * @param {Function} handler.run - async (params, context) => result
+     * @param {Function} [handler.rollback] - async (job, { token, apiUrl }) => rollback report; makes the job type undoable
+     * @returns {JobManager} - This manager, for chaining
+     */
+    register(type, handler) {
+        this.handlers.set(type, handler);
+        return this;
+    }
+
+    /**
+     * List registered job types
+     * @returns {Array<string>} - Job type names
+     */
+    getTypes() {
+        return Array.from(this.handlers.keys());
+    }
+
+    /**
+     * Create a job and start running it in the background
+     * @param {string} type - Registered job type
+     * @param {Object} params - Job parameters
+     * @param {Object} [options] - Creation options
+     * @param {string} [options.token] - GitHub token the job runs with
+     * @param {string} [options.owner] - Identifier of the job owner (e.g. token hash)
+     * @param {string} [options.apiUrl] - GitHub API base URL the job runs against (default server when omitted)
+     * @returns {Promise<Object>} - The created job
+     */
+    async create(type, params = {}, options = {}) {
+        const handler = this.handlers.get(type);
+        if (!handler) {
+            throw new JobError(`Unknown job type: ${type}. Supported types: ${this.getTypes().join(', ')}`);
+        }
+
+        const normalized = handler.validate ? await handler.validate(params, { apiUrl: options.apiUrl }) : params;
+        const now = new Date().toISOString();
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            status: 'queued',
+            owner: options.owner || null,
+            worker: this.workerId,
+            api_url: options.apiUrl || null,
+            params: normalized,
+            items: [],
+            summary: summarizeItems([]),
+            result: null,
+            error: null,
+            created_at: now,
+            updated_at: now,
+            finished_at: null
+        };
+
+        await this.store.save(job);
+        if (options.token) {
+            this.tokens.set(job.id, options.token);
+        }
+
+        this.prune().catch(error => logger.warn('Failed to prune jobs', { message: error.message }));
+
+        const run = this.execute(job, handler).finally(() => {
+            this.running.delete(job.id);
+            this.tokens.delete(job.id);
+            this.cancelled.delete(job.id);
+        });
+        this.running.set(job.id, run);
+
+        return job;
+    }
+
+    /**
+     * Run a job to completion, persisting progress as it goes
+     * @param {Object} job - Job record
+     * @param {Object} handler - Registered handler
+     * @returns {Promise<void>}
+     * @private
+     */
+    async execute(job, handler) {
+        // Let the creating request respond before work starts
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        let saving = Promise.resolve();
+        const persist = () => {
+            job.summary = summarizeItems(job.items);
+            job.updated_at = new Date().toISOString();
+            saving = saving.then(() => this.store.save(job));
+            return saving;
+        };
+
+        // Cancellation may have been requested through another process
+        const refreshCancellation = async () => {
+            if (!this.cancelled.has(job.id) && await this.store.isCancelRequested(job.id)) {
+                this.cancelled.add(job.id);
+            }
+            if (this.cancelled.has(job.id)) {
+                job.cancel_requested = true;
+            }
+        };
+
+        const context = {
+            jobId: job.id,
+            token: this.tokens.get(job.id),
+            apiUrl: job.api_url || undefined,
+            isCancelled: () => this.cancelled.has(job.id),
+            setItems: async (ids) => {
+                job.items = ids.map(id => ({ id, status: 'pending', result: null, error: null }));
+                await persist();
+            },
+            updateItem: async (id, changes) => {
+                const item = job.items.find(entry => entry.id === id);
+                if (item) {
+                    Object.assign(item, changes);
+                    await persist();
+                }
+            },
+            runItem: async (id, fn) => {
+                const item = job.items.find(entry => entry.id === id);
+                await refreshCancellation();
+                if (context.isCancelled()) {
+                    item.status = 'cancelled';
+                    await persist();
+                    return null;
+                }
+                item.status = 'running';
+                item.started_at = new Date().toISOString();
+                await persist();
+                try {
+                    item.result = await fn();
+                    item.status = 'succeeded';
+                } catch (error) {
+                    item.status = 'failed';
+                    item.error = {
+                        message: error.message,
+                        status: error.status || error.response?.status || null,
+                        details: error.response?.data?.message || null
+                    };
+                    // Operations with side effects attach their journal and any automatic rollback
+                    if (error.journal) {
+                        item.error.journal = error.journal;
+                        item.error.rollback = error.rollback || null;
+                    }
+                }
+                item.finished_at = new Date().toISOString();
+                await persist();
+                return item.result;
+            }
+        };
+
+        job.status = 'running';
+        await persist();
+
+        try {
+            job.result = (await handler.run(job.params, context)) ?? null;
+            await refreshCancellation();
+            if (this.cancelled.has(job.id)) {
+                job.status = 'cancelled';
+            } else {
+                job.status = 'completed';
+            }
+        } catch (error) {
+            logger.error(`Job ${job.id} (${job.type}) failed`, error);
+            job.status = 'failed';
+            job.error = { message: error.message, details: error.response?.data?.message || null };
+        }
+
+        // Items that never started are reported as cancelled
+        for (const item of job.items) {
+            if (item.status === 'pending') {
+                item.status = 'cancelled';
+            }
+        }
+
+        job.finished_at = new Date().toISOString();
+        await persist();
+    }
+
+    /**
+     * Get a job by id
+     * @param {string} id - Job id
+     * @returns {Promise<Object|null>} - Job, or null if unknown
+     */
+    async get(id) {
+        const job = await this.store.get(id);
+        if (!job) {
+            return null;
+        }
+
+        // A job left running by a process that stopped will never finish
+        const abandoned = !FINISHED_STATUSES.includes(job.status) &&
+            !this.running.has(job.id) &&
+            (job.worker === this.workerId || Date.now() - Date.parse(job.updated_at) > STALE_JOB_MS);
+        if (abandoned) {
+            job.status = 'interrupted';
+            job.finished_at = new Date().toISOString();
+            await this.store.save(job);
+        }
+        if (!FINISHED_STATUSES.includes(job.status) && await this.store.isCancelRequested(id)) {
+            job.cancel_requested = true;
+        }
+
+        return job;
+    }
+
+    /**
+     * Request cancellation of a job
+     * Items that are already running finish; remaining items are skipped.
+     * The request is recorded in the store rather than by rewriting the job,
+     * which the process running it keeps saving.
+     * @param {string} id - Job id
+     * @returns {Promise<Object|null>} - Job, or null if unknown
+     * @throws {JobError} - If the job has already finished
+     */
+    async cancel(id) {
+        const job = await this.get(id);
+        if (!job) {
+            return null;
+        }
+        if (FINISHED_STATUSES.includes(job.status)) {
+            throw new JobError(`Job is already ${job.status}`, 409);
+        }
+
+        await this.store.requestCancel(id);
+        this.cancelled.add(id);
+        job.cancel_requested = true;
+        return job;
+    }
+
+    /**
+     * Undo the side effects of a finished job
+     * The job's handler decides what to undo (see handler.rollback); its
+     * report is stored on the job as `rollback`. A job is rolled back once.
+     * @param {string} id - Job id
+     * @param {Object} options - Rollback options
+     * @param {string} options.token - GitHub token to undo the steps with
+     * @returns {Promise<Object|null>} - Job with its rollback report, or null if unknown
+     * @throws {JobError} - If the job type cannot be rolled back, the job is still running or was already rolled back
+     */
+    async rollback(id, options) {
+        const job = await this.get(id);
+        if (!job) {
+            return null;
+        }
+
+        const handler = this.handlers.get(job.type);
+        if (!handler || !handler.rollback) {
+            throw new JobError(`${job.type} jobs cannot be rolled back`);
+        }
+        if (!FINISHED_STATUSES.includes(job.status)) {
+            throw new JobError('Job is still running; wait for it to finish or cancel it first', 409);
+        }
+        if (job.rollback || this.rollingBack.has(id)) {
+            throw new JobError('Job was already rolled back', 409);
+        }
+
+        this.rollingBack.add(id);
+        try {
+            job.rollback = { ...await handler.rollback(job, { token: options.token, apiUrl: job.api_url || undefined }), rolled_back_at: new Date().toISOString() };
+            job.updated_at = job.rollback.rolled_back_at;
+            await this.store.save(job);
+        } finally {
+            this.rollingBack.delete(id);
+        }
+        return job;
+    }
+
+    /**
+     * Wait for a job started by this manager to finish
+     * @param {string} id - Job id
+     * @returns {Promise<Object|null>} - Final job state
+     */
+    async wait(id) {
+        await this.running.get(id);
+        return this.get(id);
+    }
+
+    /**
+     * Delete finished jobs older than the retention period
+     * @returns {Promise<number>} - Number of jobs removed
+     */
+    async prune() {
+        const jobs = await this.store.list();
+        const expired = jobs.filter(job => FINISHED_STATUSES.includes(job.status) &&
+            Date.now() - Date.parse(job.finished_at || job.updated_at) > JOB_TTL_MS);
+        await Promise.all(expired.map(job => this.store.delete(job.id)));
+        return expired.length;
+    }
+}
+
+/**
+ * Create the job store used by the server
+ * Jobs are written to JOBS_DIR (default: a folder in the system temp
+ * directory), or kept in memory when JOBS_STORE=memory.
+ * @returns {MemoryJobStore|FileJobStore} - Job store
+ */
+function createDefaultJobStore() {
+    if (process.env.JOBS_STORE === 'memory') {
+        return new MemoryJobStore();
+    }
+    return new FileJobStore(process.env.JOBS_DIR || path.join(os.tmpdir(), 'caromar-jobs'));
+}
+
+/**
+ * Remove internal fields before returning a job to a client
+ * @param {Object} job - Job record
+ * @returns {Object} - Public representation of the job
+ */
+function toPublicJob(job) {
+    const { owner: _owner, worker: _worker, ...publicJob } = job;
+    return publicJob;
+}
+
+module.exports = {
+    JOB_STATUSES,
+    FINISHED_STATUSES,
+    JobError,
+    JobManager,
+    MemoryJobStore,
+    FileJobStore,
+    createDefaultJobStore,
+    toPublicJob
+};
@@ -0,0 +1,155 @@
+/**
+ * Journal of the side effects of an operation on GitHub
+ * Operations that create repositories, move refs or change settings record
+ * each step as plain data, so the steps can be undone right away when the
+ * operation fails, or later from the stored journal of a job.
+ * @module utils/journal
+ */
+
+const JOURNAL_STEPS = ['repository_created', 'ref_updated', 'settings_changed'];
+
+/**
+ * Records the side effects of one operation in the order they happened
+ */
+class OperationJournal {
+    constructor() {
+        this.entries = [];
+    }
+
+    /**
+     * Record a side effect
+     * @param {string} type - One of JOURNAL_STEPS
+     * @param {Object} details - Step details; every step names its repository in `full_name`
+     * @returns {Object} - The recorded entry
+     */
+    record(type, details) {
+        if (!JOURNAL_STEPS.includes(type)) {
+            throw new Error(`Unknown journal step: ${type}`);
+        }
+        const entry = { type, ...details, at: new Date().toISOString() };
+        this.entries.push(entry);
+        return entry;
+    }
+
+    toJSON() {
+        return this.entries;
+    }
+}
+
+/**
+ * Build the error an undo handler throws for a step it leaves alone
+ * @param {string} message - Why the step was skipped
+ * @returns {Error} - Error marked as skipped
+ */
+function skipped(message) {
+    const error = new Error(message);
+    error.skipped = true;
+    return error;
+}
+
+/**
+ * Undo handlers per step type
+ * Each returns a description of what it did, or throws.
+ */
+const UNDO = {
+    /**
+     * Delete a repository created by the operation
+     * @param {Object} api - GitHub API client
+     * @param {Object} step - { full_name }
+     * @returns {Promise<string>} - Description
+     */
+    repository_created: async (api, step) => {
+        try {
+            await api.delete(`/repos/${step.full_name}`);
+        } catch (error) {
+            if (error.response?.status === 404) {
+                return `Repository ${step.full_name} was already deleted`;
+            }
+            if (error.response?.status === 403) {
+                throw new Error(`Not allowed to delete ${step.full_name}; the token needs the delete_repo scope`);
+            }
+            throw error;
+        }
+        return `Deleted repository ${step.full_name}`;
+    },
+
+    /**
+     * Move a ref back to where it was, or delete it if the operation created it
+     * Refs that moved again since the operation are left alone.
+     * @param {Object} api - GitHub API client
+     * @param {Object} step - { full_name, ref ("heads/main"), previous_sha, sha }
+     * @returns {Promise<string>} - Description
+     */
+    ref_updated: async (api, step) => {
+        let current;
+        try {
+            ({ data: current } = await api.get(`/repos/${step.full_name}/git/ref/${step.ref}`));
+        } catch (error) {
+            if (error.response?.status === 404) {
+                throw skipped(`${step.ref} of ${step.full_name} no longer exists`);
+            }
+            throw error;
+        }
+        if (current.object.sha !== step.sha) {
+            throw skipped(`${step.ref} of ${step.full_name} moved to ${current.object.sha.substring(0, 7)} since; left unchanged`);
+        }
+        if (!step.previous_sha) {
+            await api.delete(`/repos/${step.full_name}/git/refs/${step.ref}`);
+            return `Deleted ${step.ref} of ${step.full_name}`;
+        }
+        await api.patch(`/repos/${step.full_name}/git/refs/${step.ref}`, { sha: step.previous_sha, force: true });
+        return `Reset ${step.ref} of ${step.full_name} to ${step.previous_sha.substring(0, 7)}`;
+    },
+
+    /**
+     * Restore repository settings changed by the operation
+     * @param {Object} api - GitHub API client
+     * @param {Object} step - { full_name, previous: settings to restore }
+     * @returns {Promise<string>} - Description
+     */
+    settings_changed: async (api, step) => {
+        await api.patch(`/repos/${step.full_name}`, step.previous);
+        return `Restored ${Object.keys(step.previous).join(', ')} of ${step.full_name}`;
+    }
+};
+
+/**
+ * Undo the steps of a journal, newest first
+ * Steps on a repository that the journal also created are not undone one
+ * by one: deleting the repository removes them.
+ * A step that cannot be undone is reported and the rollback continues.
+ * @param {Object} api - GitHub API client
+ * @param {Array<Object>} entries - Journal entries (see OperationJournal)
+ * @returns {Promise<Object>} - { rolled_back, steps: [{ ...entry, status, description|error }], summary }
+ */
+async function rollbackJournal(api, entries) {
+    const created = new Set(entries.filter(entry => entry.type === 'repository_created').map(entry => entry.full_name));
+    const steps = [];
+
+    for (const entry of [...entries].reverse()) {
+        if (entry.type !== 'repository_created' && created.has(entry.full_name)) {
+            steps.push({ ...entry, status: 'skipped', description: `Removed with repository ${entry.full_name}` });
+            continue;
+        }
+        try {
+            steps.push({ ...entry, status: 'undone', description: await UNDO[entry.type](api, entry) });
+        } catch (error) {
+            steps.push(error.skipped
+                ? { ...entry, status: 'skipped', description: error.message }
+                : { ...entry, status: 'failed', error: error.response?.data?.message || error.message });
+        }
+    }
+
+    const summary = {
+        undone: steps.filter(step => step.status === 'undone').length,
+        skipped: steps.filter(step => step.status === 'skipped').length,
+        failed: steps.filter(step => step.status === 'failed').length
+    };
+    return { rolled_back: summary.failed === 0, steps, summary };
+}
+
+module.exports = {
+    JOURNAL_STEPS,
+    OperationJournal,
+    rollbackJournal
+};
@@ -0,0 +1,356 @@
+/**
+ * History-preserving merge engine for CAROMAR
+ * Imports each source repository into its own subdirectory of a target
+ * repository, rewriting every commit so the full history is kept
+ * (subtree-style path rewrite), then pushes the merged result.
+ * @module utils/merge-engine
+ */
+
+const {
+    runGit,
+    authEnv,
+    createTempRepository,
+    removeTempRepository,
+    parseLsTree,
+    rewriteHistory,
+    quoteFastImportPath
+} = require('./git');
+const { isValidRepoPath } = require('./validation');
+const { createPathFilter } = require('./glob');
+
+// SHA of the empty tree, which is never transferred in a pack
+const EMPTY_TREE_SHA = '4b825dc642cb6eb9a060e54bf8d69288fbee4904';
+
+const DEFAULT_AUTHOR = {
+    name: 'CAROMAR',
+    email: 'caromar@users.noreply.github.com'
+};
+
+/**
+ * Resolve a remote branch to its commit SHA
+ * @param {string} repo - Local repository path
+ * @param {string} url - Remote URL
+ * @param {string} branch - Branch name
+ * @param {Object} env - Git environment (credentials)
+ * @returns {Promise<string|null>} - Commit SHA, or null if the branch does not exist
+ */
+async function resolveRemoteBranch(repo, url, branch, env) {
+    const output = await runGit(['ls-remote', url, `refs/heads/${branch}`], { cwd: repo, env });
+    const line = output.split('\n').find(Boolean);
+    return line ? line.split('\t')[0] : null;
+}
+
+/**
+ * Fetch a ref (branch, tag or SHA) from a remote into a local ref
+ * @param {string} repo - Local repository path
+ * @param {string} url - Remote URL
+ * @param {string} ref - Ref to fetch (defaults to the remote HEAD)
+ * @param {string} localRef - Local ref that receives the fetched commit
+ * @param {Object} env - Git environment (credentials)
+ * @returns {Promise<string>} - Fetched commit SHA
+ */
+async function fetchRef(repo, url, ref, localRef, env) {
+    await runGit(['fetch', '--quiet', '--no-tags', '--end-of-options', url, ref || 'HEAD'], { cwd: repo, env });
+    const sha = (await runGit(['rev-parse', 'FETCH_HEAD^{commit}'], { cwd: repo })).trim();
+    await runGit(['update-ref', localRef, sha], { cwd: repo });
+    return sha;
+}
+
+/**
+ * Build fast-import file commands that place the kept files of a tree under a folder
+ * @param {string} repo - Local repository path
+ * @param {string} tree - Tree SHA of a source commit
+ * @param {string} path - Target folder
+ * @param {Function} filter - (path) => boolean, see utils/glob
+ * @returns {Promise<Array<string>>} - One `M` command per kept file
+ */
+async function filteredTreeOperations(repo, tree, path, filter) {
+    const entries = parseLsTree(await runGit(['ls-tree', '-r', '-z', tree], { cwd: repo }));
+    return entries
+        .filter(entry => filter(entry.path))
+        .map(entry => `M ${entry.mode} ${entry.sha} ${quoteFastImportPath(`${path}/${entry.path}`)}`);
+}
+
+/**
+ * Rewrite a source's history so every commit places its files under the source's folder
+ * The rewrite is deterministic, so rewriting a later state of the same
+ * source reproduces the commits of an earlier import (see utils/resync).
+ * @param {string} repo - Local repository path
+ * @param {string} sourceHead - Fetched source commit
+ * @param {string} ref - Ref that receives the rewritten head
+ * @param {Object} source - { path, include, exclude }
+ * @returns {Promise<Object>} - { head, commits, tree, mapping } where tree is the source's folder at the rewritten head
+ *     and mapping maps source commits to rewritten ones
+ */
+async function rewriteSource(repo, sourceHead, ref, source) {
+    const filter = createPathFilter(source);
+
+    if (!filter) {
+        const prefix = quoteFastImportPath(source.path);
+        const rewritten = await rewriteHistory(repo, sourceHead, ref, (commit) => (
+            commit.tree === EMPTY_TREE_SHA ? [] : [`M 040000 ${commit.tree} ${prefix}`]
+        ));
+        const tree = (await runGit(['rev-parse', `${sourceHead}^{tree}`], { cwd: repo })).trim();
+        return { head: rewritten.head, commits: rewritten.commits, tree, mapping: rewritten.mapping };
+    }
+
+    // Commits often share trees (reverts, merges), so filter each tree once
+    const operations = new Map();
+    const rewritten = await rewriteHistory(repo, sourceHead, ref, async (commit) => {
+        if (!operations.has(commit.tree)) {
+            operations.set(commit.tree, await filteredTreeOperations(repo, commit.tree, source.path, filter));
+        }
+        return operations.get(commit.tree);
+    });
+    // The rewritten head holds the filtered files; nothing is left if every file was excluded
+    const output = await runGit(['rev-parse', '--verify', '--quiet', `${rewritten.head}:${source.path}`], {
+        cwd: repo,
+        okExitCodes: [0, 1]
+    });
+    return { head: rewritten.head, commits: rewritten.commits, tree: output.trim() || EMPTY_TREE_SHA, mapping: rewritten.mapping };
+}
+
+/**
+ * Recreate a source's tags on its rewritten history, under the source's folder
+ * `v1.2.0` of a source merged into `api/` becomes `api/v1.2.0`. Annotated
+ * tags keep their tagger and message; signatures are dropped because they
+ * no longer match. Tags on commits outside the merged history are skipped.
+ * @param {string} repo - Local repository path
+ * @param {string} url - Source remote URL
+ * @param {number} index - Source index, used for scratch refs
+ * @param {Object} source - { path }
+ * @param {Map<string, string>} mapping - Source commit => rewritten commit
+ * @param {Object} env - Git environment (credentials)
+ * @returns {Promise<Object>} - { created: [{ name, tag, sha }], skipped: [{ name, reason }] }
+ */
+async function recreateTags(repo, url, index, source, mapping, env) {
+    const scratch = `refs/caromar/tags/${index}/`;
+    await runGit(['fetch', '--quiet', '--no-tags', url, `+refs/tags/*:${scratch}*`], { cwd: repo, env });
+
+    const output = await runGit([
+        'for-each-ref',
+        '--format=%(refname)%00%(objecttype)%00%(objectname)%00%(*objecttype)%00%(*objectname)',
+        scratch
+    ], { cwd: repo });
+
+    const created = [];
+    const skipped = [];
+    for (const line of output.split('\n').filter(Boolean)) {
+        const [ref, type, sha, peeledType, peeledSha] = line.split('\0');
+        const name = ref.slice(scratch.length);
+        const commit = type === 'commit' ? sha : (peeledType === 'commit' ? peeledSha : null);
+        if (!commit) {
+            skipped.push({ name, reason: 'Does not point to a commit' });
+            continue;
+        }
+        if (!mapping.has(commit)) {
+            skipped.push({ name, reason: 'Not part of the merged history' });
+            continue;
+        }
+
+        const tag = `${source.path}/${name}`;
+        let object = mapping.get(commit);
+        if (type === 'tag') {
+            const raw = await runGit(['cat-file', 'tag', sha], { cwd: repo });
+            const separator = raw.indexOf('\n\n');
+            const tagger = raw.slice(0, separator).split('\n').find(header => header.startsWith('tagger '));
+            const message = raw.slice(separator + 2).replace(/\n?-----BEGIN [A-Z ]*SIGNATURE-----[\s\S]*$/, '\n');
+            object = (await runGit(['mktag'], {
+                cwd: repo,
+                input: `object ${object}\ntype commit\ntag ${tag}\n${tagger || `tagger ${formatIdentity(DEFAULT_AUTHOR)}`}\n\n${message}`
+            })).trim();
+        }
+        await runGit(['update-ref', `refs/tags/${tag}`, object], { cwd: repo });
+        created.push({ name, tag, sha: mapping.get(commit) });
+    }
+
+    return { created, skipped };
+}
+
+/**
+ * Format a fast-import identity line value for the current time
+ * @param {Object} identity - Name and email
+ * @returns {string} - Identity in git's raw format
+ */
+function formatIdentity(identity) {
+    return `${identity.name} <${identity.email}> ${Math.floor(Date.now() / 1000)} +0000`;
+}
+
+/**
+ * Build the default merge commit message
+ * @param {Array<Object>} sources - Imported sources
+ * @returns {string} - Commit message
+ */
+function buildMergeMessage(sources) {
+    const lines = sources.map(source => `- ${source.name} (${source.ref || 'HEAD'}) -> ${source.path}/`);
+    return `Merge ${sources.length} repositor${sources.length === 1 ? 'y' : 'ies'} with CAROMAR\n\n${lines.join('\n')}\n`;
+}
+
+/**
+ * Validate the source list before any network traffic happens
+ * @param {Array<Object>} sources - Sources to merge
+ * @throws {Error} - If a source is missing a URL or has an invalid/duplicate path
+ */
+function validateSources(sources) {
+    if (!Array.isArray(sources) || sources.length === 0) {
+        throw new Error('At least one source repository is required');
+    }
+
+    const seen = new Set();
+    for (const source of sources) {
+        if (!source.url) {
+            throw new Error(`Source ${source.name || '(unnamed)'} has no URL`);
+        }
+        if (!source.path || !isValidRepoPath(source.path)) {
+            throw new Error(`Source ${source.name || source.url} has an invalid target path`);
+        }
+        if (seen.has(source.path)) {
+            throw new Error(`Target path ${source.path} is used by more than one source`);
+        }
+        seen.add(source.path);
+    }
+}
+
+/**
+ * Merge several repositories into one, preserving the history of each
+ *
+ * Each source's history is rewritten so that every commit places the
+ * source's files under `source.path`, keeping only the files selected by
+ * the source's `include` and `exclude` glob patterns. A final merge commit joins the
+ * rewritten histories with the target branch, and is pushed to the target.
+ * Works with any URL git understands, including `file://` bare repositories.
+ *
+ * @param {Object} options - Merge options
+ * @param {Array<Object>} options.sources - Sources: { name, url, ref, path, include, exclude }
+ * @param {Object} options.target - Target: { url, branch }
+ * @param {string} [options.token] - Token used for HTTPS remotes
+ * @param {Object} [options.author] - Identity for the merge commit: { name, email }
+ * @param {string} [options.message] - Merge commit message
+ * @param {Function} [options.files] - (imported sources) => Array<{ path, content }> of extra files for the merge commit
+ * @param {boolean} [options.tags=false] - Recreate each source's tags under its folder (see recreateTags)
+ * @param {boolean} [options.push=true] - Push the result to the target
+ * @returns {Promise<Object>} - Merge result with per-source commit counts (and tags)
+ */
+async function mergeRepositories(options) {
+    const {
+        sources,
+        target,
+        token,
+        author = DEFAULT_AUTHOR,
+        message,
+        files,
+        tags = false,
+        push = true
+    } = options;
+
+    validateSources(sources);
+    if (!target || !target.url || !target.branch) {
+        throw new Error('Target URL and branch are required');
+    }
+
+    const env = authEnv(token, target.url);
+    const repo = await createTempRepository();
+
+    try {
+        const targetHead = await resolveRemoteBranch(repo, target.url, target.branch, env);
+        if (targetHead) {
+            await fetchRef(repo, target.url, `refs/heads/${target.branch}`, 'refs/caromar/target', env);
+        }
+
+        const imported = [];
+        for (let i = 0; i < sources.length; i++) {
+            const source = sources[i];
+            const sourceHead = await fetchRef(repo, source.url, source.ref, `refs/caromar/sources/${i}`, env);
+            const rewritten = await rewriteSource(repo, sourceHead, `refs/caromar/rewritten/${i}`, source);
+
+            imported.push({
+                name: source.name,
+                path: source.path,
+                ref: source.ref || 'HEAD',
+                source_sha: sourceHead,
+                head: rewritten.head,
+                tree: rewritten.tree,
+                commits: rewritten.commits,
+                tags: tags ? await recreateTags(repo, source.url, i, source, rewritten.mapping, env) : undefined
+            });
+        }
+
+        const parents = [targetHead, ...imported.map(source => source.head)].filter(Boolean);
+        const identity = formatIdentity(author);
+        const commitMessage = Buffer.from(message || buildMergeMessage(imported), 'utf8');
+
+        const chunks = [
+            'feature done\n',
+            `commit refs/heads/${target.branch}\n`,
+            `author ${identity}\ncommitter ${identity}\n`,
+            `data ${commitMessage.length}\n`,
+            commitMessage,
+            '\n'
+        ];
+        parents.forEach((parent, index) => {
+            chunks.push(`${index === 0 ? 'from' : 'merge'} ${parent}\n`);
+        });
+        chunks.push('deleteall\n');
+
+        if (targetHead) {
+            const rootEntries = parseLsTree(await runGit(['ls-tree', targetHead], { cwd: repo }));
+            for (const entry of rootEntries) {
+                chunks.push(`M ${entry.mode} ${entry.sha} ${quoteFastImportPath(entry.path)}\n`);
+            }
+        }
+        for (const source of imported) {
+            if (source.tree !== EMPTY_TREE_SHA) {
+                chunks.push(`M 040000 ${source.tree} ${quoteFastImportPath(source.path)}\n`);
+            }
+        }
+        for (const file of files ? files(imported) : []) {
+            const content = Buffer.from(file.content, 'utf8');
+            chunks.push(`M 100644 inline ${quoteFastImportPath(file.path)}\ndata ${content.length}\n`, content, '\n');
+        }
+        chunks.push('\ndone\n');
+
+        await runGit(['fast-import', '--quiet', '--force'], {
+            cwd: repo,
+            input: Buffer.concat(chunks.map(chunk => (Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, 'utf8'))))
+        });
+
+        const commit = (await runGit(['rev-parse', `refs/heads/${target.branch}`], { cwd: repo })).trim();
+
+        if (push) {
+            const tagRefspecs = imported
+                .filter(source => source.tags?.created.length > 0)
+                .map(source => `refs/tags/${source.path}/*:refs/tags/${source.path}/*`);
+            await runGit(['push', '--quiet', target.url, `refs/heads/${target.branch}:refs/heads/${target.branch}`, ...tagRefspecs], {
+                cwd: repo,
+                env
+            });
+        }
+
+        return {
+            branch: target.branch,
+            commit,
+            previous_commit: targetHead,
+            pushed: push,
+            sources: imported.map(source => ({
+                name: source.name,
+                path: source.path,
+                ref: source.ref,
+                source_sha: source.source_sha,
+                head: source.head,
+                commits: source.commits,
+                ...(source.tags ? { tags: source.tags } : {})
+            }))
+        };
+    } finally {
+        await removeTempRepository(repo);
+    }
+}
+
+module.exports = {
+    mergeRepositories,
+    buildMergeMessage,
+    fetchRef,
+    rewriteSource,
+    DEFAULT_AUTHOR,
+    EMPTY_TREE_SHA
+};
@@ -0,0 +1,313 @@
+/**
+ * Merge plan: decides which folder each repository is merged into
+ * Detects folder collisions (same name from different owners, names that
+ * only differ by case, folders that clash with files at the root of the
+ * merged repository) and resolves them with a configurable strategy.
+ * @module utils/merge-plan
+ */
+
+const { mapWithConcurrency } = require('./concurrency');
+const { isValidRepoPath } = require('./validation');
+
+const CONFLICT_STRATEGIES = ['owner-prefix', 'suffix', 'manual'];
+
+// Entries that live at the root of a merged repository (README.md and caromar.json record provenance)
+const RESERVED_ROOT_ENTRIES = ['README.md', 'caromar.json', '.gitignore', '.gitattributes', 'LICENSE', 'LICENSE.md', 'LICENSE.txt', '.github'];
+
+// Root entries of a source that only take effect at a repository root
+const ROOT_ONLY_ENTRIES = ['.gitignore', '.gitattributes', 'LICENSE', 'LICENSE.md', 'LICENSE.txt', '.github'];
+
+// Reserved entries that are directories, so sources can be nested inside them
+const RESERVED_ROOT_DIRECTORIES = ['.github'];
+
+/**
+ * Get the owner of a merge source
+ * @param {Object} repo - Source: { full_name, clone_url }
+ * @returns {string} - Owner login, or an empty string if unknown
+ */
+function ownerOf(repo) {
+    if (repo.full_name) {
+        return repo.full_name.split('/')[0];
+    }
+    try {
+        return new URL(repo.clone_url).pathname.split('/')[1] || '';
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Identify a merge source in plans and conflicts
+ * @param {Object} repo - Source
+ * @returns {string} - full_name, or name when no full name is known
+ */
+function keyOf(repo) {
+    return repo.full_name || repo.name;
+}
+
+/**
+ * Check that a target folder is a normalized relative path
+ * @param {string} path - Target folder, possibly nested (e.g. services/api)
+ * @returns {boolean} - True if the path is valid and has no empty or "." segments
+ */
+function isValidTargetPath(path) {
+    return Boolean(path) && isValidRepoPath(path) && path.split('/').every(segment => segment !== '' && segment !== '.');
+}
+
+/**
+ * Group entries by case-insensitive path
+ * @param {Array<Object>} entries - Entries with a path
+ * @returns {Map<string, Array<Object>>} - Lowercase path => entries
+ */
+function groupByPath(entries) {
+    const groups = new Map();
+    for (const entry of entries) {
+        const key = entry.path.toLowerCase();
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(entry);
+    }
+    return groups;
+}
+
+/**
+ * Find collisions between planned folders
+ * @param {Array<Object>} entries - Planned sources: { key, path }
+ * @param {Array<string>} reserved - Root entries of the merged repository
+ * @returns {Array<Object>} - Conflicts: { type, path, repositories, message }
+ */
+function findCollisions(entries, reserved) {
+    const conflicts = [];
+    const reservedByKey = new Map(reserved.map(name => [name.toLowerCase(), name]));
+    const groups = groupByPath(entries);
+
+    for (const [key, group] of groups) {
+        const repositories = group.map(entry => entry.key);
+        const top = key.split('/')[0];
+        const clash = key === top ? reservedByKey.get(key) : reservedByKey.get(top);
+        if (clash && (key === top || !RESERVED_ROOT_DIRECTORIES.includes(clash))) {
+            conflicts.push({
+                type: 'root_clash',
+                path: group[0].path,
+                repositories,
+                message: `Folder ${group[0].path}/ would replace ${clash} at the root of the merged repository`
+            });
+        } else if (new Set(group.map(entry => entry.path)).size > 1) {
+            conflicts.push({
+                type: 'case_collision',
+                path: group[0].path,
+                repositories,
+                message: `Folders ${group.map(entry => `${entry.path}/`).join(', ')} only differ by case and collide on case-insensitive filesystems`
+            });
+        } else if (group.length > 1) {
+            conflicts.push({
+                type: 'duplicate_path',
+                path: group[0].path,
+                repositories,
+                message: `${repositories.join(', ')} would all be merged into ${group[0].path}/`
+            });
+        }
+    }
+
+    // A source cannot be merged into a folder that belongs to another source
+    for (const [key, group] of groups) {
+        for (const [otherKey, others] of groups) {
+            if (otherKey.startsWith(`${key}/`)) {
+                conflicts.push({
+                    type: 'nested_path',
+                    path: others[0].path,
+                    repositories: [...group, ...others].map(entry => entry.key),
+                    message: `${others[0].path}/ is inside ${group[0].path}/, which is used by ${group.map(entry => entry.key).join(', ')}`
+                });
+            }
+        }
+    }
+
+    return conflicts;
+}
+
+/**
+ * Pick a free path by appending -2, -3, ... to a base path
+ * @param {string} base - Preferred path
+ * @param {Set<string>} taken - Lowercase paths already in use
+ * @returns {string} - Free path
+ */
+function nextFreePath(base, taken) {
+    let candidate = base;
+    for (let n = 2; taken.has(candidate.toLowerCase()); n++) {
+        candidate = `${base}-${n}`;
+    }
+    return candidate;
+}
+
+/**
+ * Build a merge plan for a set of repositories
+ * Manual renames are applied first; remaining collisions are resolved
+ * with the strategy:
+ * - `owner-prefix`: every colliding folder becomes `<owner>-<name>`
+ * - `suffix`: the first repository keeps its folder, the others get `-2`, `-3`, ...
+ * - `manual`: nothing is renamed automatically, collisions stay unresolved
+ * A source is planned into its `target_path` when one is given, which may
+ * be nested (e.g. `services/api`). Folders nested inside another source's
+ * folder are never resolved automatically.
+ * @param {Array<Object>} repositories - Sources: { name, full_name, clone_url, target_path }
+ * @param {Object} [options] - Plan options
+ * @param {string} [options.strategy='owner-prefix'] - Conflict strategy
+ * @param {Object} [options.renames] - Manual folders by full_name (or name)
+ * @param {Array<string>} [options.reserved] - Root entries of the merged repository
+ * @param {Object} [options.rootFiles] - Root-only entries found in each source, by full_name (see inspectRootFiles)
+ * @returns {Object} - { strategy, sources, conflicts, warnings, resolved }
+ */
+function buildMergePlan(repositories, options = {}) {
+    const { strategy = 'owner-prefix', renames = {}, reserved = RESERVED_ROOT_ENTRIES, rootFiles = {} } = options;
+    if (!CONFLICT_STRATEGIES.includes(strategy)) {
+        throw new Error(`Conflict strategy must be one of: ${CONFLICT_STRATEGIES.join(', ')}`);
+    }
+
+    const entries = repositories.map(repo => {
+        const key = keyOf(repo);
+        const manual = typeof renames[key] === 'string' ? renames[key].trim() : '';
+        const requested = repo.target_path || repo.path || repo.name;
+        return {
+            key,
+            repo,
+            requested,
+            path: manual || requested,
+            manual: Boolean(manual)
+        };
+    });
+
+    const conflicts = [];
+    for (const entry of entries) {
+        if (!isValidTargetPath(entry.path)) {
+            conflicts.push({
+                type: 'invalid_path',
+                path: entry.path || '',
+                repositories: [entry.key],
+                message: `${entry.path || '(empty)'} is not a valid folder for ${entry.key}`,
+                resolved: false
+            });
+        }
+    }
+
+    const detected = findCollisions(entries, reserved);
+
+    if (strategy !== 'manual') {
+        const reservedKeys = reserved.map(name => name.toLowerCase());
+        // Nested folders need a manual decision: renaming the last segment cannot fix them
+        const automatic = detected.filter(conflict => conflict.type !== 'nested_path' &&
+            !(conflict.type === 'root_clash' && conflict.path.includes('/')));
+        for (const conflict of automatic) {
+            const group = entries.filter(entry => conflict.repositories.includes(entry.key) && !entry.manual);
+            const taken = new Set([
+                ...reservedKeys,
+                ...entries.filter(entry => !group.includes(entry)).map(entry => entry.path.toLowerCase())
+            ]);
+
+            group.forEach((entry, index) => {
+                let base = entry.path;
+                if (strategy === 'owner-prefix' && ownerOf(entry.repo)) {
+                    // Nested folders keep their parent (services/api => services/octo-api)
+                    const parent = entry.path.includes('/') ? entry.path.substring(0, entry.path.lastIndexOf('/') + 1) : '';
+                    base = `${parent}${ownerOf(entry.repo)}-${entry.repo.name}`;
+                } else if (index === 0 && conflict.type !== 'root_clash') {
+                    // With suffixes the first repository keeps its folder
+                    taken.add(entry.path.toLowerCase());
+                    return;
+                }
+                entry.path = nextFreePath(base, taken);
+                taken.add(entry.path.toLowerCase());
+            });
+        }
+    }
+
+    const remaining = findCollisions(entries, reserved);
+    for (const conflict of detected) {
+        conflict.resolved = !remaining.some(other => other.repositories.some(key => conflict.repositories.includes(key)));
+        if (conflict.resolved) {
+            conflict.resolution = conflict.repositories.map(key => ({
+                repository: key,
+                path: entries.find(entry => entry.key === key).path
+            }));
+        }
+    }
+    // Renames can create collisions that were not there before
+    for (const conflict of remaining) {
+        if (!detected.some(other => other.type === conflict.type && other.path.toLowerCase() === conflict.path.toLowerCase())) {
+            detected.push({ ...conflict, resolved: false });
+        }
+    }
+    conflicts.push(...detected);
+
+    const sources = entries.map(entry => ({
+        name: entry.repo.name,
+        full_name: entry.repo.full_name,
+        path: entry.path,
+        renamed: entry.path !== entry.requested
+    }));
+
+    return {
+        strategy,
+        sources,
+        conflicts,
+        warnings: findRootFileWarnings(sources, rootFiles),
+        resolved: conflicts.every(conflict => conflict.resolved)
+    };
+}
+
+/**
+ * Warn about root-only entries that stop applying once their source is nested
+ * @param {Array<Object>} sources - Planned sources: { name, full_name, path }
+ * @param {Object} rootFiles - Root-only entries found in each source, by full_name (see inspectRootFiles)
+ * @returns {Array<Object>} - root_file warnings
+ */
+function findRootFileWarnings(sources, rootFiles) {
+    const warnings = [];
+    for (const name of ROOT_ONLY_ENTRIES) {
+        const found = sources.filter(source => (rootFiles[keyOf(source)] || []).includes(name));
+        if (found.length > 0) {
+            warnings.push({
+                type: 'root_file',
+                path: name,
+                repositories: found.map(keyOf),
+                message: `${name} from ${found.length === 1 ? keyOf(found[0]) : `${found.length} repositories`} will be nested under ` +
+                    `${found.map(source => `${source.path}/`).join(', ')} and no longer applies at the repository root`
+            });
+        }
+    }
+    return warnings;
+}
+
+/**
+ * Look up which root-only entries (LICENSE, .gitignore, .github, ...) each source has
+ * @param {Object} api - GitHub API client
+ * @param {Array<Object>} repositories - Sources with full_name and optional default_branch
+ * @returns {Promise<Object>} - Root entry names by full_name; sources that cannot be read are omitted
+ */
+async function inspectRootFiles(api, repositories) {
+    const rootFiles = {};
+    await mapWithConcurrency(repositories.filter(repo => repo.full_name), 5, async (repo) => {
+        try {
+            const { data } = await api.get(`/repos/${repo.full_name}/contents`, {
+                params: repo.ref || repo.default_branch ? { ref: repo.ref || repo.default_branch } : {}
+            });
+            rootFiles[repo.full_name] = data
+                .map(entry => entry.name)
+                .filter(name => ROOT_ONLY_ENTRIES.includes(name));
+        } catch {
+            // Empty or inaccessible repositories have nothing to report
+        }
+    });
+    return rootFiles;
+}
+
+module.exports = {
+    CONFLICT_STRATEGIES,
+    RESERVED_ROOT_ENTRIES,
+    ROOT_ONLY_ENTRIES,
+    buildMergePlan,
+    findRootFileWarnings,
+    inspectRootFiles,
+    isValidTargetPath
+};
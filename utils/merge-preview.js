@@ -0,0 +1,163 @@
+/**
+ * Merge dry run: walks the tree of every source through the GitHub API and
+ * reports what a merge would import, without creating anything.
+ * Besides file counts and sizes, files that do not survive a merge as-is
+ * are flagged: files over GitHub's 100 MB limit, Git LFS pointers (the LFS
+ * objects themselves are not copied), submodules (their .gitmodules entry
+ * stops applying once nested) and symlinks (relative targets may point
+ * outside the source's folder).
+ * @module utils/merge-preview
+ */
+
+const { mapWithConcurrency } = require('./concurrency');
+const { resolveSourceCommit, listTree } = require('./snapshot-merge');
+const { compileGlob, createPathFilter } = require('./glob');
+
+// GitHub rejects pushes containing files larger than this
+const LARGE_FILE_BYTES = 100 * 1024 * 1024;
+
+// Git LFS pointer files are always smaller than this
+const LFS_POINTER_MAX_BYTES = 1024;
+
+// Paths listed per warning; the count covers the rest
+const MAX_WARNING_PATHS = 20;
+
+// Sources previewed in parallel
+const PREVIEW_CONCURRENCY = 3;
+
+const SYMLINK_MODE = '120000';
+
+/**
+ * Find the patterns tracked by Git LFS in a source's .gitattributes files
+ * @param {Object} api - GitHub API client
+ * @param {Object} source - { owner, repo }
+ * @param {Array<Object>} tree - Tree entries of the source
+ * @returns {Promise<Array<Object>>} - { directory, matcher } for every `filter=lfs` pattern
+ */
+async function findLfsPatterns(api, source, tree) {
+    const attributes = tree.filter(entry => entry.type === 'blob' &&
+        (entry.path === '.gitattributes' || entry.path.endsWith('/.gitattributes')));
+    const patterns = [];
+
+    for (const entry of attributes) {
+        const { data: blob } = await api.get(`/repos/${source.owner}/${source.repo}/git/blobs/${entry.sha}`);
+        const content = Buffer.from(blob.content || '', blob.encoding === 'base64' ? 'base64' : 'utf8').toString('utf8');
+        const directory = entry.path.substring(0, entry.path.length - '.gitattributes'.length);
+
+        for (const line of content.split('\n')) {
+            const [pattern, ...attrs] = line.trim().split(/\s+/);
+            if (pattern && !pattern.startsWith('#') && attrs.includes('filter=lfs')) {
+                patterns.push({ directory, matcher: compileGlob(pattern) });
+            }
+        }
+    }
+    return patterns;
+}
+
+/**
+ * Group flagged paths into a warning
+ * @param {string} type - Warning type
+ * @param {Array<string>} paths - Flagged paths
+ * @param {Function} describe - (count) => message
+ * @returns {Object|null} - { type, count, paths, message }, or null if nothing was flagged
+ */
+function buildWarning(type, paths, describe) {
+    if (paths.length === 0) {
+        return null;
+    }
+    return {
+        type,
+        count: paths.length,
+        paths: paths.slice(0, MAX_WARNING_PATHS),
+        message: describe(paths.length)
+    };
+}
+
+/**
+ * Preview a single source
+ * @param {Object} api - GitHub API client
+ * @param {Object} source - { owner, repo, ref, path, include, exclude }
+ * @returns {Promise<Object>} - { ref, source_sha, files, bytes, warnings }
+ */
+async function previewSource(api, source) {
+    const commit = await resolveSourceCommit(api, source);
+    const filter = createPathFilter(source);
+    const tree = await listTree(api, source.owner, source.repo, commit.tree);
+    const kept = tree.filter(entry => !filter || filter(entry.path));
+    const blobs = kept.filter(entry => entry.type === 'blob');
+
+    const lfsPatterns = await findLfsPatterns(api, source, tree);
+    const lfsPointers = blobs.filter(entry => (entry.size || 0) < LFS_POINTER_MAX_BYTES && lfsPatterns.some(({ directory, matcher }) => (
+        entry.path.startsWith(directory) && matcher.test(entry.path.substring(directory.length))
+    )));
+
+    const warnings = [
+        buildWarning('large_file', blobs.filter(entry => entry.size > LARGE_FILE_BYTES).map(entry => entry.path),
+            count => `${count} file(s) over 100 MB; GitHub rejects pushes that contain them`),
+        buildWarning('lfs_pointer', lfsPointers.map(entry => entry.path),
+            count => `${count} Git LFS pointer(s); only the pointers are merged, the LFS objects are not copied`),
+        buildWarning('submodule', kept.filter(entry => entry.type === 'commit').map(entry => entry.path),
+            count => `${count} submodule(s) will not be initialized: .gitmodules only applies at the repository root`),
+        buildWarning('symlink', blobs.filter(entry => entry.mode === SYMLINK_MODE).map(entry => entry.path),
+            count => `${count} symlink(s); relative links may point outside ${source.path}/ after merging`)
+    ].filter(Boolean);
+
+    return {
+        ref: commit.ref,
+        source_sha: commit.sha,
+        files: blobs.length,
+        bytes: blobs.reduce((sum, entry) => sum + (entry.size || 0), 0),
+        warnings
+    };
+}
+
+/**
+ * Preview a merge by walking the tree of every source
+ * A source that cannot be read is reported with an `error` instead of
+ * failing the whole preview.
+ * @param {Object} api - GitHub API client
+ * @param {Array<Object>} sources - Planned sources: { name, full_name, path, ref, default_branch, include, exclude }
+ * @returns {Promise<Object>} - { sources, totals: { files, bytes, warnings } }
+ */
+async function previewMergeSources(api, sources) {
+    const results = await mapWithConcurrency(sources, PREVIEW_CONCURRENCY, async (source) => {
+        const result = { name: source.name, full_name: source.full_name, path: source.path };
+        try {
+            const [owner, repo] = (source.full_name || '').split('/');
+            if (!owner || !repo) {
+                throw new Error(`Cannot preview ${source.name} without its full_name`);
+            }
+            return {
+                ...result,
+                ...await previewSource(api, {
+                    owner,
+                    repo,
+                    ref: source.ref || source.default_branch,
+                    path: source.path,
+                    include: source.include,
+                    exclude: source.exclude
+                })
+            };
+        } catch (error) {
+            return {
+                ...result,
+                error: error.response?.data?.message || error.message
+            };
+        }
+    });
+
+    const previewed = results.filter(result => !result.error);
+    return {
+        sources: results,
+        totals: {
+            files: previewed.reduce((sum, result) => sum + result.files, 0),
+            bytes: previewed.reduce((sum, result) => sum + result.bytes, 0),
+            warnings: previewed.reduce((sum, result) => sum + result.warnings.length, 0)
+        }
+    };
+}
+
+module.exports = {
+    LARGE_FILE_BYTES,
+    previewMergeSources
+};
@@ -0,0 +1,350 @@
+/**
+ * Merge script generator for CAROMAR
+ * Turns a merge plan into scripts that run the merge on the user's machine
+ * or in GitHub Actions: bash, PowerShell, a Makefile and a workflow. Every
+ * value that comes from the request (clone URLs, refs, folders, names) is
+ * quoted for the target language, so a script never runs more than the git
+ * commands it lists.
+ *
+ * Two variants are generated for every format:
+ * - `snapshot` copies the current files of each source and commits them once
+ * - `history` keeps each source's full history with a subtree merge
+ *   (`git merge -s ours` + `git read-tree --prefix`), which needs nothing
+ *   beyond core git
+ * @module utils/merge-scripts
+ */
+
+const SCRIPT_FORMATS = ['bash', 'powershell', 'makefile', 'github_actions'];
+
+const SCRIPT_VARIANTS = ['snapshot', 'history'];
+
+const FILE_NAMES = {
+    bash: 'caromar-merge.sh',
+    powershell: 'caromar-merge.ps1',
+    makefile: 'caromar-merge.mk',
+    github_actions: 'caromar-merge.yml'
+};
+
+// Words made of these characters mean the same in every target language
+const SAFE_WORD = /^[A-Za-z0-9_./=-]+$/;
+
+// Bot identity GitHub documents for commits made by workflows
+const ACTIONS_IDENTITY = {
+    name: 'github-actions[bot]',
+    email: '41898688+github-actions[bot]@users.noreply.github.com'
+};
+
+/**
+ * Check whether a character is an ASCII control character
+ * @param {string} char - Single character
+ * @returns {boolean} - True for line breaks, tabs, NUL, DEL, ...
+ */
+function isControlCharacter(char) {
+    const code = char.charCodeAt(0);
+    return code < 0x20 || code === 0x7f;
+}
+
+/**
+ * Reject values that no quoting can make safe in every format
+ * Line breaks would end a Makefile recipe or a YAML block, and other
+ * control characters have no business in URLs, refs or folder names.
+ * @param {string} value - Value taken from the request
+ * @returns {string} - The value
+ * @throws {Error} - If the value contains control characters
+ */
+function assertPrintable(value) {
+    const text = String(value);
+    if (Array.from(text).some(isControlCharacter)) {
+        throw new Error(`Control characters cannot be used in merge scripts: ${JSON.stringify(text)}`);
+    }
+    return text;
+}
+
+/**
+ * Quote a word for POSIX shells
+ * @param {string} value - Word
+ * @returns {string} - Word, single-quoted unless it only has safe characters
+ */
+function quoteShell(value) {
+    const text = assertPrintable(value);
+    return SAFE_WORD.test(text) ? text : `'${text.replace(/'/g, '\'\\\'\'')}'`;
+}
+
+/**
+ * Quote a word for PowerShell
+ * PowerShell also ends single-quoted strings at typographic quotes, so
+ * those are doubled as well.
+ * @param {string} value - Word
+ * @returns {string} - Word, single-quoted unless it only has safe characters
+ */
+function quotePowerShell(value) {
+    const text = assertPrintable(value);
+    return SAFE_WORD.test(text) && !text.startsWith('-') ? text : `'${text.replace(/['‘’‚‛]/g, '$&$&')}'`;
+}
+
+/**
+ * Quote a word for a Makefile recipe
+ * Recipes run in /bin/sh after make expands `$`, so shell quoting is
+ * applied first and every `$` is then escaped for make.
+ * @param {string} value - Word
+ * @returns {string} - Quoted word
+ */
+function quoteMake(value) {
+    return quoteShell(value).replace(/\$/g, '$$$$');
+}
+
+/**
+ * Quote a word for a `run:` step of a GitHub Actions workflow
+ * Runners use bash, but `${{ }}` expressions are expanded before the shell
+ * sees the script, so they are turned into literal text.
+ * @param {string} value - Word
+ * @returns {string} - Quoted word
+ */
+function quoteWorkflow(value) {
+    return quoteShell(value).replace(/\$\{\{/g, '${{ \'${{\' }}');
+}
+
+/**
+ * Make text safe for a single-line comment
+ * @param {string} text - Comment text
+ * @returns {string} - Text without line breaks or control characters
+ */
+function commentText(text) {
+    return Array.from(String(text), char => (isControlCharacter(char) ? ' ' : char)).join('');
+}
+
+/**
+ * Build the git commands that merge the sources into the current repository
+ * @param {Object} plan - { repository: { name, full_name, clone_url }, sources: [{ name, url, ref, path }] }
+ * @param {string} variant - "snapshot" or "history"
+ * @returns {Array<Object>} - Groups of git argument lists: { title, commands }
+ */
+function buildCommandGroups(plan, variant) {
+    const groups = plan.sources.map(source => {
+        const ref = source.ref || 'HEAD';
+        const prefix = `--prefix=${source.path}/`;
+        const commands = variant === 'history'
+            ? [
+                ['fetch', '--no-tags', source.url, ref],
+                ['merge', '-s', 'ours', '--no-commit', '--allow-unrelated-histories', 'FETCH_HEAD'],
+                ['read-tree', prefix, '-u', 'FETCH_HEAD'],
+                ['commit', '-m', `Merge ${source.name} (${ref}) into ${source.path}/`]
+            ]
+            : [
+                ['fetch', '--no-tags', '--depth', '1', source.url, ref],
+                ['read-tree', prefix, '-u', 'FETCH_HEAD']
+            ];
+        return { title: `${source.name} (${ref}) -> ${source.path}/`, commands };
+    });
+
+    if (variant === 'snapshot') {
+        const count = plan.sources.length;
+        groups.push({
+            title: 'Commit the merged files',
+            commands: [['commit', '-m', `Merge ${count} repositor${count === 1 ? 'y' : 'ies'} with CAROMAR`]]
+        });
+    }
+    groups.push({ title: `Push to ${plan.repository.full_name || plan.repository.name}`, commands: [['push', 'origin', 'HEAD']] });
+    return groups;
+}
+
+/**
+ * Describe what a script does, one line per entry
+ * @param {Object} plan - Merge plan
+ * @param {string} variant - "snapshot" or "history"
+ * @returns {Array<string>} - Header lines without comment markers
+ */
+function describe(plan, variant) {
+    const count = plan.sources.length;
+    return [
+        `Merge ${count} repositor${count === 1 ? 'y' : 'ies'} into ${plan.repository.full_name || plan.repository.name} with CAROMAR`,
+        variant === 'history'
+            ? 'Keeps the full history of every repository (subtree merge).'
+            : 'Copies the current files of every repository as a single commit.'
+    ].map(commentText);
+}
+
+/**
+ * Render a bash script
+ * @param {Object} plan - Merge plan
+ * @param {string} variant - "snapshot" or "history"
+ * @returns {string} - Script
+ */
+function renderBash(plan, variant) {
+    const git = args => `git ${args.map(quoteShell).join(' ')}`;
+    const lines = [
+        '#!/usr/bin/env bash',
+        ...describe(plan, variant).map(line => `# ${line}`),
+        'set -euo pipefail',
+        '',
+        git(['clone', plan.repository.clone_url, plan.repository.name]),
+        `cd ${quoteShell(plan.repository.name)}`
+    ];
+    for (const group of buildCommandGroups(plan, variant)) {
+        lines.push('', `# ${commentText(group.title)}`, ...group.commands.map(git));
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Render a PowerShell script
+ * Native commands do not stop a PowerShell script when they fail, so every
+ * git call goes through a helper that throws on a non-zero exit code.
+ * @param {Object} plan - Merge plan
+ * @param {string} variant - "snapshot" or "history"
+ * @returns {string} - Script
+ */
+function renderPowerShell(plan, variant) {
+    const git = args => `Invoke-Git ${args.map(quotePowerShell).join(' ')}`;
+    const lines = [
+        ...describe(plan, variant).map(line => `# ${line}`),
+        '$ErrorActionPreference = \'Stop\'',
+        '',
+        'function Invoke-Git {',
+        '    & git @args',
+        '    if ($LASTEXITCODE -ne 0) { throw "git $($args -join \' \') failed with exit code $LASTEXITCODE" }',
+        '}',
+        '',
+        git(['clone', plan.repository.clone_url, plan.repository.name]),
+        `Set-Location ${quotePowerShell(plan.repository.name)}`
+    ];
+    for (const group of buildCommandGroups(plan, variant)) {
+        lines.push('', `# ${commentText(group.title)}`, ...group.commands.map(git));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Render a Makefile
+ * Every recipe line runs in its own shell, so commands use `git -C`
+ * instead of changing directory. Run it with `make -f caromar-merge.mk`.
+ * @param {Object} plan - Merge plan
+ * @param {string} variant - "snapshot" or "history"
+ * @returns {string} - Makefile
+ */
+function renderMakefile(plan, variant) {
+    const inRepo = args => `\tgit -C ${quoteMake(plan.repository.name)} ${args.map(quoteMake).join(' ')}`;
+    const lines = [
+        ...describe(plan, variant).map(line => `# ${line}`),
+        '# Run with: make -f caromar-merge.mk',
+        '',
+        '.PHONY: merge',
+        'merge:',
+        `\tgit ${['clone', plan.repository.clone_url, plan.repository.name].map(quoteMake).join(' ')}`
+    ];
+    for (const group of buildCommandGroups(plan, variant)) {
+        lines.push(`\t# ${commentText(group.title).replace(/\$/g, '$$$$')}`, ...group.commands.map(inRepo));
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Render a GitHub Actions workflow to commit to the merged repository
+ * The workflow checks out the repository it lives in and merges the
+ * sources into it. Sources the default token cannot read need a
+ * `CAROMAR_TOKEN` secret with access to them.
+ * @param {Object} plan - Merge plan
+ * @param {string} variant - "snapshot" or "history"
+ * @returns {string} - Workflow YAML
+ */
+function renderWorkflow(plan, variant) {
+    const git = args => `          git ${args.map(quoteWorkflow).join(' ')}`;
+    const lines = [
+        ...describe(plan, variant).map(line => `# ${line}`),
+        '# Commit as .github/workflows/caromar-merge.yml and run it from the Actions tab.',
+        '# Private sources need a CAROMAR_TOKEN secret that can read them.',
+        'name: CAROMAR merge',
+        'on:',
+        '  workflow_dispatch:',
+        'permissions:',
+        '  contents: write',
+        'jobs:',
+        '  merge:',
+        '    runs-on: ubuntu-latest',
+        '    steps:',
+        '      - uses: actions/checkout@v4',
+        '        with:',
+        '          fetch-depth: 0',
+        '          token: ${{ secrets.CAROMAR_TOKEN || github.token }}',
+        '      - name: Configure git',
+        '        run: |',
+        git(['config', 'user.name', ACTIONS_IDENTITY.name]),
+        git(['config', 'user.email', ACTIONS_IDENTITY.email])
+    ];
+    for (const group of buildCommandGroups(plan, variant)) {
+        // Step names are expanded like run scripts, so expressions are broken up
+        const name = commentText(group.title).replace(/\$\{\{/g, '$ {{');
+        lines.push(`      - name: ${JSON.stringify(name)}`, '        run: |', ...group.commands.map(git));
+    }
+    return lines.join('\n') + '\n';
+}
+
+const RENDERERS = {
+    bash: renderBash,
+    powershell: renderPowerShell,
+    makefile: renderMakefile,
+    github_actions: renderWorkflow
+};
+
+/**
+ * Render one merge script
+ * @param {Object} plan - Merge plan
+ * @param {Object} plan.repository - Merged repository: { name, full_name, clone_url }
+ * @param {Array<Object>} plan.sources - Sources: { name, url, ref, path }
+ * @param {Object} [options] - Script options
+ * @param {string} [options.format=bash] - One of SCRIPT_FORMATS
+ * @param {string} [options.variant=snapshot] - One of SCRIPT_VARIANTS
+ * @returns {string} - Script content
+ * @throws {Error} - If the format or variant is unknown or a value contains control characters
+ */
+function renderMergeScript(plan, options = {}) {
+    const { format = 'bash', variant = 'snapshot' } = options;
+    if (!RENDERERS[format]) {
+        throw new Error(`Script format must be one of: ${SCRIPT_FORMATS.join(', ')}`);
+    }
+    if (!SCRIPT_VARIANTS.includes(variant)) {
+        throw new Error(`Script variant must be one of: ${SCRIPT_VARIANTS.join(', ')}`);
+    }
+    return RENDERERS[format](plan, variant);
+}
+
+/**
+ * Render every format and variant of the merge scripts
+ * @param {Object} plan - Merge plan (see renderMergeScript)
+ * @returns {Array<Object>} - { format, variant, filename, content }
+ */
+function generateMergeScripts(plan) {
+    return SCRIPT_VARIANTS.flatMap(variant => SCRIPT_FORMATS.map(format => ({
+        format,
+        variant,
+        filename: variant === 'history' ? FILE_NAMES[format].replace('caromar-merge', 'caromar-merge-history') : FILE_NAMES[format],
+        content: renderMergeScript(plan, { format, variant })
+    })));
+}
+
+/**
+ * List the shell commands of a merge, one per line
+ * @param {Object} plan - Merge plan (see renderMergeScript)
+ * @param {string} [variant=snapshot] - One of SCRIPT_VARIANTS
+ * @returns {Array<string>} - bash commands, quoted
+ */
+function buildMergeSteps(plan, variant = 'snapshot') {
+    const git = args => `git ${args.map(quoteShell).join(' ')}`;
+    return [
+        git(['clone', plan.repository.clone_url, plan.repository.name]),
+        `cd ${quoteShell(plan.repository.name)}`,
+        ...buildCommandGroups(plan, variant).flatMap(group => group.commands.map(git))
+    ];
+}
+
+module.exports = {
+    SCRIPT_FORMATS,
+    SCRIPT_VARIANTS,
+    quoteShell,
+    quotePowerShell,
+    quoteMake,
+    quoteWorkflow,
+    renderMergeScript,
+    generateMergeScripts,
+    buildMergeSteps
+};
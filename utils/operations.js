@@ -0,0 +1,1290 @@
+/**
+ * Repository operations shared by API routes and background jobs
+ * Each operation validates its own input so it can be started either from
+ * an HTTP request or from the job subsystem.
+ * @module utils/operations
+ */
+
+const logger = require('./logger');
+const RepositoryAnalytics = require('./analytics');
+const { createGitHubApi } = require('./github-api');
+const { getWebUrl, webUrlOf } = require('./github-hosts');
+const { mergeRepositories } = require('./merge-engine');
+const { snapshotMerge } = require('./snapshot-merge');
+const { copyRepositoryRefs } = require('./repo-copy');
+const { splitRepositoryHistory } = require('./repo-split');
+const { CONFLICT_STRATEGIES, buildMergePlan, findRootFileWarnings, inspectRootFiles } = require('./merge-plan');
+const { previewMergeSources } = require('./merge-preview');
+const { MANIFEST_PATH, lookupLicenses, buildManifest, buildProvenanceFiles, readManifest } = require('./provenance');
+const { OperationJournal, rollbackJournal } = require('./journal');
+const { ARCHIVE_NOTICE_MODES, planArchival, archiveSources, summarizeArchival } = require('./archival');
+const { resyncHistory, resyncSnapshot, summarize: summarizeResync } = require('./resync');
+const { submoduleMerge, bumpSubmodules: bumpSubmodulePins, summarize: summarizeBump } = require('./submodules');
+const { resolveMigrationSources, migrateIssues } = require('./issue-migration');
+const { DEFAULT_MAX_ASSET_BYTES, MAX_ASSET_BYTES, copyReleases } = require('./releases');
+const { generateMergeScripts, buildMergeSteps } = require('./merge-scripts');
+const { MAX_GLOB_PATTERNS, isValidGlobList } = require('./glob');
+const { isGitAvailable } = require('./git');
+const { parseReadinessOptions } = require('./fork-readiness');
+const {
+    isValidGitHubUsername,
+    isValidRepositoryName,
+    sanitizeString,
+    isValidCloneUrl,
+    isValidRefName,
+    isValidRepoPath
+} = require('./validation');
+
+// Supported modes for merged repositories
+const MERGE_MODES = ['history', 'snapshot', 'submodules', 'instructions'];
+
+// Maximum number of repositories per merge
+const MAX_MERGE_REPOSITORIES = 50;
+
+// Maximum number of repositories per bulk fork or fork sync
+const MAX_BULK_FORK_REPOSITORIES = 100;
+
+// Visibilities a copied repository can be created with
+const COPY_VISIBILITIES = ['private', 'public', 'internal'];
+
+// Maximum number of repositories per copy job
+const MAX_COPY_REPOSITORIES = 20;
+
+/**
+ * Error raised when an operation's input is invalid
+ */
+class OperationError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {number} [status=400] - HTTP status code to respond with
+     * @param {string|Object} [details] - Additional details
+     */
+    constructor(message, status = 400, details) {
+        super(message);
+        this.name = 'OperationError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+/**
+ * Validate and normalize a fork request
+ * @param {Object} input - { owner, repo, organization }
+ * @returns {Object} - Normalized request
+ * @throws {OperationError} - If the input is invalid
+ */
+function validateForkRequest(input = {}) {
+    const owner = sanitizeString(input.owner);
+    const repo = sanitizeString(input.repo);
+
+    if (!owner || !isValidGitHubUsername(owner)) {
+        throw new OperationError('Valid owner is required');
+    }
+
+    if (!repo || !isValidRepositoryName(repo)) {
+        throw new OperationError('Valid repository name is required');
+    }
+
+    let organization;
+    if (input.organization) {
+        organization = sanitizeString(input.organization);
+        if (!isValidGitHubUsername(organization)) {
+            throw new OperationError('Valid organization name is required');
+        }
+    }
+
+    return { owner, repo, organization };
+}
+
+/**
+ * Split a list of "owner/repo" strings or { owner, repo } objects
+ * @param {Array<string|Object>} repositories - Repository list
+ * @param {string} verb - Operation name used in error messages
+ * @returns {Array<Object>} - Entries with raw owner, repo and the original entry
+ * @throws {OperationError} - If the list is empty or too long
+ */
+function splitRepositoryList(repositories, verb) {
+    if (!Array.isArray(repositories) || repositories.length === 0) {
+        throw new OperationError('At least one repository is required');
+    }
+    if (repositories.length > MAX_BULK_FORK_REPOSITORIES) {
+        throw new OperationError(`Maximum ${MAX_BULK_FORK_REPOSITORIES} repositories can be ${verb} at once`);
+    }
+    return repositories.map(entry => {
+        const [owner, repo] = typeof entry === 'string' ? entry.split('/') : [entry?.owner, entry?.repo];
+        return { owner, repo, entry };
+    });
+}
+
+/**
+ * Validate and normalize a bulk fork request
+ * @param {Object} input - { repositories: Array<string|{owner, repo}>, organization, wait_for_ready, ready_timeout }
+ * @returns {Object} - { repositories: Array of validated fork requests, readiness }
+ * @throws {OperationError} - If the input is invalid
+ */
+function validateBulkForkRequest(input = {}) {
+    const { organization } = input;
+
+    const seen = new Set();
+    const requests = [];
+    for (const { owner, repo } of splitRepositoryList(input.repositories, 'forked')) {
+        const request = validateForkRequest({ owner, repo, organization });
+        const key = `${request.owner}/${request.repo}`.toLowerCase();
+        if (!seen.has(key)) {
+            seen.add(key);
+            requests.push(request);
+        }
+    }
+
+    return { repositories: requests, readiness: parseReadinessOptions(input) };
+}
+
+/**
+ * Validate and normalize a fork sync request
+ * A branch given on an entry ({ owner, repo, branch }) overrides the
+ * request-wide branch; without either, each fork's default branch is synced.
+ * @param {Object} input - { repositories: Array<string|{owner, repo, branch}>, branch, open_pull_request }
+ * @returns {Object} - { repositories: Array<{owner, repo, branch}>, open_pull_request }
+ * @throws {OperationError} - If the input is invalid
+ */
+function validateSyncForksRequest(input = {}) {
+    const seen = new Set();
+    const requests = [];
+
+    for (const { owner, repo, entry } of splitRepositoryList(input.repositories, 'synced')) {
+        const { owner: validOwner, repo: validRepo } = validateForkRequest({ owner, repo });
+        const branch = sanitizeString(entry?.branch || input.branch) || null;
+        if (branch && !isValidRefName(branch)) {
+            throw new OperationError(`Invalid branch name for ${validOwner}/${validRepo}`);
+        }
+        const key = `${validOwner}/${validRepo}@${branch || ''}`.toLowerCase();
+        if (!seen.has(key)) {
+            seen.add(key);
+            requests.push({ owner: validOwner, repo: validRepo, branch });
+        }
+    }
+
+    return {
+        repositories: requests,
+        open_pull_request: input.open_pull_request === true || input.open_pull_request === 'true'
+    };
+}
+
+/**
+ * Fork a repository
+ * @param {Object} api - GitHub API client
+ * @param {Object} request - Validated fork request: { owner, repo, organization }
+ * @returns {Promise<Object>} - Fork information
+ */
+async function forkRepository(api, { owner, repo, organization }) {
+    logger.info('Forking repository', { owner, repo, organization });
+
+    const response = await api.post(`/repos/${owner}/${repo}/forks`, organization ? { organization } : {});
+
+    logger.info('Repository forked successfully', { full_name: response.data.full_name });
+
+    return {
+        fork_url: response.data.html_url,
+        clone_url: response.data.clone_url,
+        ssh_url: response.data.ssh_url,
+        full_name: response.data.full_name
+    };
+}
+
+/**
+ * Validate the per-source merge spec of a repository
+ * Besides identifying the repository, each source may choose what is
+ * merged (`ref`, `include`, `exclude`) and where it goes (`target_path`).
+ * @param {Object} repo - Repository entry of a merge or merge plan request
+ * @returns {Object} - Repository entry with normalized spec fields
+ * @throws {OperationError} - If the entry or its spec is invalid
+ */
+function validateMergeSource(repo) {
+    if (!repo || !isValidRepositoryName(repo.name)) {
+        throw new OperationError('Every repository needs a valid name');
+    }
+
+    // full_name ends up in API paths (/repos/{full_name}/...), so it must be exactly owner/repo
+    if (repo.full_name !== undefined && repo.full_name !== null && repo.full_name !== '') {
+        const parts = typeof repo.full_name === 'string' ? repo.full_name.split('/') : [];
+        if (parts.length !== 2 || !isValidGitHubUsername(parts[0]) || !isValidRepositoryName(parts[1])) {
+            throw new OperationError(`Invalid full_name for ${repo.name}`, 400, 'full_name must be "owner/repo"');
+        }
+    }
+
+    const source = { ...repo };
+    if (repo.ref !== undefined && repo.ref !== null && repo.ref !== '') {
+        if (!isValidRefName(repo.ref)) {
+            throw new OperationError(`Invalid ref for ${repo.name}`, 400, 'ref must be a branch, tag or commit SHA');
+        }
+    } else {
+        delete source.ref;
+    }
+
+    if (repo.target_path !== undefined && repo.target_path !== null && repo.target_path !== '') {
+        if (typeof repo.target_path !== 'string') {
+            throw new OperationError(`Invalid target_path for ${repo.name}`);
+        }
+        // Invalid folders are reported as plan conflicts
+        source.target_path = repo.target_path.trim().replace(/\/+$/, '');
+    } else {
+        delete source.target_path;
+    }
+
+    if (repo.archive !== undefined && typeof repo.archive !== 'boolean') {
+        throw new OperationError(`Invalid archive option for ${repo.name}`, 400, 'archive must be true or false');
+    }
+
+    for (const field of ['include', 'exclude']) {
+        if (repo[field] === undefined || repo[field] === null) {
+            delete source[field];
+        } else if (!isValidGlobList(repo[field])) {
+            throw new OperationError(
+                `Invalid ${field} patterns for ${repo.name}`,
+                400,
+                `${field} must be a list of at most ${MAX_GLOB_PATTERNS} glob patterns`
+            );
+        }
+    }
+
+    return source;
+}
+
+/**
+ * Build the merge plan for a request and reject plans with unresolved conflicts
+ * @param {Array<Object>} repositories - Validated merge sources (see validateMergeSource)
+ * @param {Object} input - { conflict_strategy, renames }
+ * @param {Object} [planOptions] - Extra options for buildMergePlan (e.g. rootFiles)
+ * @returns {Object} - { plan, sources }: the merge plan (see utils/merge-plan) and the sources with their planned `path`
+ * @throws {OperationError} - If the options are invalid or conflicts remain
+ */
+function validateMergePlanOptions(repositories, input, planOptions = {}) {
+    const strategy = input.conflict_strategy || 'owner-prefix';
+    if (!CONFLICT_STRATEGIES.includes(strategy)) {
+        throw new OperationError(`Conflict strategy must be one of: ${CONFLICT_STRATEGIES.join(', ')}`);
+    }
+
+    const renames = input.renames || {};
+    if (typeof renames !== 'object' || Array.isArray(renames)) {
+        throw new OperationError('renames must map repositories to folder names');
+    }
+
+    const plan = buildMergePlan(repositories, { strategy, renames, ...planOptions });
+    if (planOptions.allowUnresolved !== true && !plan.resolved) {
+        throw new OperationError(
+            'The merge plan has unresolved folder conflicts',
+            409,
+            plan.conflicts.filter(conflict => !conflict.resolved)
+        );
+    }
+    return { plan, sources: repositories.map((repo, index) => ({ ...repo, path: plan.sources[index].path })) };
+}
+
+/**
+ * Validate the sources of a merge plan request and plan them
+ * @param {Object} input - { repositories, conflict_strategy, renames }
+ * @param {Object} [options] - { rootFiles } found by inspectRootFiles
+ * @returns {Object} - { plan, sources } (see validateMergePlanOptions)
+ * @throws {OperationError} - If the input is invalid
+ */
+function planMergeSources(input, options = {}) {
+    const { repositories } = input;
+    if (!Array.isArray(repositories) || repositories.length === 0) {
+        throw new OperationError('At least one repository is required');
+    }
+    if (repositories.length > MAX_MERGE_REPOSITORIES) {
+        throw new OperationError(`Maximum ${MAX_MERGE_REPOSITORIES} repositories can be merged at once`);
+    }
+    return validateMergePlanOptions(repositories.map(validateMergeSource), input, { ...options, allowUnresolved: true });
+}
+
+/**
+ * Validate a merge plan request and build the plan
+ * Unlike a merge request, a plan with unresolved conflicts is returned
+ * rather than rejected, so it can be shown to the user.
+ * @param {Object} input - { repositories, conflict_strategy, renames }
+ * @param {Object} [options] - { rootFiles } found by inspectRootFiles
+ * @returns {Object} - Merge plan
+ * @throws {OperationError} - If the input is invalid
+ */
+function planMerge(input = {}, options = {}) {
+    return planMergeSources(input, options).plan;
+}
+
+/**
+ * Dry-run a merge: plan the folders and walk every source's tree
+ * Nothing is created on GitHub. With `archive_sources` the preview also
+ * lists which sources would be archived and the banner each would get.
+ * @param {Object} input - { repositories, conflict_strategy, renames, name, organization, archive_sources, archive_notice }
+ * @param {Object} options - Execution options
+ * @param {Object} options.api - GitHub API client
+ * @returns {Promise<Object>} - { plan, sources, totals, archival } (see utils/merge-preview and utils/archival)
+ * @throws {OperationError} - If the input is invalid
+ */
+async function previewMerge(input, { api }) {
+    const { plan, sources } = planMergeSources(input);
+    if (input.archive_notice !== undefined && !ARCHIVE_NOTICE_MODES.includes(input.archive_notice)) {
+        throw new OperationError(`archive_notice must be one of: ${ARCHIVE_NOTICE_MODES.join(', ')}`);
+    }
+    plan.warnings = findRootFileWarnings(plan.sources, await inspectRootFiles(api, sources));
+
+    const preview = { plan, ...await previewMergeSources(api, sources) };
+    if (input.archive_sources === true) {
+        if (input.organization && !isValidGitHubUsername(input.organization)) {
+            throw new OperationError('Valid organization name is required');
+        }
+        const owner = input.organization || (await api.get('/user')).data.login;
+        const name = sanitizeString(input.name) || 'merged-repository';
+        const merged = { full_name: `${owner}/${name}`, html_url: `${webUrlOf(api)}/${owner}/${name}`, branch: 'main' };
+        const archival = await planArchival(api, sources, merged, { notice: input.archive_notice });
+        preview.archival = { sources: archival, summary: summarizeArchival(archival) };
+    }
+    return preview;
+}
+
+/**
+ * Validate which release assets a merge copies
+ * @param {boolean|Object} [value] - true, or { include, exclude, max_bytes }
+ * @param {boolean} releases - Whether the merge copies releases
+ * @returns {Object|null} - { include, exclude, max_bytes }, or null to leave assets behind
+ * @throws {OperationError} - If the option is invalid
+ */
+function validateReleaseAssets(value, releases) {
+    if (value === undefined || value === null || value === false) {
+        return null;
+    }
+    if (!releases) {
+        throw new OperationError('Release assets can only be copied together with releases');
+    }
+
+    const config = value === true ? {} : value;
+    if (typeof config !== 'object' || Array.isArray(config)) {
+        throw new OperationError('release_assets must be true or an object with include, exclude and max_bytes');
+    }
+    for (const field of ['include', 'exclude']) {
+        if (config[field] !== undefined && !isValidGlobList(config[field])) {
+            throw new OperationError(
+                `Invalid release asset ${field} patterns`,
+                400,
+                `${field} must be a list of at most ${MAX_GLOB_PATTERNS} glob patterns`
+            );
+        }
+    }
+    const maxBytes = config.max_bytes === undefined ? DEFAULT_MAX_ASSET_BYTES : config.max_bytes;
+    if (!Number.isInteger(maxBytes) || maxBytes <= 0 || maxBytes > MAX_ASSET_BYTES) {
+        throw new OperationError(`release_assets.max_bytes must be a whole number of bytes up to ${MAX_ASSET_BYTES}`);
+    }
+
+    return { include: config.include || [], exclude: config.exclude || [], max_bytes: maxBytes };
+}
+
+/**
+ * Validate and normalize a merge request
+ * @param {Object} input - Request body of /api/create-merged-repo
+ * @param {Object} [options] - Validation options
+ * @param {string} [options.apiUrl] - GitHub API base URL of the request; clone URLs must be on its server
+ * @returns {Promise<Object>} - Normalized request with the resolved mode
+ * @throws {OperationError} - If the input is invalid
+ */
+async function validateMergeRequest(input = {}, options = {}) {
+    const { repositories } = input;
+    const { apiUrl } = options;
+    const name = sanitizeString(input.name);
+
+    if (!name || !isValidRepositoryName(name)) {
+        throw new OperationError('Valid repository name is required');
+    }
+
+    if (!repositories || !Array.isArray(repositories) || repositories.length === 0) {
+        throw new OperationError('At least one repository is required');
+    }
+
+    if (repositories.length > MAX_MERGE_REPOSITORIES) {
+        throw new OperationError(`Maximum ${MAX_MERGE_REPOSITORIES} repositories can be merged at once`);
+    }
+
+    const gitAvailable = await isGitAvailable();
+    const mode = input.mode || (gitAvailable ? 'history' : 'snapshot');
+    if (!MERGE_MODES.includes(mode)) {
+        throw new OperationError(`Merge mode must be one of: ${MERGE_MODES.join(', ')}`);
+    }
+
+    const allowFile = process.env.CAROMAR_ALLOW_FILE_REMOTES === 'true';
+    const sources = repositories.map(validateMergeSource);
+    for (const repo of sources) {
+        if (mode === 'history' && !isValidCloneUrl(repo.clone_url, { allowFile, apiUrl })) {
+            throw new OperationError(`Invalid clone URL for ${repo.name}`);
+        }
+        if (mode === 'snapshot' || mode === 'submodules') {
+            const [owner, repoName] = (repo.full_name || '').split('/');
+            if (!isValidGitHubUsername(owner) || !isValidRepositoryName(repoName)) {
+                throw new OperationError(`Invalid full_name for ${repo.name}`);
+            }
+        }
+        if ((mode === 'instructions' || mode === 'submodules') && (repo.include || repo.exclude)) {
+            throw new OperationError(`include and exclude patterns are not supported in ${mode} mode (${repo.name})`);
+        }
+        // Instructions end up in scripts the user runs and submodule URLs in .gitmodules, so they are checked too
+        if (mode === 'instructions' || mode === 'submodules') {
+            repo.clone_url = repo.clone_url || `${getWebUrl(apiUrl)}/${repo.full_name}.git`;
+            if (!isValidCloneUrl(repo.clone_url, { apiUrl })) {
+                throw new OperationError(`Invalid clone URL for ${repo.name}`);
+            }
+        }
+    }
+
+    const archiveNotice = input.archive_notice || 'commit';
+    if (!ARCHIVE_NOTICE_MODES.includes(archiveNotice)) {
+        throw new OperationError(`archive_notice must be one of: ${ARCHIVE_NOTICE_MODES.join(', ')}`);
+    }
+    // Submodules keep pointing at their sources, so those stay active
+    if (input.archive_sources === true && (mode === 'instructions' || mode === 'submodules')) {
+        throw new OperationError('Sources can only be archived by history and snapshot merges');
+    }
+
+    // Releases live on tags, so copying releases also recreates the tags
+    const withReleases = input.releases === true;
+    const withTags = input.tags === true || withReleases;
+    if (withTags && mode !== 'history') {
+        throw new OperationError('Tags and releases can only be carried over by history merges');
+    }
+    const releaseAssets = validateReleaseAssets(input.release_assets, withReleases);
+
+    const migrateIssuesAfter = input.migrate_issues === true;
+    if (migrateIssuesAfter && mode === 'instructions') {
+        throw new OperationError('Issues can only be migrated by merges that run on the server');
+    }
+
+    if (mode === 'history' && !gitAvailable) {
+        throw new OperationError(
+            'History-preserving merges require git on the server',
+            501,
+            'Use mode "snapshot" on deployments without a git binary'
+        );
+    }
+
+    let organization;
+    if (input.organization) {
+        organization = sanitizeString(input.organization);
+        if (!isValidGitHubUsername(organization)) {
+            throw new OperationError('Valid organization name is required');
+        }
+    }
+
+    const { plan, sources: planned } = validateMergePlanOptions(sources, input);
+
+    return {
+        name,
+        description: sanitizeString(input.description),
+        organization,
+        rollback_on_failure: input.rollback_on_failure !== false,
+        archive_sources: input.archive_sources === true,
+        archive_notice: archiveNotice,
+        tags: withTags,
+        releases: withReleases,
+        release_assets: releaseAssets,
+        migrate_issues: migrateIssuesAfter,
+        include_closed_issues: migrateIssuesAfter && input.include_closed_issues === true,
+        repositories: planned,
+        private: input.private === true,
+        mode,
+        conflict_strategy: plan.strategy
+    };
+}
+
+/**
+ * Record the branch update made by a merge or resync engine
+ * @param {OperationJournal} journal - Journal of the operation
+ * @param {string} fullName - Repository the branch belongs to
+ * @param {Object} result - Engine result: { branch, commit, previous_commit, pushed }
+ * @returns {void}
+ */
+function recordPush(journal, fullName, result) {
+    if (result.pushed) {
+        journal.record('ref_updated', {
+            full_name: fullName,
+            ref: `heads/${result.branch}`,
+            previous_sha: result.previous_commit || null,
+            sha: result.commit
+        });
+    }
+}
+
+/**
+ * Create a repository and merge the requested repositories into it
+ * The repository is created in `request.organization` when one is given,
+ * otherwise in the account that owns the token. History and snapshot
+ * merges also write a `caromar.json` provenance manifest and a README
+ * listing the imported projects (see utils/provenance).
+ *
+ * Every side effect is recorded in a journal (see utils/journal) that is
+ * returned as `journal`. If merging fails after the repository was created,
+ * the thrown error carries the created repository in `error.repository` and
+ * the journal in `error.journal`; unless `request.rollback_on_failure` is
+ * false the steps are undone first and reported in `error.rollback`.
+ *
+ * With `request.archive_sources`, every source that did not opt out
+ * (`archive: false`) gets a "moved to" README banner and is archived after
+ * the merge (see utils/archival); the outcome per source is in `archival`.
+ *
+ * History merges with `request.tags` recreate each source's tags under its
+ * folder (`api/v1.2.0`); with `request.releases` the sources' releases are
+ * recreated on those tags (see utils/releases) and reported in `releases`.
+ *
+ * With `request.migrate_issues`, the issues, labels and milestones of every
+ * source with a full_name are copied once the merge succeeded, namespaced with
+ * the source's folder (see utils/issue-migration), and reported in `issues`.
+ *
+ * Submodules merges reference each source as a submodule pinned to the
+ * commit its ref points at instead of copying it (see utils/submodules).
+ *
+ * Instructions merges only create the repository and return the commands
+ * to merge locally, plus ready-to-run scripts (see utils/merge-scripts).
+ * @param {Object} request - Validated merge request (see validateMergeRequest)
+ * @param {Object} options - Execution options
+ * @param {string} options.token - GitHub Personal Access Token
+ * @param {Object} [options.api] - GitHub API client (defaults to one for the token)
+ * @param {string} [options.apiUrl] - GitHub API base URL for that client (see utils/github-hosts)
+ * @returns {Promise<Object>} - Created repository and merge result or instructions
+ */
+async function createMergedRepository(request, options) {
+    const { name, repositories, mode } = request;
+    const { token } = options;
+    const api = options.api || createGitHubApi(token, { baseURL: options.apiUrl });
+    const description = request.description || `Merged repository containing: ${repositories.map(r => r.name).join(', ')}`;
+
+    logger.info('Creating merged repository', { name, organization: request.organization, repoCount: repositories.length, mode });
+
+    const journal = new OperationJournal();
+    // History merges push the first commit themselves: an initial commit GitHub
+    // has not made visible yet would make their push a rejected non-fast-forward.
+    // The Git Data API used by the other modes needs a commit to build on.
+    const createRepoResponse = await api.post(request.organization ? `/orgs/${request.organization}/repos` : '/user/repos', {
+        name,
+        description,
+        private: request.private,
+        auto_init: mode !== 'history'
+    });
+
+    const newRepo = createRepoResponse.data;
+    const branch = newRepo.default_branch || 'main';
+    journal.record('repository_created', { full_name: newRepo.full_name });
+
+    logger.info('Merged repository created successfully', { full_name: newRepo.full_name });
+
+    const repository = {
+        name: newRepo.name,
+        full_name: newRepo.full_name,
+        html_url: newRepo.html_url,
+        clone_url: newRepo.clone_url,
+        ssh_url: newRepo.ssh_url
+    };
+
+    // Sources are only retired once their content is safely in the merged repository
+    const retireSources = () => (request.archive_sources
+        ? archiveSources(api, repositories, { full_name: newRepo.full_name, html_url: newRepo.html_url, branch }, {
+            notice: request.archive_notice,
+            journal
+        })
+        : null);
+
+    // Issues are copied before sources are archived, as archived trackers cannot take the cross-reference comments
+    const copyIssues = () => (request.migrate_issues
+        ? migrateIssues(api, repositories
+            .filter(repo => repo.full_name)
+            .map(repo => {
+                const [owner, repoName] = repo.full_name.split('/');
+                return { owner, repo: repoName, full_name: repo.full_name, prefix: repo.path.split('/').pop() };
+            }), { full_name: newRepo.full_name, html_url: newRepo.html_url }, { includeClosed: request.include_closed_issues })
+        : null);
+
+    // The manifest needs the SHA each source was merged at, so the engines build it
+    let manifest = null;
+    const provenance = () => ({
+        path: MANIFEST_PATH,
+        html_url: `${newRepo.html_url}/blob/${branch}/${MANIFEST_PATH}`,
+        manifest
+    });
+
+    try {
+        const licenses = mode === 'instructions' ? {} : await lookupLicenses(api, repositories);
+        const files = (imported) => {
+            manifest = buildManifest({ mode, repositories, imported, licenses });
+            return buildProvenanceFiles(manifest, { name: newRepo.name, description, web_url: webUrlOf(api) });
+        };
+
+        if (mode === 'history') {
+            const merge = await mergeRepositories({
+                sources: repositories.map(repo => ({
+                    name: repo.full_name || repo.name,
+                    url: repo.clone_url,
+                    ref: repo.ref || repo.default_branch,
+                    path: repo.path,
+                    include: repo.include,
+                    exclude: repo.exclude
+                })),
+                target: {
+                    url: newRepo.clone_url,
+                    branch
+                },
+                token,
+                files,
+                tags: request.tags
+            });
+
+            recordPush(journal, newRepo.full_name, merge);
+            logger.info('Repositories merged with history', { full_name: newRepo.full_name, commit: merge.commit });
+
+            const releases = request.releases
+                ? await copyReleases(api, repositories
+                    .map((repo, index) => ({ full_name: repo.full_name, path: repo.path, tags: merge.sources[index].tags }))
+                    .filter(source => source.full_name), newRepo.full_name, { assets: request.release_assets })
+                : null;
+
+            return {
+                repository,
+                message: `Merged ${merge.sources.length} repositories with full history`,
+                merge: { mode, ...merge },
+                provenance: provenance(),
+                releases,
+                issues: await copyIssues(),
+                archival: await retireSources(),
+                journal: journal.entries
+            };
+        }
+
+        if (mode === 'snapshot') {
+            const merge = await snapshotMerge({
+                api,
+                sources: repositories.map(repo => {
+                    const [owner, repoName] = repo.full_name.split('/');
+                    return {
+                        owner,
+                        repo: repoName,
+                        ref: repo.ref || repo.default_branch,
+                        path: repo.path,
+                        include: repo.include,
+                        exclude: repo.exclude
+                    };
+                }),
+                target: {
+                    owner: newRepo.owner.login,
+                    repo: newRepo.name,
+                    branch
+                },
+                files
+            });
+
+            recordPush(journal, newRepo.full_name, merge);
+            logger.info('Repositories merged as snapshot', { full_name: newRepo.full_name, commit: merge.commit });
+
+            return {
+                repository,
+                message: `Merged ${merge.sources.length} repositories as a single snapshot commit`,
+                merge: { mode, ...merge },
+                provenance: provenance(),
+                issues: await copyIssues(),
+                archival: await retireSources(),
+                journal: journal.entries
+            };
+        }
+
+        if (mode === 'submodules') {
+            const merge = await submoduleMerge({
+                api,
+                sources: repositories.map(repo => {
+                    const [owner, repoName] = repo.full_name.split('/');
+                    return {
+                        owner,
+                        repo: repoName,
+                        url: repo.clone_url,
+                        ref: repo.ref || repo.default_branch,
+                        path: repo.path
+                    };
+                }),
+                target: {
+                    owner: newRepo.owner.login,
+                    repo: newRepo.name,
+                    branch
+                },
+                files
+            });
+
+            recordPush(journal, newRepo.full_name, merge);
+            logger.info('Repositories added as submodules', { full_name: newRepo.full_name, commit: merge.commit });
+
+            return {
+                repository,
+                message: `Added ${merge.sources.length} repositories as submodules`,
+                merge: { mode, ...merge },
+                provenance: provenance(),
+                issues: await copyIssues(),
+                journal: journal.entries
+            };
+        }
+    } catch (error) {
+        error.repository = { full_name: newRepo.full_name, html_url: newRepo.html_url };
+        error.journal = journal.entries;
+        if (request.rollback_on_failure !== false) {
+            error.rollback = await rollbackJournal(api, journal.entries);
+            logger.info('Failed merge rolled back', { full_name: newRepo.full_name, ...error.rollback.summary });
+        }
+        throw error;
+    }
+
+    // Return the created repository info and scripts for a manual merge
+    const scriptPlan = {
+        repository: { name: newRepo.name, full_name: newRepo.full_name, clone_url: newRepo.clone_url },
+        sources: repositories.map(repo => ({
+            name: repo.full_name || repo.name,
+            url: repo.clone_url,
+            ref: repo.ref || repo.default_branch,
+            path: repo.path
+        }))
+    };
+    return {
+        repository,
+        message: 'Repository created successfully',
+        journal: journal.entries,
+        merge_instructions: {
+            repositories: repositories,
+            note: 'These commands are for manual execution. Always review repository names and URLs before running commands.',
+            steps: buildMergeSteps(scriptPlan),
+            scripts: generateMergeScripts(scriptPlan)
+        }
+    };
+}
+
+/**
+ * Validate and normalize a repository copy request
+ * @param {Object} input - { source: "owner/repo", name, description, organization, visibility }
+ * @returns {Promise<Object>} - Normalized request
+ * @throws {OperationError} - If the input is invalid or git is unavailable
+ */
+async function validateCopyRequest(input = {}) {
+    const [sourceOwner, sourceRepo] = typeof input.source === 'string' ? input.source.split('/') : [];
+    const { owner, repo, organization } = validateForkRequest({
+        owner: sourceOwner,
+        repo: sourceRepo,
+        organization: input.organization
+    });
+
+    const name = sanitizeString(input.name) || repo;
+    if (!isValidRepositoryName(name)) {
+        throw new OperationError('Valid repository name is required');
+    }
+
+    const visibility = input.visibility || 'private';
+    if (!COPY_VISIBILITIES.includes(visibility)) {
+        throw new OperationError(`Visibility must be one of: ${COPY_VISIBILITIES.join(', ')}`);
+    }
+    if (visibility === 'internal' && !organization) {
+        throw new OperationError('Internal visibility is only available for organization repositories');
+    }
+
+    if (!await isGitAvailable()) {
+        throw new OperationError('Copying repositories requires git on the server', 501);
+    }
+
+    return {
+        owner,
+        repo,
+        name,
+        description: sanitizeString(input.description),
+        organization,
+        visibility
+    };
+}
+
+/**
+ * Validate and normalize a request to copy several repositories
+ * Each copy keeps its source name, with an optional suffix.
+ * @param {Object} input - { repositories: Array<string>, organization, visibility, name_suffix }
+ * @returns {Promise<Object>} - { repositories: Array of validated copy requests }
+ * @throws {OperationError} - If the input is invalid
+ */
+async function validateBulkCopyRequest(input = {}) {
+    const { repositories } = input;
+    if (!Array.isArray(repositories) || repositories.length === 0) {
+        throw new OperationError('At least one repository is required');
+    }
+    if (repositories.length > MAX_COPY_REPOSITORIES) {
+        throw new OperationError(`Maximum ${MAX_COPY_REPOSITORIES} repositories can be copied at once`);
+    }
+
+    const suffix = sanitizeString(input.name_suffix);
+    const names = new Set();
+    const requests = [];
+    for (const source of repositories) {
+        const request = await validateCopyRequest({
+            source,
+            name: typeof source === 'string' ? `${source.split('/')[1] || ''}${suffix}` : undefined,
+            organization: input.organization,
+            visibility: input.visibility
+        });
+        if (names.has(request.name.toLowerCase())) {
+            throw new OperationError(`More than one copy would be named ${request.name}`);
+        }
+        names.add(request.name.toLowerCase());
+        requests.push(request);
+    }
+
+    return { repositories: requests };
+}
+
+/**
+ * Create a new repository and copy every branch and tag of the source into it
+ * Unlike a fork, the copy has no fork relationship with its source. If
+ * copying fails after the repository was created, the thrown error carries
+ * the created repository in `error.repository`.
+ * @param {Object} request - Validated copy request (see validateCopyRequest)
+ * @param {Object} options - Execution options
+ * @param {string} options.token - GitHub Personal Access Token
+ * @param {Object} [options.api] - GitHub API client (defaults to one for the token)
+ * @param {string} [options.apiUrl] - GitHub API base URL for that client (see utils/github-hosts)
+ * @returns {Promise<Object>} - Created repository and copy summary
+ */
+async function copyRepository(request, options) {
+    const { owner, repo, name, description, organization, visibility } = request;
+    const { token } = options;
+    const api = options.api || createGitHubApi(token, { baseURL: options.apiUrl });
+
+    logger.info('Copying repository', { source: `${owner}/${repo}`, name, organization, visibility });
+
+    const { data: source } = await api.get(`/repos/${owner}/${repo}`);
+    const allowFile = process.env.CAROMAR_ALLOW_FILE_REMOTES === 'true';
+    if (!isValidCloneUrl(source.clone_url, { allowFile, apiUrl: options.apiUrl })) {
+        throw new OperationError(`Unsupported clone URL for ${owner}/${repo}`, 422);
+    }
+
+    const createRepoResponse = await api.post(organization ? `/orgs/${organization}/repos` : '/user/repos', {
+        name,
+        description: description || source.description || `Copy of ${source.full_name}`,
+        private: visibility !== 'public',
+        ...(organization ? { visibility } : {}),
+        auto_init: false
+    });
+    const newRepo = createRepoResponse.data;
+
+    logger.info('Copy target repository created', { full_name: newRepo.full_name });
+
+    try {
+        const copy = await copyRepositoryRefs({
+            sourceUrl: source.clone_url,
+            targetUrl: newRepo.clone_url,
+            token
+        });
+
+        if (copy.default_branch !== newRepo.default_branch) {
+            await api.patch(`/repos/${newRepo.full_name}`, { default_branch: copy.default_branch });
+        }
+
+        logger.info('Repository copied', { full_name: newRepo.full_name, branches: copy.branches.length, tags: copy.tags.length });
+
+        return {
+            repository: {
+                name: newRepo.name,
+                full_name: newRepo.full_name,
+                html_url: newRepo.html_url,
+                clone_url: newRepo.clone_url,
+                ssh_url: newRepo.ssh_url,
+                visibility
+            },
+            message: `Copied ${copy.branches.length} branch${copy.branches.length === 1 ? '' : 'es'} and ` +
+                `${copy.tags.length} tag${copy.tags.length === 1 ? '' : 's'} from ${source.full_name}`,
+            copy: {
+                source: source.full_name,
+                default_branch: copy.default_branch,
+                branches: copy.branches,
+                tags: copy.tags
+            }
+        };
+    } catch (error) {
+        error.repository = { full_name: newRepo.full_name, html_url: newRepo.html_url };
+        throw error;
+    }
+}
+
+/**
+ * Validate and normalize a split request
+ * @param {Object} input - { source: "owner/repo", path, ref, name, description, organization, private, rollback_on_failure }
+ * @returns {Promise<Object>} - Normalized request; the name defaults to the folder's last segment
+ * @throws {OperationError} - If the input is invalid or git is unavailable
+ */
+async function validateSplitRequest(input = {}) {
+    const [sourceOwner, sourceRepo] = typeof input.source === 'string' ? input.source.split('/') : [];
+    const { owner, repo, organization } = validateForkRequest({
+        owner: sourceOwner,
+        repo: sourceRepo,
+        organization: input.organization
+    });
+
+    const path = typeof input.path === 'string' ? input.path.trim().replace(/^\/+|\/+$/g, '') : '';
+    if (!path || !isValidRepoPath(path) || path.split('/').some(segment => segment === '' || segment === '.')) {
+        throw new OperationError('A valid folder of the repository is required', 400, 'path must be a relative folder such as "services/api"');
+    }
+
+    let ref;
+    if (input.ref !== undefined && input.ref !== null && input.ref !== '') {
+        if (!isValidRefName(input.ref)) {
+            throw new OperationError('Invalid ref', 400, 'ref must be a branch, tag or commit SHA');
+        }
+        ref = input.ref;
+    }
+
+    const name = sanitizeString(input.name) || path.split('/').pop();
+    if (!isValidRepositoryName(name)) {
+        throw new OperationError('Valid repository name is required');
+    }
+
+    if (!await isGitAvailable()) {
+        throw new OperationError('Splitting repositories requires git on the server', 501);
+    }
+
+    return {
+        owner,
+        repo,
+        path,
+        ref,
+        name,
+        description: sanitizeString(input.description),
+        organization,
+        private: input.private === true,
+        rollback_on_failure: input.rollback_on_failure !== false
+    };
+}
+
+/**
+ * Create a repository from one folder of another, keeping the folder's history
+ * The folder becomes the root of the new repository and only the commits
+ * that touched it are kept (see utils/repo-split). The result is reported
+ * like a merge: `split` has the same shape as a merge's `merge`, and side
+ * effects are journaled and rolled back on failure the same way (see
+ * createMergedRepository).
+ * @param {Object} request - Validated split request (see validateSplitRequest)
+ * @param {Object} options - Execution options
+ * @param {string} options.token - GitHub Personal Access Token
+ * @param {Object} [options.api] - GitHub API client (defaults to one for the token)
+ * @param {string} [options.apiUrl] - GitHub API base URL for that client (see utils/github-hosts)
+ * @returns {Promise<Object>} - { repository, message, split, journal }
+ */
+async function splitRepository(request, options) {
+    const { owner, repo, path, name, organization } = request;
+    const { token } = options;
+    const api = options.api || createGitHubApi(token, { baseURL: options.apiUrl });
+
+    logger.info('Splitting repository', { source: `${owner}/${repo}`, path, name, organization });
+
+    const { data: source } = await api.get(`/repos/${owner}/${repo}`);
+    const allowFile = process.env.CAROMAR_ALLOW_FILE_REMOTES === 'true';
+    if (!isValidCloneUrl(source.clone_url, { allowFile, apiUrl: options.apiUrl })) {
+        throw new OperationError(`Unsupported clone URL for ${owner}/${repo}`, 422);
+    }
+    const ref = request.ref || source.default_branch;
+
+    // Refuse folders that do not exist before anything is created
+    try {
+        const { data } = await api.get(`/repos/${owner}/${repo}/contents/${path}`, { params: { ref } });
+        if (!Array.isArray(data)) {
+            throw new OperationError(`${path} is not a folder of ${source.full_name}`, 422);
+        }
+    } catch (error) {
+        if (error.response?.status === 404) {
+            throw new OperationError(`${path} does not exist in ${source.full_name} at ${ref}`, 422);
+        }
+        throw error;
+    }
+
+    const journal = new OperationJournal();
+    const { data: newRepo } = await api.post(organization ? `/orgs/${organization}/repos` : '/user/repos', {
+        name,
+        description: request.description || `${path} split from ${source.full_name}`,
+        private: request.private,
+        auto_init: false
+    });
+    journal.record('repository_created', { full_name: newRepo.full_name });
+
+    logger.info('Split target repository created', { full_name: newRepo.full_name });
+
+    try {
+        const split = await splitRepositoryHistory({
+            source: { name: source.full_name, url: source.clone_url, ref, path },
+            target: { url: newRepo.clone_url, branch: newRepo.default_branch || 'main' },
+            token
+        });
+
+        recordPush(journal, newRepo.full_name, split);
+        logger.info('Repository split', { full_name: newRepo.full_name, commit: split.commit, commits: split.sources[0].commits });
+
+        return {
+            repository: {
+                name: newRepo.name,
+                full_name: newRepo.full_name,
+                html_url: newRepo.html_url,
+                clone_url: newRepo.clone_url,
+                ssh_url: newRepo.ssh_url
+            },
+            message: `Split ${path}/ of ${source.full_name} into a new repository with ${split.sources[0].commits} commits of history`,
+            split: { mode: 'split', ...split },
+            journal: journal.entries
+        };
+    } catch (error) {
+        error.repository = { full_name: newRepo.full_name, html_url: newRepo.html_url };
+        error.journal = journal.entries;
+        if (request.rollback_on_failure !== false) {
+            error.rollback = await rollbackJournal(api, journal.entries);
+            logger.info('Failed split rolled back', { full_name: newRepo.full_name, ...error.rollback.summary });
+        }
+        throw error;
+    }
+}
+
+/**
+ * Validate the repositories and branch an update of existing repositories runs on
+ * @param {Object} input - { repository: "owner/repo" } or { repositories: Array<string|{owner, repo}> }, and an optional branch
+ * @param {string} verb - Past participle used in error messages ("resynced")
+ * @returns {Object} - { repositories: Array<{ owner, repo, branch }> }
+ * @throws {OperationError} - If the input is invalid
+ */
+function validateRepositoryUpdates(input, verb) {
+    const list = input.repository ? [input.repository] : input.repositories;
+    if (input.branch !== undefined && !isValidRefName(input.branch)) {
+        throw new OperationError(`Invalid branch name: ${input.branch}`);
+    }
+
+    const repositories = splitRepositoryList(list, verb).map(({ owner, repo }) => {
+        if (!isValidGitHubUsername(owner) || !isValidRepositoryName(repo)) {
+            throw new OperationError('Repositories must be given as "owner/repo"');
+        }
+        return { owner, repo, branch: input.branch };
+    });
+
+    return { repositories };
+}
+
+/**
+ * Validate and normalize a resync request
+ * @param {Object} input - { repository: "owner/repo" } or { repositories: Array<string|{owner, repo}> }, and an optional branch
+ * @returns {Object} - { repositories: Array<{ owner, repo, branch }> }
+ * @throws {OperationError} - If the input is invalid
+ */
+function validateResyncRequest(input = {}) {
+    return validateRepositoryUpdates(input, 'resynced');
+}
+
+/**
+ * Bring the sources of a merged repository up to date using its provenance manifest
+ * Repositories merged in history mode are re-synced with git (new commits
+ * keep their history); snapshot merges are re-synced through the Git Data API.
+ * @param {Object} request - { owner, repo, branch } (see validateResyncRequest)
+ * @param {Object} options - Execution options
+ * @param {string} options.token - GitHub Personal Access Token
+ * @param {Object} [options.api] - GitHub API client (defaults to one for the token)
+ * @param {string} [options.apiUrl] - GitHub API base URL for that client (see utils/github-hosts)
+ * @param {Function} [options.resolveUrl] - (manifest source) => clone URL, for history mode
+ * @returns {Promise<Object>} - { repository, message, resync: { mode, branch, commit, ..., sources }, summary, journal }
+ * @throws {OperationError} - If the repository cannot be re-synced on this server
+ */
+async function resyncMergedRepository(request, options) {
+    const { owner, repo } = request;
+    const { token, resolveUrl } = options;
+    const api = options.api || createGitHubApi(token, { baseURL: options.apiUrl });
+
+    const { data: merged } = await api.get(`/repos/${owner}/${repo}`);
+    const branch = request.branch || merged.default_branch;
+    const manifest = await readManifest(api, { owner, repo, branch });
+
+    logger.info('Resyncing merged repository', { full_name: merged.full_name, mode: manifest.mode, sources: manifest.sources.length });
+
+    if (manifest.mode === 'submodules') {
+        throw new OperationError(`${merged.full_name} references its sources as submodules; bump its submodules instead`, 422);
+    }
+
+    let result;
+    if (manifest.mode === 'history') {
+        if (!await isGitAvailable()) {
+            throw new OperationError('Repositories merged with history can only be resynced with git on the server', 501);
+        }
+        const allowFile = process.env.CAROMAR_ALLOW_FILE_REMOTES === 'true';
+        if (!isValidCloneUrl(merged.clone_url, { allowFile, apiUrl: options.apiUrl })) {
+            throw new OperationError(`Unsupported clone URL for ${owner}/${repo}`, 422);
+        }
+        result = await resyncHistory({
+            target: { url: merged.clone_url, branch },
+            token,
+            resolveUrl: resolveUrl || (source => `${webUrlOf(api)}/${source.owner}/${source.repo}.git`)
+        });
+    } else {
+        result = await resyncSnapshot({ api, target: { owner, repo, branch } });
+    }
+
+    const journal = new OperationJournal();
+    recordPush(journal, merged.full_name, result);
+
+    const summary = summarizeResync(result.sources);
+    logger.info('Merged repository resynced', { full_name: merged.full_name, ...summary });
+
+    return {
+        repository: { full_name: merged.full_name, html_url: merged.html_url },
+        message: `Imported ${summary.commits} new commit${summary.commits === 1 ? '' : 's'} from ${summary.updated} of ${summary.total} ` +
+            `repositor${summary.total === 1 ? 'y' : 'ies'}${summary.conflict > 0 ? `; ${summary.conflict} with conflicts` : ''}`,
+        resync: { mode: manifest.mode, ...result },
+        summary,
+        journal: journal.entries
+    };
+}
+
+/**
+ * Validate and normalize a submodule bump request
+ * @param {Object} input - { repository: "owner/repo" } or { repositories: Array<string|{owner, repo}> }, and an optional branch
+ * @returns {Object} - { repositories: Array<{ owner, repo, branch }> }
+ * @throws {OperationError} - If the input is invalid
+ */
+function validateBumpRequest(input = {}) {
+    return validateRepositoryUpdates(input, 'bumped');
+}
+
+/**
+ * Move the submodule pins of a repository to the latest commits of their branches
+ * Works on any repository with a .gitmodules, not only umbrella
+ * repositories created by a submodules merge.
+ * @param {Object} request - { owner, repo, branch } (see validateBumpRequest)
+ * @param {Object} options - Execution options
+ * @param {string} options.token - GitHub Personal Access Token
+ * @param {Object} [options.api] - GitHub API client (defaults to one for the token)
+ * @param {string} [options.apiUrl] - GitHub API base URL for that client (see utils/github-hosts)
+ * @returns {Promise<Object>} - { repository, message, bump: { branch, commit, ..., submodules }, summary, journal }
+ */
+async function bumpSubmodules(request, options) {
+    const { owner, repo } = request;
+    const api = options.api || createGitHubApi(options.token, { baseURL: options.apiUrl });
+
+    const { data: umbrella } = await api.get(`/repos/${owner}/${repo}`);
+    const branch = request.branch || umbrella.default_branch;
+
+    logger.info('Bumping submodules', { full_name: umbrella.full_name, branch });
+    const result = await bumpSubmodulePins({ api, target: { owner, repo, branch } });
+
+    const journal = new OperationJournal();
+    recordPush(journal, umbrella.full_name, result);
+
+    const summary = summarizeBump(result.submodules);
+    logger.info('Submodules bumped', { full_name: umbrella.full_name, ...summary });
+
+    return {
+        repository: { full_name: umbrella.full_name, html_url: umbrella.html_url },
+        message: `Bumped ${summary.bumped} of ${summary.total} submodule${summary.total === 1 ? '' : 's'}` +
+            `${summary.failed > 0 ? `; ${summary.failed} failed` : ''}`,
+        bump: result,
+        summary,
+        journal: journal.entries
+    };
+}
+
+/**
+ * Validate an issue migration request
+ * Without `repositories`, the sources are read from the target's caromar.json.
+ * @param {Object} input - { repository: "owner/repo", repositories, include_closed }
+ * @returns {Object} - { owner, repo, repositories, include_closed }
+ * @throws {OperationError} - If the input is invalid
+ */
+function validateIssueMigrationRequest(input = {}) {
+    const [owner, repo] = typeof input.repository === 'string' ? input.repository.split('/') : [];
+    if (!isValidGitHubUsername(owner) || !isValidRepositoryName(repo)) {
+        throw new OperationError('The merged repository must be given as "owner/repo"');
+    }
+
+    let repositories = [];
+    if (input.repositories !== undefined) {
+        repositories = splitRepositoryList(input.repositories, 'migrated').map(({ owner: sourceOwner, repo: sourceRepo }) => {
+            if (!isValidGitHubUsername(sourceOwner) || !isValidRepositoryName(sourceRepo)) {
+                throw new OperationError('Repositories must be given as "owner/repo"');
+            }
+            return { owner: sourceOwner, repo: sourceRepo };
+        });
+        if (repositories.some(source => `${source.owner}/${source.repo}`.toLowerCase() === `${owner}/${repo}`.toLowerCase())) {
+            throw new OperationError('Issues cannot be migrated from the merged repository into itself');
+        }
+    }
+
+    return {
+        owner,
+        repo,
+        repositories,
+        include_closed: input.include_closed === true || input.include_closed === 'true'
+    };
+}
+
+/**
+ * Check that a repository can take migrated issues and list the sources to migrate
+ * @param {Object} request - Validated issue migration request
+ * @param {Object} options - Execution options
+ * @param {Object} options.api - GitHub API client
+ * @returns {Promise<Object>} - { target: { full_name, html_url }, sources } (see utils/issue-migration)
+ * @throws {OperationError} - If the repository has issues turned off or no sources
+ */
+async function planIssueMigration(request, { api }) {
+    const { data: target } = await api.get(`/repos/${request.owner}/${request.repo}`);
+    if (!target.has_issues) {
+        throw new OperationError(`Issues are turned off in ${target.full_name}`, 422);
+    }
+
+    const sources = await resolveMigrationSources(api, request, request.repositories);
+    if (sources.length === 0) {
+        throw new OperationError(`${target.full_name} has no GitHub sources to migrate issues from`, 422);
+    }
+    return { target: { full_name: target.full_name, html_url: target.html_url }, sources };
+}
+
+/**
+ * Validate an analysis request
+ * @param {Object} input - { repositories }
+ * @returns {Object} - Normalized request
+ * @throws {OperationError} - If the input is invalid
+ */
+function validateAnalyzeRequest(input = {}) {
+    if (!input.repositories || !Array.isArray(input.repositories)) {
+        throw new OperationError('Valid repositories array is required');
+    }
+    return { repositories: input.repositories };
+}
+
+/**
+ * Generate an analytics report for repositories
+ * @param {Object} request - Validated analysis request
+ * @returns {Object} - Analytics report
+ */
+function analyzeRepositories({ repositories }) {
+    const analytics = new RepositoryAnalytics(repositories);
+    return analytics.generateReport();
+}
+
+module.exports = {
+    MERGE_MODES,
+    MAX_MERGE_REPOSITORIES,
+    MAX_BULK_FORK_REPOSITORIES,
+    MAX_COPY_REPOSITORIES,
+    COPY_VISIBILITIES,
+    OperationError,
+    validateForkRequest,
+    validateBulkForkRequest,
+    validateSyncForksRequest,
+    forkRepository,
+    planMerge,
+    previewMerge,
+    validateMergeRequest,
+    createMergedRepository,
+    validateCopyRequest,
+    validateBulkCopyRequest,
+    copyRepository,
+    validateSplitRequest,
+    splitRepository,
+    validateResyncRequest,
+    resyncMergedRepository,
+    validateBumpRequest,
+    bumpSubmodules,
+    validateIssueMigrationRequest,
+    planIssueMigration,
+    validateAnalyzeRequest,
+    analyzeRepositories
+};
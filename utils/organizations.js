@@ -0,0 +1,92 @@
+/**
+ * Organizations a token can create repositories in
+ * Organization owners can always create repositories; members only when
+ * the organization allows it, optionally restricted to public or private
+ * repositories.
+ * @module utils/organizations
+ */
+
+const { mapWithConcurrency } = require('./concurrency');
+
+const MEMBERSHIPS_PER_PAGE = 100;
+
+// Stop paginating memberships after this many pages
+const MAX_MEMBERSHIP_PAGES = 10;
+
+// Organization settings fetched in parallel
+const ORGANIZATION_CONCURRENCY = 5;
+
+/**
+ * List the active organization memberships of the token's user
+ * @param {Object} api - GitHub API client
+ * @returns {Promise<Array<Object>>} - Memberships: { role, organization }
+ */
+async function listMemberships(api) {
+    const memberships = [];
+    for (let page = 1; page <= MAX_MEMBERSHIP_PAGES; page++) {
+        const { data } = await api.get('/user/memberships/orgs', {
+            params: { state: 'active', per_page: MEMBERSHIPS_PER_PAGE, page }
+        });
+        memberships.push(...data);
+        if (data.length < MEMBERSHIPS_PER_PAGE) {
+            break;
+        }
+    }
+    return memberships;
+}
+
+/**
+ * Work out which repository visibilities a member may create in an organization
+ * @param {Object} organization - Organization from GET /orgs/:org
+ * @returns {Array<string>} - Allowed visibilities (empty if members cannot create repositories)
+ */
+function memberVisibilities(organization) {
+    if (!organization.members_can_create_repositories) {
+        return [];
+    }
+    const visibilities = [];
+    // Older GitHub Enterprise Server versions only report the overall setting
+    if (organization.members_can_create_public_repositories !== false) {
+        visibilities.push('public');
+    }
+    if (organization.members_can_create_private_repositories !== false) {
+        visibilities.push('private');
+    }
+    if (organization.members_can_create_internal_repositories) {
+        visibilities.push('internal');
+    }
+    return visibilities;
+}
+
+/**
+ * List the organizations the token's user can create repositories in
+ * Needs the `read:org` scope; without it GitHub returns 403.
+ * @param {Object} api - GitHub API client
+ * @returns {Promise<Array<Object>>} - { login, description, avatar_url, role, visibilities }, sorted by login
+ */
+async function listWritableOrganizations(api) {
+    const memberships = await listMemberships(api);
+
+    const organizations = await mapWithConcurrency(memberships, ORGANIZATION_CONCURRENCY, async ({ role, organization }) => {
+        let visibilities = ['public', 'private', 'internal'];
+        if (role !== 'admin') {
+            const { data } = await api.get(`/orgs/${organization.login}`);
+            visibilities = memberVisibilities(data);
+        }
+        return {
+            login: organization.login,
+            description: organization.description || null,
+            avatar_url: organization.avatar_url,
+            role,
+            visibilities
+        };
+    });
+
+    return organizations
+        .filter(organization => organization.visibilities.length > 0)
+        .sort((a, b) => a.login.localeCompare(b.login));
+}
+
+module.exports = {
+    listWritableOrganizations
+};
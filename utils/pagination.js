@@ -0,0 +1,109 @@
+/**
+ * GitHub pagination through Link headers
+ * GitHub lists pages as `<url?page=2>; rel="next", <url?page=9>; rel="last"`.
+ * Only the page numbers are taken from the header; the pages themselves are
+ * requested again with the caller's URL and parameters.
+ * @module utils/pagination
+ */
+
+// Pages followed by `all=true` searches unless SEARCH_MAX_PAGES says otherwise
+const DEFAULT_MAX_PAGES = 20;
+
+/**
+ * Read the page numbers of a Link header
+ * @param {string} [header] - Link header value
+ * @returns {Object} - { next, prev, first, last }: page numbers, or null when absent
+ */
+function parseLinkHeader(header) {
+    const pages = { next: null, prev: null, first: null, last: null };
+    for (const part of (header || '').split(',')) {
+        const match = part.match(/<([^>]+)>\s*;\s*rel="([^"]+)"/);
+        if (!match) {
+            continue;
+        }
+        let page;
+        try {
+            page = parseInt(new URL(match[1]).searchParams.get('page'), 10);
+        } catch {
+            continue;
+        }
+        for (const rel of match[2].split(/\s+/)) {
+            if (rel in pages && Number.isInteger(page)) {
+                pages[rel] = page;
+            }
+        }
+    }
+    return pages;
+}
+
+/**
+ * Read the configured page cap for fetch-all searches
+ * @returns {number} - Maximum number of pages
+ */
+function getMaxPages() {
+    const value = parseInt(process.env.SEARCH_MAX_PAGES, 10);
+    return Number.isInteger(value) && value > 0 ? value : DEFAULT_MAX_PAGES;
+}
+
+/**
+ * Fetch one page and the page numbers around it
+ * A page without a `next` link is the last one.
+ * @param {Object} api - GitHub API client
+ * @param {string} url - List endpoint
+ * @param {Object} params - Query parameters, including `page`
+ * @returns {Promise<Object>} - { items, response, next_page, last_page }
+ */
+async function fetchPage(api, url, params) {
+    const response = await api.get(url, { params });
+    const links = parseLinkHeader(response.headers?.link);
+    // The last page has no "last" link of its own; an empty page past the end says nothing
+    const pastTheEnd = response.data.length === 0 && params.page > 1;
+    return {
+        items: response.data,
+        response,
+        next_page: links.next,
+        last_page: links.last || (links.next || pastTheEnd ? null : params.page)
+    };
+}
+
+/**
+ * Follow `next` links from the first page until the list ends or the cap is hit
+ * @param {Object} api - GitHub API client
+ * @param {string} url - List endpoint
+ * @param {Object} params - Query parameters; `page` is set here
+ * @param {Object} [options] - Paging options
+ * @param {number} [options.maxPages] - Stop after this many pages (SEARCH_MAX_PAGES)
+ * @returns {Promise<Object>} - { items, responses, pages, next_page, last_page, truncated }
+ */
+async function fetchAllPages(api, url, params, options = {}) {
+    const maxPages = options.maxPages || getMaxPages();
+    const items = [];
+    const responses = [];
+    let page = 1;
+    let lastPage = null;
+
+    while (page && responses.length < maxPages) {
+        const result = await fetchPage(api, url, { ...params, page });
+        items.push(...result.items);
+        responses.push(result.response);
+        lastPage = result.last_page || lastPage;
+        page = result.next_page;
+    }
+
+    return {
+        items,
+        responses,
+        pages: responses.length,
+        next_page: page || null,
+        last_page: lastPage,
+        truncated: Boolean(page)
+    };
+}
+
+module.exports = {
+    DEFAULT_MAX_PAGES,
+    parseLinkHeader,
+    getMaxPages,
+    fetchPage,
+    fetchAllPages
+};
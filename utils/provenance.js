@@ -0,0 +1,216 @@
+/**
+ * Provenance of merged repositories
+ * Every merge writes a machine-readable `caromar.json` manifest and a root
+ * README that record where each folder came from and at which commit.
+ * @module utils/provenance
+ */
+
+const { mapWithConcurrency } = require('./concurrency');
+const { getDefaultWebUrl } = require('./github-hosts');
+const { isValidTargetPath } = require('./merge-plan');
+const { isValidGitHubUsername, isValidRepositoryName, isValidRefName } = require('./validation');
+
+// Manifest location at the root of a merged repository
+const MANIFEST_PATH = 'caromar.json';
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * Look up the license of each source repository
+ * @param {Object} api - GitHub API client
+ * @param {Array<Object>} repositories - Sources with full_name and optional license ({ spdx_id })
+ * @returns {Promise<Object>} - SPDX identifiers by full_name (null when unknown)
+ */
+async function lookupLicenses(api, repositories) {
+    const licenses = {};
+    await mapWithConcurrency(repositories.filter(repo => repo.full_name), 5, async (repo) => {
+        if (repo.license && repo.license.spdx_id) {
+            licenses[repo.full_name] = repo.license.spdx_id;
+            return;
+        }
+        try {
+            const { data } = await api.get(`/repos/${repo.full_name}`);
+            licenses[repo.full_name] = data.license ? data.license.spdx_id : null;
+        } catch {
+            licenses[repo.full_name] = null;
+        }
+    });
+    return licenses;
+}
+
+/**
+ * Build the provenance manifest of a merge
+ * @param {Object} options - Manifest contents
+ * @param {string} options.mode - Merge mode (history, snapshot or submodules)
+ * @param {Array<Object>} options.repositories - Merge sources: { name, full_name, path, include, exclude }
+ * @param {Array<Object>} options.imported - Engine results in source order: { ref, source_sha }
+ * @param {Object} [options.licenses] - SPDX identifiers by full_name (see lookupLicenses)
+ * @param {Date} [options.date] - Merge date
+ * @returns {Object} - Manifest
+ */
+function buildManifest({ mode, repositories, imported, licenses = {}, date = new Date() }) {
+    return {
+        version: MANIFEST_VERSION,
+        generator: 'CAROMAR',
+        mode,
+        merged_at: date.toISOString(),
+        sources: repositories.map((repo, index) => {
+            const [owner, name] = (repo.full_name || `/${repo.name}`).split('/');
+            const source = {
+                owner: owner || null,
+                repo: name,
+                ref: imported[index].ref,
+                source_sha: imported[index].source_sha,
+                license: licenses[repo.full_name] || null,
+                target_path: repo.path
+            };
+            if (repo.include) {
+                source.include = repo.include;
+            }
+            if (repo.exclude) {
+                source.exclude = repo.exclude;
+            }
+            return source;
+        })
+    };
+}
+
+/**
+ * Escape a value for a Markdown table cell
+ * @param {string} value - Cell value
+ * @returns {string} - Escaped value
+ */
+function tableCell(value) {
+    return String(value).replace(/\|/g, '\\|');
+}
+
+/**
+ * Render the root README of a merged repository
+ * @param {Object} manifest - Provenance manifest (see buildManifest)
+ * @param {Object} repository - { name, description, web_url }; web_url is the GitHub server the sources are linked on
+ * @returns {string} - Markdown
+ */
+function buildReadme(manifest, { name, description, web_url: webUrl = getDefaultWebUrl() }) {
+    const rows = manifest.sources.map(source => {
+        const project = source.owner
+            ? `[${source.owner}/${source.repo}](${webUrl}/${source.owner}/${source.repo})`
+            : source.repo;
+        return `| ${tableCell(project)} | [\`${source.target_path}/\`](${source.target_path}) | ` +
+            `${tableCell(source.ref)} | \`${source.source_sha.substring(0, 7)}\` | ${tableCell(source.license || 'Unknown')} |`;
+    });
+
+    return [
+        `# ${name}`,
+        '',
+        ...(description ? [description, ''] : []),
+        `This repository combines ${manifest.sources.length} project${manifest.sources.length === 1 ? '' : 's'}, ` +
+            `merged with CAROMAR on ${manifest.merged_at.substring(0, 10)}. ` +
+            `Machine-readable provenance is recorded in [${MANIFEST_PATH}](${MANIFEST_PATH}).`,
+        '',
+        '| Project | Folder | Ref | Commit | License |',
+        '|---------|--------|-----|--------|---------|',
+        ...rows,
+        ''
+    ].join('\n');
+}
+
+/**
+ * Serialize a provenance manifest as it is stored in the repository
+ * @param {Object} manifest - Provenance manifest
+ * @returns {string} - Contents of caromar.json
+ */
+function renderManifest(manifest) {
+    return `${JSON.stringify(manifest, null, 2)}\n`;
+}
+
+/**
+ * Build the files that record a merge's provenance
+ * @param {Object} manifest - Provenance manifest (see buildManifest)
+ * @param {Object} repository - { name, description, web_url }; web_url is the GitHub server the sources are linked on
+ * @returns {Array<Object>} - Files for the merge commit: { path, content }
+ */
+function buildProvenanceFiles(manifest, repository) {
+    return [
+        { path: MANIFEST_PATH, content: renderManifest(manifest) },
+        { path: 'README.md', content: buildReadme(manifest, repository) }
+    ];
+}
+
+/**
+ * Check a source of a provenance manifest
+ * The manifest is a file anyone with push access can edit, and its values
+ * become git arguments and API paths during a resync.
+ * @param {Object} source - Manifest source: { owner, repo, ref, source_sha, target_path }
+ * @returns {boolean} - True if every field is well-formed; owner may be null for sources merged by clone URL
+ */
+function isValidManifestSource(source) {
+    return Boolean(source) &&
+        (source.owner === null || isValidGitHubUsername(source.owner)) &&
+        isValidRepositoryName(source.repo) &&
+        isValidRefName(source.ref) &&
+        typeof source.source_sha === 'string' && /^[0-9a-f]{40}$/.test(source.source_sha) &&
+        isValidTargetPath(source.target_path);
+}
+
+/**
+ * Parse and check a provenance manifest
+ * @param {string} content - Contents of caromar.json
+ * @returns {Object} - Manifest
+ * @throws {Error} - With status 422 if the manifest is unreadable or a source is malformed
+ */
+function parseManifest(content) {
+    let manifest;
+    try {
+        manifest = JSON.parse(content);
+    } catch {
+        manifest = null;
+    }
+    if (!manifest || !Array.isArray(manifest.sources) || manifest.version !== MANIFEST_VERSION) {
+        const error = new Error(`${MANIFEST_PATH} is not a valid CAROMAR manifest`);
+        error.status = 422;
+        throw error;
+    }
+    const invalid = manifest.sources.findIndex(source => !isValidManifestSource(source));
+    if (invalid !== -1) {
+        const error = new Error(`Source ${invalid + 1} of ${MANIFEST_PATH} has an invalid owner, repo, ref, source_sha or target_path`);
+        error.status = 422;
+        throw error;
+    }
+    return manifest;
+}
+
+/**
+ * Read the provenance manifest of a merged repository through the contents API
+ * @param {Object} api - GitHub API client
+ * @param {Object} repository - { owner, repo, branch }
+ * @returns {Promise<Object>} - Manifest
+ * @throws {Error} - With status 422 if the repository has no valid manifest
+ */
+async function readManifest(api, { owner, repo, branch }) {
+    let file;
+    try {
+        ({ data: file } = await api.get(`/repos/${owner}/${repo}/contents/${MANIFEST_PATH}`, {
+            params: branch ? { ref: branch } : {}
+        }));
+    } catch (error) {
+        if (error.response?.status !== 404) {
+            throw error;
+        }
+        const notMerged = new Error(`${owner}/${repo} has no ${MANIFEST_PATH}; it was not merged by CAROMAR`);
+        notMerged.status = 422;
+        throw notMerged;
+    }
+    return parseManifest(Buffer.from(file.content || '', file.encoding === 'base64' ? 'base64' : 'utf8').toString('utf8'));
+}
+
+module.exports = {
+    MANIFEST_PATH,
+    MANIFEST_VERSION,
+    lookupLicenses,
+    parseManifest,
+    readManifest,
+    buildManifest,
+    renderManifest,
+    buildReadme,
+    buildProvenanceFiles
+};
@@ -0,0 +1,192 @@
+/**
+ * Carry releases over into a merged repository
+ * Releases are recreated on the tags the merge engine recreated under each
+ * source's folder (`api/v1.2.0`), with their notes and, optionally, their
+ * assets. Drafts are left behind because their tags are not published.
+ * @module utils/releases
+ */
+
+const { createPathFilter } = require('./glob');
+const { rewriteReferences } = require('./issue-migration');
+const { withRetry } = require('./retry');
+
+const RELEASES_PER_PAGE = 100;
+
+// Stop paginating releases after this many pages
+const MAX_RELEASE_PAGES = 10;
+
+// Assets larger than this are skipped unless the request allows more
+const DEFAULT_MAX_ASSET_BYTES = 100 * 1024 * 1024;
+
+// GitHub's own limit for a release asset
+const MAX_ASSET_BYTES = 2 * 1024 * 1024 * 1024;
+
+// Large assets take far longer to move than an ordinary API call is allowed.
+// Downloads are retried by copyAssets itself, not by the client.
+const ASSET_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * List the releases of a repository, oldest first
+ * @param {Object} api - GitHub API client
+ * @param {string} fullName - Repository
+ * @returns {Promise<Array<Object>>} - Releases
+ */
+async function listReleases(api, fullName) {
+    const releases = [];
+    for (let page = 1; page <= MAX_RELEASE_PAGES; page++) {
+        const { data } = await api.get(`/repos/${fullName}/releases`, { params: { per_page: RELEASES_PER_PAGE, page } });
+        releases.push(...data);
+        if (data.length < RELEASES_PER_PAGE) {
+            break;
+        }
+    }
+    return releases.reverse();
+}
+
+/**
+ * Build the notes of a copied release
+ * @param {string} fullName - Source repository
+ * @param {Object} release - Source release
+ * @returns {string} - Original notes with a link back to the source release
+ */
+function buildReleaseNotes(fullName, release) {
+    const notes = release.body ? `${rewriteReferences(release.body, fullName)}\n\n---\n` : '';
+    return `${notes}_Originally released as [${release.tag_name}](${release.html_url}) in ${fullName}._`;
+}
+
+/**
+ * Copy the assets of a release
+ * Each asset is streamed from the download straight into the upload, so it
+ * is never held in memory. Only opening the download is retried: the upload
+ * consumes the stream and may have been applied when it fails.
+ * @param {Object} api - GitHub API client
+ * @param {string} fullName - Source repository
+ * @param {Object} release - Source release
+ * @param {Object} copy - Created release
+ * @param {Object} assets - { include, exclude, max_bytes }
+ * @param {Object} options - Retry options
+ * @returns {Promise<Object>} - { copied, skipped: [{ name, reason }], failed: [{ name, error }] }
+ */
+async function copyAssets(api, fullName, release, copy, assets, options) {
+    const filter = createPathFilter(assets);
+    const uploadUrl = copy.upload_url.replace(/\{.*\}$/, '');
+    const result = { copied: 0, skipped: [], failed: [] };
+
+    for (const asset of release.assets || []) {
+        if (filter && !filter(asset.name)) {
+            result.skipped.push({ name: asset.name, reason: 'Filtered out' });
+            continue;
+        }
+        if (asset.size > assets.max_bytes) {
+            result.skipped.push({ name: asset.name, reason: `Larger than ${assets.max_bytes} bytes` });
+            continue;
+        }
+        try {
+            const { data } = await withRetry(() => api.get(`/repos/${fullName}/releases/assets/${asset.id}`, {
+                headers: { Accept: 'application/octet-stream' },
+                responseType: 'stream',
+                timeout: ASSET_TIMEOUT_MS,
+                retries: 0
+            }), options);
+            await api.post(uploadUrl, data, {
+                params: { name: asset.name, label: asset.label || undefined },
+                headers: {
+                    'Content-Type': asset.content_type || 'application/octet-stream',
+                    'Content-Length': asset.size
+                },
+                maxBodyLength: assets.max_bytes,
+                timeout: ASSET_TIMEOUT_MS,
+                retries: 0
+            });
+            result.copied++;
+        } catch (error) {
+            result.failed.push({ name: asset.name, error: error.response?.data?.message || error.message });
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Recreate the releases of one source on its recreated tags
+ * @param {Object} api - GitHub API client
+ * @param {Object} source - { full_name, tags: { created: [{ name, tag }] } }
+ * @param {string} target - Merged repository full name
+ * @param {Object} options - { assets, retry }
+ * @returns {Promise<Array<Object>>} - One entry per source release
+ */
+async function copySourceReleases(api, source, target, options) {
+    const tags = new Map(source.tags.created.map(tag => [tag.name, tag.tag]));
+    const entries = [];
+
+    for (const release of await listReleases(api, source.full_name)) {
+        const entry = { name: release.name || release.tag_name, tag_name: release.tag_name, target_tag: tags.get(release.tag_name) || null };
+        if (release.draft) {
+            entries.push({ ...entry, status: 'skipped', reason: 'Draft release' });
+            continue;
+        }
+        if (!entry.target_tag) {
+            entries.push({ ...entry, status: 'skipped', reason: `Tag ${release.tag_name} was not recreated` });
+            continue;
+        }
+
+        try {
+            const { data: copy } = await api.post(`/repos/${target}/releases`, {
+                tag_name: entry.target_tag,
+                name: release.name || release.tag_name,
+                body: buildReleaseNotes(source.full_name, release),
+                prerelease: release.prerelease
+            });
+            entries.push({
+                ...entry,
+                status: 'created',
+                html_url: copy.html_url,
+                assets: options.assets ? await copyAssets(api, source.full_name, release, copy, options.assets, options.retry) : null
+            });
+        } catch (error) {
+            entries.push({ ...entry, status: 'failed', error: error.response?.data?.message || error.message });
+        }
+    }
+
+    return entries;
+}
+
+/**
+ * Recreate the releases of every merged source in the merged repository
+ * A source whose releases cannot be listed is reported and the others carry on.
+ * @param {Object} api - GitHub API client
+ * @param {Array<Object>} sources - Merged sources with the tags recreated for them: { full_name, path, tags }
+ * @param {string} target - Merged repository full name
+ * @param {Object} [options] - Copy options
+ * @param {Object|null} [options.assets] - Copy assets: { include, exclude, max_bytes }; null leaves them behind
+ * @param {Object} [options.retry] - Retry options for asset downloads (see utils/retry)
+ * @returns {Promise<Object>} - { sources: [{ full_name, path, releases, error }], summary: { created, skipped, failed, assets } }
+ */
+async function copyReleases(api, sources, target, options = {}) {
+    const results = [];
+    for (const source of sources) {
+        try {
+            results.push({ full_name: source.full_name, path: source.path, releases: await copySourceReleases(api, source, target, options) });
+        } catch (error) {
+            results.push({ full_name: source.full_name, path: source.path, releases: [], error: error.response?.data?.message || error.message });
+        }
+    }
+
+    const releases = results.flatMap(result => result.releases);
+    return {
+        sources: results,
+        summary: {
+            created: releases.filter(release => release.status === 'created').length,
+            skipped: releases.filter(release => release.status === 'skipped').length,
+            failed: releases.filter(release => release.status === 'failed').length + results.filter(result => result.error).length,
+            assets: releases.reduce((sum, release) => sum + (release.assets?.copied || 0), 0)
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_MAX_ASSET_BYTES,
+    MAX_ASSET_BYTES,
+    buildReleaseNotes,
+    copyReleases
+};
@@ -0,0 +1,77 @@
+/**
+ * Repository copy without a fork relationship
+ * Mirrors every branch and tag of a source repository into another
+ * (normally freshly created, empty) repository using git.
+ * @module utils/repo-copy
+ */
+
+const { runGit, authEnv, createTempRepository, removeTempRepository } = require('./git');
+
+// Large repositories take a while to transfer
+const COPY_TIMEOUT_MS = 30 * 60 * 1000;
+
+/**
+ * List the refs of a local repository under a namespace
+ * @param {string} repo - Local repository path
+ * @param {string} namespace - Ref namespace (e.g. refs/heads/)
+ * @returns {Promise<Array<string>>} - Short ref names
+ */
+async function listRefs(repo, namespace) {
+    const output = await runGit(['for-each-ref', '--format=%(refname)', namespace], { cwd: repo });
+    return output.split('\n').filter(Boolean).map(ref => ref.substring(namespace.length));
+}
+
+/**
+ * Copy all branches and tags from one repository to another
+ * Pull request refs and other hidden refs are not copied.
+ * @param {Object} options - Copy options
+ * @param {string} options.sourceUrl - Source repository URL
+ * @param {string} options.targetUrl - Target repository URL
+ * @param {string} [options.token] - Token used for HTTPS remotes
+ * @param {boolean} [options.push=true] - Push the refs to the target
+ * @returns {Promise<Object>} - { default_branch, branches, tags, pushed }
+ */
+async function copyRepositoryRefs(options) {
+    const { sourceUrl, targetUrl, token, push = true } = options;
+    if (!sourceUrl || !targetUrl) {
+        throw new Error('Source and target URLs are required');
+    }
+
+    const env = authEnv(token, targetUrl);
+    const repo = await createTempRepository();
+
+    try {
+        await runGit([
+            'fetch', '--quiet', '--no-tags', sourceUrl,
+            '+refs/heads/*:refs/heads/*',
+            '+refs/tags/*:refs/tags/*'
+        ], { cwd: repo, env, timeout: COPY_TIMEOUT_MS });
+
+        const branches = await listRefs(repo, 'refs/heads/');
+        const tags = await listRefs(repo, 'refs/tags/');
+        if (branches.length === 0) {
+            throw new Error('Source repository has no branches to copy');
+        }
+
+        // The remote HEAD names the source's default branch
+        const symref = await runGit(['ls-remote', '--symref', sourceUrl, 'HEAD'], { cwd: repo, env });
+        const match = symref.match(/^ref: refs\/heads\/(\S+)\s+HEAD/m);
+        const defaultBranch = match && branches.includes(match[1]) ? match[1] : branches[0];
+
+        if (push) {
+            await runGit([
+                'push', '--quiet', targetUrl,
+                'refs/heads/*:refs/heads/*',
+                'refs/tags/*:refs/tags/*'
+            ], { cwd: repo, env, timeout: COPY_TIMEOUT_MS });
+        }
+
+        return { default_branch: defaultBranch, branches, tags, pushed: push };
+    } finally {
+        await removeTempRepository(repo);
+    }
+}
+
+module.exports = {
+    copyRepositoryRefs
+};
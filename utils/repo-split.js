@@ -0,0 +1,113 @@
+/**
+ * Split a folder of a repository into a repository of its own
+ * The source history is filtered down to one folder with
+ * `git filter-branch --subdirectory-filter` semantics: the folder becomes
+ * the root of every commit, commits that do not touch it are dropped and
+ * the kept commits keep their author, committer and message.
+ * @module utils/repo-split
+ */
+
+const {
+    runGit,
+    authEnv,
+    createTempRepository,
+    removeTempRepository,
+    parseLsTree,
+    rewriteHistory,
+    quoteFastImportPath
+} = require('./git');
+const { fetchRef } = require('./merge-engine');
+
+/**
+ * Resolve the folder of a tree to its own tree
+ * @param {string} repo - Local repository path
+ * @param {string} tree - Root tree SHA of a commit
+ * @param {string} path - Folder inside the tree
+ * @returns {Promise<string|null>} - Tree SHA of the folder, or null if it does not exist there
+ */
+async function resolveFolderTree(repo, tree, path) {
+    const entries = parseLsTree(await runGit(['ls-tree', '-z', tree, '--', path], { cwd: repo }));
+    const folder = entries.find(entry => entry.path === path && entry.type === 'tree');
+    return folder ? folder.sha : null;
+}
+
+/**
+ * Rewrite the history of a source so a folder becomes the repository root
+ * @param {Object} options - Split options
+ * @param {Object} options.source - Source: { name, url, ref, path }
+ * @param {Object} options.target - Target: { url, branch }
+ * @param {string} [options.token] - Token used for HTTPS remotes
+ * @param {boolean} [options.push=true] - Push the result to the target
+ * @returns {Promise<Object>} - { branch, commit, previous_commit, pushed, sources: [{ name, path, ref, source_sha, head, commits }] },
+ *     shaped like a merge result so both are reported the same way
+ * @throws {Error} - If the folder does not exist at the source ref or no commit touches it
+ */
+async function splitRepositoryHistory(options) {
+    const { source, target, token, push = true } = options;
+    if (!source || !source.url || !source.path) {
+        throw new Error('Source URL and folder are required');
+    }
+    if (!target || !target.url || !target.branch) {
+        throw new Error('Target URL and branch are required');
+    }
+
+    const env = authEnv(token, target.url);
+    const repo = await createTempRepository();
+
+    try {
+        const sourceHead = await fetchRef(repo, source.url, source.ref, 'refs/caromar/source', env);
+        if (!await resolveFolderTree(repo, sourceHead, source.path)) {
+            throw new Error(`${source.path} is not a folder of ${source.name || source.url} at ${source.ref || 'HEAD'}`);
+        }
+
+        // Commits often share the folder's tree, so list each tree once
+        const folders = new Map();
+        const operations = new Map();
+        const rewritten = await rewriteHistory(repo, sourceHead, `refs/heads/${target.branch}`, async (commit) => {
+            if (!folders.has(commit.tree)) {
+                folders.set(commit.tree, await resolveFolderTree(repo, commit.tree, source.path));
+            }
+            const folder = folders.get(commit.tree);
+            if (!folder) {
+                return [];
+            }
+            if (!operations.has(folder)) {
+                const entries = parseLsTree(await runGit(['ls-tree', '-z', folder], { cwd: repo }));
+                operations.set(folder, entries.map(entry => `M ${entry.mode} ${entry.sha} ${quoteFastImportPath(entry.path)}`));
+            }
+            return operations.get(folder);
+        }, { paths: [source.path] });
+
+        if (!rewritten.head) {
+            throw new Error(`No commit of ${source.name || source.url} touches ${source.path}`);
+        }
+
+        if (push) {
+            await runGit(['push', '--quiet', target.url, `refs/heads/${target.branch}:refs/heads/${target.branch}`], {
+                cwd: repo,
+                env
+            });
+        }
+
+        return {
+            branch: target.branch,
+            commit: rewritten.head,
+            previous_commit: null,
+            pushed: push,
+            sources: [{
+                name: source.name,
+                path: source.path,
+                ref: source.ref || 'HEAD',
+                source_sha: sourceHead,
+                head: rewritten.head,
+                commits: rewritten.commits
+            }]
+        };
+    } finally {
+        await removeTempRepository(repo);
+    }
+}
+
+module.exports = {
+    splitRepositoryHistory
+};
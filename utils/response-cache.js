@@ -0,0 +1,86 @@
+/**
+ * Conditional-request cache for GitHub API responses
+ * GET responses that carry an ETag are kept per URL and token; the next
+ * request for them sends `If-None-Match`, and a `304 Not Modified` is
+ * answered from the cache. GitHub does not count 304s against the rate limit.
+ * @module utils/response-cache
+ */
+
+const { simpleHash } = require('./security');
+
+const DEFAULT_MAX_ENTRIES = 500;
+
+/**
+ * Least-recently-used store of ETagged responses
+ */
+class ResponseCache {
+    /**
+     * @param {Object} [options] - Cache options
+     * @param {number} [options.maxEntries] - Responses kept before the oldest is dropped (GITHUB_CACHE_MAX_ENTRIES); 0 disables the cache
+     */
+    constructor(options = {}) {
+        const fromEnv = parseInt(process.env.GITHUB_CACHE_MAX_ENTRIES, 10);
+        this.maxEntries = options.maxEntries ?? (Number.isInteger(fromEnv) && fromEnv >= 0 ? fromEnv : DEFAULT_MAX_ENTRIES);
+        this.entries = new Map();
+    }
+
+    /**
+     * Build the key of a request
+     * Responses depend on the token (private repositories, permissions) and
+     * the media type, so both are part of the key. The token is only kept hashed.
+     * @param {Object} request - { token, url, params, accept }
+     * @returns {string} - Cache key
+     */
+    static key({ token, url, params, accept }) {
+        return JSON.stringify([simpleHash(token || ''), url, params || {}, accept || '']);
+    }
+
+    /**
+     * Look up a cached response
+     * @param {string} key - Cache key
+     * @returns {Object|null} - { etag, status, data, headers } or null
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return null;
+        }
+        // Re-insert so the entry becomes the most recently used
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry;
+    }
+
+    /**
+     * Keep a response if it can be revalidated
+     * @param {string} key - Cache key
+     * @param {Object} response - Axios response
+     */
+    set(key, response) {
+        const etag = response.headers?.etag;
+        if (this.maxEntries === 0 || !etag) {
+            return;
+        }
+        this.entries.delete(key);
+        this.entries.set(key, { etag, status: response.status, data: response.data, headers: { ...response.headers } });
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Drop every cached response
+     */
+    clear() {
+        this.entries.clear();
+    }
+}
+
+// Shared by every client created with `cache: true`
+const sharedCache = new ResponseCache();
+
+module.exports = {
+    DEFAULT_MAX_ENTRIES,
+    ResponseCache,
+    sharedCache
+};
@@ -0,0 +1,335 @@
+/**
+ * Incremental re-sync of merged repositories
+ * Reads the provenance manifest (caromar.json) of a merged repository and
+ * brings in only the commits each source gained since it was merged or
+ * last synced. A source whose changes collide with edits made in the merged
+ * repository is reported as a conflict and left untouched.
+ * @module utils/resync
+ */
+
+const {
+    runGit,
+    getGitVersion,
+    isGitVersionAtLeast,
+    authEnv,
+    createTempRepository,
+    removeTempRepository,
+    parseLsTree
+} = require('./git');
+const { fetchRef, rewriteSource, DEFAULT_AUTHOR } = require('./merge-engine');
+const {
+    resolveSourceCommit,
+    resolveTargetHead,
+    listTree,
+    copyBlobs,
+    writeTree
+} = require('./snapshot-merge');
+const { createPathFilter } = require('./glob');
+const { getDefaultWebUrl } = require('./github-hosts');
+const { MANIFEST_PATH, parseManifest, readManifest, renderManifest } = require('./provenance');
+
+const RESYNC_STATUSES = ['updated', 'up_to_date', 'conflict', 'failed'];
+
+// `git merge-tree --write-tree` first shipped in git 2.38
+const MIN_GIT_VERSION = [2, 38, 0];
+
+/**
+ * Name a manifest source
+ * @param {Object} source - Manifest source: { owner, repo }
+ * @returns {string} - "owner/repo"
+ */
+function sourceName(source) {
+    return source.owner ? `${source.owner}/${source.repo}` : source.repo;
+}
+
+/**
+ * Default clone URL of a manifest source
+ * @param {Object} source - Manifest source: { owner, repo }
+ * @returns {string} - Clone URL on the default GitHub server
+ */
+function sourceUrl(source) {
+    return `${getDefaultWebUrl()}/${source.owner}/${source.repo}.git`;
+}
+
+/**
+ * Check that a manifest source can be found on GitHub
+ * Sources merged from a bare clone URL are recorded without an owner.
+ * @param {Object} source - Manifest source: { owner, repo }
+ * @throws {Error} - If the source has no owner
+ */
+function requireOwner(source) {
+    if (!source.owner) {
+        throw new Error(`${source.repo} was merged without an owner and cannot be resynced`);
+    }
+}
+
+/**
+ * Start the result entry of a source
+ * @param {Object} source - Manifest source
+ * @returns {Object} - { name, path, ref, previous_sha, source_sha, commits, conflicts }
+ */
+function initialResult(source) {
+    return {
+        name: sourceName(source),
+        path: source.target_path,
+        ref: source.ref,
+        previous_sha: source.source_sha,
+        source_sha: source.source_sha,
+        commits: 0,
+        conflicts: []
+    };
+}
+
+/**
+ * Summarize per-source results
+ * @param {Array<Object>} results - Source results
+ * @returns {Object} - Count per status and the number of imported commits
+ */
+function summarize(results) {
+    const summary = { total: results.length };
+    for (const status of RESYNC_STATUSES) {
+        summary[status] = results.filter(result => result.status === status).length;
+    }
+    summary.commits = results.reduce((sum, result) => sum + result.commits, 0);
+    return summary;
+}
+
+/**
+ * Commit an updated manifest on top of a commit
+ * @param {string} repo - Local repository path
+ * @param {string} head - Parent commit
+ * @param {Object} manifest - Updated manifest
+ * @param {Object} env - Git environment with the committer identity
+ * @returns {Promise<string>} - New commit SHA
+ */
+async function commitManifest(repo, head, manifest, env) {
+    const blob = (await runGit(['hash-object', '-w', '--stdin'], { cwd: repo, input: renderManifest(manifest) })).trim();
+    const entries = parseLsTree(await runGit(['ls-tree', '-z', head], { cwd: repo }))
+        .filter(entry => entry.path !== MANIFEST_PATH)
+        .concat({ mode: '100644', type: 'blob', sha: blob, path: MANIFEST_PATH });
+
+    const tree = (await runGit(['mktree', '-z'], {
+        cwd: repo,
+        input: entries.map(entry => `${entry.mode} ${entry.type} ${entry.sha}\t${entry.path}\0`).join('')
+    })).trim();
+
+    return (await runGit(['commit-tree', tree, '-p', head, '-m', `Update ${MANIFEST_PATH} after resync`], { cwd: repo, env })).trim();
+}
+
+/**
+ * Re-sync a repository that was merged in history mode
+ *
+ * Each source is fetched and rewritten again. The rewrite is deterministic,
+ * so the commits imported earlier are reproduced exactly and only the new
+ * ones differ; `git merge-tree` then merges them into the target branch
+ * with the previous import as merge base, one merge commit per source.
+ *
+ * @param {Object} options - Resync options
+ * @param {Object} options.target - Merged repository: { url, branch }
+ * @param {string} [options.token] - Token used for HTTPS remotes
+ * @param {Function} [options.resolveUrl] - (manifest source) => clone URL
+ * @param {Object} [options.author] - Identity for the merge commits: { name, email }
+ * @param {boolean} [options.push=true] - Push the result to the target
+ * @returns {Promise<Object>} - { branch, commit, previous_commit, pushed, manifest, sources }
+ * @throws {Error} - 501 error if the server's git is older than 2.38 (no `merge-tree --write-tree`)
+ */
+async function resyncHistory(options) {
+    const { target, token, resolveUrl = sourceUrl, author = DEFAULT_AUTHOR, push = true } = options;
+    const version = await getGitVersion();
+    if (!isGitVersionAtLeast(version, MIN_GIT_VERSION)) {
+        const error = new Error(`Resyncing a history merge needs git ${MIN_GIT_VERSION.join('.')} or later on the server; ` +
+            `found ${version ? version.join('.') : 'none'}`);
+        error.status = 501;
+        throw error;
+    }
+    const env = authEnv(token, target.url);
+    const identity = {
+        GIT_AUTHOR_NAME: author.name,
+        GIT_AUTHOR_EMAIL: author.email,
+        GIT_COMMITTER_NAME: author.name,
+        GIT_COMMITTER_EMAIL: author.email
+    };
+    const repo = await createTempRepository();
+
+    try {
+        const previous = await fetchRef(repo, target.url, `refs/heads/${target.branch}`, 'refs/caromar/target', env);
+        let content;
+        try {
+            content = await runGit(['show', `${previous}:${MANIFEST_PATH}`], { cwd: repo });
+        } catch {
+            const error = new Error(`The merged repository has no ${MANIFEST_PATH} on ${target.branch}`);
+            error.status = 422;
+            throw error;
+        }
+        const manifest = parseManifest(content);
+
+        let head = previous;
+        const results = [];
+        for (const [index, source] of manifest.sources.entries()) {
+            const result = initialResult(source);
+            try {
+                requireOwner(source);
+                const latest = await fetchRef(repo, resolveUrl(source), source.ref, `refs/caromar/sources/${index}`, env);
+                if (latest === source.source_sha) {
+                    results.push({ ...result, status: 'up_to_date' });
+                    continue;
+                }
+
+                const base = await runGit(['merge-base', '--end-of-options', source.source_sha, latest], { cwd: repo, okExitCodes: [0, 1] });
+                if (base.trim() !== source.source_sha) {
+                    throw new Error(`History of ${result.name} was rewritten since ${source.source_sha.substring(0, 7)}`);
+                }
+                const commits = parseInt(await runGit(['rev-list', '--count', '--end-of-options', `${source.source_sha}..${latest}`], { cwd: repo }), 10);
+
+                const rewritten = await rewriteSource(repo, latest, `refs/caromar/rewritten/${index}`, {
+                    path: source.target_path,
+                    include: source.include,
+                    exclude: source.exclude
+                });
+                const output = await runGit(['merge-tree', '--write-tree', '--name-only', '--no-messages', head, rewritten.head], {
+                    cwd: repo,
+                    okExitCodes: [0, 1]
+                });
+                const [tree, ...conflicts] = output.split('\n').filter(Boolean);
+                if (conflicts.length > 0) {
+                    results.push({ ...result, status: 'conflict', pending_commits: commits, conflicts });
+                    continue;
+                }
+
+                const message = `Resync ${result.name} (${source.ref}) into ${source.target_path}/\n\n` +
+                    `Imports ${commits} new commit${commits === 1 ? '' : 's'} up to ${latest}.\n`;
+                head = (await runGit(['commit-tree', tree, '-p', head, '-p', rewritten.head, '-m', message], {
+                    cwd: repo,
+                    env: identity
+                })).trim();
+
+                source.source_sha = latest;
+                results.push({ ...result, status: 'updated', source_sha: latest, commits });
+            } catch (error) {
+                results.push({ ...result, status: 'failed', error: error.message });
+            }
+        }
+
+        if (head !== previous) {
+            manifest.synced_at = new Date().toISOString();
+            head = await commitManifest(repo, head, manifest, identity);
+            if (push) {
+                // Not forced: a push made to the branch during the resync must not be lost
+                await runGit(['push', '--quiet', target.url, `${head}:refs/heads/${target.branch}`], { cwd: repo, env });
+            }
+        }
+
+        return {
+            branch: target.branch,
+            commit: head,
+            previous_commit: previous,
+            pushed: push && head !== previous,
+            manifest,
+            sources: results
+        };
+    } finally {
+        await removeTempRepository(repo);
+    }
+}
+
+/**
+ * Re-sync a repository that was merged in snapshot mode
+ * The source's tree at the recorded SHA is compared with its tree at the
+ * latest commit of its ref, and only the changed files are written. A file
+ * that was also changed in the merged repository is a conflict.
+ * @param {Object} options - Resync options
+ * @param {Object} options.api - GitHub API client
+ * @param {Object} options.target - Merged repository: { owner, repo, branch }
+ * @returns {Promise<Object>} - { branch, commit, previous_commit, pushed, manifest, sources }
+ */
+async function resyncSnapshot(options) {
+    const { api, target } = options;
+    const head = await resolveTargetHead(api, target);
+    const manifest = await readManifest(api, target);
+    const targetFiles = new Map((await listTree(api, target.owner, target.repo, head.tree)).map(entry => [entry.path, entry.sha]));
+
+    const copied = new Set();
+    const entries = [];
+    const results = [];
+    for (const source of manifest.sources) {
+        const result = initialResult(source);
+        try {
+            requireOwner(source);
+            const latest = await resolveSourceCommit(api, source);
+            if (latest.sha === source.source_sha) {
+                results.push({ ...result, status: 'up_to_date' });
+                continue;
+            }
+
+            const { data: comparison } = await api.get(`/repos/${source.owner}/${source.repo}/compare/${source.source_sha}...${latest.sha}`);
+            if (comparison.status !== 'ahead') {
+                throw new Error(`History of ${result.name} was rewritten since ${source.source_sha.substring(0, 7)}`);
+            }
+
+            const previous = await resolveSourceCommit(api, { ...source, ref: source.source_sha });
+            const filter = createPathFilter(source);
+            const keep = entry => !filter || filter(entry.path);
+            const before = new Map((await listTree(api, source.owner, source.repo, previous.tree)).filter(keep).map(entry => [entry.path, entry]));
+            const after = new Map((await listTree(api, source.owner, source.repo, latest.tree)).filter(keep).map(entry => [entry.path, entry]));
+
+            const changes = [];
+            const conflicts = [];
+            for (const path of new Set([...before.keys(), ...after.keys()])) {
+                const old = before.get(path);
+                const now = after.get(path);
+                if (old && now && old.sha === now.sha && old.mode === now.mode) {
+                    continue;
+                }
+                const targetPath = `${source.target_path}/${path}`;
+                // The merged repository must still have the previously imported version
+                if ((targetFiles.get(targetPath) || null) !== (old ? old.sha : null)) {
+                    conflicts.push(targetPath);
+                    continue;
+                }
+                changes.push(now
+                    ? { path: targetPath, mode: now.mode, type: now.type, sha: now.sha }
+                    : { path: targetPath, mode: old.mode, type: old.type, sha: null });
+            }
+
+            if (conflicts.length > 0) {
+                results.push({ ...result, status: 'conflict', pending_commits: comparison.ahead_by, conflicts });
+                continue;
+            }
+
+            await copyBlobs(api, source, target, changes.filter(entry => entry.sha), copied);
+            entries.push(...changes);
+            source.source_sha = latest.sha;
+            results.push({ ...result, status: 'updated', source_sha: latest.sha, commits: comparison.ahead_by });
+        } catch (error) {
+            results.push({ ...result, status: 'failed', error: error.response?.data?.message || error.message });
+        }
+    }
+
+    const updated = results.filter(result => result.status === 'updated');
+    if (updated.length === 0) {
+        return { branch: target.branch, commit: head.sha, previous_commit: head.sha, pushed: false, manifest, sources: results };
+    }
+
+    manifest.synced_at = new Date().toISOString();
+    entries.push({ path: MANIFEST_PATH, mode: '100644', type: 'blob', content: renderManifest(manifest) });
+    const tree = await writeTree(api, target, head.tree, entries);
+
+    const { data: commit } = await api.post(`/repos/${target.owner}/${target.repo}/git/commits`, {
+        message: `Resync ${updated.length} repositor${updated.length === 1 ? 'y' : 'ies'} with CAROMAR\n\n` +
+            `${updated.map(result => `- ${result.name}: ${result.commits} new commit(s) -> ${result.path}/`).join('\n')}\n`,
+        tree,
+        parents: [head.sha]
+    });
+    // Not forced: a push made to the branch during the resync must not be lost
+    await api.patch(`/repos/${target.owner}/${target.repo}/git/refs/heads/${target.branch}`, { sha: commit.sha });
+
+    return { branch: target.branch, commit: commit.sha, previous_commit: head.sha, pushed: true, manifest, sources: results };
+}
+
+module.exports = {
+    RESYNC_STATUSES,
+    MIN_GIT_VERSION,
+    resyncHistory,
+    resyncSnapshot,
+    summarize
+};
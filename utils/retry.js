@@ -0,0 +1,147 @@
+/**
+ * Retry and backoff helpers for GitHub API calls
+ * @module utils/retry
+ */
+
+// GitHub asks clients to wait at least a minute after a secondary rate limit
+const SECONDARY_RATE_LIMIT_DELAY_MS = 60 * 1000;
+
+// Upper bound for any single wait
+const MAX_DELAY_MS = 15 * 60 * 1000;
+
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'ECONNREFUSED', 'EPIPE'];
+
+/**
+ * Check whether an error is a GitHub rate limit response (primary or secondary)
+ * @param {Error} error - Axios error
+ * @returns {boolean} - True if the request was rate limited
+ */
+function isRateLimitError(error) {
+    const response = error.response;
+    if (!response || ![403, 429].includes(response.status)) {
+        return false;
+    }
+    const headers = response.headers || {};
+    const message = (response.data?.message || '').toLowerCase();
+    return response.status === 429 ||
+        headers['retry-after'] !== undefined ||
+        headers['x-ratelimit-remaining'] === '0' ||
+        message.includes('rate limit');
+}
+
+/**
+ * Check whether an error is a secondary (abuse) rate limit
+ * @param {Error} error - Axios error
+ * @returns {boolean} - True for secondary rate limits
+ */
+function isSecondaryRateLimit(error) {
+    if (!isRateLimitError(error)) {
+        return false;
+    }
+    const message = (error.response.data?.message || '').toLowerCase();
+    return message.includes('secondary rate limit') ||
+        message.includes('abuse') ||
+        error.response.headers?.['retry-after'] !== undefined;
+}
+
+/**
+ * Check whether an error is worth retrying (server errors and network failures)
+ * @param {Error} error - Axios error
+ * @returns {boolean} - True if the request may succeed when retried
+ */
+function isTransientError(error) {
+    if (error.response) {
+        return error.response.status >= 500;
+    }
+    return TRANSIENT_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Compute how long to wait before retrying
+ * Honours Retry-After and X-RateLimit-Reset, otherwise backs off exponentially.
+ * @param {Error} error - Axios error
+ * @param {number} attempt - Number of attempts made so far (1-based)
+ * @param {Object} [options] - Backoff options
+ * @param {number} [options.baseDelayMs=1000] - Delay before the first retry
+ * @param {number} [options.secondaryDelayMs] - Minimum delay after a secondary rate limit
+ * @returns {number} - Delay in milliseconds
+ */
+function getRetryDelay(error, attempt, options = {}) {
+    const { baseDelayMs = 1000, secondaryDelayMs = SECONDARY_RATE_LIMIT_DELAY_MS } = options;
+    const headers = error.response?.headers || {};
+
+    const retryAfter = parseInt(headers['retry-after'], 10);
+    if (!Number.isNaN(retryAfter)) {
+        return Math.min(retryAfter * 1000, MAX_DELAY_MS);
+    }
+
+    if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+        const resetMs = parseInt(headers['x-ratelimit-reset'], 10) * 1000 - Date.now();
+        return Math.min(Math.max(resetMs, 0) + 1000, MAX_DELAY_MS);
+    }
+
+    const exponential = baseDelayMs * Math.pow(2, attempt - 1);
+    const delay = isSecondaryRateLimit(error) ? Math.max(secondaryDelayMs, exponential) : exponential;
+    return Math.min(delay, MAX_DELAY_MS);
+}
+
+/**
+ * Resolve after a delay
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Default retry predicate: rate limits and transient failures
+ * @param {Error} error - Axios error
+ * @returns {boolean} - True if the call should be retried
+ */
+function isRetryableError(error) {
+    return isRateLimitError(error) || isTransientError(error);
+}
+
+/**
+ * Call a function, retrying rate-limited and transient failures
+ * @param {Function} fn - async (attempt) => result
+ * @param {Object} [options] - Retry options
+ * @param {number} [options.retries=3] - Retries after the first attempt
+ * @param {number} [options.baseDelayMs=1000] - Delay before the first retry
+ * @param {number} [options.secondaryDelayMs] - Minimum delay after a secondary rate limit
+ * @param {Function} [options.sleep] - Delay function (for tests)
+ * @param {Function} [options.onRetry] - (error, delay, attempt) => void, e.g. to pause other workers
+ * @param {Function} [options.retryIf] - (error, delay, attempt) => boolean; defaults to rate limits and transient failures
+ * @returns {Promise<*>} - Result of fn
+ */
+async function withRetry(fn, options = {}) {
+    const { retries = 3, sleep: wait = sleep, onRetry, retryIf = isRetryableError } = options;
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            const delay = attempt > retries ? null : getRetryDelay(error, attempt, options);
+            if (delay === null || !retryIf(error, delay, attempt)) {
+                error.attempts = attempt;
+                throw error;
+            }
+            if (onRetry) {
+                onRetry(error, delay, attempt);
+            }
+            await wait(delay);
+        }
+    }
+}
+
+module.exports = {
+    SECONDARY_RATE_LIMIT_DELAY_MS,
+    isRateLimitError,
+    isSecondaryRateLimit,
+    isTransientError,
+    isRetryableError,
+    getRetryDelay,
+    sleep,
+    withRetry
+};
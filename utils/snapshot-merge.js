@@ -0,0 +1,213 @@
+/**
+ * Snapshot merge through the GitHub Git Data API
+ * Copies the current tree of each source repository into a folder of the
+ * target repository and records it as a single commit. No git binary is
+ * needed, so this mode also runs on the Netlify serverless deployment.
+ * Source history is not carried over.
+ * @module utils/snapshot-merge
+ */
+
+const { mapWithConcurrency } = require('./concurrency');
+const { createPathFilter } = require('./glob');
+
+// Number of blobs copied in parallel
+const BLOB_CONCURRENCY = 8;
+
+// Entries sent per create-tree request; larger trees are built in steps
+const TREE_BATCH_SIZE = 500;
+
+/**
+ * Resolve a source ref to its commit and tree
+ * @param {Object} api - GitHub API client
+ * @param {Object} source - { owner, repo, ref }
+ * @returns {Promise<Object>} - { ref, sha, tree }
+ */
+async function resolveSourceCommit(api, source) {
+    let ref = source.ref;
+    if (!ref) {
+        const { data: repository } = await api.get(`/repos/${source.owner}/${source.repo}`);
+        ref = repository.default_branch;
+    }
+
+    const { data: commit } = await api.get(`/repos/${source.owner}/${source.repo}/commits/${encodeURIComponent(ref)}`);
+    return { ref, sha: commit.sha, tree: commit.commit.tree.sha };
+}
+
+/**
+ * List every entry of a tree recursively
+ * @param {Object} api - GitHub API client
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} treeSha - Tree SHA
+ * @returns {Promise<Array<Object>>} - Blob and submodule entries
+ * @throws {Error} - If GitHub truncated the listing
+ */
+async function listTree(api, owner, repo, treeSha) {
+    const { data } = await api.get(`/repos/${owner}/${repo}/git/trees/${treeSha}`, {
+        params: { recursive: 1 }
+    });
+
+    if (data.truncated) {
+        throw new Error(`Tree of ${owner}/${repo} is too large for a snapshot merge; use history mode instead`);
+    }
+
+    return data.tree.filter(entry => entry.type === 'blob' || entry.type === 'commit');
+}
+
+/**
+ * Resolve the head commit and tree of the target branch
+ * @param {Object} api - GitHub API client
+ * @param {Object} target - { owner, repo, branch }
+ * @returns {Promise<Object>} - { sha, tree }
+ */
+async function resolveTargetHead(api, target) {
+    const { data: ref } = await api.get(`/repos/${target.owner}/${target.repo}/git/ref/heads/${target.branch}`);
+    const { data: commit } = await api.get(`/repos/${target.owner}/${target.repo}/git/commits/${ref.object.sha}`);
+    return { sha: ref.object.sha, tree: commit.tree.sha };
+}
+
+/**
+ * Copy the blobs of tree entries from a source repository to the target
+ * Blob SHAs are content addressed, so a copied blob keeps its SHA.
+ * @param {Object} api - GitHub API client
+ * @param {Object} source - { owner, repo }
+ * @param {Object} target - { owner, repo }
+ * @param {Array<Object>} entries - Tree entries; only blobs are copied
+ * @param {Set<string>} copied - SHAs already copied, updated in place
+ * @returns {Promise<void>}
+ */
+async function copyBlobs(api, source, target, entries, copied) {
+    await mapWithConcurrency(entries.filter(entry => entry.type === 'blob'), BLOB_CONCURRENCY, async (entry) => {
+        if (copied.has(entry.sha)) {
+            return;
+        }
+        copied.add(entry.sha);
+        const { data: blob } = await api.get(`/repos/${source.owner}/${source.repo}/git/blobs/${entry.sha}`);
+        await api.post(`/repos/${target.owner}/${target.repo}/git/blobs`, {
+            content: blob.content,
+            encoding: blob.encoding
+        });
+    });
+}
+
+/**
+ * Create a tree from a base tree and a list of changed entries
+ * @param {Object} api - GitHub API client
+ * @param {Object} target - { owner, repo }
+ * @param {string} baseTree - SHA of the tree the entries are applied to
+ * @param {Array<Object>} entries - Create-tree entries (sha null deletes a path)
+ * @returns {Promise<string>} - SHA of the resulting tree
+ */
+async function writeTree(api, target, baseTree, entries) {
+    let treeSha = baseTree;
+    for (let i = 0; i < entries.length; i += TREE_BATCH_SIZE) {
+        const { data: tree } = await api.post(`/repos/${target.owner}/${target.repo}/git/trees`, {
+            base_tree: treeSha,
+            tree: entries.slice(i, i + TREE_BATCH_SIZE)
+        });
+        treeSha = tree.sha;
+    }
+    return treeSha;
+}
+
+/**
+ * Build the default commit message for a snapshot merge
+ * @param {Array<Object>} sources - Imported sources
+ * @returns {string} - Commit message
+ */
+function buildSnapshotMessage(sources) {
+    const lines = sources.map(source => `- ${source.owner}/${source.repo}@${source.source_sha.substring(0, 7)} -> ${source.path}/`);
+    return `Import ${sources.length} repositor${sources.length === 1 ? 'y' : 'ies'} with CAROMAR\n\n${lines.join('\n')}\n`;
+}
+
+/**
+ * Merge repositories into a target branch as a single snapshot commit
+ * @param {Object} options - Merge options
+ * @param {Object} options.api - GitHub API client (see utils/github-api)
+ * @param {Array<Object>} options.sources - Sources: { owner, repo, ref, path, include, exclude }
+ * @param {Object} options.target - Target: { owner, repo, branch }
+ * @param {string} [options.message] - Commit message
+ * @param {Function} [options.files] - (imported sources) => Array<{ path, content }> of extra files for the commit
+ * @returns {Promise<Object>} - Merge result with per-source file counts
+ */
+async function snapshotMerge(options) {
+    const { api, sources, target, message, files } = options;
+
+    if (!Array.isArray(sources) || sources.length === 0) {
+        throw new Error('At least one source repository is required');
+    }
+
+    const head = await resolveTargetHead(api, target);
+    const copiedBlobs = new Set();
+    const entries = [];
+    const imported = [];
+
+    for (const source of sources) {
+        const commit = await resolveSourceCommit(api, source);
+        const filter = createPathFilter(source);
+        const tree = (await listTree(api, source.owner, source.repo, commit.tree))
+            .filter(entry => !filter || filter(entry.path));
+
+        await copyBlobs(api, source, target, tree, copiedBlobs);
+
+        for (const entry of tree) {
+            entries.push({
+                path: `${source.path}/${entry.path}`,
+                mode: entry.mode,
+                type: entry.type,
+                sha: entry.sha
+            });
+        }
+
+        imported.push({
+            owner: source.owner,
+            repo: source.repo,
+            path: source.path,
+            ref: commit.ref,
+            source_sha: commit.sha,
+            files: tree.filter(entry => entry.type === 'blob').length,
+            bytes: tree.reduce((sum, entry) => sum + (entry.size || 0), 0)
+        });
+    }
+
+    for (const file of files ? files(imported) : []) {
+        entries.push({ path: file.path, mode: '100644', type: 'blob', content: file.content });
+    }
+
+    const treeSha = await writeTree(api, target, head.tree, entries);
+
+    const { data: commit } = await api.post(`/repos/${target.owner}/${target.repo}/git/commits`, {
+        message: message || buildSnapshotMessage(imported),
+        tree: treeSha,
+        parents: [head.sha]
+    });
+
+    await api.patch(`/repos/${target.owner}/${target.repo}/git/refs/heads/${target.branch}`, {
+        sha: commit.sha
+    });
+
+    return {
+        branch: target.branch,
+        commit: commit.sha,
+        previous_commit: head.sha,
+        pushed: true,
+        sources: imported.map(source => ({
+            name: `${source.owner}/${source.repo}`,
+            path: source.path,
+            ref: source.ref,
+            source_sha: source.source_sha,
+            files: source.files,
+            bytes: source.bytes
+        }))
+    };
+}
+
+module.exports = {
+    snapshotMerge,
+    resolveSourceCommit,
+    resolveTargetHead,
+    listTree,
+    copyBlobs,
+    writeTree,
+    buildSnapshotMessage
+};
@@ -0,0 +1,370 @@
+/**
+ * Umbrella repositories that reference their projects as submodules
+ * Instead of copying files, the merged repository gets a `.gitmodules`
+ * file and a gitlink per source, pinned to the commit its ref points at.
+ * Everything goes through the GitHub Git Data API, so no git binary is
+ * needed. Pins are moved forward later with bumpSubmodules.
+ * @module utils/submodules
+ */
+
+const { resolveSourceCommit, resolveTargetHead, writeTree } = require('./snapshot-merge');
+const { MANIFEST_PATH, readManifest, renderManifest } = require('./provenance');
+const { webUrlOf } = require('./github-hosts');
+
+const GITMODULES_PATH = '.gitmodules';
+
+// Tree entry mode of a gitlink
+const GITLINK_MODE = '160000';
+
+const BUMP_STATUSES = ['bumped', 'up_to_date', 'skipped', 'failed'];
+
+/**
+ * Quote a value for a git config file when it needs it
+ * @param {string} value - Value
+ * @returns {string} - Value as written after "key = "
+ */
+function configValue(value) {
+    const text = String(value);
+    if (!/^\s|\s$|[;#"\\]/.test(text)) {
+        return text;
+    }
+    return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Render a .gitmodules file
+ * Submodules are named after their path, as `git submodule add` does.
+ * @param {Array<Object>} submodules - { path, url, branch }
+ * @returns {string} - File contents
+ */
+function renderGitmodules(submodules) {
+    return submodules.map(submodule => [
+        `[submodule "${submodule.path.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"]`,
+        `\tpath = ${configValue(submodule.path)}`,
+        `\turl = ${configValue(submodule.url)}`,
+        ...(submodule.branch ? [`\tbranch = ${configValue(submodule.branch)}`] : [])
+    ].join('\n')).join('\n').concat('\n');
+}
+
+/**
+ * Read the value of a git config line
+ * Handles double quotes, backslash escapes and trailing comments.
+ * @param {string} raw - Text after the "="
+ * @returns {string} - Value
+ */
+function parseConfigValue(raw) {
+    const escapes = { n: '\n', t: '\t', b: '\b', '"': '"', '\\': '\\' };
+    let value = '';
+    let quoted = false;
+    let pendingSpace = '';
+    for (let i = 0; i < raw.length; i++) {
+        const char = raw[i];
+        if (char === '\\' && i + 1 < raw.length) {
+            value += pendingSpace + (escapes[raw[++i]] || raw[i]);
+            pendingSpace = '';
+        } else if (char === '"') {
+            quoted = !quoted;
+        } else if (!quoted && (char === ';' || char === '#')) {
+            break;
+        } else if (!quoted && /\s/.test(char)) {
+            // Unquoted whitespace only counts between words
+            pendingSpace += value ? char : '';
+        } else {
+            value += pendingSpace + char;
+            pendingSpace = '';
+        }
+    }
+    return value;
+}
+
+/**
+ * Parse a .gitmodules file
+ * @param {string} content - File contents
+ * @returns {Array<Object>} - Submodules in file order: { name, path, url, branch }
+ */
+function parseGitmodules(content) {
+    const submodules = [];
+    let current = null;
+    for (const line of content.split(/\r?\n/)) {
+        const text = line.trim();
+        const section = /^\[\s*submodule\s+"((?:[^"\\]|\\.)*)"\s*\]$/.exec(text);
+        if (section) {
+            current = { name: section[1].replace(/\\(.)/g, '$1') };
+            submodules.push(current);
+            continue;
+        }
+        if (text.startsWith('[')) {
+            current = null;
+            continue;
+        }
+        const setting = /^([A-Za-z][A-Za-z0-9-]*)\s*=(.*)$/.exec(text);
+        if (current && setting) {
+            current[setting[1].toLowerCase()] = parseConfigValue(setting[2]);
+        }
+    }
+    return submodules
+        .filter(submodule => submodule.path && submodule.url)
+        .map(({ name, path, url, branch }) => ({ name, path, url, branch: branch || null }));
+}
+
+/**
+ * Find the GitHub repository a submodule URL points to
+ * Relative URLs (`../api.git`) are resolved against the umbrella repository.
+ * @param {string} url - Submodule URL
+ * @param {Object} umbrella - Repository holding the .gitmodules: { owner, repo }
+ * @param {string} [hostname='github.com'] - Web host of the GitHub server
+ * @returns {Object|null} - { owner, repo }, or null for repositories outside that server
+ */
+function parseSubmoduleRepository(url, umbrella, hostname = 'github.com') {
+    const host = hostname.replace(/\./g, '\\.');
+    const patterns = [
+        new RegExp(`^https://${host}/([A-Za-z0-9-]+)/([A-Za-z0-9._-]+?)(?:\\.git)?/?$`),
+        new RegExp(`^(?:ssh://)?git@${host}[:/]([A-Za-z0-9-]+)/([A-Za-z0-9._-]+?)(?:\\.git)?$`)
+    ];
+    for (const pattern of patterns) {
+        const match = pattern.exec(url);
+        if (match) {
+            return { owner: match[1], repo: match[2] };
+        }
+    }
+    const sibling = /^\.\.\/([A-Za-z0-9._-]+?)(?:\.git)?$/.exec(url);
+    return sibling ? { owner: umbrella.owner, repo: sibling[1] } : null;
+}
+
+/**
+ * Check whether a ref names a branch of a repository
+ * Only branches are recorded in .gitmodules; tags and SHAs stay pinned.
+ * @param {Object} api - GitHub API client
+ * @param {Object} source - { owner, repo }
+ * @param {string} ref - Ref name
+ * @returns {Promise<boolean>} - True if refs/heads/<ref> exists
+ */
+async function isBranch(api, source, ref) {
+    try {
+        await api.get(`/repos/${source.owner}/${source.repo}/git/ref/heads/${ref}`);
+        return true;
+    } catch (error) {
+        if (error.response?.status === 404) {
+            return false;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Create the submodules of an umbrella repository in a single commit
+ * @param {Object} options - Merge options
+ * @param {Object} options.api - GitHub API client (see utils/github-api)
+ * @param {Array<Object>} options.sources - Sources: { owner, repo, url, ref, path }; the default branch is used without a ref
+ * @param {Object} options.target - Target: { owner, repo, branch }
+ * @param {Function} [options.files] - (imported sources) => Array<{ path, content }> of extra files for the commit
+ * @returns {Promise<Object>} - Merge result with the pinned SHA of each source
+ */
+async function submoduleMerge(options) {
+    const { api, sources, target, files } = options;
+
+    if (!Array.isArray(sources) || sources.length === 0) {
+        throw new Error('At least one source repository is required');
+    }
+
+    const head = await resolveTargetHead(api, target);
+    const imported = [];
+    for (const source of sources) {
+        const commit = await resolveSourceCommit(api, source);
+        imported.push({
+            owner: source.owner,
+            repo: source.repo,
+            url: source.url || `${webUrlOf(api)}/${source.owner}/${source.repo}.git`,
+            path: source.path,
+            ref: commit.ref,
+            branch: !source.ref || await isBranch(api, source, commit.ref) ? commit.ref : null,
+            source_sha: commit.sha
+        });
+    }
+
+    const entries = [
+        ...imported.map(source => ({ path: source.path, mode: GITLINK_MODE, type: 'commit', sha: source.source_sha })),
+        { path: GITMODULES_PATH, mode: '100644', type: 'blob', content: renderGitmodules(imported) },
+        ...(files ? files(imported) : []).map(file => ({ path: file.path, mode: '100644', type: 'blob', content: file.content }))
+    ];
+    const tree = await writeTree(api, target, head.tree, entries);
+
+    const lines = imported.map(source => `- ${source.owner}/${source.repo}@${source.source_sha.substring(0, 7)} -> ${source.path}`);
+    const { data: commit } = await api.post(`/repos/${target.owner}/${target.repo}/git/commits`, {
+        message: `Add ${imported.length} submodule${imported.length === 1 ? '' : 's'} with CAROMAR\n\n${lines.join('\n')}\n`,
+        tree,
+        parents: [head.sha]
+    });
+
+    await api.patch(`/repos/${target.owner}/${target.repo}/git/refs/heads/${target.branch}`, {
+        sha: commit.sha
+    });
+
+    return {
+        branch: target.branch,
+        commit: commit.sha,
+        previous_commit: head.sha,
+        pushed: true,
+        sources: imported.map(source => ({
+            name: `${source.owner}/${source.repo}`,
+            path: source.path,
+            ref: source.ref,
+            branch: source.branch,
+            url: source.url,
+            source_sha: source.source_sha
+        }))
+    };
+}
+
+/**
+ * Read a file of a repository through the contents API
+ * @param {Object} api - GitHub API client
+ * @param {Object} target - { owner, repo, branch }
+ * @param {string} path - File path
+ * @returns {Promise<Object|null>} - Contents API entry, or null if the path does not exist
+ */
+async function getContents(api, target, path) {
+    try {
+        const { data } = await api.get(`/repos/${target.owner}/${target.repo}/contents/${path}`, {
+            params: { ref: target.branch }
+        });
+        return data;
+    } catch (error) {
+        if (error.response?.status === 404) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Read the provenance manifest of an umbrella repository, if it has one
+ * @param {Object} api - GitHub API client
+ * @param {Object} target - { owner, repo, branch }
+ * @returns {Promise<Object|null>} - Manifest of a submodules merge, or null
+ */
+async function readSubmodulesManifest(api, target) {
+    try {
+        const manifest = await readManifest(api, target);
+        return manifest.mode === 'submodules' ? manifest : null;
+    } catch (error) {
+        if (error.status === 422) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Summarize per-submodule bump results
+ * @param {Array<Object>} results - Submodule results
+ * @returns {Object} - Count per status
+ */
+function summarize(results) {
+    const summary = { total: results.length };
+    for (const status of BUMP_STATUSES) {
+        summary[status] = results.filter(result => result.status === status).length;
+    }
+    return summary;
+}
+
+/**
+ * Move every submodule pin of a repository to the latest commit of its branch
+ * Each submodule follows the `branch` recorded in .gitmodules, or the
+ * default branch of its repository without one, as
+ * `git submodule update --remote` does. Submodules outside GitHub are
+ * skipped. A caromar.json manifest written by a submodules merge is kept
+ * in step with the new pins.
+ * @param {Object} options - Bump options
+ * @param {Object} options.api - GitHub API client
+ * @param {Object} options.target - Umbrella repository: { owner, repo, branch }
+ * @returns {Promise<Object>} - { branch, commit, previous_commit, pushed, submodules }
+ * @throws {Error} - With status 422 if the branch has no .gitmodules
+ */
+async function bumpSubmodules(options) {
+    const { api, target } = options;
+    const head = await resolveTargetHead(api, target);
+
+    const file = await getContents(api, target, GITMODULES_PATH);
+    if (!file || file.type !== 'file') {
+        const error = new Error(`${target.owner}/${target.repo} has no ${GITMODULES_PATH} on ${target.branch}`);
+        error.status = 422;
+        throw error;
+    }
+    const submodules = parseGitmodules(Buffer.from(file.content || '', file.encoding === 'base64' ? 'base64' : 'utf8').toString('utf8'));
+
+    const hostname = new URL(webUrlOf(api)).hostname;
+    const entries = [];
+    const results = [];
+    for (const submodule of submodules) {
+        const result = { name: submodule.name, path: submodule.path, url: submodule.url, branch: submodule.branch };
+        const source = parseSubmoduleRepository(submodule.url, target, hostname);
+        if (!source) {
+            results.push({ ...result, status: 'skipped', reason: 'Not a GitHub repository' });
+            continue;
+        }
+        try {
+            const gitlink = await getContents(api, target, submodule.path);
+            if (!gitlink || gitlink.type !== 'submodule') {
+                throw new Error(`${submodule.path} is not a submodule on ${target.branch}`);
+            }
+            // "." follows the branch of the same name as the umbrella's
+            const ref = submodule.branch === '.' ? target.branch : submodule.branch || undefined;
+            const latest = await resolveSourceCommit(api, { ...source, ref });
+
+            result.repository = `${source.owner}/${source.repo}`;
+            result.ref = latest.ref;
+            result.previous_sha = gitlink.sha;
+            result.sha = latest.sha;
+            if (latest.sha === gitlink.sha) {
+                results.push({ ...result, status: 'up_to_date' });
+                continue;
+            }
+            entries.push({ path: submodule.path, mode: GITLINK_MODE, type: 'commit', sha: latest.sha });
+            results.push({ ...result, status: 'bumped' });
+        } catch (error) {
+            results.push({ ...result, status: 'failed', error: error.response?.data?.message || error.message });
+        }
+    }
+
+    const bumped = results.filter(result => result.status === 'bumped');
+    if (bumped.length === 0) {
+        return { branch: target.branch, commit: head.sha, previous_commit: head.sha, pushed: false, submodules: results };
+    }
+
+    const manifest = await readSubmodulesManifest(api, target);
+    if (manifest) {
+        for (const source of manifest.sources) {
+            const result = bumped.find(entry => entry.path === source.target_path);
+            if (result) {
+                source.source_sha = result.sha;
+            }
+        }
+        manifest.synced_at = new Date().toISOString();
+        entries.push({ path: MANIFEST_PATH, mode: '100644', type: 'blob', content: renderManifest(manifest) });
+    }
+
+    const tree = await writeTree(api, target, head.tree, entries);
+    const { data: commit } = await api.post(`/repos/${target.owner}/${target.repo}/git/commits`, {
+        message: `Bump ${bumped.length} submodule${bumped.length === 1 ? '' : 's'} with CAROMAR\n\n` +
+            `${bumped.map(result => `- ${result.path}: ${result.previous_sha.substring(0, 7)} -> ${result.sha.substring(0, 7)} (${result.ref})`).join('\n')}\n`,
+        tree,
+        parents: [head.sha]
+    });
+    // Not forced: a push made to the branch during the bump must not be lost
+    await api.patch(`/repos/${target.owner}/${target.repo}/git/refs/heads/${target.branch}`, { sha: commit.sha });
+
+    return { branch: target.branch, commit: commit.sha, previous_commit: head.sha, pushed: true, submodules: results };
+}
+
+module.exports = {
+    GITMODULES_PATH,
+    GITLINK_MODE,
+    BUMP_STATUSES,
+    renderGitmodules,
+    parseGitmodules,
+    parseSubmoduleRepository,
+    submoduleMerge,
+    bumpSubmodules,
+    summarize
+};
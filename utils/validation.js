@@ -2,6 +2,8 @@
  * Validation utilities for CAROMAR
  */
 
+const { getCloneHost } = require('./github-hosts');
+
 /**
  * Validate GitHub username format
  * @param {string} username - GitHub username to validate
@@ -27,7 +29,8 @@ function isValidRepositoryName(repoName) {
     }
     // Repository name rules: alphanumeric + hyphens/underscores/dots, 1-100 characters
     const repoNameRegex = /^[a-zA-Z0-9._-]{1,100}$/;
-    return repoNameRegex.test(repoName);
+    // "." and ".." would step out of /repos/{owner}/{repo} paths
+    return repoNameRegex.test(repoName) && repoName !== '.' && repoName !== '..';
 }
 
 /**
@@ -112,6 +115,70 @@ function validateSort(sort, allowedValues) {
     return sort;
 }
 
+/**
+ * Validate a git clone URL for a source repository
+ * Only HTTPS URLs on an allowed host are accepted by default, so the server
+ * cannot be used to fetch arbitrary locations. Local `file://` URLs are
+ * opt-in and intended for testing against bare repositories.
+ * @param {string} url - Clone URL
+ * @param {object} [options] - Validation options
+ * @param {string} [options.apiUrl] - GitHub API base URL of the request (default server when omitted)
+ * @param {Array<string>} [options.hosts] - Allowed HTTPS hosts (default: the web host of that server)
+ * @param {boolean} [options.allowFile=false] - Accept file:// URLs
+ * @returns {boolean} - True if valid
+ */
+function isValidCloneUrl(url, options = {}) {
+    const { apiUrl, hosts = [getCloneHost(apiUrl)], allowFile = false } = options;
+    if (!url || typeof url !== 'string') {
+        return false;
+    }
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return false;
+    }
+
+    if (parsed.protocol === 'file:') {
+        return allowFile;
+    }
+    if (parsed.protocol !== 'https:' || !hosts.includes(parsed.hostname)) {
+        return false;
+    }
+    // Credentials must never be embedded in a clone URL
+    if (parsed.username || parsed.password || parsed.search || parsed.hash) {
+        return false;
+    }
+    return /^\/[a-zA-Z0-9-]+\/[a-zA-Z0-9._-]+$/.test(parsed.pathname);
+}
+
+/**
+ * Validate a git branch or tag name
+ * Follows the rules of `git check-ref-format` for a single ref name.
+ * @param {string} name - Branch or tag name
+ * @returns {boolean} - True if valid
+ */
+function isValidRefName(name) {
+    if (!name || typeof name !== 'string' || name.length > 255) {
+        return false;
+    }
+    if (name.startsWith('/') || name.endsWith('/') || name.endsWith('.') || name.startsWith('-')) {
+        return false;
+    }
+    if (name.includes('..') || name.includes('//') || name.includes('@{') || name === '@') {
+        return false;
+    }
+    if (name.split('/').some(part => part.startsWith('.') || part.endsWith('.lock'))) {
+        return false;
+    }
+    // No control characters, spaces or git's special characters
+    if (Array.from(name).some(char => char.charCodeAt(0) <= 0x20 || char.charCodeAt(0) === 0x7f)) {
+        return false;
+    }
+    return !/[~^:?*[\\]/.test(name);
+}
+
 /**
  * Validate email format
  * @param {string} email - Email to validate
@@ -133,5 +200,7 @@ module.exports = {
     isValidRepoPath,
     validatePagination,
     validateSort,
+    isValidCloneUrl,
+    isValidRefName,
     isValidEmail
 };